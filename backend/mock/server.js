@@ -0,0 +1,1146 @@
+/**
+ * Mock AEP Platform Server
+ * Local stand-in for Adobe IMS and the Platform APIs the backend services call
+ * (catalog, schema registry, identity, profile, segmentation, flow, query,
+ * policy, audit, privacy, observability, sandboxes), seeded from fixtures/*.json.
+ *
+ * Point the backend at it with PLATFORM_URL / IMS_URL. Writes only change
+ * in-memory state; restart the server to go back to the fixtures.
+ */
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const PORT = parseInt(process.env.MOCK_PORT || '4010', 10);
+const FIXTURES_DIR = process.env.MOCK_FIXTURES_DIR || path.join(__dirname, 'fixtures');
+const BASE_URL = `http://localhost:${PORT}`;
+
+// ===== FIXTURES =====
+
+// "$now-2h" -> epoch ms, "$iso:now-2h" -> ISO string, so seeded data is always recent
+const TIME_TOKEN = /^\$(iso:)?now(?:([+-]\d+)([smhd]))?$/;
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function resolveTimeTokens(value, now) {
+    if (typeof value === 'string') {
+        const match = TIME_TOKEN.exec(value);
+        if (!match) return value;
+        const ts = now + (match[2] ? parseInt(match[2], 10) * UNIT_MS[match[3]] : 0);
+        return match[1] ? new Date(ts).toISOString() : ts;
+    }
+    if (Array.isArray(value)) return value.map(item => resolveTimeTokens(item, now));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveTimeTokens(item, now)]));
+    }
+    return value;
+}
+
+/**
+ * Load every fixtures/<domain>.json into db.<domain>
+ */
+function loadFixtures(dir) {
+    const now = Date.now();
+    const data = {};
+    for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json'))) {
+        const raw = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        data[path.basename(file, '.json')] = resolveTimeTokens(raw, now);
+    }
+    return data;
+}
+
+const db = loadFixtures(FIXTURES_DIR);
+
+/**
+ * Live fixture list (created on first use so a missing fixture file is just empty)
+ */
+function list(domain, key) {
+    db[domain] ??= {};
+    db[domain][key] ??= [];
+    return db[domain][key];
+}
+
+function fixture(domain, key, fallback = {}) {
+    return db[domain]?.[key] ?? fallback;
+}
+
+// ===== HELPERS =====
+
+const STATUS_TITLES = { 400: 'Bad Request', 401: 'Unauthorized', 404: 'Not Found', 409: 'Conflict' };
+
+/**
+ * AEP-style error body (the shape aep.client reads error-code/detail from)
+ */
+function sendError(res, status, code, detail) {
+    res.status(status).json({ 'error-code': code, title: STATUS_TITLES[status] || 'Error', status, detail });
+}
+
+function notFound(res, kind, id) {
+    sendError(res, 404, 'MOCK-404', `${kind} '${id}' was not found`);
+}
+
+function getPath(obj, fieldPath) {
+    return fieldPath.split('.').reduce((value, key) => value?.[key], obj);
+}
+
+/**
+ * `property` filter as used by catalog and flow service: "a==b,c!=d", "n>5", or a bare field (exists)
+ */
+function matchesProperty(item, expression) {
+    if (!expression) return true;
+    return expression.split(',').every(clause => {
+        const match = /^([\w.@$:]+)\s*(==|!=|>=|<=|>|<)\s*(.*)$/.exec(clause.trim());
+        if (!match) return getPath(item, clause.trim()) !== undefined;
+
+        const [, field, op, expected] = match;
+        const actual = getPath(item, field);
+        const values = expected.split('|');
+        switch (op) {
+            case '==': return values.some(v => String(actual) === v);
+            case '!=': return values.every(v => String(actual) !== v);
+            case '>': return Number(actual) > Number(expected);
+            case '<': return Number(actual) < Number(expected);
+            case '>=': return Number(actual) >= Number(expected);
+            case '<=': return Number(actual) <= Number(expected);
+            default: return true;
+        }
+    });
+}
+
+/**
+ * Sort by "desc:created" (catalog), "-created" / "+created" (query, registry) or "created"
+ */
+function sortList(items, spec) {
+    if (!spec) return items;
+    let field = spec;
+    let direction = 1;
+    if (spec.startsWith('desc:') || spec.startsWith('-')) direction = -1;
+    field = field.replace(/^(asc:|desc:|[-+])/, '');
+
+    const toComparable = value => (typeof value === 'string' && !isNaN(Date.parse(value)) ? Date.parse(value) : value);
+    return [...items].sort((a, b) => {
+        const left = toComparable(getPath(a, field));
+        const right = toComparable(getPath(b, field));
+        if (left === right) return 0;
+        if (left === undefined) return 1;
+        if (right === undefined) return -1;
+        return left > right ? direction : -direction;
+    });
+}
+
+/**
+ * Offset paging over start/limit (or page/size for privacy)
+ */
+function paginate(items, query, defaultLimit = 50) {
+    const limit = parseInt(query.limit ?? query.size, 10) || defaultLimit;
+    const start = query.page !== undefined
+        ? (parseInt(query.page, 10) || 0) * limit
+        : parseInt(query.start, 10) || 0;
+    const page = items.slice(start, start + limit);
+    const next = start + limit < items.length ? String(start + limit) : null;
+    return { page, next, start, limit, total: items.length };
+}
+
+function applyListQuery(items, query, defaultLimit) {
+    const filtered = items.filter(item => matchesProperty(item, query.property));
+    return paginate(sortList(filtered, query.orderBy || query.orderby), query, defaultLimit);
+}
+
+/**
+ * Catalog lists are objects keyed by id, not arrays
+ */
+function toObjectMap(items) {
+    return Object.fromEntries(items.map(item => [item.id, item]));
+}
+
+function newEtag() {
+    return `"${randomUUID()}"`;
+}
+
+function stableNumber(text, modulo) {
+    return parseInt(createHash('md5').update(String(text)).digest('hex').slice(0, 8), 16) % modulo;
+}
+
+/**
+ * Placeholder record built from an XDM properties tree
+ */
+function sampleFromProperties(properties = {}, depth = 0) {
+    const sample = {};
+    for (const [key, prop] of Object.entries(properties)) {
+        if (key.startsWith('$') || key.startsWith('meta:') || depth > 6) continue;
+        if (prop.properties) sample[key] = sampleFromProperties(prop.properties, depth + 1);
+        else if (prop.enum) sample[key] = prop.enum[0];
+        else if (prop.type === 'integer') sample[key] = 42;
+        else if (prop.type === 'number') sample[key] = 12.5;
+        else if (prop.type === 'boolean') sample[key] = true;
+        else if (prop.type === 'array') sample[key] = [];
+        else if (prop.format === 'date-time') sample[key] = new Date().toISOString();
+        else if (prop.format === 'date') sample[key] = new Date().toISOString().slice(0, 10);
+        else if (prop.type === 'object') sample[key] = {};
+        else sample[key] = `sample-${key}`;
+    }
+    return sample;
+}
+
+/**
+ * Register list / get / create / update / delete routes for a fixture list.
+ *
+ * Options:
+ * - envelope(paged, req): body for the list response
+ * - idField:  identifier property (default 'id')
+ * - create(body, req): new item from a POST body (default: body + generated id)
+ * - created(item): POST response body (default: the item)
+ * - readOnly: only register the GET routes
+ */
+function resource(app, basePath, getItems, options = {}) {
+    const {
+        envelope = paged => ({ children: paged.page, _page: { count: paged.page.length, next: paged.next } }),
+        idField = 'id',
+        kind = basePath.split('/').pop(),
+        create = body => ({ [idField]: randomUUID(), ...body }),
+        created = item => item,
+        readOnly = false
+    } = options;
+
+    const findIndex = id => getItems().findIndex(item => String(item[idField]) === String(id));
+
+    app.get(basePath, (req, res) => {
+        res.json(envelope(applyListQuery(getItems(), req.query), req));
+    });
+
+    app.get(`${basePath}/:id`, (req, res) => {
+        const index = findIndex(req.params.id);
+        if (index === -1) return notFound(res, kind, req.params.id);
+        res.json(getItems()[index]);
+    });
+
+    if (readOnly) return;
+
+    app.post(basePath, (req, res) => {
+        const item = create(req.body || {}, req);
+        getItems().push(item);
+        res.status(201).json(created(item));
+    });
+
+    const update = (req, res) => {
+        const index = findIndex(req.params.id);
+        if (index === -1) return notFound(res, kind, req.params.id);
+        const items = getItems();
+        const patch = Array.isArray(req.body) ? applyJsonPatch(items[index], req.body) : req.body;
+        items[index] = { ...items[index], ...patch, [idField]: items[index][idField], etag: newEtag() };
+        res.json(items[index]);
+    };
+    app.put(`${basePath}/:id`, update);
+    app.patch(`${basePath}/:id`, update);
+
+    app.delete(`${basePath}/:id`, (req, res) => {
+        const index = findIndex(req.params.id);
+        if (index === -1) return notFound(res, kind, req.params.id);
+        getItems().splice(index, 1);
+        res.status(204).end();
+    });
+}
+
+/**
+ * Minimal JSON Patch (replace/add of top-level or nested paths), enough for flow/connection PATCH calls
+ */
+function applyJsonPatch(target, operations) {
+    const copy = structuredClone(target);
+    for (const { op, path: pointer, value } of operations) {
+        if (!['add', 'replace'].includes(op) || !pointer) continue;
+        const keys = pointer.split('/').filter(Boolean);
+        const last = keys.pop();
+        let node = copy;
+        for (const key of keys) node = node[key] ??= {};
+        node[last] = value;
+    }
+    return copy;
+}
+
+const app = express();
+app.use(express.json({ limit: '5mb' }));
+app.use(express.urlencoded({ extended: false }));
+
+app.use((req, res, next) => {
+    if (process.env.MOCK_QUIET !== 'true') console.log(`[Mock] ${req.method} ${req.originalUrl}`);
+    next();
+});
+
+app.get('/health', (req, res) => {
+    res.json({ status: 'ok', fixtures: Object.keys(db), fixturesDir: FIXTURES_DIR });
+});
+
+// ===== IMS =====
+
+app.post('/ims/token/v3', (req, res) => {
+    const { client_id: clientId, client_secret: clientSecret } = req.body || {};
+    if (!clientId || !clientSecret) {
+        return res.status(400).json({ error: 'invalid_client', error_description: 'client_id and client_secret are required' });
+    }
+    res.json({ access_token: `mock-token-${randomUUID()}`, token_type: 'bearer', expires_in: 86399 });
+});
+
+// Platform calls need a bearer token, as the real gateway does
+app.use('/data', (req, res, next) => {
+    if (!/^Bearer\s+\S+/i.test(req.headers.authorization || '')) {
+        return sendError(res, 401, '401013', 'Oauth token is not valid');
+    }
+    next();
+});
+
+// ===== CATALOG =====
+
+const datasets = () => list('catalog', 'dataSets');
+const batches = () => list('catalog', 'batches');
+const findDataset = id => datasets().find(ds => ds.id === id);
+const findBatch = id => batches().find(batch => batch.id === id);
+const batchDatasetId = batch => batch.relatedObjects?.find(obj => obj.type === 'dataSet')?.id;
+
+app.get('/data/foundation/catalog/dataSets', (req, res) => {
+    let items = datasets();
+    if (req.query.name) items = items.filter(ds => ds.name === req.query.name);
+    res.json(toObjectMap(applyListQuery(items, req.query, 50).page));
+});
+
+app.get('/data/foundation/catalog/dataSets/:id', (req, res) => {
+    const dataset = findDataset(req.params.id);
+    if (!dataset) return notFound(res, 'dataSet', req.params.id);
+    res.json(toObjectMap([dataset]));
+});
+
+app.get('/data/foundation/catalog/dataSets/:id/files', (req, res) => {
+    if (!findDataset(req.params.id)) return notFound(res, 'dataSet', req.params.id);
+    const files = batches()
+        .filter(batch => batchDatasetId(batch) === req.params.id && batch.status === 'success')
+        .map(batch => ({
+            id: `${batch.id}-0`,
+            batchId: batch.id,
+            dataSetViewId: req.params.id,
+            isValid: true,
+            created: batch.completed || batch.created,
+            updated: batch.updated,
+            fileDetails: { records: batch.metrics?.recordsWritten || 0 }
+        }));
+    res.json(toObjectMap(paginate(files, req.query).page));
+});
+
+app.get('/data/foundation/catalog/batches', (req, res) => {
+    const { status, dataSet, createdAfter, createdBefore } = req.query;
+    const items = batches().filter(batch =>
+        (!status || batch.status === status) &&
+        (!dataSet || batchDatasetId(batch) === dataSet) &&
+        (!createdAfter || batch.created > Number(createdAfter)) &&
+        (!createdBefore || batch.created < Number(createdBefore))
+    );
+    res.json(toObjectMap(applyListQuery(items, req.query, 50).page));
+});
+
+// Catalog lookups by id are keyed by id too, like the real API
+app.get('/data/foundation/catalog/batches/:id', (req, res) => {
+    const batch = findBatch(req.params.id);
+    if (!batch) return notFound(res, 'batch', req.params.id);
+    res.json(toObjectMap([batch]));
+});
+
+app.get('/data/foundation/dataset/datasets/:id/labels', (req, res) => {
+    if (!findDataset(req.params.id)) return notFound(res, 'dataSet', req.params.id);
+    res.json(fixture('catalog', 'labels')[req.params.id] || { labels: [], optionalLabels: [] });
+});
+
+// ===== DATA ACCESS / IMPORT =====
+
+function datasetSample(datasetId, count = 5) {
+    const dataset = findDataset(datasetId);
+    const schema = findSchema(dataset?.schemaRef?.id);
+    return Array.from({ length: count }, () => sampleFromProperties(schema?.properties));
+}
+
+app.get('/data/foundation/export/batches/:id/failed', (req, res) => {
+    if (!findBatch(req.params.id)) return notFound(res, 'batch', req.params.id);
+    const records = fixture('catalog', 'failedRecords')[req.params.id] || [];
+    res.json({ data: records, _page: { limit: records.length, count: records.length } });
+});
+
+app.get('/data/foundation/export/batches/:id/meta', (req, res) => {
+    const batch = findBatch(req.params.id);
+    if (!batch) return notFound(res, 'batch', req.params.id);
+    const data = batch.status === 'failed'
+        ? [{ name: 'row_errors', length: String(batch.metrics?.failedRecordCount || 0), _links: { self: { href: `${BASE_URL}/data/foundation/export/batches/${batch.id}/failed` } } }]
+        : [];
+    res.json({ data, _page: { limit: 100, count: data.length } });
+});
+
+app.get('/data/foundation/export/batches/:id/files', (req, res) => {
+    const batch = findBatch(req.params.id);
+    if (!batch) return notFound(res, 'batch', req.params.id);
+    const data = batch.status === 'success'
+        ? [{
+            dataSetFileId: `${batch.id}-0`,
+            dataSetViewId: batchDatasetId(batch),
+            version: '1.0.0',
+            created: String(batch.completed || batch.created),
+            updated: String(batch.updated),
+            isValid: true,
+            _links: { self: { href: `${BASE_URL}/data/foundation/export/files/${batch.id}-0` } }
+        }]
+        : [];
+    res.json({ data, _page: { limit: 100, count: data.length } });
+});
+
+// File ids are "<batchId>-<n>", as listed by the two files endpoints above
+const fileBatch = fileId => findBatch(fileId.replace(/-\d+$/, ''));
+
+app.get('/data/foundation/export/files/:fileId', (req, res) => {
+    const batch = fileBatch(req.params.fileId);
+    if (!batch) return notFound(res, 'file', req.params.fileId);
+    if (req.query.path) {
+        return res.json(datasetSample(batchDatasetId(batch)));
+    }
+    res.json({
+        data: [{ name: 'part-00000.parquet', length: String(batch.metrics?.inputByteSize || 1024), _links: { self: { href: `${BASE_URL}/data/foundation/export/files/${req.params.fileId}?path=part-00000.parquet` } } }],
+        _page: { limit: 100, count: 1 }
+    });
+});
+
+app.get('/data/foundation/export/files/:fileId/preview', (req, res) => {
+    const batch = fileBatch(req.params.fileId);
+    if (!batch) return notFound(res, 'file', req.params.fileId);
+    res.json({ format: 'json', data: datasetSample(batchDatasetId(batch), parseInt(req.query.limit, 10) || 5) });
+});
+
+app.get('/data/foundation/import/batches/:id/datasets/:datasetId/preview', (req, res) => {
+    if (!findBatch(req.params.id)) return notFound(res, 'batch', req.params.id);
+    res.json({ data: datasetSample(req.params.datasetId, parseInt(req.query.limit, 10) || 5) });
+});
+
+app.post('/data/foundation/import/batches/:id', (req, res) => {
+    const batch = findBatch(req.params.id);
+    if (!batch) return notFound(res, 'batch', req.params.id);
+    if (req.query.action !== 'COMPLETE') return sendError(res, 400, 'MOCK-400', `Unsupported action '${req.query.action}'`);
+    Object.assign(batch, { status: 'success', completed: Date.now(), updated: Date.now() });
+    res.json({});
+});
+
+// ===== SCHEMA REGISTRY =====
+
+const REGISTRY = '/data/foundation/schemaregistry';
+const CONTAINERS = ['tenant', 'global'];
+
+function findSchema(id) {
+    if (!id) return null;
+    const all = [...CONTAINERS.flatMap(c => fixture('schemas', 'schemas')[c] || []), ...list('schemas', 'unions')];
+    return all.find(schema => schema.$id === id || schema['meta:altId'] === id) || null;
+}
+
+function registrySummary(item) {
+    return { $id: item.$id, 'meta:altId': item['meta:altId'], version: item.version, title: item.title };
+}
+
+/**
+ * Registry list/detail routes: xed-id lists with `_page.next`, full objects by $id or meta:altId
+ */
+function registryResource(kind, getItems) {
+    app.get(`${REGISTRY}/:container(tenant|global)/${kind}`, (req, res) => {
+        const paged = paginate(sortList(getItems(req.params.container), req.query.orderby), req.query);
+        res.json({ results: paged.page.map(registrySummary), _page: { orderby: req.query.orderby || 'title', next: paged.next, count: paged.page.length } });
+    });
+
+    app.get(`${REGISTRY}/:container(tenant|global)/${kind}/:id`, (req, res) => {
+        const item = getItems(req.params.container).find(entry => entry.$id === req.params.id || entry['meta:altId'] === req.params.id);
+        if (!item) return notFound(res, kind, req.params.id);
+        res.json(item);
+    });
+}
+
+app.get(`${REGISTRY}/stats`, (req, res) => {
+    res.json(fixture('schemas', 'stats'));
+});
+
+app.get(`${REGISTRY}/:container(tenant|global)/schemas/:id/sample`, (req, res) => {
+    const schema = findSchema(req.params.id);
+    if (!schema) return notFound(res, 'schema', req.params.id);
+    res.json(sampleFromProperties(schema.properties));
+});
+
+registryResource('schemas', container => fixture('schemas', 'schemas')[container] || []);
+registryResource('fieldgroups', container => fixture('schemas', 'fieldgroups')[container] || []);
+registryResource('classes', container => fixture('schemas', 'classes')[container] || []);
+registryResource('datatypes', container => fixture('schemas', 'datatypes')[container] || []);
+
+app.get(`${REGISTRY}/tenant/unions`, (req, res) => {
+    res.json({ results: list('schemas', 'unions').map(union => ({ ...registrySummary(union), 'meta:class': union['meta:class'] })) });
+});
+
+app.get(`${REGISTRY}/tenant/unions/:id`, (req, res) => {
+    const union = list('schemas', 'unions').find(u => u.$id === req.params.id || u['meta:altId'] === req.params.id);
+    if (!union) return notFound(res, 'union', req.params.id);
+    res.json(union);
+});
+
+app.get(`${REGISTRY}/tenant/descriptors`, (req, res) => {
+    const grouped = {};
+    for (const descriptor of list('schemas', 'descriptors')) {
+        (grouped[descriptor['@type']] ??= []).push(descriptor);
+    }
+    res.json(grouped);
+});
+
+app.get(`${REGISTRY}/global/behaviors`, (req, res) => {
+    res.json({ results: list('schemas', 'behaviors') });
+});
+
+app.get(`${REGISTRY}/rpc/export/:id`, (req, res) => {
+    const schema = findSchema(req.params.id);
+    if (!schema) return notFound(res, 'schema', req.params.id);
+    res.json([schema]);
+});
+
+// ===== IDENTITY =====
+
+const namespaces = () => list('identity', 'namespaces');
+const findNamespace = key => namespaces().find(ns => String(ns.id) === String(key) || ns.code === key);
+
+/**
+ * XIDs are derived from namespace + id, so unknown identities still get a stable one
+ */
+function resolveXid(namespace, id) {
+    const known = list('identity', 'identities').find(identity =>
+        identity.id === id && (identity.namespace === namespace || String(identity.nsid) === String(namespace))
+    );
+    if (known) return known.xid;
+    return `A2_${createHash('sha1').update(`${namespace}:${id}`).digest('base64url').slice(0, 22)}`;
+}
+
+function clusterMembers(xid) {
+    const cluster = list('identity', 'clusters').find(members => members.includes(xid)) || [];
+    return cluster
+        .map(memberXid => list('identity', 'identities').find(identity => identity.xid === memberXid))
+        .filter(Boolean)
+        .map(identity => ({ xid: identity.xid, nsid: identity.nsid, id: identity.id, compositeXid: { nsid: identity.nsid, id: identity.id } }));
+}
+
+app.get('/data/core/idnamespace/identities', (req, res) => {
+    res.json(namespaces());
+});
+
+app.get('/data/core/idnamespace/identities/:id', (req, res) => {
+    const namespace = findNamespace(req.params.id);
+    if (!namespace) return notFound(res, 'namespace', req.params.id);
+    res.json(namespace);
+});
+
+app.post('/data/core/idnamespace/identities', (req, res) => {
+    const { code, name } = req.body || {};
+    if (!code || !name) return sendError(res, 400, 'MOCK-400', 'code and name are required');
+    if (findNamespace(code)) return sendError(res, 409, 'MOCK-409', `Namespace code '${code}' already exists`);
+    const namespace = {
+        id: Math.max(50000, ...namespaces().map(ns => ns.id)) + 1,
+        custom: true,
+        status: 'ACTIVE',
+        createTime: Date.now(),
+        updateTime: Date.now(),
+        ...req.body
+    };
+    namespaces().push(namespace);
+    res.status(201).json(namespace);
+});
+
+app.put('/data/core/idnamespace/identities/:id', (req, res) => {
+    const namespace = findNamespace(req.params.id);
+    if (!namespace) return notFound(res, 'namespace', req.params.id);
+    Object.assign(namespace, req.body, { id: namespace.id, updateTime: Date.now() });
+    res.json(namespace);
+});
+
+app.get('/data/core/identity/identity', (req, res) => {
+    const { namespace, nsId, id } = req.query;
+    if (!(namespace || nsId) || !id) return sendError(res, 400, 'MOCK-400', 'namespace (or nsId) and id are required');
+    res.json({ xid: resolveXid(namespace || nsId, id) });
+});
+
+app.get('/data/core/identity/mapping', (req, res) => {
+    const { xid, targetNs } = req.query;
+    const mapping = clusterMembers(xid)
+        .filter(member => member.xid !== xid && (!targetNs || String(member.nsid) === String(targetNs)))
+        .map(member => ({ ...member, lastAssociationTime: Date.now() - 60 * 60 * 1000, regions: [{ regionId: 'VA7', lastAssociationTime: Date.now() - 60 * 60 * 1000 }] }));
+    res.json({ xid, mapping });
+});
+
+app.get('/data/core/identity/cluster/members', (req, res) => {
+    res.json({ xid: req.query.xid, version: 1, cluster: clusterMembers(req.query.xid), lastAssociationTime: Date.now() - 60 * 60 * 1000 });
+});
+
+app.get('/data/core/identity/cluster/history', (req, res) => {
+    const members = clusterMembers(req.query.xid);
+    res.json({ xid: req.query.xid, version: 1, xidsHistory: members.map(member => ({ xid: member.xid, firstLinkedAt: Date.now() - 30 * UNIT_MS.d })) });
+});
+
+app.post('/data/core/identity/mappings', (req, res) => {
+    const xids = req.body?.xids || [];
+    res.json({ xidsMapping: Object.fromEntries(xids.map(xid => [xid, clusterMembers(xid).filter(m => m.xid !== xid)])) });
+});
+
+app.post('/data/core/identity/clusters/members', (req, res) => {
+    const xids = req.body?.xids || [];
+    res.json({ response: xids.map(xid => ({ xid, cluster: clusterMembers(xid) })) });
+});
+
+// ===== PROFILE =====
+
+const UPS = '/data/core/ups';
+
+function findProfile(entityId, entityIdNS) {
+    const xid = entityIdNS ? resolveXid(entityIdNS, entityId) : entityId;
+    return list('profile', 'profiles').find(profile => profile.entityId === xid || profile.identities?.includes(xid)) || null;
+}
+
+function profileResponse(profile, entityId) {
+    const { events, identities, ...rest } = profile;
+    return { [entityId]: { ...rest, identityGraph: identities || [] } };
+}
+
+app.get(`${UPS}/previewsamplestatus`, (req, res) => {
+    res.json(fixture('profile', 'previewSampleStatus'));
+});
+
+app.get(`${UPS}/previewsamplestatus/report/dataset`, (req, res) => {
+    res.json(fixture('profile', 'datasetReport', { data: [] }));
+});
+
+app.get(`${UPS}/previewsamplestatus/report/namespace`, (req, res) => {
+    res.json(fixture('profile', 'namespaceReport', { data: [] }));
+});
+
+app.get(`${UPS}/access/entities`, (req, res) => {
+    const { entityId, entityIdNS, relatedEntityId, relatedEntityIdNS } = req.query;
+
+    // ExperienceEvents for a profile
+    if (req.query['relatedSchema.name']) {
+        const profile = findProfile(relatedEntityId, relatedEntityIdNS);
+        const events = sortList(profile?.events || [], req.query.orderby || '-timestamp');
+        const paged = paginate(events, req.query, 100);
+        return res.json({
+            _page: { orderby: req.query.orderby || '-timestamp', count: paged.page.length, next: paged.next || '' },
+            children: paged.page.map((event, index) => ({
+                relatedEntityId,
+                entityId: `${profile.entityId}-event-${index}`,
+                timestamp: Date.parse(event.timestamp),
+                entity: event
+            }))
+        });
+    }
+
+    const profile = findProfile(entityId, entityIdNS);
+    if (!profile) return notFound(res, 'entity', `${entityIdNS}:${entityId}`);
+    res.json(profileResponse(profile, entityId));
+});
+
+app.post(`${UPS}/access/entities`, (req, res) => {
+    const response = {};
+    for (const identity of req.body?.identities || []) {
+        const ns = identity.entityIdNS?.code || identity.entityIdNS;
+        const profile = findProfile(identity.entityId, ns);
+        if (profile) Object.assign(response, profileResponse(profile, identity.entityId));
+    }
+    res.json(response);
+});
+
+app.delete(`${UPS}/access/entities`, (req, res) => {
+    const profile = findProfile(req.query.entityId, req.query.entityIdNS);
+    if (!profile) return notFound(res, 'entity', `${req.query.entityIdNS}:${req.query.entityId}`);
+    const profiles = list('profile', 'profiles');
+    profiles.splice(profiles.indexOf(profile), 1);
+    res.status(202).json({});
+});
+
+resource(app, `${UPS}/config/mergePolicies`, () => list('profile', 'mergePolicies'), {
+    create: body => ({ id: randomUUID(), version: 1, default: false, updateEpoch: Math.floor(Date.now() / 1000), ...body })
+});
+
+resource(app, `${UPS}/system/jobs`, () => list('profile', 'jobs'), {
+    create: body => ({ id: randomUUID(), jobType: 'DELETE', status: 'NEW', requestedAt: new Date().toISOString(), ...body })
+});
+
+resource(app, `${UPS}/config/computedAttributes`, () => list('profile', 'computedAttributes'), { readOnly: true });
+
+app.get(`${UPS}/config/projections`, (req, res) => {
+    const grouped = {};
+    for (const projection of list('profile', 'projections')) {
+        if (req.query.schemaName && projection.schemaName !== req.query.schemaName) continue;
+        (grouped[projection.schemaName] ??= []).push(projection);
+    }
+    res.json(grouped);
+});
+
+app.get(`${UPS}/config/destinations`, (req, res) => {
+    res.json(list('profile', 'destinations'));
+});
+
+// ===== SEGMENTATION =====
+
+const previews = new Map();
+
+resource(app, `${UPS}/segment/definitions`, () => list('segmentation', 'definitions'), {
+    envelope: paged => ({ segments: paged.page, page: { totalCount: paged.total, pageSize: paged.page.length, limit: paged.limit }, link: { next: paged.next ? `?start=${paged.next}` : '' } }),
+    create: body => ({ id: randomUUID(), lifecycleState: 'draft', creationTime: Date.now(), updateTime: Date.now(), ...body })
+});
+
+resource(app, `${UPS}/segment/jobs`, () => list('segmentation', 'jobs'), {
+    envelope: paged => ({ _page: { totalCount: paged.total, pageSize: paged.page.length }, children: paged.page }),
+    create: body => ({ id: randomUUID(), status: 'PROCESSING', segments: body.segments || body, creationTime: Date.now(), updateTime: Date.now() })
+});
+
+resource(app, `${UPS}/export/jobs`, () => list('segmentation', 'exportJobs'), {
+    envelope: paged => ({ _page: { totalCount: paged.total, pageSize: paged.page.length }, children: paged.page }),
+    create: body => ({ id: stableNumber(randomUUID(), 100000), status: 'NEW', creationTime: Date.now(), updateTime: Date.now(), ...body })
+});
+
+resource(app, `${UPS}/segment/schedules`, () => list('segmentation', 'schedules'), {
+    create: body => ({ id: randomUUID(), state: 'inactive', createEpoch: Math.floor(Date.now() / 1000), ...body })
+});
+
+// Estimates are a stable share of the profile count per expression, not a real PQL evaluation
+app.post(`${UPS}/preview`, (req, res) => {
+    const pql = req.body?.predicateExpression;
+    if (!pql) return sendError(res, 400, 'MOCK-400', 'predicateExpression is required');
+    const totalRows = fixture('profile', 'previewSampleStatus').totalRows || 0;
+    const previewId = `MOCK-PREVIEW-${randomUUID()}`;
+    const estimatedSize = Math.round(totalRows * (1 + stableNumber(pql, 40)) / 100);
+    previews.set(previewId, { previewId, pql, estimatedSize, totalRows, createdAt: Date.now() });
+    res.json({ state: 'RUNNING', previewQueryId: previewId, previewId, previewExecutionId: 1 });
+});
+
+app.get(`${UPS}/preview/:id`, (req, res) => {
+    const preview = previews.get(req.params.id);
+    if (!preview) return notFound(res, 'preview', req.params.id);
+    res.json({ state: 'RESULT_READY', results: list('profile', 'profiles').slice(0, 5).map(p => ({ [p.entityId]: p.entity })), _links: {} });
+});
+
+app.delete(`${UPS}/preview/:id`, (req, res) => {
+    if (!previews.delete(req.params.id)) return notFound(res, 'preview', req.params.id);
+    res.json({ message: 'Preview query successfully deleted' });
+});
+
+app.get(`${UPS}/estimate/:id`, (req, res) => {
+    const preview = previews.get(req.params.id);
+    if (!preview) return notFound(res, 'preview', req.params.id);
+    res.json({
+        state: 'RESULT_READY',
+        estimatedSize: preview.estimatedSize,
+        confidenceInterval: '95%',
+        standardError: Math.round(preview.estimatedSize * 0.02),
+        profilesReadSoFar: preview.totalRows,
+        totalRows: preview.totalRows,
+        _links: { preview: `${BASE_URL}${UPS}/preview/${preview.previewId}` }
+    });
+});
+
+app.post(`${UPS}/search/namespaces`, (req, res) => {
+    res.json({
+        namespaces: [
+            { namespace: 'segments', displayName: 'Audiences', count: list('segmentation', 'definitions').length },
+            { namespace: 'mergePolicies', displayName: 'Merge Policies', count: list('profile', 'mergePolicies').length }
+        ]
+    });
+});
+
+// ===== FLOW SERVICE =====
+
+const FLOW = '/data/foundation/flowservice';
+const itemsEnvelope = paged => ({ items: paged.page });
+const flowCreate = body => ({ id: randomUUID(), state: 'enabled', createdAt: Date.now(), updatedAt: Date.now(), etag: newEtag(), ...body });
+const flowCreated = item => ({ id: item.id, etag: item.etag });
+
+resource(app, `${FLOW}/connectionSpecs`, () => list('flow', 'connectionSpecs'), { envelope: itemsEnvelope, readOnly: true });
+resource(app, `${FLOW}/flowSpecs`, () => list('flow', 'flowSpecs'), { envelope: itemsEnvelope, readOnly: true });
+
+app.get(`${FLOW}/connections/:id/test`, (req, res) => {
+    const connection = list('flow', 'connections').find(c => c.id === req.params.id);
+    if (!connection) return notFound(res, 'connection', req.params.id);
+    res.json({ id: connection.id, state: 'success', message: 'Connection test passed' });
+});
+
+app.get(`${FLOW}/connections/:id/explore`, (req, res) => {
+    const connection = list('flow', 'connections').find(c => c.id === req.params.id);
+    if (!connection) return notFound(res, 'connection', req.params.id);
+    res.json(list('flow', 'sourceConnections')
+        .filter(source => source.baseConnectionId === connection.id)
+        .map(source => ({ type: source.params?.tableName ? 'table' : 'folder', name: source.params?.tableName || source.params?.path, path: source.params?.tableName || source.params?.path, canPreview: true })));
+});
+
+resource(app, `${FLOW}/connections`, () => list('flow', 'connections'), { envelope: itemsEnvelope, create: flowCreate, created: flowCreated });
+resource(app, `${FLOW}/sourceConnections`, () => list('flow', 'sourceConnections'), { envelope: itemsEnvelope, create: flowCreate, created: flowCreated });
+resource(app, `${FLOW}/targetConnections`, () => list('flow', 'targetConnections'), { envelope: itemsEnvelope, create: flowCreate, created: flowCreated });
+resource(app, `${FLOW}/flows`, () => list('flow', 'flows'), { envelope: itemsEnvelope, create: flowCreate, created: flowCreated });
+
+// POST /runs triggers an on-demand run of an existing flow
+resource(app, `${FLOW}/runs`, () => list('flow', 'runs'), {
+    envelope: itemsEnvelope,
+    create: (body, req) => {
+        if (!list('flow', 'flows').some(flow => flow.id === body.flowId)) {
+            throw Object.assign(new Error(`flow '${body.flowId}' was not found`), { status: 404 });
+        }
+        return { id: randomUUID(), flowId: body.flowId, state: 'inProgress', createdAt: Date.now(), updatedAt: Date.now(), etag: newEtag(), createdBy: req.headers['x-api-key'] || 'mock' };
+    },
+    created: flowCreated
+});
+
+// ===== QUERY SERVICE =====
+
+const QUERY = '/data/foundation/query';
+const queries = () => list('query', 'queries');
+
+app.get(`${QUERY}/connection_parameters`, (req, res) => {
+    res.json(fixture('query', 'connectionParameters'));
+});
+
+// New queries are SUBMITTED and finish on the next status check, so pollers see a transition
+app.use(`${QUERY}/queries/:id`, (req, res, next) => {
+    const query = queries().find(q => q.id === req.params.id);
+    if (req.method === 'GET' && query?.state === 'SUBMITTED') {
+        Object.assign(query, { state: 'SUCCESS', updated: new Date().toISOString(), elapsedTime: 1200, rowCount: /^\s*explain\b/i.test(query.sql) ? 1 : 10 });
+    }
+    if (req.method === 'PATCH' && query && req.body?.action === 'cancel') {
+        Object.assign(query, { state: 'KILLED', updated: new Date().toISOString() });
+        return res.json({ message: 'Query cancel request received', statusCode: 202 });
+    }
+    if (req.method === 'PATCH' && query && req.body?.action === 'soft_delete') {
+        queries().splice(queries().indexOf(query), 1);
+        return res.json({ message: 'Query soft delete request received', statusCode: 200 });
+    }
+    next();
+});
+
+resource(app, `${QUERY}/queries`, queries, {
+    envelope: paged => ({ queries: paged.page, _page: { orderby: '-created', next: paged.next, count: paged.page.length }, version: 1 }),
+    create: body => {
+        if (!body.sql) throw Object.assign(new Error('sql is required'), { status: 400 });
+        const now = new Date().toISOString();
+        return { id: randomUUID(), name: body.name || null, sql: body.sql, dbName: body.dbName, state: 'SUBMITTED', client: 'API', userId: 'mock', created: now, updated: now, errors: [] };
+    }
+});
+
+resource(app, `${QUERY}/schedules`, () => list('query', 'schedules'), {
+    envelope: paged => ({ schedules: paged.page, _page: { next: paged.next, count: paged.page.length }, version: 2 }),
+    create: body => ({ id: randomUUID(), state: 'enabled', version: 1, created: new Date().toISOString(), updated: new Date().toISOString(), ...body })
+});
+
+const scheduleRuns = scheduleId => (fixture('query', 'scheduleRuns')[scheduleId] ??= []);
+
+app.get(`${QUERY}/schedules/:id/runs`, (req, res) => {
+    const paged = paginate(scheduleRuns(req.params.id), req.query);
+    res.json({ runsSchedules: paged.page, _page: { next: paged.next, count: paged.page.length } });
+});
+
+app.post(`${QUERY}/schedules/:id/runs`, (req, res) => {
+    if (!list('query', 'schedules').some(s => s.id === req.params.id)) return notFound(res, 'schedule', req.params.id);
+    scheduleRuns(req.params.id).unshift({ id: randomUUID(), state: 'IN_PROGRESS', created: new Date().toISOString(), updated: new Date().toISOString() });
+    res.json({ message: 'SUCCESS', statusCode: 200 });
+});
+
+app.get(`${QUERY}/schedules/:id/runs/:runId`, (req, res) => {
+    const run = scheduleRuns(req.params.id).find(r => r.id === req.params.runId);
+    if (!run) return notFound(res, 'run', req.params.runId);
+    res.json(run);
+});
+
+app.patch(`${QUERY}/schedules/:id/runs/:runId`, (req, res) => {
+    const run = scheduleRuns(req.params.id).find(r => r.id === req.params.runId);
+    if (!run) return notFound(res, 'run', req.params.runId);
+    Object.assign(run, { state: 'KILLED', updated: new Date().toISOString() });
+    res.json({ message: 'Query cancel request received', statusCode: 202 });
+});
+
+app.get(`${QUERY}/query-templates/count`, (req, res) => {
+    res.json({ count: list('query', 'templates').length });
+});
+
+resource(app, `${QUERY}/query-templates`, () => list('query', 'templates'), {
+    envelope: paged => ({ templates: paged.page, _page: { next: paged.next, count: paged.page.length } }),
+    create: body => ({ id: randomUUID(), userId: 'mock', created: new Date().toISOString(), updated: new Date().toISOString(), ...body })
+});
+
+// ===== POLICY =====
+
+const POLICY = '/data/foundation/dulepolicy';
+const childrenEnvelope = paged => ({ _page: { count: paged.page.length, next: paged.next }, children: paged.page });
+
+/**
+ * Evaluate a policy's deny expression ({ label } or { operator, operands }) against a label set
+ */
+function denies(expression, labels) {
+    if (!expression) return false;
+    if (expression.label) return labels.includes(expression.label);
+    const results = (expression.operands || []).map(operand => denies(operand, labels));
+    return expression.operator === 'AND' ? results.every(Boolean) : results.some(Boolean);
+}
+
+function evaluateMarketingAction(actionRef, labels) {
+    const enabledCore = fixture('policy', 'enabledCorePolicies', []);
+    const active = [
+        ...list('policy', 'corePolicies').filter(p => enabledCore.includes(p.id)),
+        ...list('policy', 'customPolicies').filter(p => p.status === 'ENABLED')
+    ];
+    const actionName = actionRef.split('/').pop();
+    return {
+        timestamp: Date.now(),
+        marketingActionRef: actionRef,
+        duleLabels: labels,
+        violatedPolicies: active
+            .filter(p => p.marketingActionRefs?.some(ref => ref.split('/').pop() === actionName) && denies(p.deny, labels))
+            .map(p => ({ id: p.id, name: p.name, status: p.status, deny: p.deny }))
+    };
+}
+
+resource(app, `${POLICY}/labels/core`, () => list('policy', 'coreLabels'), { envelope: childrenEnvelope, idField: 'name', readOnly: true });
+resource(app, `${POLICY}/labels/custom`, () => list('policy', 'customLabels'), { envelope: childrenEnvelope, idField: 'name', readOnly: true });
+
+// Custom labels and marketing actions are created or replaced with PUT by name
+function upsertByName(getItems) {
+    return (req, res) => {
+        const items = getItems();
+        const index = items.findIndex(item => item.name === req.params.id);
+        const item = { ...(index === -1 ? { created: Date.now() } : items[index]), ...req.body, name: req.params.id, updated: Date.now() };
+        if (index === -1) items.push(item);
+        else items[index] = item;
+        res.status(index === -1 ? 201 : 200).json(item);
+    };
+}
+
+app.put(`${POLICY}/labels/custom/:id`, upsertByName(() => list('policy', 'customLabels')));
+
+resource(app, `${POLICY}/policies/core`, () => list('policy', 'corePolicies'), { envelope: childrenEnvelope, readOnly: true });
+resource(app, `${POLICY}/policies/custom`, () => list('policy', 'customPolicies'), {
+    envelope: childrenEnvelope,
+    create: body => ({ id: randomUUID(), status: 'DRAFT', created: Date.now(), updated: Date.now(), ...body })
+});
+
+app.get(`${POLICY}/enabledCorePolicies`, (req, res) => {
+    res.json({ policyIds: fixture('policy', 'enabledCorePolicies', []) });
+});
+
+app.put(`${POLICY}/enabledCorePolicies`, (req, res) => {
+    db.policy ??= {};
+    db.policy.enabledCorePolicies = req.body?.policyIds || [];
+    res.json({ policyIds: db.policy.enabledCorePolicies });
+});
+
+app.get(`${POLICY}/marketingActions/:type(core|custom)/:name/constraints`, (req, res) => {
+    const labels = String(req.query.duleLabels || '').split(',').filter(Boolean);
+    res.json(evaluateMarketingAction(`${POLICY}/marketingActions/${req.params.type}/${req.params.name}`, labels));
+});
+
+// Dataset-based evaluation: labels come from the datasets' labels fixtures
+app.post(`${POLICY}/marketingActions/:type(core|custom)/:name/constraints`, (req, res) => {
+    const labelsFixture = fixture('catalog', 'labels');
+    const labels = [...new Set((req.body || []).flatMap(entity => labelsFixture[entity.entityId]?.labels || []))];
+    res.json({ ...evaluateMarketingAction(`${POLICY}/marketingActions/${req.params.type}/${req.params.name}`, labels), entityList: req.body || [] });
+});
+
+resource(app, `${POLICY}/marketingActions/core`, () => list('policy', 'coreMarketingActions'), { envelope: childrenEnvelope, idField: 'name', readOnly: true });
+resource(app, `${POLICY}/marketingActions/custom`, () => list('policy', 'customMarketingActions'), { envelope: childrenEnvelope, idField: 'name', readOnly: true });
+app.put(`${POLICY}/marketingActions/custom/:id`, upsertByName(() => list('policy', 'customMarketingActions')));
+app.delete(`${POLICY}/marketingActions/custom/:id`, (req, res) => {
+    const items = list('policy', 'customMarketingActions');
+    const index = items.findIndex(item => item.name === req.params.id);
+    if (index === -1) return notFound(res, 'marketing action', req.params.id);
+    items.splice(index, 1);
+    res.status(204).end();
+});
+
+app.post(`${POLICY}/bulk-eval`, (req, res) => {
+    res.json((req.body || []).map(request => evaluateMarketingAction(request.marketingActionRef || '', request.labels || [])));
+});
+
+// ===== AUDIT =====
+
+app.get('/data/foundation/audit/events', (req, res) => {
+    const { user, resource: resourceName, action, startDate, endDate } = req.query;
+    const items = list('audit', 'events').filter(event =>
+        (!user || event.user?.id === user) &&
+        (!resourceName || event.resource?.name === resourceName || event.assetType === resourceName) &&
+        (!action || event.action === action) &&
+        (!startDate || event.timestamp >= startDate) &&
+        (!endDate || event.timestamp <= endDate)
+    );
+    const paged = paginate(sortList(items, '-timestamp'), req.query);
+    res.json({ children: paged.page, _page: { size: paged.limit, totalElements: paged.total, next: paged.next } });
+});
+
+app.get('/data/foundation/audit/events/:id', (req, res) => {
+    const event = list('audit', 'events').find(e => e.id === req.params.id);
+    if (!event) return notFound(res, 'event', req.params.id);
+    res.json(event);
+});
+
+app.post('/data/foundation/audit/export', (req, res) => {
+    const rows = list('audit', 'events').map(e => [e.timestamp, e.user?.id, e.action, e.assetType, e.resource?.name, e.status].join(','));
+    res.type('text/csv').send(['timestamp,user,action,assetType,resource,status', ...rows].join('\n'));
+});
+
+// ===== PRIVACY =====
+
+app.get('/data/core/privacy/jobs', (req, res) => {
+    const { regulation, status } = req.query;
+    const items = list('privacy', 'jobs').filter(job =>
+        (!regulation || job.regulation === regulation) && (!status || job.status === status)
+    );
+    const paged = paginate(sortList(items, '-createdDate'), req.query, 100);
+    res.json({ jobs: paged.page, totalRecords: paged.total, page: parseInt(req.query.page, 10) || 0 });
+});
+
+app.get('/data/core/privacy/jobs/:id', (req, res) => {
+    const job = list('privacy', 'jobs').find(j => j.jobId === req.params.id);
+    if (!job) return notFound(res, 'job', req.params.id);
+    res.json(job);
+});
+
+app.post('/data/core/privacy/jobs', (req, res) => {
+    const { users = [], regulation } = req.body || {};
+    if (!regulation || users.length === 0) return sendError(res, 400, 'MOCK-400', 'regulation and users are required');
+    const now = new Date().toISOString();
+    const jobs = users.map(user => ({
+        jobId: randomUUID(),
+        requestId: randomUUID(),
+        userKey: user.key,
+        action: (user.action || [])[0],
+        status: 'processing',
+        regulation,
+        submittedBy: 'mock',
+        createdDate: now,
+        lastModifiedDate: now
+    }));
+    list('privacy', 'jobs').unshift(...jobs);
+    res.json({ jobs: jobs.map(job => ({ jobId: job.jobId, customer: { user: { key: job.userKey, action: [job.action] } } })), requestStatus: 1, totalRecords: jobs.length });
+});
+
+app.post('/data/core/privacy/consent', (req, res) => {
+    res.json({ totalRecords: req.body?.entities?.length || 0, requestStatus: 1 });
+});
+
+// ===== OBSERVABILITY =====
+
+/**
+ * Hourly datapoints around each metric's fixture baseline (deterministic per hour)
+ */
+function metricSeries(metric, start, end) {
+    const baseline = fixture('observability', 'metrics')[metric] ?? 0;
+    const dps = {};
+    const hour = UNIT_MS.h;
+    for (let ts = Math.floor(start / hour) * hour; ts <= end; ts += hour) {
+        const swing = (stableNumber(`${metric}:${ts}`, 41) - 20) / 100;
+        dps[new Date(ts).toISOString()] = Math.max(0, Math.round(baseline * (1 + swing) * 100) / 100);
+    }
+    return dps;
+}
+
+app.get('/data/infrastructure/observability/insights/metrics', (req, res) => {
+    const end = Date.now();
+    const start = end - 7 * UNIT_MS.d;
+    const dps = metricSeries(req.query.metric, start, end);
+    res.json({
+        id: req.query.id || null,
+        imsOrgId: 'MOCKORG@AdobeOrg',
+        timeseries: { granularity: 'HOUR', items: Object.entries(dps).map(([timestamp, value]) => ({ timestamp, metrics: { [req.query.metric]: value } })) }
+    });
+});
+
+app.post('/data/infrastructure/observability/insights/metrics', (req, res) => {
+    const start = Date.parse(req.body?.start) || Date.now() - UNIT_MS.d;
+    const end = Date.parse(req.body?.end) || Date.now();
+    const metrics = (req.body?.metrics || []).map(m => (typeof m === 'string' ? { name: m, filters: [] } : m));
+    res.json({
+        metricResponses: metrics.map(({ name, filters = [] }) => ({
+            metric: name,
+            filters: Object.fromEntries(filters.map(f => [f.name, f.value.split('|')])),
+            dataPoints: [{ groupBy: {}, dps: metricSeries(name, start, end) }]
+        }))
+    });
+});
+
+// ===== SANDBOX MANAGEMENT =====
+
+const SANDBOX = '/data/foundation/sandbox-management';
+const sandboxes = () => list('sandbox', 'sandboxes');
+const findSandbox = name => sandboxes().find(sb => sb.name === name && sb.state !== 'deleted');
+
+app.get([`${SANDBOX}/`, `${SANDBOX}/sandboxes`], (req, res) => {
+    const paged = paginate(sandboxes().filter(sb => sb.state !== 'deleted'), req.query);
+    res.json({ sandboxes: paged.page, _page: { limit: paged.limit, count: paged.page.length } });
+});
+
+app.get(`${SANDBOX}/sandboxTypes`, (req, res) => {
+    res.json({ types: fixture('sandbox', 'types', []) });
+});
+
+app.get(`${SANDBOX}/sandboxes/:name`, (req, res) => {
+    const sandbox = findSandbox(req.params.name);
+    if (!sandbox) return notFound(res, 'sandbox', req.params.name);
+    res.json(sandbox);
+});
+
+app.post(`${SANDBOX}/sandboxes`, (req, res) => {
+    const { name, title, type = 'development' } = req.body || {};
+    if (!name || !title) return sendError(res, 400, 'MOCK-400', 'name and title are required');
+    if (findSandbox(name)) return sendError(res, 409, 'MOCK-409', `Sandbox '${name}' already exists`);
+    const now = new Date().toISOString();
+    const sandbox = { name, title, type, state: 'active', region: 'VA7', isDefault: false, eTag: 1, createdDate: now, lastModifiedDate: now, createdBy: 'mock' };
+    sandboxes().push(sandbox);
+    res.status(201).json(sandbox);
+});
+
+app.patch(`${SANDBOX}/sandboxes/:name`, (req, res) => {
+    const sandbox = findSandbox(req.params.name);
+    if (!sandbox) return notFound(res, 'sandbox', req.params.name);
+    Object.assign(sandbox, { title: req.body?.title ?? sandbox.title, eTag: sandbox.eTag + 1, lastModifiedDate: new Date().toISOString() });
+    res.json(sandbox);
+});
+
+app.put(`${SANDBOX}/sandboxes/:name`, (req, res) => {
+    const sandbox = findSandbox(req.params.name);
+    if (!sandbox) return notFound(res, 'sandbox', req.params.name);
+    if (req.body?.action !== 'reset') return sendError(res, 400, 'MOCK-400', `Unsupported action '${req.body?.action}'`);
+    if (sandbox.type === 'production') return sendError(res, 400, 'MOCK-400', 'Production sandboxes cannot be reset in the mock');
+    Object.assign(sandbox, { state: 'resetting', eTag: sandbox.eTag + 1, lastModifiedDate: new Date().toISOString() });
+    res.json(sandbox);
+});
+
+app.delete(`${SANDBOX}/sandboxes/:name`, (req, res) => {
+    const sandbox = findSandbox(req.params.name);
+    if (!sandbox) return notFound(res, 'sandbox', req.params.name);
+    if (sandbox.isDefault) return sendError(res, 400, 'MOCK-400', 'The default sandbox cannot be deleted');
+    Object.assign(sandbox, { state: 'deleted', eTag: sandbox.eTag + 1, lastModifiedDate: new Date().toISOString() });
+    res.json(sandbox);
+});
+
+// ===== ACCESS CONTROL =====
+
+app.post('/data/foundation/access-control/acl/effective-policies', (req, res) => {
+    const granted = fixture('sandbox', 'accessPolicies', { policies: {} }).policies || {};
+    const requested = Array.isArray(req.body) ? req.body : Object.keys(granted);
+    res.json({ policies: Object.fromEntries(requested.map(resourcePath => [resourcePath, granted[resourcePath] || []])) });
+});
+
+app.get('/data/foundation/access-control/acl/reference', (req, res) => {
+    res.json(fixture('sandbox', 'accessReference'));
+});
+
+// ===== FALLBACKS =====
+
+app.use((req, res) => {
+    sendError(res, 404, 'MOCK-404', `No mock for ${req.method} ${req.path}`);
+});
+
+// Errors thrown from create() hooks carry an HTTP status
+app.use((err, req, res, next) => {
+    const status = err.status || err.statusCode || 500;
+    sendError(res, status, status === 500 ? 'MOCK-500' : `MOCK-${status}`, err.message);
+});
+
+app.listen(PORT, () => {
+    console.log(`[Mock] AEP mock listening on ${BASE_URL} (fixtures: ${FIXTURES_DIR})`);
+    console.log(`[Mock] Point the backend at it with PLATFORM_URL=${BASE_URL} IMS_URL=${BASE_URL}`);
+});
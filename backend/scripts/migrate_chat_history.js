@@ -0,0 +1,18 @@
+/**
+ * Import a chat_history.json file into the SQLite chat store.
+ * Conversations already in SQLite are skipped, so it is safe to run again.
+ *
+ * Usage: npm run migrate:chat [-- path/to/chat_history.json]
+ */
+import path from 'path';
+import * as chatService from '../src/services/chat.service.js';
+
+const file = process.argv[2] ? path.resolve(process.argv[2]) : undefined;
+
+try {
+    const imported = chatService.importJsonHistory(file);
+    console.log(`✅ Migration complete: ${imported} conversation(s) imported`);
+} catch (error) {
+    console.error(`❌ Migration failed: ${error.message}`);
+    process.exit(1);
+}
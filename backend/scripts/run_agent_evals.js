@@ -0,0 +1,371 @@
+/**
+ * Offline Agent Evaluation
+ * Runs the prompts in evals/agent_cases.json through processMessage against the
+ * mock AEP server (mock/fixtures) and checks which tools the agent called, with
+ * which arguments. Prints a pass/fail report and per-tool scores, and compares
+ * them with a saved baseline to catch regressions.
+ *
+ * Uses the scripted LLM provider unless LLM_PROVIDER is set, so the same suite
+ * can score a real model (the platform is still mocked).
+ *
+ * Usage: node scripts/run_agent_evals.js [--cases file] [--only id,id]
+ *        [--report file] [--baseline file] [--update-baseline]
+ *        [--platform-url url] [--verbose]
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BACKEND_DIR = path.join(__dirname, '..');
+
+// ===== OPTIONS =====
+
+function parseArgs(argv) {
+    const options = {
+        cases: path.join(BACKEND_DIR, 'evals/agent_cases.json'),
+        baseline: path.join(BACKEND_DIR, 'evals/agent_baseline.json'),
+        report: null,
+        only: null,
+        updateBaseline: false,
+        platformUrl: null,
+        verbose: false
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--cases') options.cases = path.resolve(argv[++i]);
+        else if (arg === '--baseline') options.baseline = path.resolve(argv[++i]);
+        else if (arg === '--report') options.report = path.resolve(argv[++i]);
+        else if (arg === '--only') options.only = argv[++i].split(',').map(id => id.trim());
+        else if (arg === '--update-baseline') options.updateBaseline = true;
+        else if (arg === '--platform-url') options.platformUrl = argv[++i];
+        else if (arg === '--verbose') options.verbose = true;
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+    return options;
+}
+
+// ===== MOCK PLATFORM =====
+
+const MOCK_PORT = parseInt(process.env.EVAL_MOCK_PORT || '4011', 10);
+
+/**
+ * Start mock/server.js on MOCK_PORT and wait until it answers
+ */
+async function startMockPlatform() {
+    const child = spawn(process.execPath, [path.join(BACKEND_DIR, 'mock/server.js')], {
+        env: { ...process.env, MOCK_PORT: String(MOCK_PORT), MOCK_QUIET: 'true' },
+        stdio: ['ignore', 'ignore', 'inherit']
+    });
+    const baseUrl = `http://localhost:${MOCK_PORT}`;
+
+    for (let attempt = 0; attempt < 50; attempt++) {
+        if (child.exitCode !== null) throw new Error(`Mock platform exited with code ${child.exitCode}`);
+        try {
+            await fetch(`${baseUrl}/health`);
+            return { child, baseUrl };
+        } catch {
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    }
+    child.kill();
+    throw new Error(`Mock platform did not start on ${baseUrl}`);
+}
+
+/**
+ * Point the backend at the platform under test. Must run before any backend
+ * module is imported (config and the LLM provider are read at load time).
+ */
+function configureEnvironment(platformUrl, dataDir) {
+    process.env.LLM_PROVIDER ||= 'scripted';
+    // Schema caches and the approval queue go to a scratch directory, not backend/data
+    process.env.DATA_DIR = dataDir;
+    process.env.PLATFORM_URL = platformUrl;
+    process.env.IMS_URL = platformUrl;
+    // The mock accepts any credentials; never send real ones to it
+    process.env.CLIENT_ID = 'eval-client';
+    process.env.CLIENT_SECRET = 'eval-secret';
+    process.env.API_KEY = 'eval-api-key';
+    process.env.IMS_ORG = 'EVAL@AdobeOrg';
+    process.env.SANDBOX_NAME = 'prod';
+}
+
+// ===== MATCHING =====
+
+/**
+ * Expected argument values match exactly, except { "$match": "regex" }
+ */
+function valueMatches(expected, actual) {
+    if (expected && typeof expected === 'object' && !Array.isArray(expected)) {
+        if ('$match' in expected) return typeof actual === 'string' && new RegExp(expected.$match, 'i').test(actual);
+        if (!actual || typeof actual !== 'object') return false;
+        return Object.entries(expected).every(([key, value]) => valueMatches(value, actual[key]));
+    }
+    if (Array.isArray(expected)) {
+        return Array.isArray(actual) && expected.length === actual.length && expected.every((value, i) => valueMatches(value, actual[i]));
+    }
+    return expected === actual;
+}
+
+function callMatches(expected, step) {
+    return step.tool === expected.name
+        && (expected.status ? step.status === expected.status : step.status !== 'invalid_arguments')
+        && valueMatches(expected.arguments || {}, step.arguments || {});
+}
+
+/**
+ * Match expected calls in order against the tool steps of a run.
+ * Unmatched steps are extra calls; an expected call that only matches by name
+ * is reported as wrong arguments.
+ */
+function evaluateCase(testCase, result) {
+    const expect = testCase.expect || {};
+    const toolSteps = (result.steps || []).filter(step => step.type === 'tool');
+    const matched = new Set();
+    const failures = [];
+    const calls = [];
+
+    let cursor = 0;
+    for (const expected of expect.toolCalls || []) {
+        let index = -1;
+        for (let i = cursor; i < toolSteps.length; i++) {
+            if (callMatches(expected, toolSteps[i])) { index = i; break; }
+        }
+        if (index >= 0) {
+            matched.add(index);
+            cursor = index + 1;
+            calls.push({ tool: expected.name, outcome: 'hit' });
+        } else {
+            const sameName = toolSteps.slice(cursor).find(step => step.tool === expected.name);
+            const outcome = sameName ? 'wrong_arguments' : 'missed';
+            calls.push({ tool: expected.name, outcome });
+            failures.push(sameName
+                ? `${expected.name}: expected ${JSON.stringify(expected.arguments || {})}${expected.status ? ` (${expected.status})` : ''}, got ${JSON.stringify(sameName.arguments)} (${sameName.status})`
+                : `${expected.name}: not called`);
+        }
+    }
+
+    toolSteps.forEach((step, index) => {
+        if (matched.has(index)) return;
+        calls.push({ tool: step.tool, outcome: 'extra' });
+        if (!expect.allowExtraCalls) failures.push(`${step.tool}: unexpected call ${JSON.stringify(step.arguments)} (${step.status})`);
+    });
+
+    const erroredSteps = toolSteps.filter(step => step.status === 'error');
+    for (const step of erroredSteps) failures.push(`${step.tool}: tool error: ${step.error}`);
+
+    const outcome = result.requiresApproval ? 'approval' : result.cancelled ? 'cancelled' : 'answer';
+    if (expect.outcome && expect.outcome !== outcome) failures.push(`outcome: expected ${expect.outcome}, got ${outcome}`);
+    if (expect.approval && expect.approval !== result.approvalOutcome) {
+        failures.push(`approval: expected ${expect.approval}, got ${result.approvalOutcome || 'no approval attempted'}`);
+    }
+
+    for (const text of expect.answerIncludes || []) {
+        if (!String(result.content || '').toLowerCase().includes(text.toLowerCase())) failures.push(`answer does not mention "${text}"`);
+    }
+
+    return { passed: failures.length === 0, failures, calls, outcome };
+}
+
+// ===== SCORING =====
+
+/**
+ * Per-tool recall (expected calls that were made) and precision (calls made
+ * that were expected)
+ */
+function scoreTools(caseResults) {
+    const scores = {};
+    const entry = tool => (scores[tool] ??= { expected: 0, hit: 0, wrongArguments: 0, extra: 0, cases: 0, casesPassed: 0 });
+
+    for (const caseResult of caseResults) {
+        const toolsInCase = new Set();
+        for (const call of caseResult.calls) {
+            const score = entry(call.tool);
+            toolsInCase.add(call.tool);
+            if (call.outcome === 'extra') {
+                score.extra++;
+                continue;
+            }
+            score.expected++;
+            if (call.outcome === 'hit') score.hit++;
+            if (call.outcome === 'wrong_arguments') score.wrongArguments++;
+        }
+        for (const tool of toolsInCase) {
+            scores[tool].cases++;
+            if (caseResult.passed) scores[tool].casesPassed++;
+        }
+    }
+
+    for (const score of Object.values(scores)) {
+        score.recall = score.expected ? round(score.hit / score.expected) : null;
+        score.precision = score.hit + score.extra ? round(score.hit / (score.hit + score.extra)) : null;
+    }
+    return Object.fromEntries(Object.entries(scores).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Cases that passed in the baseline but fail now, and tools whose scores dropped
+ */
+function compareWithBaseline(report, baseline) {
+    const regressions = [];
+    for (const caseResult of report.cases) {
+        if (baseline.cases?.[caseResult.id] === true && !caseResult.passed) {
+            regressions.push(`case ${caseResult.id} passed in the baseline and now fails`);
+        }
+    }
+    for (const [tool, score] of Object.entries(report.tools)) {
+        const before = baseline.tools?.[tool];
+        if (!before) continue;
+        for (const metric of ['recall', 'precision']) {
+            if (before[metric] != null && score[metric] != null && score[metric] < before[metric]) {
+                regressions.push(`${tool} ${metric} dropped from ${before[metric]} to ${score[metric]}`);
+            }
+        }
+    }
+    return regressions;
+}
+
+function toBaseline(report) {
+    return {
+        provider: report.provider,
+        cases: Object.fromEntries(report.cases.map(c => [c.id, c.passed])),
+        tools: Object.fromEntries(Object.entries(report.tools).map(([tool, score]) => [tool, { recall: score.recall, precision: score.precision }]))
+    };
+}
+
+// ===== REPORT =====
+
+function formatScore(value) {
+    return value == null ? '   -' : value.toFixed(2).padStart(4);
+}
+
+function printReport(report, regressions) {
+    console.log(`\n📋 Agent evaluation (${report.provider}, ${report.cases.length} cases)\n`);
+    for (const caseResult of report.cases) {
+        console.log(`${caseResult.passed ? '✅ PASS' : '❌ FAIL'}  ${caseResult.id} (${caseResult.durationMs}ms)`);
+        for (const failure of caseResult.failures) console.log(`         - ${failure}`);
+    }
+
+    console.log('\n🔧 Per-tool scores\n');
+    const width = Math.max(4, ...Object.keys(report.tools).map(tool => tool.length));
+    console.log(`${'tool'.padEnd(width)}  recall  precision  expected  hit  wrong-args  extra  cases passed`);
+    for (const [tool, score] of Object.entries(report.tools)) {
+        console.log(`${tool.padEnd(width)}    ${formatScore(score.recall)}       ${formatScore(score.precision)}  ${String(score.expected).padStart(8)}  ${String(score.hit).padStart(3)}  ${String(score.wrongArguments).padStart(10)}  ${String(score.extra).padStart(5)}  ${score.casesPassed}/${score.cases}`);
+    }
+
+    const passed = report.cases.filter(c => c.passed).length;
+    console.log(`\n${passed}/${report.cases.length} cases passed`);
+
+    if (regressions) {
+        if (regressions.length === 0) {
+            console.log('No regressions against the baseline');
+        } else {
+            console.log(`\n⚠️  ${regressions.length} regression(s) against the baseline:`);
+            for (const regression of regressions) console.log(`   - ${regression}`);
+        }
+    }
+}
+
+// ===== RUN =====
+
+async function run() {
+    const options = parseArgs(process.argv.slice(2));
+    const suite = JSON.parse(fs.readFileSync(options.cases, 'utf8'));
+    const cases = (suite.cases || suite).filter(c => !options.only || options.only.includes(c.id));
+    if (cases.length === 0) throw new Error('No eval cases selected');
+
+    const mock = options.platformUrl ? null : await startMockPlatform();
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aep-agent-evals-'));
+    configureEnvironment(options.platformUrl || mock.baseUrl, dataDir);
+
+    try {
+        const llm = await import('../src/agent/llm.service.js');
+        const scripted = await import('../src/agent/providers/scripted.provider.js');
+        const agent = await import('../src/agent/agent.service.js');
+        const config = await import('../src/config/config.js');
+        scripted.setScripts(cases);
+
+        const modelInfo = llm.getModelInfo();
+        const provider = `${modelInfo.providerId}:${modelInfo.model}`;
+        if (!modelInfo.configured) throw new Error(`LLM provider ${provider} is not configured`);
+
+        const caseResults = [];
+        for (const testCase of cases) {
+            const start = Date.now();
+            let result;
+            try {
+                // "user" runs the case as a logged-in user; "approve" then approves its proposal as them.
+                // "context" is the page context the Copilot panel would send.
+                const run = async () => {
+                    const response = await agent.processMessage({
+                        message: testCase.prompt,
+                        autoMode: testCase.autoMode === true,
+                        pageContext: testCase.context || null
+                    });
+                    if (testCase.approve && response.approvalId) {
+                        response.approvalOutcome = await agent.approveAction(response.approvalId)
+                            .then(() => 'approved', error => (error.code === 'FORBIDDEN' ? 'forbidden' : 'error'));
+                    }
+                    return response;
+                };
+                result = testCase.user ? await config.runWithUser(testCase.user, run) : await run();
+            } catch (error) {
+                result = { steps: [], content: '', error: error.message };
+            }
+            const evaluation = evaluateCase(testCase, result);
+            if (result.error) evaluation.failures.unshift(`processMessage threw: ${result.error}`);
+            caseResults.push({
+                id: testCase.id,
+                prompt: testCase.prompt,
+                passed: evaluation.passed && !result.error,
+                failures: evaluation.failures,
+                calls: evaluation.calls,
+                outcome: evaluation.outcome,
+                steps: result.steps,
+                durationMs: Date.now() - start
+            });
+            if (options.verbose) console.log(`[Eval] ${testCase.id}: ${JSON.stringify(result.steps)}`);
+        }
+
+        const report = {
+            provider,
+            createdAt: new Date().toISOString(),
+            cases: caseResults,
+            tools: scoreTools(caseResults)
+        };
+
+        const baseline = !options.updateBaseline && fs.existsSync(options.baseline)
+            ? JSON.parse(fs.readFileSync(options.baseline, 'utf8'))
+            : null;
+        const regressions = baseline ? compareWithBaseline(report, baseline) : null;
+        printReport(report, regressions);
+
+        if (options.report) {
+            fs.writeFileSync(options.report, JSON.stringify({ ...report, regressions }, null, 2));
+            console.log(`Report written to ${options.report}`);
+        }
+        if (options.updateBaseline) {
+            fs.writeFileSync(options.baseline, JSON.stringify(toBaseline(report), null, 4) + '\n');
+            console.log(`Baseline written to ${options.baseline}`);
+        }
+
+        const failed = caseResults.some(c => !c.passed);
+        return failed || regressions?.length ? 1 : 0;
+    } finally {
+        mock?.child.kill();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+}
+
+run()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error(`❌ Evaluation failed: ${error.message}`);
+        process.exit(1);
+    });
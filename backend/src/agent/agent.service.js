@@ -4,21 +4,29 @@
  * Features: LLM-powered result summarization, creation capabilities, autonomous workflows
  */
 import * as llm from './llm.service.js';
+import * as memory from './memory.service.js';
+import * as approvals from './approval.service.js';
+import * as intents from './intent.service.js';
+import * as usage from './usage.service.js';
+import * as guard from './guard.service.js';
+import * as glossary from './glossary.service.js';
+import * as retrieval from './retrieval.service.js';
+import * as pageContexts from './page-context.service.js';
 import * as toolRegistry from './tools/index.js';
 import * as schemaService from '../services/schema.service.js';
+import * as rbac from '../services/rbac.service.js';
+import { getSandboxName } from '../config/config.js';
+import { HttpError } from '../utils/errors.js';
 
-// In-memory chat history (per session)
-let chatHistory = [];
-
-// Cached schema context for AI
-let schemaContext = null;
-let schemaContextLoaded = false;
+// Cached schema context for AI, keyed by sandbox
+const schemaContexts = new Map();
 
 /**
  * Load schema context for AI (field paths, common fields)
  */
 async function loadSchemaContext() {
-    if (schemaContextLoaded) return schemaContext;
+    const sandbox = getSandboxName();
+    if (schemaContexts.has(sandbox)) return schemaContexts.get(sandbox);
 
     try {
         console.log('[Agent] Loading schema context for AI...');
@@ -30,7 +38,7 @@ async function loadSchemaContext() {
             commonPatterns.some(p => f.path?.toLowerCase().includes(p.toLowerCase()))
         ).slice(0, 30) || [];
 
-        schemaContext = {
+        const schemaContext = {
             totalSchemas: dictionary?.totalSchemas || 0,
             totalFields: dictionary?.fields?.length || 0,
             commonFields: commonFields.map(f => ({
@@ -41,7 +49,7 @@ async function loadSchemaContext() {
             }))
         };
 
-        schemaContextLoaded = true;
+        schemaContexts.set(sandbox, schemaContext);
         console.log(`[Agent] Schema context loaded: ${schemaContext.totalFields} fields, ${schemaContext.commonFields.length} common fields`);
         return schemaContext;
     } catch (e) {
@@ -50,21 +58,20 @@ async function loadSchemaContext() {
     }
 }
 
-// Initialize schema context on module load
-loadSchemaContext().catch(console.error);
-
-// Union Profile Schema context (for PQL queries)
-let profileSchemaContext = null;
+// Union Profile Schema context (for PQL queries), keyed by sandbox
+const profileSchemaContexts = new Map();
 
 /**
  * Load Union Profile Schema context for PQL (loaded separately)
  */
 async function loadProfileSchemaContext() {
-    if (profileSchemaContext) return profileSchemaContext;
+    const sandbox = getSandboxName();
+    if (profileSchemaContexts.has(sandbox)) return profileSchemaContexts.get(sandbox);
 
     try {
         console.log('[Agent] Loading union profile schema for PQL...');
-        profileSchemaContext = await schemaService.getUnionProfileSchemaForPQL();
+        const profileSchemaContext = await schemaService.getUnionProfileSchemaForPQL();
+        profileSchemaContexts.set(sandbox, profileSchemaContext);
         console.log(`[Agent] Profile schema loaded: ${profileSchemaContext?.totalFields || 0} fields, ${profileSchemaContext?.commonAttributes?.length || 0} common attributes`);
         return profileSchemaContext;
     } catch (e) {
@@ -73,16 +80,67 @@ async function loadProfileSchemaContext() {
     }
 }
 
-// Load profile schema context after general context
-loadProfileSchemaContext().catch(console.error);
+// In-flight context loads per sandbox, so concurrent messages don't rebuild the dictionary twice
+const schemaContextLoads = new Map();
+
+/**
+ * Load general then profile schema context for the current sandbox (once per sandbox),
+ * then index its fields for retrieval. A failed load is forgotten so the next message retries.
+ */
+function warmSchemaContext() {
+    const sandbox = getSandboxName();
+    if (!schemaContextLoads.has(sandbox)) {
+        const load = async () => {
+            const schemaContext = await loadSchemaContext();
+            const profileSchemaContext = await loadProfileSchemaContext();
+            if (!schemaContext || !profileSchemaContext) {
+                schemaContextLoads.delete(sandbox);
+                return;
+            }
+            retrieval.refreshIndex();
+        };
+        schemaContextLoads.set(sandbox, load().catch(e => {
+            schemaContextLoads.delete(sandbox);
+            console.error(e);
+        }));
+    }
+    return schemaContextLoads.get(sandbox);
+}
+
+// Initialize schema context for the default sandbox on module load
+warmSchemaContext();
+
+/**
+ * Prompt section with the fields retrieved for the message ('' when none match)
+ */
+function buildRelevantFieldsSection(fields) {
+    if (fields.length === 0) return '';
+
+    const fieldList = fields.map(f => {
+        // Titles that only repeat the last path segment add nothing
+        const title = f.title && f.title.toLowerCase() !== f.path.split('.').pop().toLowerCase() ? ` ${f.title}` : '';
+        const values = f.enum.length > 0 ? ` [values: ${f.enum.slice(0, 5).join(', ')}${f.enum.length > 5 ? ', ...' : ''}]` : '';
+        return `- ${f.path} (${f.type})${title}${values} {${f.sources.join(', ')}}`;
+    }).join('\n');
+
+    return `
+RELEVANT SCHEMA FIELDS (retrieved for this request, best match first; {profile} fields are in the union profile and usable in PQL, {dataset} fields in Query Service SQL):
+${fieldList}
+`;
+}
 
-// Build dynamic system prompt with schema context
-function buildSystemPrompt() {
-    let schemaSection = '';
+// Build dynamic system prompt with schema context for the request's sandbox:
+// the fields most relevant to the message once the sandbox is indexed, common fields until then,
+// and the page the user has open
+function buildSystemPrompt(message = '', pageContext = null) {
+    const schemaContext = schemaContexts.get(getSandboxName());
+    const profileSchemaContext = profileSchemaContexts.get(getSandboxName());
+    const relevantFields = retrieval.hasIndex() ? retrieval.searchFields(message) : null;
+    let schemaSection = relevantFields ? buildRelevantFieldsSection(relevantFields) : '';
     let pqlSection = '';
 
     // General schema fields
-    if (schemaContext && schemaContext.commonFields.length > 0) {
+    if (!relevantFields && schemaContext && schemaContext.commonFields.length > 0) {
         const fieldList = schemaContext.commonFields.map(f =>
             `- ${f.path} (${f.type})${f.enum ? ` [values: ${f.enum.join(', ')}]` : ''}`
         ).join('\n');
@@ -94,7 +152,7 @@ ${fieldList}
     }
 
     // PQL-specific profile schema fields
-    if (profileSchemaContext && profileSchemaContext.commonAttributes?.length > 0) {
+    if (!relevantFields && profileSchemaContext && profileSchemaContext.commonAttributes?.length > 0) {
         const pqlFields = profileSchemaContext.commonAttributes.map(f =>
             `- ${f.path} (${f.type}): ${f.title || ''}`
         ).join('\n');
@@ -122,7 +180,7 @@ CAPABILITIES:
 - Diagnose ingestion failures with root cause analysis
 - Generate PQL expressions from natural language
 - Generate SQL queries from natural language
-${schemaSection}${pqlSection}
+${schemaSection}${pqlSection}${glossary.buildPromptSection()}${pageContexts.buildPromptSection(pageContext)}
 AUTONOMOUS BEHAVIOR:
 1. When asked to create something (segment, query, etc.), gather all needed info first
 2. Search for relevant schemas, namespaces, and reference data
@@ -150,6 +208,8 @@ RESTRICTIONS:
 - You CANNOT delete any resources
 - Write operations require user approval (unless auto-mode)
 
+${guard.UNTRUSTED_DATA_RULES}
+
 Remember: You are an expert. Explain things like a helpful colleague, not a machine.`;
 }
 
@@ -171,135 +231,300 @@ RAW RESULT:
 
 Provide a helpful summary:`;
 
+// Max LLM round-trips per user message (each may call several tools)
+const MAX_AGENT_STEPS = parseInt(process.env.AGENT_MAX_STEPS || '6', 10);
+
+// Tool results fed back to the model are truncated to keep the prompt bounded
+const MAX_TOOL_RESULT_CHARS = 4000;
+
 /**
  * Process a message from the user
+ *
+ * With a conversationId the agent uses that conversation's working memory
+ * (see memory.service.js); without one it falls back to the history sent by the client.
+ * pageContext describes what the user has open (see page-context.service.js).
+ *
+ * Optional streaming hooks:
+ * - onEvent(type, data): called for plan, tool_start, tool_end and token events
+ * - signal: AbortSignal that cancels the run between (and during) LLM calls and tools
  */
-export async function processMessage({ message, autoMode = false, history = [], approvedAction = null }) {
-    // Handle approved action execution
+export async function processMessage({ message, conversationId = null, autoMode = false, history = [], approvedAction = null, pageContext = null, onEvent = null, signal = null }) {
+    // Handle approved action execution: clients may only reference a proposal,
+    // the tool and arguments that run come from the approval queue
     if (approvedAction) {
-        return executeApprovedAction(approvedAction);
+        if (!approvedAction.approvalId) {
+            throw new HttpError(400, 'approvedAction must reference the approvalId of a proposed action', 'APPROVAL_REQUIRED');
+        }
+        return approveAction(approvedAction.approvalId);
     }
 
-    // Update chat history
-    chatHistory = history.slice(-20);
+    // Warm schema context for this sandbox in the background (first message uses what is cached);
+    // once indexed, pick up refreshed schema caches in the field index
+    warmSchemaContext();
+    if (retrieval.hasIndex()) retrieval.refreshIndex();
+
+    const page = pageContexts.normalizePageContext(pageContext);
+    const priorTurns = conversationId
+        ? await memory.getContextMessages(conversationId)
+        : history.slice(-20).map(m => ({ role: m.role, content: m.content }));
 
     // Build messages array for LLM
     const messages = [
-        { role: 'system', content: buildSystemPrompt() },
-        ...chatHistory.map(m => ({ role: m.role, content: m.content })),
+        { role: 'system', content: buildSystemPrompt(message, page) },
+        ...priorTurns,
         { role: 'user', content: message }
     ];
 
-    // Get tool definitions
-    const tools = toolRegistry.getToolDefinitions();
-
-    try {
-        // Check if LLM is configured
-        if (!llm.isConfigured()) {
-            return handleWithRules(message);
-        }
-
-        // Call Gemini
-        const response = await llm.chatCompletion(messages, tools, {
-            temperature: 0.7,
-            maxTokens: 4096
-        });
-
-        // Check for tool calls
-        const toolCalls = llm.parseToolCalls(response);
-
-        if (toolCalls && toolCalls.length > 0) {
-            // Process tool calls with LLM summarization
-            return handleToolCalls(toolCalls, autoMode, message);
+    // Use the LLM when it is configured and today's budget allows, rules otherwise
+    let result;
+    if (llm.isAvailable()) {
+        result = await runAgentLoop(messages, autoMode, message, { onEvent, signal, conversationId, pageContext: page });
+    } else {
+        result = await handleWithRules(message, { conversationId, autoMode, pageContext: page });
+        if (llm.isConfigured()) {
+            const budget = usage.getBudgetStatus();
+            result.budgetExceeded = budget;
+            result.content = `_AI budget: ${budget.reason}, answering with built-in rules until tomorrow (UTC)._\n\n${result.content}`;
         }
+    }
 
-        // Return plain text response
-        return {
-            content: llm.getContent(response),
-            toolsUsed: []
-        };
-
-    } catch (error) {
-        console.error('Agent error:', error);
+    // Remember the exchange (pending approvals and cancelled runs are not answers)
+    if (conversationId && !result.cancelled && !result.requiresApproval) {
+        memory.appendTurns(conversationId, [
+            { role: 'user', content: message },
+            { role: 'assistant', content: result.content }
+        ]);
+    }
 
-        // If LLM fails, try rule-based
-        if (error.message) {
-            return handleWithRules(message);
-        }
+    return result;
+}
 
-        throw error;
-    }
+/**
+ * Instruction-like text in the page context, in the same shape as flagged tool output
+ */
+function pageFindings(pageContext) {
+    return (pageContext?.findings || []).map(finding => ({ tool: 'page_context', ...finding }));
 }
 
 /**
- * Handle tool calls from the LLM with intelligent summarization
+ * Iterative tool-calling loop: the model sees each tool result and decides
+ * whether to call more tools (e.g. get_failed_batches -> analyze_batch_errors
+ * -> get_schema_details) or answer. Bounded by MAX_AGENT_STEPS.
  */
-async function handleToolCalls(toolCalls, autoMode, originalMessage) {
+async function runAgentLoop(messages, autoMode, originalMessage, { onEvent, signal, conversationId, pageContext }) {
+    const tools = toolRegistry.getToolDefinitions();
     const results = [];
     const toolsUsed = [];
-    let requiresApproval = false;
-    let pendingTool = null;
+    const steps = [];
+    // Page context and tool output this run that read like instructions to the model
+    const flagged = pageFindings(pageContext);
+    const emit = (type, data) => onEvent?.(type, data);
+    const cancelled = () => ({ cancelled: true, content: '⏹️ Cancelled.', toolsUsed, steps });
 
-    for (const call of toolCalls) {
-        toolsUsed.push(call.name);
-
-        // Check if this tool requires approval
-        if (toolRegistry.requiresApproval(call.name) && !autoMode) {
-            requiresApproval = true;
-            pendingTool = call;
-            break;
-        }
+    for (let step = 1; step <= MAX_AGENT_STEPS; step++) {
+        if (signal?.aborted) return cancelled();
 
+        let response;
+        const llmStart = Date.now();
         try {
-            const result = await toolRegistry.executeTool(call.name, call.arguments);
-            results.push({ tool: call.name, data: result, args: call.arguments });
+            // Call the configured LLM provider (streams tokens when a listener is attached)
+            response = await llm.chatCompletion(messages, tools, {
+                temperature: 0.7,
+                maxTokens: 4096,
+                signal,
+                purpose: 'chat',
+                conversationId,
+                onToken: onEvent ? (text) => emit('token', { step, text }) : undefined
+            });
         } catch (error) {
-            results.push({ tool: call.name, error: error.message });
+            if (signal?.aborted) return cancelled();
+
+            console.error('Agent error:', error);
+            steps.push({ step, type: 'llm', status: 'error', error: error.message, durationMs: Date.now() - llmStart });
+
+            // Nothing gathered yet: fall back to rules; otherwise report what we have
+            if (results.length === 0) {
+                const ruleResult = await handleWithRules(originalMessage, { conversationId, autoMode, pageContext });
+                return { ...ruleResult, steps: [...steps, ...(ruleResult.steps || [])] };
+            }
+            return { ...formatResultsBasic(results, toolsUsed), steps };
         }
-    }
 
-    // If requires approval, return pending action
-    if (requiresApproval && pendingTool) {
-        return {
-            requiresApproval: true,
-            toolName: pendingTool.name,
-            toolArguments: pendingTool.arguments,
-            actionDescription: getActionDescription(pendingTool.name, pendingTool.arguments)
-        };
+        const toolCalls = llm.parseToolCalls(response);
+
+        // No more tools requested: this is the final answer
+        if (!toolCalls || toolCalls.length === 0) {
+            steps.push({ step, type: 'answer', status: 'ok', durationMs: Date.now() - llmStart });
+            const data = results.filter(r => !r.error).map(r => r.data);
+            return {
+                content: llm.getContent(response),
+                data: data.length === 0 ? undefined : data.length === 1 ? data[0] : data,
+                toolsUsed,
+                steps
+            };
+        }
+
+        emit('plan', { step, tools: toolCalls.map(call => ({ name: call.name, arguments: call.arguments })) });
+
+        // Record the assistant turn so the model sees its own calls next round
+        messages.push({
+            role: 'assistant',
+            content: llm.getContent(response),
+            tool_calls: toolCalls.map(call => ({
+                id: call.id,
+                type: 'function',
+                function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+            }))
+        });
+
+        for (const call of toolCalls) {
+            if (signal?.aborted) return cancelled();
+
+            // Bad arguments never reach a tool (or the approval queue): tell the model what to fix
+            const validation = call.argumentsError
+                ? { valid: false, issues: [{ path: 'arguments', message: call.argumentsError }] }
+                : toolRegistry.validateArguments(call.name, call.arguments);
+            if (!validation.valid) {
+                emit('tool_start', { step, tool: call.name, arguments: call.arguments });
+                const traceEntry = { step, type: 'tool', tool: call.name, arguments: call.arguments, status: 'invalid_arguments', error: validation.issues.map(i => `${i.path} ${i.message}`).join('; '), durationMs: 0 };
+                steps.push(traceEntry);
+                emit('tool_end', traceEntry);
+                messages.push({
+                    role: 'tool',
+                    tool_call_id: call.id,
+                    name: call.name,
+                    content: JSON.stringify({
+                        error: 'INVALID_TOOL_ARGUMENTS',
+                        tool: call.name,
+                        issues: validation.issues,
+                        expected: toolRegistry.tools[call.name]?.parameters || null,
+                        hint: 'Call the tool again with arguments matching the expected schema.'
+                    })
+                });
+                continue;
+            }
+
+            // Check if this tool requires approval: queue it and stop here. Auto mode does not
+            // apply once untrusted tool output tried to instruct the model (a human confirms),
+            // nor for users whose role could not approve the tool themselves.
+            if (toolRegistry.requiresApproval(call.name) && (!autoMode || flagged.length > 0 || !toolRegistry.canRun(call.name))) {
+                steps.push({ step, type: 'tool', tool: call.name, arguments: call.arguments, status: 'pending_approval' });
+                if (flagged.length > 0) {
+                    console.warn(`[Guard] ${call.name} proposed after instruction-like text (${flagged.map(f => `${f.tool}:${f.path}`).join(', ')}); holding for approval`);
+                }
+                return {
+                    ...proposeForApproval(conversationId, call.name, call.arguments, toolsUsed, flagged),
+                    ...(flagged.length > 0 ? { injectionWarning: { findings: flagged } } : {}),
+                    steps
+                };
+            }
+
+            if (toolRegistry.requiresApproval(call.name)) {
+                rbac.recordDecision({ action: 'auto_execute', target: call.name, allowed: true });
+            }
+            toolsUsed.push(call.name);
+            emit('tool_start', { step, tool: call.name, arguments: call.arguments });
+            const toolStart = Date.now();
+            let toolContent;
+            let traceEntry;
+            let inspected;
+            try {
+                const result = await toolRegistry.executeTool(call.name, call.arguments);
+                results.push({ tool: call.name, data: result, args: call.arguments });
+                traceEntry = { step, type: 'tool', tool: call.name, arguments: call.arguments, status: 'ok', durationMs: Date.now() - toolStart };
+                inspected = guard.inspectToolResult(result);
+                toolContent = truncateForModel(inspected.data);
+            } catch (error) {
+                results.push({ tool: call.name, error: error.message });
+                const status = error.code === 'FORBIDDEN' ? 'forbidden' : 'error';
+                traceEntry = { step, type: 'tool', tool: call.name, arguments: call.arguments, status, error: error.message, durationMs: Date.now() - toolStart };
+                // Platform error messages echo user-controlled input too
+                inspected = guard.inspectToolResult({ error: error.message });
+                toolContent = JSON.stringify(inspected.data);
+            }
+            if (inspected.findings.length > 0) {
+                flagged.push(...inspected.findings.map(finding => ({ tool: call.name, ...finding })));
+                traceEntry.injection = inspected.findings;
+            }
+            toolContent = guard.wrapToolOutput(call.name, toolContent, inspected.findings);
+            steps.push(traceEntry);
+            emit('tool_end', traceEntry);
+
+            // Feed the result back as a function response
+            messages.push({ role: 'tool', tool_call_id: call.id, name: call.name, content: toolContent });
+        }
     }
 
-    // Use LLM to summarize results intelligently
-    return summarizeResultsWithLLM(results, toolsUsed, originalMessage);
+    // Step budget exhausted: summarize whatever was gathered
+    steps.push({ step: MAX_AGENT_STEPS + 1, type: 'answer', status: 'budget_exhausted' });
+    return { ...(await summarizeResultsWithLLM(results, toolsUsed, originalMessage, conversationId)), steps };
+}
+
+/**
+ * Queue a write action for approval; the response the client gets instead of a result.
+ * flagged: instruction-like page text or tool output seen before the proposal (shown to the approver).
+ */
+function proposeForApproval(conversationId, toolName, args, toolsUsed = [], flagged = []) {
+    const description = getActionDescription(toolName, args);
+    const approval = approvals.proposeAction({
+        conversationId,
+        toolName,
+        args,
+        description: flagged.length > 0
+            ? `${description}\n⚠️ Suggested after text that looked like instructions (${[...new Set(flagged.map(f => f.tool))].join(', ')}); check that you asked for this.`
+            : description
+    });
+    return {
+        requiresApproval: true,
+        approvalId: approval.id,
+        expiresAt: approval.expiresAt,
+        toolName,
+        toolArguments: args,
+        actionDescription: approval.description,
+        // Whether the user asking may approve it, or someone with approverRole has to
+        canApprove: toolRegistry.canRun(toolName),
+        approverRole: toolRegistry.requiredRole(toolName),
+        toolsUsed: [...toolsUsed, toolName]
+    };
+}
+
+/**
+ * Serialize a tool result for the model, truncated to MAX_TOOL_RESULT_CHARS
+ */
+function truncateForModel(data) {
+    const dataStr = JSON.stringify(data ?? null);
+    return dataStr.length > MAX_TOOL_RESULT_CHARS
+        ? dataStr.substring(0, MAX_TOOL_RESULT_CHARS) + '...(truncated)'
+        : dataStr;
 }
 
 /**
  * Use LLM to create a natural language summary of tool results
  */
-async function summarizeResultsWithLLM(results, toolsUsed, originalMessage) {
-    // If LLM not configured, use basic formatting
-    if (!llm.isConfigured()) {
+async function summarizeResultsWithLLM(results, toolsUsed, originalMessage, conversationId = null) {
+    // If LLM not configured (or over budget), use basic formatting
+    if (!llm.isAvailable()) {
         return formatResultsBasic(results, toolsUsed);
     }
 
     try {
-        // Build context for summarization
+        // Build context for summarization: sanitised, delimited tool output
         let resultContext = '';
         for (const result of results) {
-            if (result.error) {
-                resultContext += `\nTool ${result.tool} failed: ${result.error}\n`;
-            } else {
-                // Truncate very large results
-                const dataStr = JSON.stringify(result.data, null, 2);
-                const truncated = dataStr.length > 3000 ? dataStr.substring(0, 3000) + '...' : dataStr;
-                resultContext += `\n=== ${result.tool} Result ===\n${truncated}\n`;
-            }
+            const { data, findings } = guard.inspectToolResult(result.error ? { error: result.error } : result.data);
+            // Truncate very large results
+            const dataStr = JSON.stringify(data, null, 2);
+            const truncated = dataStr.length > 3000 ? dataStr.substring(0, 3000) + '...' : dataStr;
+            resultContext += `\n${guard.wrapToolOutput(result.tool, truncated, findings)}\n`;
         }
 
         // Ask LLM to summarize
         const summaryMessages = [
             {
                 role: 'system',
-                content: `You are an expert at explaining Adobe Experience Platform data. Summarize tool results in clear, natural language. Never show raw JSON. Focus on key insights and actionable information. Be conversational but concise. Use markdown formatting.`
+                content: `You are an expert at explaining Adobe Experience Platform data. Summarize tool results in clear, natural language. Never show raw JSON. Focus on key insights and actionable information. Be conversational but concise. Use markdown formatting.
+
+${guard.UNTRUSTED_DATA_RULES}`
             },
             {
                 role: 'user',
@@ -315,7 +540,9 @@ Provide a helpful, natural language response that answers the user's question. H
 
         const summaryResponse = await llm.chatCompletion(summaryMessages, null, {
             temperature: 0.5,
-            maxTokens: 1024
+            maxTokens: 1024,
+            purpose: 'summary',
+            conversationId
         });
 
         const summary = llm.getContent(summaryResponse);
@@ -352,22 +579,56 @@ function formatResultsBasic(results, toolsUsed) {
 }
 
 /**
- * Execute an approved action
+ * Approve a queued action and execute exactly what was proposed.
+ * Only users whose role in the action's sandbox may run the tool can approve it.
  */
-async function executeApprovedAction(action) {
-    try {
-        const result = await toolRegistry.executeTool(action.toolName, action.toolArguments);
-        return summarizeResultsWithLLM(
-            [{ tool: action.toolName, data: result }],
-            [action.toolName],
-            `Execute ${action.toolName}`
+export async function approveAction(approvalId) {
+    const pending = approvals.getApproval(approvalId);
+    rbac.assertRole(toolRegistry.requiredRole(pending.toolName), {
+        sandbox: pending.sandbox, action: 'approve', target: pending.toolName, approvalId, record: true
+    });
+
+    const { approval, result, error } = await approvals.approveAction(
+        approvalId,
+        (queued) => toolRegistry.executeTool(queued.toolName, queued.arguments),
+        { decidedBy: rbac.currentUsername() }
+    );
+    rbac.recordDecision({
+        action: 'approve', target: approval.toolName, approvalId, allowed: true, sandbox: approval.sandbox, reason: approval.status
+    });
+
+    const response = error
+        ? { content: `❌ Error executing ${approval.toolName}: ${error.message}`, toolsUsed: [approval.toolName] }
+        : await summarizeResultsWithLLM(
+            [{ tool: approval.toolName, data: result }],
+            [approval.toolName],
+            `Execute ${approval.toolName}`,
+            approval.conversationId
         );
-    } catch (error) {
-        return {
-            content: `❌ Error executing ${action.toolName}: ${error.message}`,
-            toolsUsed: [action.toolName]
-        };
+
+    if (approval.conversationId) {
+        memory.appendTurns(approval.conversationId, [{ role: 'assistant', content: response.content }]);
     }
+    return { ...response, approval: { id: approval.id, status: approval.status } };
+}
+
+/**
+ * Reject a queued action (needs the same role as approving it)
+ */
+export function rejectAction(approvalId, { reason = null } = {}) {
+    const pending = approvals.getApproval(approvalId);
+    rbac.assertRole(toolRegistry.requiredRole(pending.toolName), {
+        sandbox: pending.sandbox, action: 'reject', target: pending.toolName, approvalId, record: true
+    });
+
+    const approval = approvals.rejectAction(approvalId, { decidedBy: rbac.currentUsername(), reason });
+    rbac.recordDecision({ action: 'reject', target: approval.toolName, approvalId, allowed: true, sandbox: approval.sandbox, reason });
+    if (approval.conversationId) {
+        memory.appendTurns(approval.conversationId, [
+            { role: 'assistant', content: `Action not executed (rejected by the user): ${approval.description}` }
+        ]);
+    }
+    return approval;
 }
 
 /**
@@ -458,45 +719,74 @@ function getActionDescription(toolName, args) {
 }
 
 /**
- * Rule-based fallback when LLM is not available
+ * Rule-based fallback when LLM is not available: the local intent classifier
+ * picks the tool and fills its arguments from the message (intent.service.js),
+ * asking a follow-up question when a required argument is missing
  */
-async function handleWithRules(message) {
-    const lowerMsg = message.toLowerCase();
-
-    const patterns = [
-        { match: /(failed|error|fail).*(batch|ingestion)/i, tool: 'get_failed_batches', args: { limit: 10 } },
-        { match: /batch.*(stat|stats|statistic)/i, tool: 'get_batch_stats', args: { timeRange: '24h' } },
-        { match: /schema.*(stat|stats|registry)/i, tool: 'get_schema_stats', args: {} },
-        { match: /(list|show|get).*(dataset|data set)/i, tool: 'list_datasets', args: { limit: 10 } },
-        { match: /(segment|audience).*(stat|stats|count|how many)/i, tool: 'get_segment_stats', args: {} },
-        { match: /(list|show|get).*(sandbox|environment)/i, tool: 'list_sandboxes', args: {} },
-        { match: /identity.*(graph|link)/i, tool: 'list_namespaces', args: {} }
-    ];
+async function handleWithRules(message, { conversationId = null, autoMode = false, pageContext = null } = {}) {
+    const plan = await intents.planFromMessage(message, { conversationId, pageContext });
 
-    for (const pattern of patterns) {
-        if (pattern.match.test(message)) {
-            try {
-                const data = await toolRegistry.executeTool(pattern.tool, pattern.args);
-                return {
-                    content: formatToolResult(pattern.tool, data),
-                    data,
-                    toolsUsed: [pattern.tool]
-                };
-            } catch (error) {
-                return { content: `❌ Error: ${error.message}`, toolsUsed: [pattern.tool] };
-            }
+    if (!plan) {
+        return {
+            content: `👋 I can help you with AEP! Try asking:\n\n` +
+                `• "Show me failed batches"\n` +
+                `• "Why did batch 01H... fail?"\n` +
+                `• "Show the identity graph for jane@example.com"\n` +
+                `• "Ingestion metrics for the last 6 hours"\n` +
+                `• "Debug segment <segment-id>"\n` +
+                `• "Generate SQL for top 10 orders by revenue"\n`,
+            toolsUsed: []
+        };
+    }
+
+    // Same trace entry as a tool call on the LLM path
+    const traceStep = (status, extra = {}) => [{ step: 1, type: 'tool', tool: plan.tool, arguments: plan.args, status, ...extra }];
+
+    if (plan.question) {
+        return {
+            content: plan.question,
+            toolsUsed: [],
+            needsInput: { tool: plan.tool, missing: plan.missing, arguments: plan.args },
+            steps: traceStep('needs_input')
+        };
+    }
+
+    // Write actions go through the approval queue, as on the LLM path
+    if (toolRegistry.requiresApproval(plan.tool)) {
+        const flagged = pageFindings(pageContext);
+        if (!autoMode || flagged.length > 0 || !toolRegistry.canRun(plan.tool)) {
+            return {
+                ...proposeForApproval(conversationId, plan.tool, plan.args, [], flagged),
+                ...(flagged.length > 0 ? { injectionWarning: { findings: flagged } } : {}),
+                steps: traceStep('pending_approval')
+            };
         }
+        rbac.recordDecision({ action: 'auto_execute', target: plan.tool, allowed: true });
     }
 
-    return {
-        content: `👋 I can help you with AEP! Try asking:\n\n` +
-            `• "Show me failed batches"\n` +
-            `• "How many segments are there?"\n` +
-            `• "Analyze batch errors for [batch-id]"\n` +
-            `• "Create a segment for users who purchased last week"\n` +
-            `• "Generate SQL for top 10 orders by revenue"\n`,
-        toolsUsed: []
-    };
+    const toolStart = Date.now();
+    try {
+        const data = await toolRegistry.executeTool(plan.tool, plan.args);
+        return {
+            content: formatToolResult(plan.tool, data),
+            data,
+            toolsUsed: [plan.tool],
+            steps: traceStep('ok', { durationMs: Date.now() - toolStart })
+        };
+    } catch (error) {
+        return {
+            content: `❌ Error: ${error.message}`,
+            toolsUsed: [plan.tool],
+            steps: traceStep(error.code === 'FORBIDDEN' ? 'forbidden' : 'error', { error: error.message, durationMs: Date.now() - toolStart })
+        };
+    }
+}
+
+/**
+ * Get the active LLM provider/model for display
+ */
+export function getModelInfo() {
+    return llm.getModelInfo();
 }
 
 /**
@@ -507,15 +797,15 @@ export function getTools() {
 }
 
 /**
- * Get chat history
+ * Get a conversation's working memory (summary + recent turns)
  */
-export function getHistory() {
-    return chatHistory;
+export function getHistory(conversationId) {
+    return memory.getMemory(conversationId);
 }
 
 /**
- * Clear chat history
+ * Clear a conversation's working memory
  */
-export function clearHistory() {
-    chatHistory = [];
+export function clearHistory(conversationId) {
+    memory.clearMemory(conversationId);
 }
@@ -0,0 +1,127 @@
+/**
+ * Approval Service
+ * Durable queue of write actions proposed by the AI Agent.
+ * The browser only sends back an approval id: what runs is exactly the tool and
+ * arguments the agent proposed, in the sandbox it proposed them for, at most once.
+ *
+ * Status flow: pending -> approved -> executed | failed
+ *              pending -> rejected | expired
+ */
+import { randomUUID } from 'crypto';
+import { getStore } from '../services/stores/index.js';
+import { getSandboxName, runWithSandbox } from '../config/config.js';
+import { HttpError } from '../utils/errors.js';
+
+const APPROVAL_TTL_MINUTES = parseInt(process.env.APPROVAL_TTL_MINUTES || '30', 10);
+
+// Stored tool results are capped; the full result goes back to the approver
+const MAX_STORED_RESULT_CHARS = 20000;
+
+function expirePending() {
+    getStore().expireApprovals(new Date().toISOString());
+}
+
+/**
+ * Record a write action the agent wants to run
+ */
+export function proposeAction({ conversationId = null, toolName, args = {}, description }) {
+    const now = Date.now();
+    const approval = {
+        id: `appr_${randomUUID()}`,
+        conversationId,
+        toolName,
+        arguments: args,
+        description,
+        sandbox: getSandboxName(),
+        status: 'pending',
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + APPROVAL_TTL_MINUTES * 60 * 1000).toISOString()
+    };
+    getStore().insertApproval(approval);
+    console.log(`[Approval] ${approval.id}: ${toolName} proposed in ${approval.sandbox}`);
+    return approval;
+}
+
+/**
+ * List the current sandbox's approvals, newest first (optionally by status / conversation)
+ */
+export function listApprovals({ status, conversationId, limit, offset } = {}) {
+    expirePending();
+    const parsedLimit = Math.min(parseInt(limit, 10) || 50, 200);
+    const parsedOffset = Math.max(parseInt(offset, 10) || 0, 0);
+    return {
+        ...getStore().listApprovals({ sandbox: getSandboxName(), status, conversationId, limit: parsedLimit, offset: parsedOffset }),
+        limit: parsedLimit,
+        offset: parsedOffset
+    };
+}
+
+/**
+ * Get one approval of the current sandbox or throw 404
+ */
+export function getApproval(id) {
+    expirePending();
+    const approval = getStore().getApproval(id);
+    if (!approval || approval.sandbox !== getSandboxName()) {
+        throw new HttpError(404, `Approval ${id} not found`, 'APPROVAL_NOT_FOUND');
+    }
+    return approval;
+}
+
+/**
+ * Approve a pending action and run it with run(approval).
+ * Throws 409 if the action is no longer pending (already decided, expired,
+ * or approved concurrently).
+ */
+export async function approveAction(id, run, { decidedBy = null } = {}) {
+    const approval = getApproval(id);
+
+    if (approval.status !== 'pending') {
+        throw new HttpError(409, `Action is ${approval.status}, not pending`, 'APPROVAL_NOT_PENDING');
+    }
+
+    // Conditional transition: only one approver gets to run it
+    const claimed = getStore().transitionApproval(id, 'pending', {
+        status: 'approved',
+        decidedAt: new Date().toISOString(),
+        decidedBy
+    });
+    if (!claimed) {
+        throw new HttpError(409, 'Action was decided by someone else', 'APPROVAL_NOT_PENDING');
+    }
+
+    console.log(`[Approval] ${id}: approved${decidedBy ? ` by ${decidedBy}` : ''}, running ${approval.toolName}`);
+
+    try {
+        const result = await runWithSandbox(approval.sandbox, () => run(approval));
+        const stored = JSON.stringify(result ?? null);
+        getStore().transitionApproval(id, 'approved', {
+            status: 'executed',
+            result: stored.length > MAX_STORED_RESULT_CHARS ? { truncated: true, size: stored.length } : result ?? null
+        });
+        return { approval: getStore().getApproval(id), result };
+    } catch (error) {
+        getStore().transitionApproval(id, 'approved', { status: 'failed', error: error.message });
+        return { approval: getStore().getApproval(id), error };
+    }
+}
+
+/**
+ * Reject a pending action
+ */
+export function rejectAction(id, { decidedBy = null, reason = null } = {}) {
+    const approval = getApproval(id);
+
+    const rejected = approval.status === 'pending' && getStore().transitionApproval(id, 'pending', {
+        status: 'rejected',
+        decidedAt: new Date().toISOString(),
+        decidedBy,
+        error: reason
+    });
+    if (!rejected) {
+        throw new HttpError(409, `Action is ${getStore().getApproval(id).status}, not pending`, 'APPROVAL_NOT_PENDING');
+    }
+
+    console.log(`[Approval] ${id}: rejected${decidedBy ? ` by ${decidedBy}` : ''}`);
+    return getStore().getApproval(id);
+}
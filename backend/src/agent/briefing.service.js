@@ -0,0 +1,335 @@
+/**
+ * Daily Health Briefing
+ * Builds the Dashboard's briefing on the server from batch stats, observability
+ * metrics, segment stats and audit stats, on a cron (BRIEFING_CRON, UTC) or on demand.
+ * The message is narrated by the LLM when one is available (BRIEFING_LLM=off skips it)
+ * and falls back to a template. Each briefing is stored with its inputs, and history
+ * is served with day-over-day deltas against the last briefing of an earlier day.
+ */
+import { randomUUID } from 'crypto';
+import * as llm from './llm.service.js';
+import * as guard from './guard.service.js';
+import * as batchService from '../services/batch.service.js';
+import * as observabilityService from '../services/observability.service.js';
+import * as segmentService from '../services/segment.service.js';
+import * as auditService from '../services/audit.service.js';
+import { getStore } from '../services/stores/index.js';
+import { config, getSandboxName, runWithSandbox } from '../config/config.js';
+import { HttpError } from '../utils/errors.js';
+
+const BRIEFING_CRON = process.env.BRIEFING_CRON || '0 7 * * *';
+const RETENTION_DAYS = parseInt(process.env.BRIEFING_RETENTION_DAYS || '90', 10);
+const SCHEDULER_TICK_MS = 60 * 1000;
+const MAX_LLM_INPUT_CHARS = 6000;
+
+// ===== INPUTS =====
+
+/**
+ * Total of an observability metric over the window (all data point series)
+ */
+function sumMetric(section, name) {
+    const dataPoints = section?.[name];
+    if (!Array.isArray(dataPoints)) return null;
+    return dataPoints.reduce((total, point) =>
+        total + Object.values(point.dps || {}).reduce((sum, value) => sum + (Number(value) || 0), 0), 0);
+}
+
+/**
+ * The four stat sources the briefing is built from; each reports its own error
+ */
+async function collectInputs() {
+    const [batches, observability, segments, audit] = await Promise.all([
+        batchService.getBatchStats('24h'),
+        observabilityService.getObservabilityStats(),
+        segmentService.getSegmentStats(),
+        auditService.getAuditStats()
+    ]);
+    return { batches, observability, segments, audit };
+}
+
+function extractMetrics({ batches, observability, segments, audit }) {
+    const metrics = {
+        totalBatches: batches.total,
+        failedBatches: batches.failed,
+        batchSuccessRate: Number(batches.successRate),
+        failedRecords: batches.failedRecords ?? null,
+        profileRecordsIngested: sumMetric(observability.profile, 'timeseries.profiles.dataset.recordsuccess.count'),
+        profileRecordsFailed: sumMetric(observability.profile, 'timeseries.profiles.dataset.recordfailed.count'),
+        identityRecordsFailed: sumMetric(observability.identity, 'timeseries.identity.dataset.recordfailed.count'),
+        segments: segments.totalSegments,
+        segmentJobsRunning: segments.runningJobs ?? null,
+        auditEvents: audit.totalEvents,
+        auditDeletes: Object.entries(audit.byAction || {})
+            .filter(([action]) => action.toLowerCase().includes('delete'))
+            .reduce((sum, [, count]) => sum + count, 0)
+    };
+    return Object.fromEntries(Object.entries(metrics)
+        .filter(([, value]) => typeof value === 'number' && !Number.isNaN(value))
+        .map(([name, value]) => [name, Math.round(value * 100) / 100]));
+}
+
+/**
+ * Issues worth a line in the briefing, most severe first
+ */
+function detectIssues(metrics, inputs) {
+    const issues = [];
+    if (metrics.failedBatches > 0) {
+        const critical = metrics.failedBatches >= 5 || metrics.batchSuccessRate < 90;
+        issues.push({
+            severity: critical ? 'critical' : 'warning',
+            area: 'ingestion',
+            message: `${metrics.failedBatches} batch${metrics.failedBatches === 1 ? '' : 'es'} failed in the last 24 hours`
+        });
+    }
+    if (metrics.profileRecordsFailed > 0) {
+        issues.push({ severity: 'warning', area: 'profile', message: `${Math.round(metrics.profileRecordsFailed)} profile records failed to ingest` });
+    }
+    if (metrics.identityRecordsFailed > 0) {
+        issues.push({ severity: 'warning', area: 'identity', message: `${Math.round(metrics.identityRecordsFailed)} identity records failed` });
+    }
+    if (metrics.auditDeletes > 0) {
+        issues.push({ severity: 'info', area: 'audit', message: `${metrics.auditDeletes} delete action${metrics.auditDeletes === 1 ? '' : 's'} in the audit log` });
+    }
+    for (const [source, stats] of Object.entries(inputs)) {
+        if (stats?.error) issues.push({ severity: 'warning', area: source, message: `${source} stats unavailable: ${stats.error}` });
+    }
+
+    const rank = { critical: 0, warning: 1, info: 2 };
+    return issues.sort((a, b) => rank[a.severity] - rank[b.severity]);
+}
+
+function overallStatus(issues) {
+    if (issues.some(issue => issue.severity === 'critical')) return 'critical';
+    if (issues.some(issue => issue.severity === 'warning')) return 'warning';
+    return 'healthy';
+}
+
+// ===== DELTAS =====
+
+function startOfUtcDay(iso) {
+    return `${iso.slice(0, 10)}T00:00:00.000Z`;
+}
+
+/**
+ * Change of every metric against the last briefing of an earlier day
+ */
+function withDeltas(briefing) {
+    const previous = getStore().getLatestBriefingBefore(briefing.sandbox, startOfUtcDay(briefing.createdAt));
+    if (!previous) return { ...briefing, previous: null, deltas: {} };
+
+    const deltas = {};
+    for (const [name, value] of Object.entries(briefing.metrics || {})) {
+        const before = previous.metrics?.[name];
+        if (typeof before === 'number') deltas[name] = Math.round((value - before) * 100) / 100;
+    }
+    return {
+        ...briefing,
+        previous: { id: previous.id, createdAt: previous.createdAt, status: previous.status, metrics: previous.metrics },
+        deltas
+    };
+}
+
+function describeDelta(name, delta) {
+    if (!delta) return null;
+    const unit = name === 'batchSuccessRate' ? ' pts' : '';
+    return `${delta > 0 ? '+' : ''}${delta}${unit} vs. the previous day`;
+}
+
+// ===== NARRATION =====
+
+function templateMessage(metrics, issues, deltas) {
+    const parts = [];
+    if (metrics.totalBatches > 0) {
+        const change = describeDelta('batchSuccessRate', deltas.batchSuccessRate);
+        parts.push(`Ingestion is operating at ${metrics.batchSuccessRate}% batch success over the last 24 hours${change ? ` (${change})` : ''}.`);
+    } else {
+        parts.push('No batches were ingested in the last 24 hours.');
+    }
+    if (metrics.failedBatches > 0) {
+        const change = describeDelta('failedBatches', deltas.failedBatches);
+        parts.push(`${metrics.failedBatches} batch${metrics.failedBatches === 1 ? '' : 'es'} failed${change ? ` (${change})` : ''}.`);
+    }
+    if (metrics.segments != null) {
+        const running = metrics.segmentJobsRunning || 0;
+        parts.push(`${metrics.segments} segments, ${running} evaluation job${running === 1 ? '' : 's'} running.`);
+    }
+
+    const priority = issues.find(issue => issue.severity !== 'info');
+    parts.push(priority
+        ? `Priority issue: ${priority.message}.`
+        : 'All systems are operating normally with no critical issues detected.');
+    return parts.join(' ');
+}
+
+async function narrate(briefing, inputs) {
+    const { data, findings } = guard.inspectToolResult({
+        status: briefing.status,
+        metrics: briefing.metrics,
+        changeSincePreviousDay: briefing.deltas,
+        issues: briefing.issues,
+        failedBatchIds: (inputs.batches.recentBatches || []).filter(batch => batch.status === 'failed').map(batch => batch.id),
+        recentAuditEvents: (inputs.audit.recentEvents || []).slice(0, 5)
+    });
+    const text = JSON.stringify(data, null, 2).substring(0, MAX_LLM_INPUT_CHARS);
+
+    const response = await llm.chatCompletion([
+        {
+            role: 'system',
+            content: `You write the daily health briefing for an Adobe Experience Platform sandbox. In 3-4 sentences of plain text (no markdown, no lists), state the overall health, the most important numbers and how they changed since the previous day, and the one thing to look at first. Never invent numbers.\n\n${guard.UNTRUSTED_DATA_RULES}`
+        },
+        {
+            role: 'user',
+            content: `Sandbox: ${briefing.sandbox}\n\n${guard.wrapToolOutput('briefing_inputs', text, findings)}`
+        }
+    ], null, { temperature: 0.3, maxTokens: 400, purpose: 'briefing' });
+    return llm.getContent(response).trim();
+}
+
+// ===== BRIEFINGS =====
+
+/**
+ * Build, narrate and store a briefing for the current sandbox
+ * trigger: manual (Dashboard/API) | schedule
+ */
+export async function generateBriefing({ trigger = 'manual' } = {}) {
+    const inputs = await collectInputs();
+    const metrics = extractMetrics(inputs);
+    const issues = detectIssues(metrics, inputs);
+
+    const briefing = withDeltas({
+        id: `brf_${randomUUID()}`,
+        sandbox: getSandboxName(),
+        trigger,
+        status: overallStatus(issues),
+        metrics,
+        issues,
+        createdAt: new Date().toISOString()
+    });
+    briefing.message = templateMessage(metrics, issues, briefing.deltas);
+    briefing.narration = 'template';
+
+    if ((process.env.BRIEFING_LLM || '').toLowerCase() !== 'off' && llm.isAvailable()) {
+        try {
+            const narrated = await narrate(briefing, inputs);
+            if (narrated) {
+                briefing.message = narrated;
+                briefing.narration = 'llm';
+            }
+        } catch (error) {
+            console.error('[Briefing] LLM narration failed, using the template:', error.message);
+        }
+    }
+
+    getStore().insertBriefing({ ...briefing, inputs });
+    console.log(`[Briefing] ${briefing.id} (${trigger}) in ${briefing.sandbox}: ${briefing.status}`);
+    return { ...briefing, inputs };
+}
+
+/**
+ * Briefings of the current sandbox, newest first, each with its deltas
+ */
+export function listBriefings({ limit, offset } = {}) {
+    const parsedLimit = Math.min(parseInt(limit, 10) || 14, 100);
+    const parsedOffset = Math.max(parseInt(offset, 10) || 0, 0);
+    const { briefings, total } = getStore().listBriefings({ sandbox: getSandboxName(), limit: parsedLimit, offset: parsedOffset });
+    return { briefings: briefings.map(withDeltas), total, limit: parsedLimit, offset: parsedOffset };
+}
+
+/**
+ * One briefing of the current sandbox with the stats it was built from
+ */
+export function getBriefing(id) {
+    const briefing = getStore().getBriefing(id);
+    if (!briefing || briefing.sandbox !== getSandboxName()) throw new HttpError(404, `Briefing ${id} not found`, 'BRIEFING_NOT_FOUND');
+    return withDeltas(briefing);
+}
+
+// ===== SCHEDULER =====
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 6 }
+];
+
+/**
+ * Parse a five-field cron expression (*, lists, ranges and steps) into sets of allowed values
+ */
+function parseCron(expression) {
+    const fields = expression.trim().split(/\s+/);
+    if (fields.length !== 5) throw new Error(`expected 5 fields, got ${fields.length}`);
+
+    return fields.map((field, index) => {
+        const { name, min, max } = CRON_FIELDS[index];
+        const allowed = new Set();
+        for (const part of field.split(',')) {
+            const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+            if (!match) throw new Error(`invalid ${name} "${part}"`);
+            const from = match[1] === '*' ? min : parseInt(match[2], 10);
+            const to = match[1] === '*' ? max : match[3] !== undefined ? parseInt(match[3], 10) : match[4] ? max : from;
+            const step = match[4] ? parseInt(match[4], 10) : 1;
+            // Sunday may be written as 7
+            const limit = index === 4 ? 7 : max;
+            if (from < min || to > limit || from > to || step < 1) throw new Error(`${name} "${part}" is out of range`);
+            for (let value = from; value <= to; value += step) allowed.add(index === 4 ? value % 7 : value);
+        }
+        return allowed;
+    });
+}
+
+function cronMatches(cron, date) {
+    const [minutes, hours, days, months, weekdays] = cron;
+    return minutes.has(date.getUTCMinutes())
+        && hours.has(date.getUTCHours())
+        && days.has(date.getUTCDate())
+        && months.has(date.getUTCMonth() + 1)
+        && weekdays.has(date.getUTCDay());
+}
+
+let schedulerTimer = null;
+let lastScheduledMinute = null;
+let scheduledRunning = false;
+
+function scheduledSandboxes() {
+    const list = (process.env.BRIEFING_SANDBOXES || '').split(',').map(name => name.trim()).filter(Boolean);
+    return list.length > 0 ? list : [config.sandboxName];
+}
+
+async function tick(cron) {
+    const now = new Date();
+    const minute = Math.floor(now.getTime() / 60000);
+    if (minute === lastScheduledMinute || scheduledRunning || !cronMatches(cron, now)) return;
+    lastScheduledMinute = minute;
+
+    scheduledRunning = true;
+    try {
+        for (const sandbox of scheduledSandboxes()) {
+            await runWithSandbox(sandbox, () => generateBriefing({ trigger: 'schedule' }))
+                .catch(error => console.error(`[Briefing] Scheduled briefing for ${sandbox} failed:`, error.message));
+        }
+        const cutoff = new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        const removed = getStore().deleteBriefingsBefore(cutoff);
+        if (removed > 0) console.log(`[Briefing] Removed ${removed} briefings older than ${RETENTION_DAYS} days`);
+    } finally {
+        scheduledRunning = false;
+    }
+}
+
+/**
+ * Start the briefing cron (BRIEFING_SCHEDULER=off disables it)
+ */
+export function startScheduler() {
+    if (schedulerTimer || (process.env.BRIEFING_SCHEDULER || '').toLowerCase() === 'off') return;
+    let cron;
+    try {
+        cron = parseCron(BRIEFING_CRON);
+    } catch (error) {
+        console.error(`[Briefing] Invalid BRIEFING_CRON "${BRIEFING_CRON}": ${error.message}. Scheduled briefings are off.`);
+        return;
+    }
+    console.log(`[Briefing] Scheduled: "${BRIEFING_CRON}" (UTC) for ${scheduledSandboxes().join(', ')}`);
+    schedulerTimer = setInterval(() => tick(cron).catch(error => console.error('[Briefing] Scheduler tick failed:', error.message)), SCHEDULER_TICK_MS);
+    schedulerTimer.unref();
+}
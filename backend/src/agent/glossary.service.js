@@ -0,0 +1,209 @@
+/**
+ * Business Glossary
+ * Maps the team's vocabulary to XDM: a term ("points balance", "VIP") with its
+ * synonyms points at a field path, optionally at one value of that field
+ * ("VIP" -> _acme.loyalty.tier = "platinum"), and can list the field's allowed values.
+ *
+ * Terms apply to one sandbox or, with sandbox null, to all of them. The glossary is
+ * part of the agent's system prompt, and the terms a request mentions are passed to
+ * PQL and SQL generation.
+ */
+import { randomUUID } from 'crypto';
+import * as schemaService from '../services/schema.service.js';
+import { getStore } from '../services/stores/index.js';
+import { getSandboxName } from '../config/config.js';
+import { HttpError } from '../utils/errors.js';
+
+const MAX_TERM_LENGTH = 100;
+const MAX_SYNONYMS = 20;
+const MAX_ALLOWED_VALUES = 100;
+// Terms listed in the system prompt; requests still match all of them
+const MAX_PROMPT_TERMS = 60;
+
+const XDM_PATH = /^[A-Za-z_][\w-]*(\.[A-Za-z_][\w-]*)*$/;
+
+function cleanList(value, max) {
+    if (value == null) return [];
+    if (!Array.isArray(value)) throw new HttpError(400, 'Expected a list of strings', 'INVALID_GLOSSARY_TERM');
+    const seen = new Set();
+    return value
+        .map(item => String(item).trim())
+        .filter(item => item && !seen.has(item.toLowerCase()) && seen.add(item.toLowerCase()))
+        .slice(0, max);
+}
+
+/**
+ * Validated term fields from a request body
+ */
+function normalizeTerm(input) {
+    const term = String(input?.term || '').trim();
+    const xdmPath = String(input?.xdmPath || '').trim();
+
+    if (!term) throw new HttpError(400, 'term is required', 'INVALID_GLOSSARY_TERM');
+    if (term.length > MAX_TERM_LENGTH) throw new HttpError(400, `term must be at most ${MAX_TERM_LENGTH} characters`, 'INVALID_GLOSSARY_TERM');
+    if (!XDM_PATH.test(xdmPath)) {
+        throw new HttpError(400, 'xdmPath must be a dotted XDM field path, e.g. _acme.loyalty.points', 'INVALID_GLOSSARY_TERM');
+    }
+
+    const synonyms = cleanList(input.synonyms, MAX_SYNONYMS).filter(s => s.toLowerCase() !== term.toLowerCase());
+    const allowedValues = cleanList(input.allowedValues, MAX_ALLOWED_VALUES);
+    const value = input.value != null && String(input.value).trim() !== '' ? String(input.value).trim() : null;
+    if (value && allowedValues.length > 0 && !allowedValues.includes(value)) {
+        throw new HttpError(400, `value "${value}" is not one of the allowed values`, 'INVALID_GLOSSARY_TERM');
+    }
+
+    return {
+        term,
+        synonyms,
+        description: input.description ? String(input.description).trim() : null,
+        xdmPath,
+        value,
+        allowedValues,
+        // Omitted: the current sandbox; null: every sandbox
+        sandbox: input.sandbox === undefined ? getSandboxName() : (input.sandbox || null)
+    };
+}
+
+function phrasesOf(term) {
+    return [term.term, ...(term.synonyms || [])].map(p => p.toLowerCase());
+}
+
+/**
+ * Another term of the same scope already uses one of this term's words
+ */
+function assertUnique(candidate, exceptId = null) {
+    const phrases = new Set(phrasesOf(candidate));
+    const clash = getStore().listGlossaryTerms().find(other =>
+        other.id !== exceptId
+        && (other.sandbox ?? null) === (candidate.sandbox ?? null)
+        && phrasesOf(other).some(p => phrases.has(p))
+    );
+    if (clash) {
+        throw new HttpError(409, `"${clash.term}" already defines one of these words`, 'GLOSSARY_TERM_EXISTS');
+    }
+}
+
+/**
+ * Warn (do not fail) when the path is in neither the data dictionary nor the union profile schema
+ */
+async function pathWarnings(term) {
+    try {
+        const [dictionary, profile] = await Promise.all([
+            schemaService.generateDataDictionary().catch(() => null),
+            schemaService.getUnionProfileSchemaForPQL().catch(() => null)
+        ]);
+        const fields = [...(dictionary?.fields || []), ...(profile?.fields || [])];
+        if (fields.length === 0) return [];
+        const field = fields.find(f => f.path === term.xdmPath);
+        if (!field) return [`${term.xdmPath} was not found in the schemas of sandbox ${getSandboxName()}`];
+        if (term.value && Array.isArray(field.enum) && field.enum.length > 0 && !field.enum.includes(term.value)) {
+            return [`"${term.value}" is not in the schema's enum for ${term.xdmPath} (${field.enum.join(', ')})`];
+        }
+        return [];
+    } catch {
+        return [];
+    }
+}
+
+// ===== CRUD =====
+
+/**
+ * Terms that apply to the current sandbox (including all-sandbox terms), optionally filtered by text
+ */
+export function listTerms({ query } = {}) {
+    const sandbox = getSandboxName();
+    const needle = (query || '').trim().toLowerCase();
+    const terms = getStore().listGlossaryTerms()
+        .filter(term => !term.sandbox || term.sandbox === sandbox)
+        .filter(term => !needle
+            || phrasesOf(term).some(p => p.includes(needle))
+            || term.xdmPath.toLowerCase().includes(needle)
+            || (term.description || '').toLowerCase().includes(needle));
+    return { terms, total: terms.length, sandbox };
+}
+
+export function getTerm(id) {
+    const term = getStore().getGlossaryTerm(id);
+    if (!term) throw new HttpError(404, `Glossary term ${id} not found`, 'GLOSSARY_TERM_NOT_FOUND');
+    return term;
+}
+
+export async function createTerm(input) {
+    const now = new Date().toISOString();
+    const term = { id: `gls_${randomUUID()}`, ...normalizeTerm(input), createdAt: now, updatedAt: now };
+    assertUnique(term);
+    getStore().insertGlossaryTerm(term);
+    console.log(`[Glossary] Added "${term.term}" -> ${term.xdmPath}${term.value ? ` = ${term.value}` : ''}`);
+    return { ...term, warnings: await pathWarnings(term) };
+}
+
+export async function updateTerm(id, input) {
+    const existing = getTerm(id);
+    const term = {
+        ...existing,
+        ...normalizeTerm({ sandbox: existing.sandbox, ...input }),
+        updatedAt: new Date().toISOString()
+    };
+    assertUnique(term, id);
+    getStore().updateGlossaryTerm(term);
+    return { ...term, warnings: await pathWarnings(term) };
+}
+
+export function deleteTerm(id) {
+    const term = getTerm(id);
+    getStore().deleteGlossaryTerm(id);
+    console.log(`[Glossary] Removed "${term.term}"`);
+    return { success: true, id };
+}
+
+// ===== MATCHING AND PROMPTS =====
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Terms whose name or a synonym appears in the text (whole words, case-insensitive),
+ * longest phrase first so "VIP customers" beats "customers"
+ */
+export function matchTerms(text) {
+    const haystack = (text || '').toLowerCase();
+    if (!haystack) return [];
+
+    return listTerms().terms
+        .map(term => {
+            const hit = phrasesOf(term)
+                .filter(phrase => new RegExp(`(^|[^a-z0-9_])${escapeRegExp(phrase)}($|[^a-z0-9_])`).test(haystack))
+                .sort((a, b) => b.length - a.length)[0];
+            return hit ? { term, length: hit.length, phrase: hit } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.length - a.length)
+        .map(({ term, phrase }) => ({ ...term, matched: phrase }));
+}
+
+/**
+ * One prompt line per term: "VIP" (also: top tier) -> _acme.loyalty.tier = "platinum"
+ */
+export function formatTerms(terms) {
+    return terms.map(term => {
+        const also = term.synonyms?.length > 0 ? ` (also: ${term.synonyms.join(', ')})` : '';
+        const target = term.value ? `${term.xdmPath} = "${term.value}"` : term.xdmPath;
+        const values = term.allowedValues?.length > 0 ? ` [values: ${term.allowedValues.join(', ')}]` : '';
+        const description = term.description ? ` - ${term.description}` : '';
+        return `- "${term.term}"${also} -> ${target}${values}${description}`;
+    }).join('\n');
+}
+
+/**
+ * System prompt section with the sandbox's glossary ('' when it is empty)
+ */
+export function buildPromptSection() {
+    const { terms } = listTerms();
+    if (terms.length === 0) return '';
+    const listed = terms.slice(0, MAX_PROMPT_TERMS);
+    return `
+BUSINESS GLOSSARY (the team's words for XDM fields and values; use these paths when the user says these words):
+${formatTerms(listed)}${terms.length > listed.length ? `\n(${terms.length - listed.length} more terms are matched automatically in PQL/SQL generation)` : ''}
+`;
+}
@@ -0,0 +1,604 @@
+/**
+ * Intent Service
+ * Local intent classification and slot filling for the rule-based path (no LLM
+ * configured, or the LLM failed). Every registry tool has an intent; entities
+ * (batch/segment/dataset/flow IDs, identities, time ranges, numbers, SQL, names)
+ * are pulled from the message and mapped onto the tool's parameters.
+ *
+ * When a required parameter is missing, the agent asks a follow-up question and
+ * the answer (next message in the same conversation) fills the open slot.
+ * IDs of the object open on the page (page-context.service.js) fill slots first.
+ */
+import * as toolRegistry from './tools/index.js';
+import * as pageContexts from './page-context.service.js';
+import * as datasetService from '../services/dataset.service.js';
+import * as segmentService from '../services/segment.service.js';
+import * as flowService from '../services/flow.service.js';
+
+const PENDING_TTL_MS = 10 * 60 * 1000;
+
+// conversationId -> { tool, args, missing, expiresAt }
+const pendingIntents = new Map();
+
+// ===== ENTITY EXTRACTION =====
+
+const PATTERNS = {
+    uuid: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi,
+    ulid: /\b01[0-9A-Z]{22,24}\b/g,
+    datasetId: /\b[0-9a-f]{24}\b/g,
+    schemaId: /https:\/\/ns\.adobe\.com\/[\w.\-/]+|\b_[a-z0-9]+\.(?:schemas|mixins|classes|datatypes)\.[0-9a-f]+\b/gi,
+    // Dashed ids with digits, e.g. seg-mock-0001-gold-members
+    dashedId: /\b[A-Za-z][A-Za-z0-9]*(?:-[A-Za-z0-9]+){2,}\b/g,
+    // Other ids with digits right after an entity keyword ("segment abc123")
+    keywordId: /\b(batch|dataset|data set|segment|audience|flow|dataflow|data flow|schema|connection)\s+(?:id\s+)?[`"']?([A-Za-z0-9][\w-]*\d[\w-]*)/gi,
+    email: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi,
+    ecid: /\b\d{38}\b/g,
+    namespacedIdentity: /\b(ECID|Email|Phone|AAID|GAID|IDFA|[A-Z][A-Za-z]*ID)\s*[:=]\s*([^\s,;]+)/g,
+    sql: /\b(?:SELECT\b[\s\S]+?\bFROM\b|WITH\s+\w+\s+AS\s*\()[\s\S]*/i,
+    // Double quotes, smart quotes, backticks, or single quotes that aren't apostrophes
+    quoted: /["“`]([^"”`]{2,})["”`]|(?:^|\s)'([^']{2,})'(?=[\s,.?!]|$)/g,
+    label: /\b([CIS][0-9]{1,2})\b/g
+};
+
+const KIND_BY_KEYWORD = {
+    batch: 'batch',
+    dataset: 'dataset',
+    'data set': 'dataset',
+    segment: 'segment',
+    audience: 'segment',
+    flow: 'flow',
+    dataflow: 'flow',
+    'data flow': 'flow',
+    schema: 'schema',
+    connection: 'connection'
+};
+
+const UNIT_HOURS = { minute: 1 / 60, hour: 1, day: 24, week: 168, month: 720 };
+const WORD_NUMBERS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, ten: 10, twelve: 12, thirty: 30 };
+
+/**
+ * The entity keyword right before a position (e.g. "segment" in "segment 3f2a...")
+ */
+function keywordBefore(message, index) {
+    const before = message.slice(Math.max(0, index - 30), index).toLowerCase();
+    const match = /(batch|data ?set|segment|audience|data ?flow|flow|schema|connection)(?:\s+id)?\s*[:#]?\s*[`"']?$/.exec(before);
+    return match ? KIND_BY_KEYWORD[match[1]] : null;
+}
+
+/**
+ * Time range from "last 6 hours", "past week", "today", "yesterday"
+ */
+function extractTimeRange(message) {
+    const lower = message.toLowerCase();
+    const match = /\b(?:last|past|previous|over the last|in the last)\s+(\d+|an?|one|two|three|four|five|six|seven|ten|twelve|thirty)?\s*(minute|hour|day|week|month)s?\b/.exec(lower);
+    if (match) {
+        const amount = match[1] ? (Number(match[1]) || WORD_NUMBERS[match[1]] || 1) : 1;
+        return toTimeRange(amount * UNIT_HOURS[match[2]]);
+    }
+    if (/\b(today|24 ?h(ours)?)\b/.test(lower)) return toTimeRange(24);
+    if (/\byesterday\b/.test(lower)) return toTimeRange(48);
+    if (/\bthis week\b/.test(lower)) return toTimeRange(168);
+    if (/\bthis month\b/.test(lower)) return toTimeRange(720);
+    return null;
+}
+
+function toTimeRange(hours) {
+    const rounded = Math.max(1, Math.round(hours));
+    return { hours: rounded, label: rounded < 24 || rounded % 24 !== 0 ? `${rounded}h` : `${rounded / 24}d` };
+}
+
+/**
+ * Pick the closest allowed value (e.g. 1h|6h|24h|7d) at or above the requested range
+ */
+function snapTimeRange(range, choices) {
+    if (!range) return undefined;
+    const hoursOf = label => parseInt(label, 10) * (label.endsWith('d') ? 24 : 1);
+    const sorted = [...choices].filter(choice => /^\d+[hd]$/.test(choice)).sort((a, b) => hoursOf(a) - hoursOf(b));
+    return sorted.find(choice => hoursOf(choice) >= range.hours) || sorted[sorted.length - 1];
+}
+
+/**
+ * Pull everything the intents can use out of a message
+ */
+export function extractEntities(message) {
+    const ids = [];
+    const seen = new Set();
+    const addId = (value, kind, index) => {
+        if (seen.has(value)) return;
+        seen.add(value);
+        ids.push({ value, kind, index });
+    };
+
+    for (const match of message.matchAll(PATTERNS.schemaId)) addId(match[0], 'schema', match.index);
+    for (const match of message.matchAll(PATTERNS.uuid)) addId(match[0], keywordBefore(message, match.index) || 'uuid', match.index);
+    for (const match of message.matchAll(PATTERNS.ulid)) addId(match[0], keywordBefore(message, match.index) || 'batch', match.index);
+    for (const match of message.matchAll(PATTERNS.datasetId)) addId(match[0], keywordBefore(message, match.index) || 'dataset', match.index);
+    for (const match of message.matchAll(PATTERNS.keywordId)) {
+        const kind = KIND_BY_KEYWORD[match[1].toLowerCase()];
+        addId(match[2], kind, match.index + match[0].length - match[2].length);
+    }
+    for (const match of message.matchAll(PATTERNS.dashedId)) {
+        if (/\d/.test(match[0])) addId(match[0], keywordBefore(message, match.index) || 'uuid', match.index);
+    }
+    ids.sort((a, b) => a.index - b.index);
+
+    const identities = [];
+    for (const match of message.matchAll(PATTERNS.namespacedIdentity)) {
+        identities.push({ namespace: match[1], value: match[2], index: match.index });
+    }
+    for (const match of message.matchAll(PATTERNS.email)) {
+        if (!identities.some(identity => identity.value === match[0])) identities.push({ namespace: 'Email', value: match[0], index: match.index });
+    }
+    for (const match of message.matchAll(PATTERNS.ecid)) {
+        if (!identities.some(identity => identity.value === match[0])) identities.push({ namespace: 'ECID', value: match[0], index: match.index });
+    }
+    identities.sort((a, b) => a.index - b.index);
+
+    const idsOf = kind => ids.filter(id => id.kind === kind).map(id => id.value);
+    const limitMatch = /\b(?:top|first|last|latest|limit(?: to)?|show(?: me)?)\s+(\d{1,4})\b(?!\s*(?:minutes?|hours?|days?|weeks?|months?|[hd]\b))/i.exec(message);
+    const monthsMatch = /\b(\d{1,3})\s*months?\b/i.exec(message);
+    const nameMatch = /\b(?:called|named|titled)\s+["“']?([^"”'\n,.]+?)["”']?(?=\s+(?:for|with|that|where|who|of)\b|[,.]|$)/i.exec(message);
+    const sqlMatch = PATTERNS.sql.exec(message);
+
+    return {
+        ids,
+        batchIds: idsOf('batch'),
+        datasetIds: idsOf('dataset'),
+        segmentIds: idsOf('segment'),
+        flowIds: idsOf('flow'),
+        schemaIds: idsOf('schema'),
+        connectionIds: idsOf('connection'),
+        untypedIds: idsOf('uuid'),
+        identities,
+        timeRange: extractTimeRange(message),
+        limit: limitMatch ? parseInt(limitMatch[1], 10) : undefined,
+        months: monthsMatch ? parseInt(monthsMatch[1], 10) : undefined,
+        quoted: [...message.matchAll(PATTERNS.quoted)].map(match => (match[1] ?? match[2]).trim()),
+        name: nameMatch?.[1].trim(),
+        sql: sqlMatch ? sqlMatch[0].trim().replace(/[`]+$/, '') : undefined,
+        labels: [...new Set([...message.matchAll(PATTERNS.label)].map(match => match[1].toUpperCase()))]
+    };
+}
+
+// ===== SLOTS =====
+
+/**
+ * Free text after the command ("generate sql for top orders" -> "top orders")
+ */
+function describe(message) {
+    const stripped = message
+        .replace(/^\s*(?:please\s+|can you\s+|could you\s+)?(?:generate|write|create|build|make|give me|draft)\s+(?:me\s+)?(?:an?\s+|the\s+)?(?:sql|pql|query|segment|audience|payload)?(?:\s+(?:query|expression|definition|payload))?\s*(?:for|to|that|of|with|from|finding|where)?\s*/i, '')
+        .replace(/\s+(?:called|named|titled)\s+.+$/i, '')
+        .trim();
+    return stripped || message.trim();
+}
+
+function firstId(entities, kind) {
+    return entities[kind][0] ?? entities.untypedIds[0];
+}
+
+const MARKETING_ACTIONS = [
+    { pattern: /\b(export|share|send)\b.*\b(third[- ]party|3rd[- ]party|partners?)\b/i, value: 'exportToThirdParty' },
+    { pattern: /\bdata science\b/i, value: 'dataScience' },
+    { pattern: /\bemail\b/i, value: 'emailTargeting' },
+    { pattern: /\b(onsite|on-site)\b.*\b(advertising|ads)\b/i, value: 'onsiteAdvertising' },
+    { pattern: /\b(cross-site|cross site)\b/i, value: 'crossSiteTargeting' },
+    { pattern: /\b(advertising|ads|ad platforms?)\b/i, value: 'onsiteAdvertising' }
+];
+
+/**
+ * Parameter name -> value from entities (null/undefined = not found).
+ * Intents may override these per tool.
+ */
+const SLOT_RESOLVERS = {
+    batchId: e => firstId(e, 'batchIds'),
+    datasetId: e => firstId(e, 'datasetIds'),
+    segmentId: e => firstId(e, 'segmentIds'),
+    segmentIds: e => (e.segmentIds.length + e.untypedIds.length >= 2 ? [...e.segmentIds, ...e.untypedIds] : undefined),
+    flowId: e => firstId(e, 'flowIds'),
+    schemaId: e => e.schemaIds[0],
+    namespace: e => e.identities[0]?.namespace,
+    identity: e => e.identities[0]?.value,
+    id: e => e.identities[0]?.value,
+    namespace1: e => e.identities[0]?.namespace,
+    identity1: e => e.identities[0]?.value,
+    namespace2: e => e.identities[1]?.namespace,
+    identity2: e => e.identities[1]?.value,
+    hours: e => e.timeRange?.hours,
+    limit: e => e.limit,
+    topN: e => e.limit,
+    monthsInactive: e => e.months,
+    sql: e => e.sql,
+    labels: e => (e.labels.length ? e.labels : undefined),
+    marketingAction: (e, message) => MARKETING_ACTIONS.find(action => action.pattern.test(message))?.value || /\b([a-z]+[A-Z][A-Za-z]+)\b/.exec(message)?.[1],
+    description: (e, message) => e.quoted[0] || describe(message),
+    intent: (e, message) => e.quoted[0] || describe(message),
+    audienceDescription: (e, message) => describe(message),
+    name: e => e.name || e.quoted[0],
+    segmentName: e => e.name || e.quoted[0],
+    query: (e, message) => e.quoted[0] || /\bschemas?\s+(?:for|about|matching|containing|with|named)\s+(.+?)[?.!]*$/i.exec(message)?.[1],
+    container: (e, message) => (/\bglobal\b/i.test(message) ? 'global' : /\b(tenant|custom)\b/i.test(message) ? 'tenant' : undefined),
+    dimension: (e, message) => (/\bnamespaces?\b/i.test(message) ? 'namespace' : /\bdatasets?\b/i.test(message) ? 'dataset' : undefined),
+    minProfiles: (e, message) => numberAfter(message, /(?:more than|over|at least|above|>=?)\s*/),
+    maxProfiles: (e, message) => numberAfter(message, /(?:fewer than|less than|under|at most|below|<=?)\s*/),
+    threshold: (e, message) => numberAfter(message, /(?:threshold(?: of)?|more than)\s*/),
+    user: e => e.identities.find(identity => identity.namespace === 'Email')?.value
+};
+
+function numberAfter(message, prefix) {
+    const match = new RegExp(`${prefix.source}([\\d,]+)`, 'i').exec(message);
+    return match ? parseInt(match[1].replace(/,/g, ''), 10) : undefined;
+}
+
+/**
+ * Enum parameters are filled when the message names one of the values
+ */
+function resolveEnum(schema, message) {
+    const lower = message.toLowerCase();
+    return schema.enum.find(value => typeof value === 'string' && new RegExp(`\\b${value.toLowerCase()}\\b`).test(lower));
+}
+
+// ===== INTENTS =====
+
+const timeRangeSlot = choices => ({ timeRange: e => snapTimeRange(e.timeRange, choices) });
+
+/**
+ * One intent per registry tool: patterns that suggest it, slot overrides and
+ * an optional `unless` pattern that rules it out (a sibling intent owns those words).
+ * Order breaks ties, so more specific intents come first within a domain.
+ */
+const INTENTS = [
+    // Batches
+    { tool: 'diagnose_ingestion_failure', patterns: [/\bdiagnos/, /\b(troubleshoot|investigate|root cause)\b.*\b(ingestion|batch)/] },
+    { tool: 'analyze_batch_errors', patterns: [/\b(analy[sz]e|why|errors? (in|for|of))\b.*\bbatch\b/, /\bbatch\b.*\b(why|errors?|fail(ed|ure)?)\b/] },
+    { tool: 'get_batch_details', patterns: [/\bbatch\b.*\b(details?|info|status|metadata)\b/, /\b(details?|status) (of|for) (the |this |that |selected )?batch\b/] },
+    { tool: 'get_failed_batches', patterns: [/\b(failed|failing|errored|broken)\b.*\bbatch(es)?\b/, /\bbatches\b.*\b(failed|failing|errors?)\b/, /\bingestion (failures|errors|problems|issues)\b/] },
+    { tool: 'get_batch_stats', patterns: [/\bbatch(es)?\b.*\b(stats?|statistics|summary|success rate)\b/, /\bhow many batches\b/], slots: timeRangeSlot(['24h', '7d', '30d']) },
+    { tool: 'get_error_summary', patterns: [/\berror (summary|overview|breakdown|trends?)\b/, /\b(summar(y|ize|ise)|overview of) (the |recent )?errors\b/] },
+
+    // Schemas
+    { tool: 'get_schema_details', patterns: [/\bschema\b.*\b(details?|fields|structure|definition)\b/, /\b(describe|show)\b.*\bschema\b/] },
+    { tool: 'search_schemas', patterns: [/\b(search|find|look ?up)\b.*\bschemas?\b/, /\bschemas?\s+(about|for|matching|containing|named|with)\b/] },
+    { tool: 'get_schema_stats', patterns: [/\bschemas?\b.*\b(stats?|statistics|registry|count)\b/, /\bhow many schemas\b/] },
+    { tool: 'get_tenant_id', patterns: [/\btenant( id| namespace)?\b/] },
+    { tool: 'build_data_dictionary', patterns: [/\bdata dictionary\b/, /\b(all|list) (the )?(xdm )?fields\b/] },
+
+    // Datasets
+    { tool: 'get_dataset_labels', patterns: [/\b(labels?|dule|governance)\b.*\b(dataset|data set)\b/, /\b(dataset|data set)\b.*\b(labels?|dule)\b/] },
+    { tool: 'get_dataset_batches', patterns: [/\bbatch(es)?\b.*\b(dataset|data set)\b/, /\b(dataset|data set)\b.*\bbatch(es)?\b/] },
+    { tool: 'get_dataset_details', patterns: [/\b(dataset|data set)\b.*\b(details?|info|about|schema)\b/, /\b(details?|info|describe)\b.*\b(dataset|data set)\b/] },
+    { tool: 'get_dataset_stats', patterns: [/\b(datasets?|data sets?)\b.*\b(stats?|statistics|count|sizes?)\b/, /\bhow many (datasets|data sets)\b/] },
+    { tool: 'list_datasets', patterns: [/\b(list|show|get|what|which|all)\b.*\b(datasets|data sets)\b/] },
+
+    // Profiles
+    { tool: 'check_orphaned_profiles', patterns: [/\b(orphan(ed)?|stale|inactive|dormant)\b.*\bprofiles?\b/, /\bprofiles?\b.*\b(orphan(ed)?|inactive)\b/] },
+    { tool: 'get_profile_distribution', patterns: [/\bprofiles?\b.*\b(distribution|breakdown|split)\b/, /\bprofiles? by (dataset|namespace)\b/] },
+    { tool: 'get_profile_preview_status', patterns: [/\bpreview (status|sample)\b/, /\bprofile store (status|health)\b/] },
+    { tool: 'get_profile_stats', patterns: [/\bprofiles?\b.*\b(stats?|statistics|count|total)\b/, /\bhow many profiles\b/] },
+    { tool: 'lookup_profile', patterns: [/\b(look ?up|find|show|get|fetch|open)\b.*\bprofile\b/, /\bprofile (for|of)\b/] },
+
+    // Identities
+    { tool: 'diagnose_identity_link', patterns: [/\b(why|are|is|check)\b.*\b(linked|link|merged|stitched|connected)\b/, /\bidentity link\b/] },
+    { tool: 'detect_shared_device', patterns: [/\bshared (device|computer|browser|login)\b/, /\b(device|ecid) shar(ed|ing)\b/] },
+    { tool: 'get_identity_xid', patterns: [/\bxid\b/, /\bexperience id\b/] },
+    { tool: 'get_identity_graph', patterns: [/\bidentity graph\b/, /\b(linked|connected) identit(y|ies)\b/, /\bgraph (for|of)\b/] },
+    { tool: 'list_namespaces', patterns: [/\b(identity )?namespaces\b/] },
+
+    // Queries
+    { tool: 'optimize_sql_query', patterns: [/\b(optimi[sz]e|speed up|tune|improve|rewrite)\b.*\b(sql|query)\b/] },
+    { tool: 'execute_sql_query', patterns: [/\b(run|execute)\b.*\b(sql|query|select)\b/] },
+    { tool: 'generate_sql_from_intent', patterns: [/\b(turn|convert|translate)\b.*\binto (an? )?(sql|query)\b/, /\b(generate|write|create|build|give me|draft)\b.*\b(sql|query)\b/, /\bsql (for|to|that)\b/] },
+    // Only table context for writing SQL by hand, not a statement
+    { tool: 'generate_sql', patterns: [/\b(tables?|columns?)\b.*\b(to use )?(for|in) (writing )?(an? |my )?(sql|query)\b/, /\bsql context\b/] },
+    { tool: 'get_query_stats', patterns: [/\bquer(y|ies)\b.*\b(stats?|statistics|success rate)\b/, /\bquery service (stats|health|usage)\b/] },
+    { tool: 'list_recent_queries', patterns: [/\b(recent|last|latest|list|show)\b.*\bquer(y|ies)\b/] },
+
+    // Segments
+    { tool: 'compare_segment_populations', patterns: [/\bcompare\b.*\b(segments?|audiences?)\b/, /\b(segments?|audiences?)\b.*\b(vs\.?|versus)\b/] },
+    { tool: 'verify_segment_count', patterns: [/\bverify\b.*\b(segment|audience)\b/, /\b(segment|audience) count\b.*\b(match|correct|accurate|right)\b/] },
+    { tool: 'debug_segment', patterns: [/\b(debug|troubleshoot|why)\b.*\b(segment|audience)\b/, /\b(segment|audience)\b.*\b(empty|zero|no profiles|low|so few)\b/] },
+    { tool: 'build_segment_payload', patterns: [/\b(segment|audience) (payload|json)\b/, /\bpayload\b.*\b(segment|audience)\b/] },
+    { tool: 'generate_pql_from_description', patterns: [/\b(generate|write|create|build|draft)\b.*\bpql\b/, /\bpql (for|to|that)\b/] },
+    { tool: 'create_segment', patterns: [/\b(create|make|build|new)\b.*\b(segment|audience)\b/], slots: { description: e => e.quoted[1] } },
+    { tool: 'get_segment_population', patterns: [/\b(population|size|how many profiles)\b.*\b(segment|audience)\b/, /\b(segment|audience)\b.*\b(population|size)\b/] },
+    { tool: 'analyze_segments_by_population', patterns: [/\b(largest|biggest|smallest|top)\b.*\b(segments?|audiences?)\b/, /\b(segments?|audiences?)\b.*\b(more|fewer|less) than\b/] },
+    { tool: 'list_all_segments_with_counts', patterns: [/\b(segments?|audiences?)\b.*\b(with|and) (their )?(counts?|sizes?|populations?)\b/] },
+    { tool: 'get_segment_stats', patterns: [/\b(segments?|audiences?)\b.*\b(stats?|statistics|count)\b/, /\bhow many (segments|audiences)\b/] },
+    { tool: 'list_segments', patterns: [/\b(list|show|get|what|which|all)\b.*\b(segments|audiences)\b/] },
+
+    // Sandboxes
+    { tool: 'get_current_sandbox', patterns: [/\b(current|which|active|what) sandbox\b/, /\bsandbox am i\b/] },
+    { tool: 'list_sandboxes', patterns: [/\bsandboxes\b/, /\b(list|show|all)\b.*\b(sandbox|environments?)\b/] },
+
+    // Flows
+    { tool: 'trigger_flow_run', patterns: [/\b(trigger|re-?run|kick off|start)\b.*\b(data ?flow|flow)\b/, /\brun (the )?(data ?flow|flow)\b.*\b(now|again)\b/] },
+    { tool: 'list_flow_runs', patterns: [/\b(data ?flow|flow)\b.*\b(runs?|ran|executions?|history)\b/, /\b(runs?|executions?)\b.*\b(data ?flow|flow)\b/], unless: /\b(trigger|re-?run|kick off|start)\b/ },
+    { tool: 'get_flow_details', patterns: [/\b(data ?flow|flow)\b.*\b(details?|config(uration)?|info|schedule)\b/] },
+    { tool: 'list_data_flows', patterns: [/\b(list|show|get|what|which|all)\b.*\b(data ?flows|flows)\b/, /\bdata ?flows\b/] },
+    { tool: 'list_connections', patterns: [/\b(source |destination )?connections\b/, /\bconnectors?\b/] },
+
+    // Governance
+    { tool: 'evaluate_policy_violation', patterns: [/\b(violat\w*|allowed to|permitted)\b/, /\bcan (i|we) (use|export|send|share|activate)\b/, /\bmarketing action\b/] },
+    { tool: 'list_governance_policies', patterns: [/\b(governance |data usage |dule )?polic(y|ies)\b/] },
+    { tool: 'list_data_labels', patterns: [/\b(data usage |dule |governance )?labels\b/] },
+    { tool: 'get_audit_logs', patterns: [/\baudit\b/, /\bwho (changed|deleted|created|modified|updated)\b/] },
+
+    // Observability
+    { tool: 'get_ingestion_metrics', patterns: [/\bingestion\b.*\b(metrics?|volume|throughput|rate|records)\b/, /\brecords ingested\b/] },
+    { tool: 'get_platform_health', patterns: [/\b(platform )?health(y)?\b/, /\b(system|platform) status\b/, /\bis (everything|the platform) (ok|okay|working|up)\b/] }
+];
+
+// Follow-up questions for required parameters
+const QUESTIONS = {
+    batchId: 'Which batch? Send the batch ID (e.g. `01H...`).',
+    datasetId: 'Which dataset? Send its ID or exact name.',
+    segmentId: 'Which segment? Send its ID or exact name.',
+    segmentIds: 'Which segments should I compare? Send two or more segment IDs or names.',
+    flowId: 'Which dataflow? Send its flow ID or name.',
+    schemaId: 'Which schema? Send its `$id` (e.g. `https://ns.adobe.com/<tenant>/schemas/...`).',
+    namespace: 'Which identity? Send it with its namespace, e.g. `Email: jane@example.com` or an ECID.',
+    identity: 'Which identity? Send it with its namespace, e.g. `Email: jane@example.com` or an ECID.',
+    id: 'Which identity? Send it with its namespace, e.g. `Email: jane@example.com` or an ECID.',
+    namespace2: 'I need two identities to compare. Send both, e.g. `Email: jane@example.com` and `ECID: 123...`.',
+    identity2: 'I need two identities to compare. Send both, e.g. `Email: jane@example.com` and `ECID: 123...`.',
+    sql: 'Which SQL query? Paste the full statement.',
+    pql: 'What PQL expression should the segment use? (Ask me to generate PQL first if you need one.)',
+    name: 'What should the segment be called?',
+    segmentName: 'What should the segment be called?',
+    marketingAction: 'Which marketing action should I check (e.g. `exportToThirdParty`, `emailTargeting`)?',
+    labels: 'Which data usage labels (e.g. `C2`, `I1`)?',
+    dimension: 'Break profiles down by `dataset` or `namespace`?'
+};
+
+const intentsByTool = new Map(INTENTS.map((intent, index) => [intent.tool, { ...intent, order: index }]));
+
+for (const toolName of Object.keys(toolRegistry.tools)) {
+    if (!intentsByTool.has(toolName)) {
+        console.warn(`[Intent] No intent defined for tool ${toolName}; the rule-based fallback cannot reach it`);
+    }
+}
+
+// ===== CLASSIFICATION =====
+
+/**
+ * Fill a tool's parameters from the entities; returns { args, missing }
+ */
+function fillSlots(intent, entities, message) {
+    const tool = toolRegistry.tools[intent.tool];
+    const properties = tool.parameters.properties || {};
+    const required = tool.parameters.required || [];
+    const args = {};
+
+    for (const [param, schema] of Object.entries(properties)) {
+        const resolver = intent.slots?.[param] || SLOT_RESOLVERS[param];
+        let value = resolver ? resolver(entities, message) : undefined;
+        if (value === undefined && schema.enum) value = resolveEnum(schema, message);
+        if (value === undefined && param === 'timeRange' && schema.enum) value = snapTimeRange(entities.timeRange, schema.enum);
+        if (value !== undefined && value !== null && value !== '') args[param] = value;
+    }
+
+    return { args, missing: required.filter(param => args[param] === undefined) };
+}
+
+/**
+ * Pattern hits, plus required slots already filled, minus a little for each one
+ * still missing (so a matching intent can still ask a follow-up)
+ */
+function scoreOf(hits, requiredCount, missingCount) {
+    return hits * 2 + (requiredCount - missingCount) * 3 - missingCount * 0.5;
+}
+
+/**
+ * Score every intent with at least one pattern hit, best first
+ */
+export function classifyIntent(message) {
+    const entities = extractEntities(message);
+    const lower = message.toLowerCase();
+    const candidates = [];
+
+    for (const intent of intentsByTool.values()) {
+        if (!toolRegistry.tools[intent.tool] || intent.unless?.test(lower)) continue;
+        const hits = intent.patterns.filter(pattern => pattern.test(lower)).length;
+        if (hits === 0) continue;
+
+        const { args, missing } = fillSlots(intent, entities, message);
+        const required = toolRegistry.tools[intent.tool].parameters.required || [];
+        candidates.push({
+            tool: intent.tool,
+            score: scoreOf(hits, required.length, missing.length),
+            hits,
+            requiredCount: required.length,
+            args,
+            missing,
+            order: intent.order
+        });
+    }
+
+    candidates.sort((a, b) => b.score - a.score || a.order - b.order);
+    const [best, ...others] = candidates;
+    return {
+        tool: best?.tool ?? null,
+        args: best?.args ?? {},
+        missing: best?.missing ?? [],
+        score: best?.score ?? 0,
+        entities,
+        alternatives: others.slice(0, 3).map(candidate => candidate.tool),
+        candidates
+    };
+}
+
+// ===== NAME LOOKUPS =====
+
+/**
+ * Longest item name that appears in the message
+ */
+function findNamed(items, message) {
+    const lower = message.toLowerCase();
+    return items
+        .filter(item => item.name && lower.includes(item.name.toLowerCase()))
+        .sort((a, b) => b.name.length - a.name.length);
+}
+
+const NAME_LOOKUPS = {
+    datasetId: async message => {
+        const datasets = await datasetService.listDatasets({ limit: '100' });
+        const items = Object.entries(datasets || {}).map(([id, dataset]) => ({ id, name: dataset?.name }));
+        return findNamed(items, message)[0]?.id;
+    },
+    segmentId: async message => {
+        const result = await segmentService.listSegments({ limit: '100' });
+        return findNamed(result?.segments || [], message)[0]?.id;
+    },
+    segmentIds: async message => {
+        const result = await segmentService.listSegments({ limit: '100' });
+        const found = findNamed(result?.segments || [], message).map(segment => segment.id);
+        return found.length >= 2 ? found : undefined;
+    },
+    flowId: async message => {
+        const result = await flowService.listFlows({ limit: '100' });
+        return findNamed(result?.items || [], message)[0]?.id;
+    }
+};
+
+// Optional ID parameters are only looked up when the message names that kind of object
+const LOOKUP_KEYWORDS = {
+    datasetId: /\bdata ?sets?\b/i,
+    segmentId: /\b(segments?|audiences?)\b/i,
+    segmentIds: /\b(segments|audiences)\b/i,
+    flowId: /\b(data ?)?flows?\b/i
+};
+
+/**
+ * Resolve ID parameters from names in the message ("the CRM Profiles dataset").
+ * `cache` shares lookups between the candidates of one message.
+ */
+async function resolveNames(plan, message, cache = new Map()) {
+    const properties = toolRegistry.tools[plan.tool].parameters.properties || {};
+    const params = Object.keys(properties).filter(param => NAME_LOOKUPS[param] && plan.args[param] === undefined &&
+        (plan.missing.includes(param) || LOOKUP_KEYWORDS[param].test(message)));
+
+    for (const param of params) {
+        try {
+            if (!cache.has(param)) cache.set(param, NAME_LOOKUPS[param](message));
+            const value = await cache.get(param);
+            if (value !== undefined) {
+                plan.args[param] = value;
+                plan.missing = plan.missing.filter(name => name !== param);
+            }
+        } catch (error) {
+            console.warn(`[Intent] Name lookup for ${param} failed: ${error.message}`);
+        }
+    }
+    return plan;
+}
+
+// "this batch", "it", "the selected dataset": the message refers to what is open on the page
+const PAGE_REFERENCE = /\b(this|that|it|its|current|selected|open)\b/i;
+
+/**
+ * Fill ID parameters from the page's selected entity: required ones that are still
+ * missing, and optional ones when the message refers to the open object
+ */
+function fillFromPage(plan, message, pageContext) {
+    const pageArgs = pageContexts.idArguments(pageContext);
+    const properties = toolRegistry.tools[plan.tool].parameters.properties || {};
+    for (const [param, value] of Object.entries(pageArgs)) {
+        if (!properties[param] || plan.args[param] !== undefined) continue;
+        if (plan.missing.includes(param) || PAGE_REFERENCE.test(message)) {
+            plan.args[param] = value;
+            plan.missing = plan.missing.filter(name => name !== param);
+        }
+    }
+    return plan;
+}
+
+function questionFor(toolName, missing) {
+    const tool = toolRegistry.tools[toolName];
+    const questions = [...new Set(missing.map(param => QUESTIONS[param] ||
+        `What should I use for \`${param}\`? (${tool.parameters.properties?.[param]?.description || 'required'})`))];
+    return `To run **${toolName}** I need a bit more information:\n\n${questions.map(q => `• ${q}`).join('\n')}`;
+}
+
+// ===== PLANNING =====
+
+/**
+ * Turn a message into a tool call for the rule-based path.
+ *
+ * Returns null when no intent matches, { tool, args } when the call is ready,
+ * or { tool, args, missing, question } when a follow-up is needed. With a
+ * conversationId the open question is remembered and the next message answers it.
+ * A pageContext supplies the IDs of the object the user has open; a message that
+ * names no kind of object ("why did it fail?") is read as being about that object.
+ */
+export async function planFromMessage(message, { conversationId = null, pageContext = null } = {}) {
+    const pending = conversationId ? pendingIntents.get(conversationId) : null;
+    if (pending) {
+        pendingIntents.delete(conversationId);
+        if (pending.expiresAt >= Date.now()) {
+            const answered = await answerPending(pending, message);
+            // Keep the open question unless the user clearly asked something else
+            if (answered.missing.length < pending.missing.length || !classifyIntent(message).tool) {
+                return finishPlan(answered, conversationId);
+            }
+        }
+    }
+
+    let classified = classifyIntent(message);
+    const noun = pageContexts.entityNoun(pageContext);
+    if (!classified.tool && noun) classified = classifyIntent(`${message} (${noun})`);
+    if (!classified.tool) return null;
+
+    // Re-rank the leading candidates once names in the message (then the page) are resolved to IDs
+    const cache = new Map();
+    const ranked = [];
+    for (const candidate of classified.candidates.slice(0, 3)) {
+        const named = await resolveNames({ tool: candidate.tool, args: { ...candidate.args }, missing: [...candidate.missing] }, message, cache);
+        const plan = fillFromPage(named, message, pageContext);
+        ranked.push({ ...plan, score: scoreOf(candidate.hits, candidate.requiredCount, plan.missing.length), order: candidate.order });
+    }
+    ranked.sort((a, b) => b.score - a.score || a.order - b.order);
+    const { tool, args, missing } = ranked[0];
+    return finishPlan({ tool, args, missing }, conversationId);
+}
+
+// Parameters that take an identifier rather than free text
+const ID_PARAMS = new Set(['batchId', 'datasetId', 'segmentId', 'flowId', 'schemaId', 'id', 'identity', 'identity1', 'identity2']);
+
+/**
+ * Fill a pending intent's open slots from the follow-up message.
+ * A bare reply answers a single open slot: any text for free-text parameters
+ * ("Gold Members"), a single token for IDs.
+ */
+async function answerPending(pending, message) {
+    const intent = intentsByTool.get(pending.tool);
+    const { args } = fillSlots(intent, extractEntities(message), message);
+    const merged = { ...pending.args };
+    for (const param of pending.missing) {
+        if (args[param] !== undefined) merged[param] = args[param];
+    }
+
+    const plan = await resolveNames({
+        tool: pending.tool,
+        args: merged,
+        missing: pending.missing.filter(param => merged[param] === undefined)
+    }, message);
+
+    const reply = message.trim();
+    const [param] = plan.missing;
+    const schema = toolRegistry.tools[pending.tool].parameters.properties?.[param];
+    if (plan.missing.length === 1 && schema?.type === 'string' && !schema.enum && (!ID_PARAMS.has(param) || /^\S+$/.test(reply))) {
+        plan.args[param] = reply.replace(/^[`"']|[`"']$/g, '');
+        plan.missing = [];
+    }
+    return plan;
+}
+
+function finishPlan(plan, conversationId) {
+    if (plan.missing.length === 0) {
+        return { tool: plan.tool, args: plan.args };
+    }
+    if (conversationId) {
+        pendingIntents.set(conversationId, { tool: plan.tool, args: plan.args, missing: plan.missing, expiresAt: Date.now() + PENDING_TTL_MS });
+    }
+    return { ...plan, question: questionFor(plan.tool, plan.missing) };
+}
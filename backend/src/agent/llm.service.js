@@ -1,199 +1,108 @@
 /**
- * Google Gemini 3 LLM Service
- * Handles LLM interactions for the AI Agent using Google's Gemini 3 API
+ * LLM Service
+ * Provider-agnostic entry point for the AI Agent. Every provider returns
+ * OpenAI-style responses ({ choices: [{ message: { content, tool_calls } }] }),
+ * so the agent never depends on a specific SDK.
+ *
+ * Provider is chosen with LLM_PROVIDER (gemini | azure | openai | ollama | scripted).
+ * When unset, the first provider with credentials in .env is used; the scripted
+ * provider (offline evaluations) is only used when selected explicitly.
  */
-import { GoogleGenerativeAI } from '@google/generative-ai';
-
-// Gemini configuration from environment
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.0-flash';
-
-let genAI = null;
-let model = null;
+import * as geminiProvider from './providers/gemini.provider.js';
+import * as ollamaProvider from './providers/ollama.provider.js';
+import * as scriptedProvider from './providers/scripted.provider.js';
+import { azureProvider, openAIProvider } from './providers/openai.provider.js';
+import * as usage from './usage.service.js';
+
+const providers = {
+    gemini: geminiProvider,
+    azure: azureProvider,
+    openai: openAIProvider,
+    ollama: ollamaProvider,
+    scripted: scriptedProvider
+};
 
 /**
- * Initialize Gemini client
+ * Resolve the active provider from LLM_PROVIDER or available credentials
  */
-function initClient() {
-    if (!genAI && GEMINI_API_KEY) {
-        genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-        model = genAI.getGenerativeModel({
-            model: GEMINI_MODEL,
-            generationConfig: {
-                temperature: 0.7,
-                topP: 0.95,
-                maxOutputTokens: 4096
-            }
-        });
+function resolveProvider() {
+    const requested = process.env.LLM_PROVIDER?.toLowerCase();
+    if (requested) {
+        if (!providers[requested]) {
+            console.warn(`[LLM] Unknown LLM_PROVIDER "${requested}", expected one of: ${Object.keys(providers).join(', ')}`);
+            return null;
+        }
+        return requested;
     }
-    return model;
+
+    return ['gemini', 'azure', 'openai', 'ollama'].find(name => providers[name].isConfigured()) || null;
 }
 
-/**
- * Check if Gemini is configured
- */
-export function isConfigured() {
-    return Boolean(GEMINI_API_KEY);
+const activeProviderName = resolveProvider();
+const activeProvider = activeProviderName ? providers[activeProviderName] : null;
+
+if (activeProvider) {
+    const info = activeProvider.getModelInfo();
+    console.log(`[LLM] Using ${info.provider} (${info.model})${info.configured ? '' : ' - NOT CONFIGURED'}`);
 }
 
 /**
- * Convert tools to Gemini function declarations format
+ * Check if an LLM provider is configured
  */
-function convertToolsToGeminiFunctions(tools) {
-    if (!tools || tools.length === 0) return null;
-
-    return tools.map(tool => ({
-        name: tool.name,
-        description: tool.description,
-        parameters: tool.parameters
-    }));
+export function isConfigured() {
+    return Boolean(activeProvider?.isConfigured());
 }
 
 /**
- * Build chat history for Gemini
- * IMPORTANT: Gemini requires first message to be from 'user' role
+ * Check if the LLM may be used right now: configured and today's usage
+ * is under the daily budget (callers fall back to rules/heuristics otherwise)
  */
-function buildHistory(messages) {
-    const history = [];
-    let systemPrompt = '';
-
-    for (const msg of messages) {
-        if (msg.role === 'system') {
-            systemPrompt = msg.content;
-        } else if (msg.role === 'user') {
-            history.push({
-                role: 'user',
-                parts: [{ text: msg.content }]
-            });
-        } else if (msg.role === 'assistant') {
-            history.push({
-                role: 'model',
-                parts: [{ text: msg.content }]
-            });
-        }
-    }
-
-    // Gemini requires history to start with 'user' role
-    // Remove any leading 'model' messages
-    while (history.length > 0 && history[0].role === 'model') {
-        history.shift();
-    }
-
-    // Ensure alternating pattern (user, model, user, model...)
-    // Gemini is strict about this
-    const cleanHistory = [];
-    let lastRole = null;
-
-    for (const msg of history) {
-        // Skip if same role as previous (shouldn't happen but safety check)
-        if (msg.role === lastRole) {
-            continue;
-        }
-        cleanHistory.push(msg);
-        lastRole = msg.role;
-    }
-
-    // If history ends with 'user', we need to remove it as we'll send a new user message
-    if (cleanHistory.length > 0 && cleanHistory[cleanHistory.length - 1].role === 'user') {
-        cleanHistory.pop();
-    }
-
-    return { history: cleanHistory, systemPrompt };
+export function isAvailable() {
+    return isConfigured() && !usage.isOverBudget();
 }
 
 /**
- * Send a chat completion request to Gemini
+ * Send a chat completion request to the active provider.
+ * options.purpose (chat | summary | memory | sql | pql) and options.conversationId
+ * label the request in the usage accounting (see usage.service.js).
  */
 export async function chatCompletion(messages, tools = null, options = {}) {
     if (!isConfigured()) {
-        throw new Error('Gemini not configured. Please set GEMINI_API_KEY in .env');
+        throw new Error('LLM not configured. Set LLM_PROVIDER and its credentials in .env');
     }
 
+    const { purpose = 'chat', conversationId = null, ...providerOptions } = options;
+    const { model } = activeProvider.getModelInfo();
+    const start = Date.now();
     try {
-        const client = initClient();
-        const { history, systemPrompt } = buildHistory(messages.slice(0, -1));
-        const lastMessage = messages[messages.length - 1];
-
-        // Create model with tools if provided
-        let chatModel = client;
-        if (tools && tools.length > 0) {
-            const functionDeclarations = convertToolsToGeminiFunctions(tools);
-            chatModel = genAI.getGenerativeModel({
-                model: GEMINI_MODEL,
-                tools: [{ functionDeclarations }],
-                generationConfig: {
-                    temperature: options.temperature || 0.7,
-                    maxOutputTokens: options.maxTokens || 4096
-                }
-            });
-        }
-
-        // Start chat with history
-        // Note: systemInstruction can be a string or Content object depending on SDK version
-        const chatConfig = {
-            history: history.length > 0 ? history : undefined
-        };
-
-        // Add system instruction if present - try as string first (newer SDK versions)
-        if (systemPrompt) {
-            chatConfig.systemInstruction = {
-                role: 'user',
-                parts: [{ text: systemPrompt }]
-            };
-        }
-
-        const chat = chatModel.startChat(chatConfig);
-
-        // Send the last message
-        const result = await chat.sendMessage(lastMessage.content);
-        const response = result.response;
-
-        return {
-            choices: [{
-                message: {
-                    content: response.text(),
-                    tool_calls: extractFunctionCalls(response)
-                }
-            }]
-        };
+        const response = await activeProvider.chatCompletion(messages, tools, providerOptions);
+        usage.recordUsage({
+            provider: activeProviderName,
+            model,
+            purpose,
+            conversationId,
+            promptTokens: response.usage?.prompt_tokens || 0,
+            completionTokens: response.usage?.completion_tokens || 0,
+            latencyMs: Date.now() - start
+        });
+        return response;
     } catch (error) {
-        console.error('Gemini request failed:', error);
+        usage.recordUsage({
+            provider: activeProviderName,
+            model,
+            purpose,
+            conversationId,
+            latencyMs: Date.now() - start,
+            status: options.signal?.aborted ? 'cancelled' : 'error',
+            error: error.message
+        });
         throw error;
     }
 }
 
 /**
- * Extract function calls from Gemini response
- */
-function extractFunctionCalls(response) {
-    const calls = [];
-
-    try {
-        const candidates = response.candidates || [];
-        for (const candidate of candidates) {
-            const parts = candidate.content?.parts || [];
-            for (const part of parts) {
-                if (part.functionCall) {
-                    calls.push({
-                        id: `call_${calls.length}`,
-                        type: 'function',
-                        function: {
-                            name: part.functionCall.name,
-                            arguments: JSON.stringify(part.functionCall.args || {})
-                        }
-                    });
-                }
-            }
-        }
-    } catch (e) {
-        // No function calls
-    }
-
-    return calls.length > 0 ? calls : null;
-}
-
-/**
- * Parse tool calls from the response (OpenAI-compatible format)
+ * Parse tool calls from the response (OpenAI-compatible format).
+ * Arguments that are not valid JSON come back as {} with argumentsError set.
  */
 export function parseToolCalls(response) {
     const message = response.choices?.[0]?.message;
@@ -201,11 +110,13 @@ export function parseToolCalls(response) {
     if (!message) return null;
 
     if (message.tool_calls && message.tool_calls.length > 0) {
-        return message.tool_calls.map(tc => ({
-            id: tc.id,
-            name: tc.function.name,
-            arguments: JSON.parse(tc.function.arguments || '{}')
-        }));
+        return message.tool_calls.map(tc => {
+            try {
+                return { id: tc.id, name: tc.function.name, arguments: JSON.parse(tc.function.arguments || '{}') };
+            } catch (error) {
+                return { id: tc.id, name: tc.function.name, arguments: {}, argumentsError: `arguments are not valid JSON (${error.message})` };
+            }
+        });
     }
 
     return null;
@@ -222,9 +133,12 @@ export function getContent(response) {
  * Get model info
  */
 export function getModelInfo() {
+    if (!activeProvider) {
+        return { provider: null, model: null, configured: false, available: Object.keys(providers) };
+    }
     return {
-        provider: 'Google Gemini',
-        model: GEMINI_MODEL,
-        configured: isConfigured()
+        ...activeProvider.getModelInfo(),
+        providerId: activeProviderName,
+        available: Object.keys(providers)
     };
 }
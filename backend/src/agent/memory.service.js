@@ -0,0 +1,196 @@
+/**
+ * Agent Memory Service
+ * Working memory for the AI Agent, one session per conversation id (the ids
+ * used by chat.service.js). Resumed conversations are loaded from storage and
+ * long histories are compacted into a running summary instead of being cut off.
+ */
+import * as llm from './llm.service.js';
+import * as chatService from '../services/chat.service.js';
+import { getCurrentUser } from '../config/config.js';
+
+// In-memory sessions, least recently used first (Map keeps insertion order)
+const sessions = new Map();
+const MAX_SESSIONS = 100;
+
+// Compact once this many turns are unsummarized, keeping the latest verbatim
+const COMPACT_AFTER_TURNS = 20;
+const KEEP_RECENT_TURNS = 8;
+
+// Long answers (tables, JSON dumps) are clipped in working memory
+const MAX_TURN_CHARS = 2000;
+
+const COMPACTION_PROMPT = `You maintain the working memory of an Adobe Experience Platform assistant.
+Merge the previous summary and the new conversation turns into one concise summary (max 200 words).
+Keep: what the user is investigating, specific ids/names (batches, datasets, schemas, segments, sandboxes), findings, decisions and open questions.
+Drop: greetings, formatting and anything already resolved and irrelevant. Reply with the summary only.`;
+
+/**
+ * Convert stored chat messages into { role, content } turns
+ */
+function toTurns(messages) {
+    return (messages || [])
+        .filter(m => (m.role === 'user' || m.role === 'assistant') && typeof m.content === 'string' && m.content)
+        .filter(m => !m.isPending && !m.isError)
+        .map(m => ({ role: m.role, content: clip(m.content) }));
+}
+
+function clip(content) {
+    return content.length > MAX_TURN_CHARS ? content.substring(0, MAX_TURN_CHARS) + '...' : content;
+}
+
+/**
+ * Get (or load from storage) the session for a conversation
+ */
+function getSession(conversationId) {
+    let session = sessions.get(conversationId);
+    if (session) {
+        // Refresh LRU position
+        sessions.delete(conversationId);
+        sessions.set(conversationId, session);
+        return session;
+    }
+
+    // Resumed conversation: rebuild from the stored transcript and summary
+    const stored = chatService.getConversation(conversationId);
+    const agentState = stored?.agentState || {};
+    const turns = toTurns(stored?.messages);
+    const summarizedTurns = Math.min(agentState.summarizedTurns || 0, turns.length);
+
+    session = {
+        summary: agentState.summary || null,
+        summarizedTurns,
+        turns: turns.slice(summarizedTurns),
+        // Not saved yet: the user who started it, until the UI stores the conversation
+        owner: stored ? stored.owner || null : getCurrentUser()?.username || null,
+        compacting: null
+    };
+    if (stored) {
+        console.log(`[Memory] Resumed ${conversationId}: ${turns.length} turns${session.summary ? ', with summary' : ''}`);
+    }
+
+    sessions.set(conversationId, session);
+    if (sessions.size > MAX_SESSIONS) {
+        sessions.delete(sessions.keys().next().value);
+    }
+    return session;
+}
+
+/**
+ * Fold the oldest turns into the running summary
+ */
+async function compact(conversationId, session) {
+    const older = session.turns.slice(0, -KEEP_RECENT_TURNS);
+    if (older.length === 0) return;
+
+    const transcript = older.map(t => `${t.role.toUpperCase()}: ${t.content}`).join('\n\n');
+    let summary;
+
+    if (llm.isAvailable()) {
+        try {
+            const response = await llm.chatCompletion([
+                { role: 'system', content: COMPACTION_PROMPT },
+                { role: 'user', content: `PREVIOUS SUMMARY:\n${session.summary || '(none)'}\n\nNEW TURNS:\n${transcript}` }
+            ], null, { temperature: 0.2, maxTokens: 512, purpose: 'memory', conversationId });
+            summary = llm.getContent(response).trim();
+        } catch (error) {
+            console.warn(`[Memory] Compaction failed for ${conversationId}:`, error.message);
+        }
+    }
+
+    // No LLM (or it failed): keep the user's earlier questions as the summary
+    if (!summary) {
+        const questions = older.filter(t => t.role === 'user').map(t => `- ${t.content.substring(0, 150)}`);
+        summary = [session.summary, ...questions].filter(Boolean).join('\n');
+    }
+
+    session.summary = summary;
+    session.summarizedTurns += older.length;
+    session.turns = session.turns.slice(older.length);
+
+    chatService.saveAgentState(conversationId, {
+        summary: session.summary,
+        summarizedTurns: session.summarizedTurns,
+        updatedAt: new Date().toISOString()
+    });
+    console.log(`[Memory] Compacted ${older.length} turns of ${conversationId}`);
+}
+
+/**
+ * Messages to put before the new user message: running summary + recent turns
+ */
+export async function getContextMessages(conversationId) {
+    const session = getSession(conversationId);
+
+    if (session.compacting) await session.compacting;
+    if (session.turns.length > COMPACT_AFTER_TURNS) {
+        session.compacting = compact(conversationId, session).finally(() => {
+            session.compacting = null;
+        });
+        await session.compacting;
+    }
+
+    const messages = [];
+    if (session.summary) {
+        messages.push({ role: 'system', content: `Summary of the earlier conversation:\n${session.summary}` });
+    }
+    return [...messages, ...session.turns];
+}
+
+/**
+ * Record turns of a conversation ({ role, content })
+ */
+export function appendTurns(conversationId, turns) {
+    const session = getSession(conversationId);
+    session.turns.push(...toTurns(turns));
+}
+
+/**
+ * Snapshot of a conversation's working memory
+ */
+export function getMemory(conversationId) {
+    const session = getSession(conversationId);
+    return {
+        conversationId,
+        summary: session.summary,
+        summarizedTurns: session.summarizedTurns,
+        turns: session.turns
+    };
+}
+
+/**
+ * Forget a conversation's working memory (the stored transcript is kept)
+ */
+export function clearMemory(conversationId) {
+    // Mark every stored turn as forgotten so a reload does not bring them back
+    const stored = chatService.getConversation(conversationId);
+    const agentState = {
+        summary: null,
+        summarizedTurns: toTurns(stored?.messages).length,
+        updatedAt: new Date().toISOString()
+    };
+    const owner = sessions.get(conversationId)?.owner ?? stored?.owner ?? null;
+    sessions.set(conversationId, { summary: null, summarizedTurns: agentState.summarizedTurns, turns: [], owner, compacting: null });
+    chatService.saveAgentState(conversationId, agentState);
+}
+
+/**
+ * Whether a session is open for a conversation and who started it ({ owner } or null)
+ */
+export function getSessionOwner(conversationId) {
+    const session = sessions.get(conversationId);
+    return session ? { owner: session.owner } : null;
+}
+
+/**
+ * Drop a deleted conversation's session
+ */
+export function dropMemory(conversationId) {
+    sessions.delete(conversationId);
+}
+
+/**
+ * Forget all sessions
+ */
+export function clearAllMemory() {
+    sessions.clear();
+}
@@ -0,0 +1,131 @@
+/**
+ * Page Context
+ * What the user has open in the UI, sent by the Copilot panel with each message: the route,
+ * the selected entity ({ type, id, name, related }), active filters and the sandbox.
+ * It lets the agent resolve "this batch" or "why did it fail?" without the user pasting IDs.
+ *
+ * The context comes from the client, so it is size-limited here and its text is scanned
+ * like tool output before it reaches the prompt.
+ */
+import * as guard from './guard.service.js';
+import { getSandboxName } from '../config/config.js';
+
+// Entity type -> tool parameter that takes its id (null: no tool takes it directly) and prompt label
+const ENTITY_TYPES = {
+    batch: { param: 'batchId', label: 'batch' },
+    dataset: { param: 'datasetId', label: 'dataset' },
+    segment: { param: 'segmentId', label: 'segment' },
+    schema: { param: 'schemaId', label: 'schema' },
+    fieldGroup: { param: null, label: 'field group' },
+    flow: { param: 'flowId', label: 'dataflow' },
+    flowRun: { param: null, label: 'dataflow run' },
+    connection: { param: null, label: 'connection' }
+};
+
+// Ids of other objects an entity points at (a batch's dataset, a run's flow)
+const RELATED_PARAMS = new Set(['batchId', 'datasetId', 'segmentId', 'schemaId', 'flowId']);
+
+const MAX_TEXT = 200;
+const MAX_ID = 300;
+const MAX_FILTERS = 10;
+
+function text(value, max = MAX_TEXT) {
+    if (typeof value !== 'string' && typeof value !== 'number' && typeof value !== 'boolean') return null;
+    const cleaned = String(value).replace(/\s+/g, ' ').trim();
+    return cleaned ? cleaned.slice(0, max) : null;
+}
+
+function id(value) {
+    const cleaned = text(value, MAX_ID);
+    return cleaned && !/\s/.test(cleaned) ? cleaned : null;
+}
+
+function normalizeEntity(entity) {
+    if (!entity || typeof entity !== 'object' || !ENTITY_TYPES[entity.type]) return null;
+    const entityId = id(entity.id);
+    if (!entityId) return null;
+
+    const related = {};
+    for (const [param, value] of Object.entries(entity.related || {})) {
+        if (RELATED_PARAMS.has(param) && id(value)) related[param] = id(value);
+    }
+    return { type: entity.type, id: entityId, name: text(entity.name), related };
+}
+
+/**
+ * Validated page context from a request body, or null.
+ * An entity open in a different sandbox than the request's is dropped.
+ * findings lists the text that reads like instructions (see guard.inspectToolResult).
+ */
+export function normalizePageContext(input) {
+    if (!input || typeof input !== 'object') return null;
+
+    const sandbox = text(input.sandbox);
+    const sameSandbox = !sandbox || sandbox === getSandboxName();
+    const filters = Object.fromEntries(Object.entries(input.filters && typeof input.filters === 'object' ? input.filters : {})
+        .map(([key, value]) => [text(key, 50), text(value, 100)])
+        .filter(([key, value]) => key && value)
+        .slice(0, MAX_FILTERS));
+
+    const entity = sameSandbox ? normalizeEntity(input.entity) : null;
+    const route = text(input.route || input.path);
+    const page = text(input.page, 100);
+    if (!route && !page && !entity) return null;
+
+    // Route, page, names and filters are data from the page: mark anything that reads like
+    // instructions (ids have no spaces and go to tools as they are)
+    const { data: scanned, findings } = guard.inspectToolResult({ route, page, name: entity?.name ?? null, filters: sameSandbox ? filters : {} });
+    return {
+        route: scanned.route,
+        page: scanned.page,
+        sandbox,
+        entity: entity ? { ...entity, name: scanned.name } : null,
+        filters: scanned.filters,
+        findings
+    };
+}
+
+/**
+ * Tool arguments the page supplies: the entity's own id plus the ids it points at
+ */
+export function idArguments(context) {
+    const entity = context?.entity;
+    if (!entity) return {};
+    const param = ENTITY_TYPES[entity.type].param;
+    return { ...entity.related, ...(param ? { [param]: entity.id } : {}) };
+}
+
+/**
+ * Word for the open entity's kind ("batch"), used to read messages that name nothing
+ */
+export function entityNoun(context) {
+    const type = context?.entity?.type;
+    if (!type) return null;
+    return type === 'flowRun' ? 'flow run' : ENTITY_TYPES[type].label;
+}
+
+/**
+ * System prompt section describing the page ('' without a context)
+ */
+export function buildPromptSection(context) {
+    if (!context) return '';
+
+    const lines = [];
+    if (context.page || context.route) {
+        lines.push(`- Page: ${[context.page, context.route && `(${context.route})`].filter(Boolean).join(' ')}`);
+    }
+    if (context.entity) {
+        const { type, id: entityId, name, related } = context.entity;
+        const relatedText = Object.entries(related).map(([param, value]) => `${param}: ${value}`).join(', ');
+        lines.push(`- Selected ${ENTITY_TYPES[type].label}: ${entityId}${name ? ` "${name}"` : ''}${relatedText ? ` (${relatedText})` : ''}`);
+    }
+    const filters = Object.entries(context.filters || {});
+    if (filters.length > 0) {
+        lines.push(`- Filters: ${filters.map(([key, value]) => `${key}=${value}`).join(', ')}`);
+    }
+
+    return `
+CURRENT PAGE (what the user has open in the UI; "this", "it" or "the selected ..." refer to it unless the user names something else, and its ids can be passed to tools directly):
+${lines.join('\n')}
+`;
+}
@@ -0,0 +1,350 @@
+/**
+ * PQL Generation Service
+ * Turns a natural language audience description into a Profile Query Language
+ * expression grounded in the sandbox's union profile schema:
+ * 1. pick candidate fields from getUnionProfileSchemaForPQL(), glossary terms first
+ * 2. generate the expression (LLM, or a single-field heuristic without one)
+ * 3. check every field path exists and is compared against a compatible value
+ * 4. run a segment preview + estimate to get the audience size
+ */
+import * as llm from './llm.service.js';
+import * as glossary from './glossary.service.js';
+import * as schemaService from '../services/schema.service.js';
+import * as segmentService from '../services/segment.service.js';
+
+// Fields offered to the model; the union schema can have thousands
+const MAX_CANDIDATE_FIELDS = 60;
+
+// Estimate polling (estimates are computed asynchronously after the preview)
+const ESTIMATE_POLL_ATTEMPTS = 5;
+const ESTIMATE_POLL_INTERVAL_MS = 1500;
+
+// Roots that are PQL built-ins rather than profile fields
+const PQL_ROOTS = new Set(['xEvent', 'occurs', 'now', 'today', 'date', 'true', 'false', 'null']);
+
+const STOP_WORDS = new Set(['the', 'a', 'an', 'of', 'in', 'on', 'who', 'with', 'have', 'has', 'that', 'and', 'or',
+    'for', 'to', 'is', 'are', 'users', 'profiles', 'people', 'customers', 'all', 'last', 'days', 'their']);
+
+const PQL_PROMPT = `You write Adobe Experience Platform segment definitions in PQL (Profile Query Language).
+Rules:
+- Output only the condition, e.g. homeAddress.countryCode = "US" and person.birthDate.getYear() < 1990
+- Use ONLY field paths from the FIELDS list, exactly as written
+- Strings in double quotes; compare numbers without quotes; booleans as true/false
+- Null checks: field.isNotNull() / field.isNull(); lists: field in ["a", "b"]
+- Relative dates: field occurs <= 30 days before now
+- GLOSSARY entries are the team's definitions of words in the audience: use their field and value
+Reply with JSON only: {"pql": "...", "explanation": "one sentence"}`;
+
+/**
+ * Lowercase word tokens from text or a camelCase / dotted field path
+ */
+function tokenize(text) {
+    return (text || '')
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(t => t.length > 1 && !STOP_WORDS.has(t));
+}
+
+/**
+ * Rank profile fields by word overlap with the description
+ */
+function selectCandidateFields(fields, description) {
+    const words = new Set(tokenize(description));
+    const scored = fields
+        .filter(f => f.type !== 'object')
+        .map(f => {
+            const fieldTokens = new Set([...tokenize(f.path), ...tokenize(f.title)]);
+            let score = 0;
+            for (const w of words) {
+                if (fieldTokens.has(w)) score += 2;
+                else if ([...fieldTokens].some(t => t.startsWith(w) || w.startsWith(t))) score += 1;
+            }
+            return { field: f, score };
+        })
+        .filter(s => s.score > 0)
+        .sort((a, b) => b.score - a.score || a.field.path.length - b.field.path.length);
+
+    return scored.slice(0, MAX_CANDIDATE_FIELDS).map(s => s.field);
+}
+
+/**
+ * Remove xEvent[...] / xEvent.any(...) bodies: they reference ExperienceEvent fields
+ */
+function stripEventConditions(pql) {
+    return pql.replace(/xEvent(?:\s*\[[^\]]*\]|\.\w+\s*\([^)]*\))*/g, 'xEvent');
+}
+
+/**
+ * Field paths referenced in a PQL expression (string literals and function names removed).
+ * Single words only count when compared (loyaltyTier = "gold"), so keywords like
+ * "and" or "days before now" are never mistaken for fields.
+ */
+function extractFieldPaths(pql) {
+    const withoutStrings = stripEventConditions(pql.replace(/"(?:[^"\\]|\\.)*"/g, '""'));
+    const paths = new Set();
+    const pattern = /\b([A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*)(\s*\()?(?=(\s*(?:=|!=|<|>|in\b))?)/g;
+    let match;
+
+    while ((match = pattern.exec(withoutStrings)) !== null) {
+        let parts = match[1].split('.');
+
+        // person.birthDate.getYear( -> person.birthDate
+        if (match[2]) parts = parts.slice(0, -1);
+        if (parts.length === 0 || PQL_ROOTS.has(parts[0])) continue;
+        if (parts.length === 1 && !match[3]) continue;
+        paths.add(parts.join('.'));
+    }
+    return [...paths];
+}
+
+/**
+ * Types of literals a field is compared with, e.g. path = "x" -> ['string']
+ */
+function comparedLiteralTypes(pql, fieldPath) {
+    const escaped = fieldPath.replace(/\./g, '\\.');
+    const pattern = new RegExp(`\\b${escaped}\\s*(=|!=|<=|>=|<|>|in)\\s*(\\[?\\s*("|-?\\d|true\\b|false\\b))`, 'g');
+    const types = [];
+    let match;
+    while ((match = pattern.exec(pql)) !== null) {
+        const first = match[3];
+        if (first === '"') types.push('string');
+        else if (first === 'true' || first === 'false') types.push('boolean');
+        else types.push('number');
+    }
+    return types;
+}
+
+function isCompatible(fieldType, literalType) {
+    if (literalType === 'number') return fieldType === 'number' || fieldType === 'integer';
+    if (literalType === 'boolean') return fieldType === 'boolean';
+    // Dates and date-times are strings in XDM
+    return fieldType === 'string';
+}
+
+/**
+ * Check every field path exists in the union profile schema with a compatible type
+ */
+export function validatePql(pql, fields) {
+    const byPath = new Map(fields.map(f => [f.path, f]));
+    const issues = [];
+    const referenced = [];
+
+    for (const path of extractFieldPaths(pql)) {
+        const field = byPath.get(path);
+        if (!field) {
+            issues.push(`Field "${path}" does not exist in the union profile schema`);
+            referenced.push({ path, exists: false });
+            continue;
+        }
+
+        referenced.push({ path, type: field.type, exists: true });
+        if (field.type === 'object') {
+            issues.push(`Field "${path}" is an object; compare one of its sub-fields instead`);
+            continue;
+        }
+        for (const literalType of comparedLiteralTypes(pql, path)) {
+            if (!isCompatible(field.type, literalType)) {
+                issues.push(`Field "${path}" is ${field.type} but is compared with a ${literalType}`);
+            }
+        }
+    }
+
+    const warnings = [];
+    if (/\bxEvent\b/.test(pql)) {
+        warnings.push('Experience event conditions (xEvent) are not checked against the profile schema');
+    } else if (referenced.length === 0) {
+        issues.push('Expression does not reference any profile field');
+    }
+
+    return { valid: issues.length === 0, issues, warnings, fields: referenced };
+}
+
+/**
+ * Ask the LLM for a PQL expression over the candidate fields
+ * (previous attempt + validation issues are fed back on retries)
+ */
+async function generateWithLLM(description, candidates, terms, previous = null) {
+    const fieldList = candidates.map(f => `${f.path} (${f.type})${f.title && f.title !== f.path ? ` - ${f.title}` : ''}`).join('\n');
+    const glossarySection = terms.length > 0 ? `\n\nGLOSSARY:\n${glossary.formatTerms(terms)}` : '';
+    const messages = [
+        { role: 'system', content: PQL_PROMPT },
+        { role: 'user', content: `AUDIENCE: ${description}\n\nFIELDS:\n${fieldList}${glossarySection}` }
+    ];
+    if (previous) {
+        messages.push({ role: 'assistant', content: JSON.stringify({ pql: previous.pql }) });
+        messages.push({ role: 'user', content: `That expression is invalid:\n- ${previous.issues.join('\n- ')}\nFix it using only the FIELDS list.` });
+    }
+
+    const response = await llm.chatCompletion(messages, null, { temperature: 0.1, maxTokens: 512, purpose: 'pql' });
+    const content = llm.getContent(response);
+    const json = content.match(/\{[\s\S]*\}/)?.[0];
+    if (!json) return { pql: content.trim().replace(/^`+|`+$/g, ''), explanation: null };
+
+    try {
+        const parsed = JSON.parse(json);
+        return { pql: (parsed.pql || '').trim(), explanation: parsed.explanation || null };
+    } catch {
+        return { pql: json.match(/"pql"\s*:\s*"((?:[^"\\]|\\.)*)"/)?.[1]?.replace(/\\"/g, '"') || null, explanation: null };
+    }
+}
+
+/**
+ * PQL literal for a glossary value, typed by the field
+ */
+function pqlLiteral(field, value) {
+    if ((field.type === 'number' || field.type === 'integer') && !isNaN(Number(value))) return value;
+    if (field.type === 'boolean' && (value === 'true' || value === 'false')) return value;
+    return `"${value.replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Without an LLM: glossary terms with a value become conditions; otherwise
+ * build a simple condition on the best-matching field
+ */
+function generateHeuristic(description, candidates, terms, fields) {
+    const conditions = terms
+        .filter(term => term.value)
+        .map(term => ({ term, field: fields.find(f => f.path === term.xdmPath) }))
+        .filter(({ field }) => field)
+        .map(({ term, field }) => ({ term, pql: `${field.path} = ${pqlLiteral(field, term.value)}` }));
+    if (conditions.length > 0) {
+        return {
+            pql: conditions.map(c => c.pql).join(' and '),
+            explanation: `Used the glossary definition of ${conditions.map(c => `"${c.term.term}"`).join(', ')}`
+        };
+    }
+
+    const field = candidates[0];
+    if (!field) return { pql: null, explanation: null };
+
+    // Quoted value in the description, e.g. loyalty tier "gold"
+    const quoted = description.match(/"([^"]+)"|'([^']+)'/);
+    const value = quoted?.[1] || quoted?.[2];
+    const number = description.match(/(?:over|above|more than|greater than|>)\s*(\d+(?:\.\d+)?)/i)?.[1];
+
+    let pql;
+    if (value && field.type === 'string') pql = `${field.path} = "${value}"`;
+    else if (number && (field.type === 'number' || field.type === 'integer')) pql = `${field.path} > ${number}`;
+    else if (field.type === 'boolean') pql = `${field.path} = true`;
+    else pql = `${field.path}.isNotNull()`;
+
+    return { pql, explanation: `Matched "${field.title || field.path}" from the union profile schema` };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run a segment preview for the expression and poll its estimate
+ */
+async function estimateAudience(pql) {
+    const preview = await segmentService.createPreview({
+        predicateExpression: pql,
+        predicateType: 'pql/text',
+        predicateModel: '_xdm.context.profile',
+        graphType: 'none'
+    });
+    const previewId = preview?.previewId;
+    if (!previewId) {
+        return { state: preview?.state || 'UNKNOWN', error: 'Preview did not return an id' };
+    }
+
+    try {
+        let estimate = null;
+        for (let attempt = 0; attempt < ESTIMATE_POLL_ATTEMPTS; attempt++) {
+            estimate = await segmentService.getSegmentEstimate(previewId);
+            if (estimate?.state === 'RESULT_READY' || estimate?.state === 'FAILED') break;
+            await sleep(ESTIMATE_POLL_INTERVAL_MS);
+        }
+
+        return {
+            previewId,
+            state: estimate?.state || 'UNKNOWN',
+            estimatedSize: estimate?.estimatedSize ?? null,
+            confidenceInterval: estimate?.confidenceInterval || null,
+            profilesReadSoFar: estimate?.profilesReadSoFar ?? null
+        };
+    } finally {
+        // Previews are temporary jobs; don't leave them behind
+        segmentService.deletePreview(previewId).catch(() => { });
+    }
+}
+
+/**
+ * Generate, validate and size a PQL expression for an audience description
+ */
+export async function generatePql(description, { estimate = true } = {}) {
+    const schema = await schemaService.getUnionProfileSchemaForPQL();
+    const fields = schema.fields || [];
+
+    if (fields.length === 0) {
+        return {
+            description,
+            pql: null,
+            valid: false,
+            issues: [`Union profile schema is not available${schema.error ? `: ${schema.error}` : ''}`]
+        };
+    }
+
+    // Fields the glossary maps the description's words to lead the pool
+    const terms = glossary.matchTerms(description);
+    const termFields = terms
+        .map(term => fields.find(f => f.path === term.xdmPath))
+        .filter((f, i, all) => f && all.indexOf(f) === i);
+    const candidates = [...termFields, ...selectCandidateFields(fields, description).filter(f => !termFields.includes(f))]
+        .slice(0, MAX_CANDIDATE_FIELDS);
+    const pool = candidates.length > 0 ? candidates : (schema.commonAttributes || []).filter(f => f.type !== 'object');
+    let useLLM = llm.isAvailable();
+    let generated;
+
+    try {
+        generated = useLLM ? await generateWithLLM(description, pool, terms) : generateHeuristic(description, pool, terms, fields);
+    } catch (error) {
+        console.error('[PQL] LLM generation failed, using heuristic:', error.message);
+        useLLM = false;
+        generated = generateHeuristic(description, pool, terms, fields);
+    }
+    let validation = generated.pql ? validatePql(generated.pql, fields) : { valid: false, issues: ['No matching profile fields found'], warnings: [], fields: [] };
+
+    // One repair round: feed the validation issues back to the model
+    if (!validation.valid && useLLM && generated.pql) {
+        try {
+            const repaired = await generateWithLLM(description, pool, terms, { pql: generated.pql, issues: validation.issues });
+            if (repaired.pql) {
+                generated = repaired;
+                validation = validatePql(repaired.pql, fields);
+            }
+        } catch (error) {
+            console.error('[PQL] Repair attempt failed:', error.message);
+        }
+    }
+
+    const result = {
+        description,
+        pql: generated.pql,
+        valid: validation.valid,
+        issues: validation.issues,
+        warnings: validation.warnings,
+        fields: validation.fields,
+        explanation: generated.explanation,
+        generatedBy: useLLM ? 'llm' : 'heuristic',
+        sandbox: schema.sandbox,
+        candidateFields: pool.slice(0, 10).map(f => f.path),
+        glossaryTerms: terms.map(term => term.term)
+    };
+
+    if (validation.valid && estimate) {
+        try {
+            result.estimate = await estimateAudience(generated.pql);
+        } catch (error) {
+            // AEP rejecting the expression is a validation failure too
+            result.estimate = { state: 'FAILED', error: error.detail || error.message };
+            if (error.status === 400) {
+                result.valid = false;
+                result.issues = [...result.issues, `Segment preview rejected the expression: ${error.detail || error.message}`];
+            }
+        }
+    }
+
+    return result;
+}
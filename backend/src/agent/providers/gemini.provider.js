@@ -0,0 +1,259 @@
+/**
+ * Google Gemini LLM Provider
+ * Handles LLM interactions for the AI Agent using Google's Gemini API
+ * Selected with LLM_PROVIDER=gemini (default when GEMINI_API_KEY is set)
+ */
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// Gemini configuration from environment
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.0-flash';
+
+let genAI = null;
+let model = null;
+
+/**
+ * Initialize Gemini client
+ */
+function initClient() {
+    if (!genAI && GEMINI_API_KEY) {
+        genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
+        model = genAI.getGenerativeModel({
+            model: GEMINI_MODEL,
+            generationConfig: {
+                temperature: 0.7,
+                topP: 0.95,
+                maxOutputTokens: 4096
+            }
+        });
+    }
+    return model;
+}
+
+/**
+ * Check if Gemini is configured
+ */
+export function isConfigured() {
+    return Boolean(GEMINI_API_KEY);
+}
+
+/**
+ * Convert tools to Gemini function declarations format
+ */
+function convertToolsToGeminiFunctions(tools) {
+    if (!tools || tools.length === 0) return null;
+
+    return tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+    }));
+}
+
+/**
+ * Parse a tool result message back into an object for functionResponse
+ */
+function parseToolContent(content) {
+    try {
+        const parsed = JSON.parse(content);
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : { result: parsed };
+    } catch {
+        return { result: content };
+    }
+}
+
+/**
+ * Convert one OpenAI-style message to a Gemini content turn
+ * (assistant tool calls -> functionCall parts, tool results -> functionResponse parts)
+ */
+function toGeminiContent(msg) {
+    if (msg.role === 'tool') {
+        return {
+            role: 'function',
+            parts: [{ functionResponse: { name: msg.name, response: parseToolContent(msg.content) } }]
+        };
+    }
+
+    if (msg.role === 'assistant') {
+        const parts = msg.content ? [{ text: msg.content }] : [];
+        for (const tc of msg.tool_calls || []) {
+            parts.push({
+                functionCall: {
+                    name: tc.function.name,
+                    args: typeof tc.function.arguments === 'string'
+                        ? JSON.parse(tc.function.arguments || '{}')
+                        : tc.function.arguments
+                }
+            });
+        }
+        return { role: 'model', parts };
+    }
+
+    return { role: 'user', parts: [{ text: msg.content }] };
+}
+
+/**
+ * Build chat history for Gemini
+ * IMPORTANT: Gemini requires first message to be from 'user' role
+ */
+function buildHistory(messages) {
+    const history = [];
+    let systemPrompt = '';
+
+    for (const msg of messages) {
+        if (msg.role === 'system') {
+            // Gemini takes one system instruction: join them (e.g. prompt + conversation summary)
+            systemPrompt = systemPrompt ? `${systemPrompt}\n\n${msg.content}` : msg.content;
+            continue;
+        }
+
+        const content = toGeminiContent(msg);
+        if (content.parts.length === 0) continue;
+
+        // Gemini is strict about alternating turns: merge consecutive turns of the
+        // same role (e.g. several function responses after one multi-call turn)
+        const last = history[history.length - 1];
+        if (last && last.role === content.role) {
+            last.parts.push(...content.parts);
+        } else {
+            history.push(content);
+        }
+    }
+
+    // Gemini requires history to start with 'user' role
+    // Remove any leading 'model' messages
+    while (history.length > 0 && history[0].role !== 'user') {
+        history.shift();
+    }
+
+    return { history, systemPrompt };
+}
+
+/**
+ * Send a chat completion request to Gemini
+ */
+export async function chatCompletion(messages, tools = null, options = {}) {
+    if (!isConfigured()) {
+        throw new Error('Gemini not configured. Please set GEMINI_API_KEY in .env');
+    }
+
+    try {
+        const client = initClient();
+        // The last turn (user text or function responses) is sent, the rest is history
+        const { history, systemPrompt } = buildHistory(messages);
+        const lastTurn = history.pop();
+
+        // Create model with tools if provided
+        let chatModel = client;
+        if (tools && tools.length > 0) {
+            const functionDeclarations = convertToolsToGeminiFunctions(tools);
+            chatModel = genAI.getGenerativeModel({
+                model: GEMINI_MODEL,
+                tools: [{ functionDeclarations }],
+                generationConfig: {
+                    temperature: options.temperature || 0.7,
+                    maxOutputTokens: options.maxTokens || 4096
+                }
+            });
+        }
+
+        // Start chat with history
+        // Note: systemInstruction can be a string or Content object depending on SDK version
+        const chatConfig = {
+            history: history.length > 0 ? history : undefined
+        };
+
+        // Add system instruction if present - try as string first (newer SDK versions)
+        if (systemPrompt) {
+            chatConfig.systemInstruction = {
+                role: 'user',
+                parts: [{ text: systemPrompt }]
+            };
+        }
+
+        const chat = chatModel.startChat(chatConfig);
+
+        // Send the last turn, streaming text chunks when the caller wants tokens
+        const requestOptions = options.signal ? { signal: options.signal } : {};
+        let response;
+        if (options.onToken) {
+            const result = await chat.sendMessageStream(lastTurn.parts, requestOptions);
+            for await (const chunk of result.stream) {
+                const text = chunkText(chunk);
+                if (text) options.onToken(text);
+            }
+            response = await result.response;
+        } else {
+            const result = await chat.sendMessage(lastTurn.parts, requestOptions);
+            response = result.response;
+        }
+
+        return {
+            choices: [{
+                message: {
+                    content: response.text(),
+                    tool_calls: extractFunctionCalls(response)
+                }
+            }],
+            usage: {
+                prompt_tokens: response.usageMetadata?.promptTokenCount || 0,
+                completion_tokens: response.usageMetadata?.candidatesTokenCount || 0
+            }
+        };
+    } catch (error) {
+        console.error('Gemini request failed:', error);
+        throw error;
+    }
+}
+
+/**
+ * Text of a streamed chunk (chunk.text() throws on function-call-only chunks)
+ */
+function chunkText(chunk) {
+    try {
+        return chunk.text();
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Extract function calls from Gemini response
+ */
+function extractFunctionCalls(response) {
+    const calls = [];
+
+    try {
+        const candidates = response.candidates || [];
+        for (const candidate of candidates) {
+            const parts = candidate.content?.parts || [];
+            for (const part of parts) {
+                if (part.functionCall) {
+                    calls.push({
+                        id: `call_${calls.length}`,
+                        type: 'function',
+                        function: {
+                            name: part.functionCall.name,
+                            arguments: JSON.stringify(part.functionCall.args || {})
+                        }
+                    });
+                }
+            }
+        }
+    } catch (e) {
+        // No function calls
+    }
+
+    return calls.length > 0 ? calls : null;
+}
+
+/**
+ * Get model info
+ */
+export function getModelInfo() {
+    return {
+        provider: 'Google Gemini',
+        model: GEMINI_MODEL,
+        configured: isConfigured()
+    };
+}
@@ -0,0 +1,158 @@
+/**
+ * Ollama LLM Provider
+ * Runs the copilot against a local model (no cloud access needed)
+ * Selected with LLM_PROVIDER=ollama; requires a tool-calling model, e.g. llama3.1 or qwen2.5
+ */
+import fetch from 'node-fetch';
+
+const OLLAMA_HOST = (process.env.OLLAMA_HOST || 'http://localhost:11434').replace(/\/$/, '');
+const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'llama3.1';
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || '120000', 10);
+
+/**
+ * Ollama has no credentials; selecting it is the configuration
+ */
+export function isConfigured() {
+    return process.env.LLM_PROVIDER === 'ollama' || Boolean(process.env.OLLAMA_HOST);
+}
+
+/**
+ * Convert OpenAI-style messages to Ollama /api/chat messages
+ * (Ollama expects tool call arguments as objects, not JSON strings)
+ */
+function convertMessages(messages) {
+    return messages.map(msg => {
+        if (!msg.tool_calls) return { role: msg.role, content: msg.content || '' };
+
+        return {
+            role: msg.role,
+            content: msg.content || '',
+            tool_calls: msg.tool_calls.map(tc => ({
+                function: {
+                    name: tc.function.name,
+                    arguments: typeof tc.function.arguments === 'string'
+                        ? JSON.parse(tc.function.arguments || '{}')
+                        : tc.function.arguments
+                }
+            }))
+        };
+    });
+}
+
+/**
+ * Read a streamed /api/chat response (one JSON object per line) into the
+ * same shape as a non-streamed one, calling onToken for each content chunk
+ */
+async function readStream(body, onToken) {
+    const result = { message: { content: '', tool_calls: [] } };
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            let data;
+            try {
+                data = JSON.parse(line);
+            } catch {
+                continue;
+            }
+            if (data.message?.content) {
+                result.message.content += data.message.content;
+                onToken(data.message.content);
+            }
+            if (data.message?.tool_calls) result.message.tool_calls.push(...data.message.tool_calls);
+            if (data.done) {
+                result.prompt_eval_count = data.prompt_eval_count;
+                result.eval_count = data.eval_count;
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Send a chat completion request to Ollama
+ */
+export async function chatCompletion(messages, tools = null, options = {}) {
+    const body = {
+        model: OLLAMA_MODEL,
+        messages: convertMessages(messages),
+        stream: Boolean(options.onToken),
+        options: {
+            temperature: options.temperature ?? 0.7,
+            num_predict: options.maxTokens || 4096
+        }
+    };
+
+    if (tools && tools.length > 0) {
+        body.tools = tools.map(tool => ({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.parameters || { type: 'object', properties: {} }
+            }
+        }));
+    }
+
+    const timeout = AbortSignal.timeout(LLM_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(`${OLLAMA_HOST}/api/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal: options.signal ? AbortSignal.any([options.signal, timeout]) : timeout
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Ollama request failed: ${response.status} - ${errorText}`);
+        }
+
+        const data = body.stream
+            ? await readStream(response.body, options.onToken)
+            : await response.json();
+        const toolCalls = (data.message?.tool_calls || []).map((tc, i) => ({
+            id: `call_${i}`,
+            type: 'function',
+            function: {
+                name: tc.function.name,
+                arguments: JSON.stringify(tc.function.arguments || {})
+            }
+        }));
+
+        return {
+            choices: [{
+                message: {
+                    content: data.message?.content || '',
+                    tool_calls: toolCalls.length > 0 ? toolCalls : null
+                }
+            }],
+            usage: {
+                prompt_tokens: data.prompt_eval_count || 0,
+                completion_tokens: data.eval_count || 0
+            }
+        };
+    } catch (error) {
+        console.error('Ollama request failed:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get model info
+ */
+export function getModelInfo() {
+    return {
+        provider: 'Ollama',
+        model: OLLAMA_MODEL,
+        host: OLLAMA_HOST,
+        configured: isConfigured()
+    };
+}
@@ -0,0 +1,200 @@
+/**
+ * OpenAI-compatible LLM Providers
+ * Chat Completions API with function calling, used for:
+ * - Azure OpenAI   (LLM_PROVIDER=azure, see setup-azure-openai.sh)
+ * - OpenAI or any compatible server, e.g. vLLM, LiteLLM, LM Studio (LLM_PROVIDER=openai)
+ */
+import fetch from 'node-fetch';
+
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || '60000', 10);
+
+/**
+ * Convert tools to Chat Completions "tools" format
+ */
+function convertTools(tools) {
+    if (!tools || tools.length === 0) return undefined;
+
+    return tools.map(tool => ({
+        type: 'function',
+        function: {
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters || { type: 'object', properties: {} }
+        }
+    }));
+}
+
+/**
+ * Keep only the fields Chat Completions accepts on each message
+ * (tool results carry an extra "name" used by other providers)
+ */
+function convertMessages(messages) {
+    return messages.map(msg => {
+        const converted = { role: msg.role, content: msg.content ?? '' };
+        if (msg.tool_calls) converted.tool_calls = msg.tool_calls;
+        if (msg.tool_call_id) converted.tool_call_id = msg.tool_call_id;
+        return converted;
+    });
+}
+
+/**
+ * Read a streamed (stream: true) Chat Completions response, calling onToken
+ * for each content delta and reassembling tool call fragments by index
+ */
+async function readStream(body, onToken) {
+    let content = '';
+    let usage;
+    const toolCalls = [];
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) continue;
+            const payload = trimmed.slice(5).trim();
+            if (payload === '[DONE]') continue;
+
+            // Keep-alives and malformed lines carry nothing usable
+            let data;
+            try {
+                data = JSON.parse(payload);
+            } catch {
+                continue;
+            }
+            if (data.usage) usage = data.usage;
+            const delta = data.choices?.[0]?.delta;
+            if (!delta) continue;
+
+            if (delta.content) {
+                content += delta.content;
+                onToken(delta.content);
+            }
+            for (const tc of delta.tool_calls || []) {
+                const call = toolCalls[tc.index] ||= { id: tc.id, type: 'function', function: { name: '', arguments: '' } };
+                if (tc.id) call.id = tc.id;
+                if (tc.function?.name) call.function.name += tc.function.name;
+                if (tc.function?.arguments) call.function.arguments += tc.function.arguments;
+            }
+        }
+    }
+
+    return { message: { content, tool_calls: toolCalls.filter(Boolean) }, usage };
+}
+
+/**
+ * Create a provider for an OpenAI-compatible endpoint
+ */
+function createProvider({ label, model, displayModel, getUrl, getHeaders, isConfigured, streamUsage = true }) {
+    async function chatCompletion(messages, tools = null, options = {}) {
+        if (!isConfigured()) {
+            throw new Error(`${label} not configured. Please check your .env settings`);
+        }
+
+        const body = {
+            messages: convertMessages(messages),
+            temperature: options.temperature ?? 0.7,
+            max_tokens: options.maxTokens || 4096
+        };
+        if (model) body.model = model;
+        if (options.onToken) {
+            body.stream = true;
+            // Token counts arrive in a final chunk only when asked for
+            if (streamUsage) body.stream_options = { include_usage: true };
+        }
+
+        const openAITools = convertTools(tools);
+        if (openAITools) {
+            body.tools = openAITools;
+            body.tool_choice = 'auto';
+        }
+
+        const timeout = AbortSignal.timeout(LLM_TIMEOUT_MS);
+
+        try {
+            const response = await fetch(getUrl(), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...getHeaders()
+                },
+                body: JSON.stringify(body),
+                signal: options.signal ? AbortSignal.any([options.signal, timeout]) : timeout
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`${label} request failed: ${response.status} - ${errorText}`);
+            }
+
+            let message;
+            let usage;
+            if (body.stream) {
+                ({ message, usage } = await readStream(response.body, options.onToken));
+            } else {
+                const data = await response.json();
+                message = data.choices?.[0]?.message || {};
+                usage = data.usage;
+            }
+
+            return {
+                choices: [{
+                    message: {
+                        content: message.content || '',
+                        tool_calls: message.tool_calls?.length > 0 ? message.tool_calls : null
+                    }
+                }],
+                usage
+            };
+        } catch (error) {
+            console.error(`${label} request failed:`, error.message);
+            throw error;
+        }
+    }
+
+    return {
+        isConfigured,
+        chatCompletion,
+        getModelInfo: () => ({
+            provider: label,
+            model: model || displayModel,
+            configured: isConfigured()
+        })
+    };
+}
+
+// ===== AZURE OPENAI =====
+const AZURE_ENDPOINT = (process.env.AZURE_OPENAI_ENDPOINT || '').replace(/\/$/, '');
+const AZURE_API_KEY = process.env.AZURE_OPENAI_API_KEY;
+const AZURE_DEPLOYMENT = process.env.AZURE_OPENAI_DEPLOYMENT;
+const AZURE_API_VERSION = process.env.AZURE_OPENAI_API_VERSION || '2024-10-21';
+// Older api-versions reject stream_options (streamed calls then record no token counts)
+const AZURE_STREAM_USAGE_SINCE = '2024-09-01';
+
+export const azureProvider = createProvider({
+    label: 'Azure OpenAI',
+    // Azure picks the model from the deployment in the URL
+    model: null,
+    displayModel: AZURE_DEPLOYMENT,
+    getUrl: () => `${AZURE_ENDPOINT}/openai/deployments/${AZURE_DEPLOYMENT}/chat/completions?api-version=${AZURE_API_VERSION}`,
+    getHeaders: () => ({ 'api-key': AZURE_API_KEY }),
+    isConfigured: () => Boolean(AZURE_ENDPOINT && AZURE_API_KEY && AZURE_DEPLOYMENT),
+    streamUsage: AZURE_API_VERSION >= AZURE_STREAM_USAGE_SINCE
+});
+
+// ===== OPENAI / OPENAI-COMPATIBLE =====
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+
+export const openAIProvider = createProvider({
+    label: 'OpenAI',
+    model: OPENAI_MODEL,
+    getUrl: () => `${OPENAI_BASE_URL}/chat/completions`,
+    getHeaders: () => (OPENAI_API_KEY ? { 'Authorization': `Bearer ${OPENAI_API_KEY}` } : {}),
+    // Self-hosted compatible servers often need no key, only a base URL
+    isConfigured: () => Boolean(OPENAI_API_KEY || process.env.OPENAI_BASE_URL)
+});
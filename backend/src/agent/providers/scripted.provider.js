@@ -0,0 +1,153 @@
+/**
+ * Scripted LLM Provider
+ * Deterministic stand-in for a model, used by the offline agent evaluations
+ * (scripts/run_agent_evals.js). Each user prompt maps to a list of turns:
+ * tool calls to make, then a final answer. No network access.
+ *
+ * Selected with LLM_PROVIDER=scripted; scripts are loaded from SCRIPTED_LLM_FILE
+ * (an eval cases file) or registered with setScripts().
+ */
+import fs from 'fs';
+import { unwrapToolOutput } from '../guard.service.js';
+
+const SCRIPT_FILE = process.env.SCRIPTED_LLM_FILE;
+
+// prompt -> [{ toolCalls: [{ name, arguments }] } | { content } | { error }]
+let scripts = new Map();
+
+/**
+ * Register scripted turns from eval cases ({ prompt, script }[])
+ */
+export function setScripts(cases) {
+    scripts = new Map(cases.filter(c => c.prompt && Array.isArray(c.script)).map(c => [normalizePrompt(c.prompt), c.script]));
+}
+
+function normalizePrompt(prompt) {
+    return String(prompt).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+if (SCRIPT_FILE) {
+    try {
+        const suite = JSON.parse(fs.readFileSync(SCRIPT_FILE, 'utf8'));
+        setScripts(Array.isArray(suite) ? suite : suite.cases || []);
+    } catch (error) {
+        console.warn(`[LLM] Could not load scripted responses from ${SCRIPT_FILE}: ${error.message}`);
+    }
+}
+
+/**
+ * Selecting the provider is the configuration
+ */
+export function isConfigured() {
+    return process.env.LLM_PROVIDER === 'scripted';
+}
+
+/**
+ * Read a dotted path ("batches.0.id") from a value; "$keys" lists an
+ * object's keys (catalog results are maps keyed by id)
+ */
+function readPath(value, path) {
+    return path.split('.').reduce((current, key) => {
+        if (current == null) return undefined;
+        return key === '$keys' ? Object.keys(current) : current[key];
+    }, value);
+}
+
+/**
+ * Resolve "{{tool_name.path}}" placeholders against the latest result of that
+ * tool in the conversation, so scripts can chain calls like a model would
+ */
+function resolveArguments(args, toolResults) {
+    if (typeof args === 'string') {
+        const match = /^\{\{\s*([\w-]+)\.([^}\s]+)\s*\}\}$/.exec(args);
+        if (!match) return args;
+        return readPath(toolResults[match[1]], match[2]) ?? null;
+    }
+    if (Array.isArray(args)) return args.map(item => resolveArguments(item, toolResults));
+    if (args && typeof args === 'object') {
+        return Object.fromEntries(Object.entries(args).map(([key, value]) => [key, resolveArguments(value, toolResults)]));
+    }
+    return args;
+}
+
+function parseToolContent(content) {
+    try {
+        return JSON.parse(unwrapToolOutput(content));
+    } catch {
+        return undefined; // truncated results can't be chained
+    }
+}
+
+function textResponse(content) {
+    return {
+        choices: [{ message: { role: 'assistant', content } }],
+        usage: { prompt_tokens: 0, completion_tokens: 0 }
+    };
+}
+
+/**
+ * Play the next scripted turn for the latest user prompt.
+ * The turn index is the number of assistant tool-call turns since that prompt.
+ */
+export async function chatCompletion(messages, tools = null, options = {}) {
+    const lastUserIndex = messages.map(m => m.role).lastIndexOf('user');
+    const prompt = lastUserIndex >= 0 ? messages[lastUserIndex].content : '';
+    const turns = scripts.get(normalizePrompt(prompt));
+
+    // Summarization requests (no tools) and unknown prompts get a fixed answer
+    if (!tools || !turns) {
+        const content = turns ? '[scripted] Summary of tool results.' : `[scripted] No script for prompt: ${prompt}`;
+        options.onToken?.(content);
+        return textResponse(content);
+    }
+
+    const since = messages.slice(lastUserIndex + 1);
+    const turnIndex = since.filter(m => m.role === 'assistant' && m.tool_calls?.length).length;
+    const turn = turns[turnIndex];
+
+    // { "error": "..." } plays a failed provider call (the agent falls back to rules)
+    if (turn?.error) throw new Error(turn.error);
+
+    if (!turn || !turn.toolCalls?.length) {
+        const content = turn?.content ?? '[scripted] Done.';
+        options.onToken?.(content);
+        return textResponse(content);
+    }
+
+    const toolResults = {};
+    for (const message of since) {
+        if (message.role === 'tool') toolResults[message.name] = parseToolContent(message.content);
+    }
+
+    return {
+        choices: [{
+            message: {
+                role: 'assistant',
+                content: turn.content || '',
+                tool_calls: turn.toolCalls.map((call, index) => ({
+                    id: `scripted_${turnIndex + 1}_${index + 1}`,
+                    type: 'function',
+                    function: {
+                        name: call.name,
+                        // A string is sent as-is, to script malformed arguments
+                        arguments: typeof call.arguments === 'string'
+                            ? call.arguments
+                            : JSON.stringify(resolveArguments(call.arguments || {}, toolResults))
+                    }
+                }))
+            }
+        }],
+        usage: { prompt_tokens: 0, completion_tokens: 0 }
+    };
+}
+
+/**
+ * Get model info
+ */
+export function getModelInfo() {
+    return {
+        provider: 'Scripted',
+        model: `scripted (${scripts.size} prompts)`,
+        configured: isConfigured()
+    };
+}
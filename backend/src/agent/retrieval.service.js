@@ -0,0 +1,203 @@
+/**
+ * Schema Field Retrieval
+ * A local BM25 index over the sandbox's schema fields (path, title, description and
+ * enum values) built from generateDataDictionary() and the union profile schema, so each
+ * user message puts the fields it is about into the system prompt instead of a fixed list.
+ *
+ * Indexes are kept per sandbox and rebuilt when either schema cache is refreshed
+ * (their generatedAt / extractedAt change).
+ */
+import * as schemaService from '../services/schema.service.js';
+import { getSandboxName } from '../config/config.js';
+
+// Fields put into the prompt per message
+const TOP_FIELDS = parseInt(process.env.AGENT_SCHEMA_FIELDS || '25', 10);
+
+// How often a sandbox's caches are checked for a refresh (the check itself is cheap, the logs are not)
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Path and title words count more than description words
+const PATH_WEIGHT = 3;
+const TITLE_WEIGHT = 2;
+
+const STOP_WORDS = new Set(['the', 'a', 'an', 'of', 'in', 'on', 'by', 'for', 'to', 'and', 'or', 'with', 'from', 'is',
+    'are', 'be', 'this', 'that', 'it', 'its', 'as', 'at', 'me', 'my', 'show', 'get', 'list', 'what', 'which', 'how',
+    'many', 'all', 'who', 'have', 'has', 'do', 'does', 'can', 'you', 'please', 'field', 'fields', 'xdm']);
+
+/**
+ * Singular form of a plural word (countries -> country, addresses -> address, tiers -> tier)
+ */
+function singular(word) {
+    if (word.length <= 3) return word;
+    if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (/(ss|us|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+    if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+    return word;
+}
+
+/**
+ * Lowercase word tokens from text or a camelCase / dotted field path, with plurals folded
+ */
+function tokenize(text) {
+    return String(text || '')
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(t => t.length > 1 && !STOP_WORDS.has(t))
+        .map(singular);
+}
+
+// sandbox -> { version, builtAt, docs, postings, avgLength }
+const indexes = new Map();
+// sandbox -> time of the last cache check
+const lastChecks = new Map();
+// sandbox -> in-flight refresh
+const refreshes = new Map();
+
+/**
+ * One document per field path; a path found in several schemas is merged
+ */
+function collectFields(dictionary, profile) {
+    const byPath = new Map();
+    const add = (field, source) => {
+        if (!field?.path || field.type === 'object') return;
+        let doc = byPath.get(field.path);
+        if (!doc) {
+            doc = { path: field.path, type: field.type, title: null, description: null, enum: [], schemas: [], sources: [] };
+            byPath.set(field.path, doc);
+        }
+        doc.title ||= field.title || null;
+        doc.description ||= field.description || null;
+        if (Array.isArray(field.enum)) doc.enum = [...new Set([...doc.enum, ...field.enum.map(String)])];
+        if (field.schema && !doc.schemas.includes(field.schema)) doc.schemas.push(field.schema);
+        if (!doc.sources.includes(source)) doc.sources.push(source);
+    };
+
+    (profile?.fields || []).forEach(f => add(f, 'profile'));
+    (dictionary?.fields || []).forEach(f => add(f, 'dataset'));
+    return [...byPath.values()];
+}
+
+function buildIndex(fields, version) {
+    const postings = new Map();
+    let totalLength = 0;
+
+    const docs = fields.map((field, id) => {
+        const terms = [
+            ...Array(PATH_WEIGHT).fill(tokenize(field.path)).flat(),
+            ...Array(TITLE_WEIGHT).fill(tokenize(field.title)).flat(),
+            ...tokenize(field.description),
+            ...field.enum.flatMap(tokenize)
+        ];
+        const frequencies = new Map();
+        terms.forEach(t => frequencies.set(t, (frequencies.get(t) || 0) + 1));
+        for (const [term, tf] of frequencies) {
+            if (!postings.has(term)) postings.set(term, []);
+            postings.get(term).push([id, tf]);
+        }
+        totalLength += terms.length;
+        return { field, length: terms.length };
+    });
+
+    return {
+        version,
+        builtAt: new Date().toISOString(),
+        docs,
+        postings,
+        avgLength: docs.length > 0 ? totalLength / docs.length : 0
+    };
+}
+
+/**
+ * Rebuild the current sandbox's index if its dictionary or union profile cache changed.
+ * Loading the caches may build them (the first time, or after their TTL).
+ */
+export function refreshIndex({ force = false } = {}) {
+    const sandbox = getSandboxName();
+    if (refreshes.has(sandbox)) return refreshes.get(sandbox);
+    if (!force && indexes.has(sandbox) && Date.now() - (lastChecks.get(sandbox) || 0) < CHECK_INTERVAL_MS) {
+        return Promise.resolve(indexes.get(sandbox));
+    }
+
+    const refresh = (async () => {
+        const [dictionary, profile] = await Promise.all([
+            schemaService.generateDataDictionary().catch(() => null),
+            schemaService.getUnionProfileSchemaForPQL().catch(() => null)
+        ]);
+        lastChecks.set(sandbox, Date.now());
+
+        // Failed loads keep the last good index
+        const dictionaryVersion = dictionary && !dictionary.error ? dictionary.generatedAt : null;
+        const profileVersion = profile && !profile.error ? profile.extractedAt : null;
+        if (!dictionaryVersion && !profileVersion) return indexes.get(sandbox) || null;
+
+        const version = `${dictionaryVersion}|${profileVersion}`;
+        if (indexes.get(sandbox)?.version === version) return indexes.get(sandbox);
+
+        const start = Date.now();
+        const index = buildIndex(collectFields(dictionaryVersion && dictionary, profileVersion && profile), version);
+        indexes.set(sandbox, index);
+        console.log(`[Retrieval] Indexed ${index.docs.length} fields (${index.postings.size} terms) for sandbox ${sandbox} in ${Date.now() - start}ms`);
+        return index;
+    })().catch(error => {
+        console.error('[Retrieval] Index refresh failed:', error.message);
+        return indexes.get(sandbox) || null;
+    }).finally(() => refreshes.delete(sandbox));
+
+    refreshes.set(sandbox, refresh);
+    return refresh;
+}
+
+/**
+ * Whether the current sandbox has an index yet
+ */
+export function hasIndex() {
+    return indexes.has(getSandboxName());
+}
+
+/**
+ * Top fields for a query, best first ([] until the sandbox is indexed)
+ */
+export function searchFields(query, { limit = TOP_FIELDS } = {}) {
+    const index = indexes.get(getSandboxName());
+    const terms = [...new Set(tokenize(query))];
+    if (!index || index.docs.length === 0 || terms.length === 0) return [];
+
+    const n = index.docs.length;
+    const scores = new Map();
+    for (const term of terms) {
+        const posting = index.postings.get(term);
+        if (!posting) continue;
+        const idf = Math.log(1 + (n - posting.length + 0.5) / (posting.length + 0.5));
+        for (const [id, tf] of posting) {
+            const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * index.docs[id].length / index.avgLength));
+            scores.set(id, (scores.get(id) || 0) + idf * norm);
+        }
+    }
+
+    return [...scores.entries()]
+        .sort((a, b) => b[1] - a[1] || index.docs[a[0]].field.path.length - index.docs[b[0]].field.path.length)
+        .slice(0, limit)
+        .map(([id, score]) => ({ ...index.docs[id].field, score: Math.round(score * 100) / 100 }));
+}
+
+/**
+ * Index size and version for the current sandbox
+ */
+export function getIndexStats() {
+    const sandbox = getSandboxName();
+    const index = indexes.get(sandbox);
+    if (!index) return { sandbox, indexed: false };
+    return {
+        sandbox,
+        indexed: true,
+        fields: index.docs.length,
+        terms: index.postings.size,
+        version: index.version,
+        builtAt: index.builtAt
+    };
+}
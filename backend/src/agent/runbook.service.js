@@ -0,0 +1,526 @@
+/**
+ * Agent Runbooks
+ * Repeatable multi-step investigations defined as versioned JSON or YAML files in
+ * backend/runbooks (RUNBOOK_DIR moves them). A runbook chains registry tools:
+ * arguments can reference inputs and earlier step outputs ("{{steps.failed.output.$keys.0}}"),
+ * steps can be skipped by a condition, and the run ends with an LLM or template summary.
+ *
+ * Runs are triggered from the copilot panel or the API, or on the runbook's schedule,
+ * and every run (with each step's output) is kept in the chat store for review.
+ * Write tools never run unattended: they are queued for approval like the agent's.
+ */
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
+import * as llm from './llm.service.js';
+import * as guard from './guard.service.js';
+import * as memory from './memory.service.js';
+import * as approvals from './approval.service.js';
+import * as toolRegistry from './tools/index.js';
+import { getStore } from '../services/stores/index.js';
+import { config, getSandboxName, runWithSandbox } from '../config/config.js';
+import { HttpError } from '../utils/errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const require = createRequire(import.meta.url);
+
+const RUNBOOK_DIR = process.env.RUNBOOK_DIR || path.join(__dirname, '../../runbooks');
+const RUN_RETENTION_DAYS = parseInt(process.env.RUNBOOK_RUN_RETENTION_DAYS || '30', 10);
+const SCHEDULER_TICK_MS = 60 * 1000;
+
+// Stored step outputs are capped; the summary sees at most MAX_SUMMARY_OUTPUT_CHARS per step
+const MAX_STORED_OUTPUT_CHARS = 50000;
+const MAX_SUMMARY_OUTPUT_CHARS = 3000;
+
+const CONDITION_OPS = ['exists', 'missing', 'empty', 'notEmpty', 'eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'contains', 'matches'];
+const INPUT_TYPES = ['string', 'number', 'integer', 'boolean'];
+
+/**
+ * The yaml package is optional, like better-sqlite3: without it only JSON runbooks load
+ */
+function loadYamlParser() {
+    try {
+        return require('yaml');
+    } catch {
+        return null;
+    }
+}
+
+const yaml = loadYamlParser();
+
+// ===== LOADING =====
+
+function parseDuration(value) {
+    const match = /^(\d+)\s*(m|h|d)$/.exec(String(value || '').trim());
+    if (!match) return null;
+    return parseInt(match[1], 10) * { m: 60, h: 3600, d: 86400 }[match[2]] * 1000;
+}
+
+function validateCondition(condition, where, errors) {
+    if (!condition || typeof condition !== 'object') {
+        errors.push(`${where}: condition must be an object`);
+        return;
+    }
+    if (condition.all || condition.any) {
+        const list = condition.all || condition.any;
+        if (!Array.isArray(list)) errors.push(`${where}: all/any must be a list of conditions`);
+        else list.forEach((c, i) => validateCondition(c, `${where}.${condition.all ? 'all' : 'any'}[${i}]`, errors));
+        return;
+    }
+    if (typeof condition.path !== 'string') errors.push(`${where}: condition needs a path`);
+    if (condition.op && !CONDITION_OPS.includes(condition.op)) {
+        errors.push(`${where}: unknown op "${condition.op}" (expected ${CONDITION_OPS.join(', ')})`);
+    }
+}
+
+/**
+ * Check a parsed runbook; returns a list of problems (empty when valid)
+ */
+function validateRunbook(runbook) {
+    const errors = [];
+    if (!/^[a-z0-9][a-z0-9_-]*$/.test(runbook.id || '')) errors.push('id must be lowercase letters, digits, - or _');
+    if (!runbook.name) errors.push('name is required');
+    if (!Number.isInteger(runbook.version) || runbook.version < 1) errors.push('version must be a positive integer');
+
+    for (const [name, input] of Object.entries(runbook.inputs || {})) {
+        if (!INPUT_TYPES.includes(input?.type)) errors.push(`inputs.${name}: type must be one of ${INPUT_TYPES.join(', ')}`);
+    }
+
+    if (!Array.isArray(runbook.steps) || runbook.steps.length === 0) {
+        errors.push('steps must be a non-empty list');
+    } else {
+        const seen = new Set();
+        runbook.steps.forEach((step, i) => {
+            const where = `steps[${i}]`;
+            if (!/^[A-Za-z][\w-]*$/.test(step?.id || '')) errors.push(`${where}: id must start with a letter`);
+            else if (seen.has(step.id)) errors.push(`${where}: duplicate id "${step.id}"`);
+            seen.add(step?.id);
+            if (!toolRegistry.tools[step?.tool]) errors.push(`${where}: unknown tool "${step?.tool}"`);
+            if (step?.arguments !== undefined && (typeof step.arguments !== 'object' || Array.isArray(step.arguments))) {
+                errors.push(`${where}: arguments must be an object`);
+            }
+            if (step?.when !== undefined) validateCondition(step.when, `${where}.when`, errors);
+        });
+    }
+
+    const summary = runbook.summary || {};
+    if (summary.template !== undefined && typeof summary.template !== 'string') errors.push('summary.template must be a string');
+
+    const schedule = runbook.schedule;
+    if (schedule) {
+        if (schedule.every && !parseDuration(schedule.every)) errors.push('schedule.every must look like 15m, 6h or 1d');
+        if (schedule.at && !/^([01]\d|2[0-3]):[0-5]\d$/.test(schedule.at)) errors.push('schedule.at must be HH:MM (UTC)');
+        if (!schedule.every && !schedule.at) errors.push('schedule needs every or at');
+    }
+    return errors;
+}
+
+/**
+ * Read every runbook file; invalid files are reported, not thrown
+ */
+function loadRunbooks() {
+    const runbooks = new Map();
+    const errors = [];
+    if (!fs.existsSync(RUNBOOK_DIR)) return { runbooks, errors };
+
+    for (const file of fs.readdirSync(RUNBOOK_DIR).sort()) {
+        const ext = path.extname(file).toLowerCase();
+        if (!['.json', '.yaml', '.yml'].includes(ext)) continue;
+
+        try {
+            const text = fs.readFileSync(path.join(RUNBOOK_DIR, file), 'utf8');
+            if (ext !== '.json' && !yaml) throw new Error('YAML runbooks need the optional "yaml" package (npm install yaml)');
+            const parsed = ext === '.json' ? JSON.parse(text) : yaml.parse(text);
+            const runbook = { ...parsed, id: parsed?.id || path.basename(file, ext), file };
+
+            const problems = validateRunbook(runbook);
+            if (problems.length > 0) throw new Error(problems.join('; '));
+            if (runbooks.has(runbook.id)) throw new Error(`duplicate runbook id "${runbook.id}" (also in ${runbooks.get(runbook.id).file})`);
+            runbooks.set(runbook.id, runbook);
+        } catch (error) {
+            errors.push({ file, error: error.message });
+        }
+    }
+    return { runbooks, errors };
+}
+
+/**
+ * Runbooks on disk (re-read each time, so edits apply without a restart)
+ */
+export function listRunbooks() {
+    const { runbooks, errors } = loadRunbooks();
+    for (const { file, error } of errors) console.warn(`[Runbook] Skipping ${file}: ${error}`);
+    return {
+        runbooks: [...runbooks.values()].map(runbook => ({
+            id: runbook.id,
+            name: runbook.name,
+            version: runbook.version,
+            description: runbook.description || '',
+            inputs: runbook.inputs || {},
+            schedule: runbook.schedule || null,
+            steps: runbook.steps.map(step => ({ id: step.id, tool: step.tool })),
+            file: runbook.file
+        })),
+        errors
+    };
+}
+
+/**
+ * Full definition of one runbook
+ */
+export function getRunbook(id) {
+    const runbook = loadRunbooks().runbooks.get(id);
+    if (!runbook) throw new HttpError(404, `Runbook ${id} not found`, 'RUNBOOK_NOT_FOUND');
+    return runbook;
+}
+
+// ===== TEMPLATES AND CONDITIONS =====
+
+/**
+ * Read a dotted path ("steps.failed.output.batches.0.id"); "$keys" and "$values"
+ * list an object's keys and values (catalog results are maps keyed by id)
+ */
+function readPath(context, dottedPath) {
+    return dottedPath.trim().split('.').reduce((current, key) => {
+        if (current == null) return undefined;
+        if (key === '$keys') return typeof current === 'object' ? Object.keys(current) : undefined;
+        if (key === '$values') return typeof current === 'object' ? Object.values(current) : undefined;
+        return current[key];
+    }, context);
+}
+
+function toText(value) {
+    if (value == null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Resolve placeholders in step arguments. A string that is exactly one
+ * placeholder keeps the value's type; otherwise values are interpolated.
+ */
+function resolveValue(value, context) {
+    if (typeof value === 'string') {
+        const whole = /^\{\{\s*([^{}]+?)\s*\}\}$/.exec(value);
+        if (whole) return readPath(context, whole[1]);
+        return value.replace(/\{\{\s*([^{}#/]+?)\s*\}\}/g, (_, p) => toText(readPath(context, p)));
+    }
+    if (Array.isArray(value)) return value.map(item => resolveValue(item, context));
+    if (value && typeof value === 'object') {
+        const resolved = {};
+        for (const [key, item] of Object.entries(value)) {
+            const next = resolveValue(item, context);
+            // Unresolved optional arguments are left out rather than sent as null
+            if (next !== undefined && next !== null) resolved[key] = next;
+        }
+        return resolved;
+    }
+    return value;
+}
+
+/**
+ * Render a summary template: {{path}}, {{#if path}}…{{/if}}, {{#unless path}}…{{/unless}}
+ * and {{#each path}}…{{/each}} (inside, {{this}} / {{this.field}} and {{@key}})
+ * Blocks of different kinds nest; a block cannot contain another of its own kind.
+ */
+function renderTemplate(template, context) {
+    const blocks = /\{\{#(if|unless|each)\s+([^}]+?)\s*\}\}([\s\S]*?)\{\{\/\1\}\}/g;
+    const expanded = template.replace(blocks, (_, kind, blockPath, body) => {
+        const value = readPath(context, blockPath);
+        if (kind === 'if') return isEmpty(value) ? '' : renderTemplate(body, context);
+        if (kind === 'unless') return isEmpty(value) ? renderTemplate(body, context) : '';
+        const entries = Array.isArray(value) ? value.map((item, i) => [i, item])
+            : value && typeof value === 'object' ? Object.entries(value) : [];
+        return entries.map(([key, item]) => renderTemplate(body, { ...context, this: item, '@key': key })).join('');
+    });
+    return expanded.replace(/\{\{\s*([^{}#/]+?)\s*\}\}/g, (_, p) => toText(readPath(context, p)));
+}
+
+function isEmpty(value) {
+    if (value == null || value === '' || value === false) return true;
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+}
+
+/**
+ * Evaluate a step condition: { path, op, value } or { all: [...] } / { any: [...] }.
+ * Without an op the path must be non-empty.
+ */
+function evaluateCondition(condition, context) {
+    if (condition.all) return condition.all.every(c => evaluateCondition(c, context));
+    if (condition.any) return condition.any.some(c => evaluateCondition(c, context));
+
+    const actual = readPath(context, condition.path);
+    const expected = resolveValue(condition.value, context);
+    switch (condition.op || 'notEmpty') {
+        case 'exists': return actual !== undefined && actual !== null;
+        case 'missing': return actual === undefined || actual === null;
+        case 'empty': return isEmpty(actual);
+        case 'notEmpty': return !isEmpty(actual);
+        case 'eq': return actual === expected;
+        case 'ne': return actual !== expected;
+        case 'gt': return Number(actual) > Number(expected);
+        case 'gte': return Number(actual) >= Number(expected);
+        case 'lt': return Number(actual) < Number(expected);
+        case 'lte': return Number(actual) <= Number(expected);
+        case 'contains': return Array.isArray(actual) ? actual.includes(expected) : toText(actual).includes(toText(expected));
+        case 'matches': return new RegExp(String(expected), 'i').test(toText(actual));
+        default: return false;
+    }
+}
+
+/**
+ * Apply defaults and types to the caller's inputs
+ */
+function resolveInputs(runbook, given = {}) {
+    const inputs = {};
+    for (const [name, spec] of Object.entries(runbook.inputs || {})) {
+        let value = given[name] ?? spec.default;
+        if (value === undefined || value === '') {
+            if (spec.required) throw new HttpError(400, `Runbook ${runbook.id} needs input "${name}"`, 'INVALID_RUNBOOK_INPUTS');
+            continue;
+        }
+        if (spec.type === 'number' || spec.type === 'integer') {
+            value = Number(value);
+            if (Number.isNaN(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+                throw new HttpError(400, `Runbook input "${name}" must be ${spec.type === 'integer' ? 'an integer' : 'a number'}`, 'INVALID_RUNBOOK_INPUTS');
+            }
+        } else if (spec.type === 'boolean') {
+            value = value === true || value === 'true';
+        } else {
+            value = String(value);
+        }
+        inputs[name] = value;
+    }
+    return inputs;
+}
+
+// ===== RUNNING =====
+
+function capOutput(output) {
+    const text = JSON.stringify(output ?? null);
+    if (text.length <= MAX_STORED_OUTPUT_CHARS) return output;
+    return { truncated: true, preview: text.substring(0, MAX_STORED_OUTPUT_CHARS) };
+}
+
+/**
+ * Summary of a finished run: the LLM when asked for and available, else the template
+ */
+async function summarizeRun(runbook, steps, context) {
+    const summary = runbook.summary || {};
+    const templated = summary.template ? renderTemplate(summary.template, context).trim() : null;
+
+    if (summary.llm && llm.isAvailable()) {
+        try {
+            const outputs = steps.map(step => {
+                const { data, findings } = guard.inspectToolResult(step.status === 'ok' ? step.output : { status: step.status, error: step.error });
+                const text = JSON.stringify(data, null, 2);
+                const truncated = text.length > MAX_SUMMARY_OUTPUT_CHARS ? text.substring(0, MAX_SUMMARY_OUTPUT_CHARS) + '...' : text;
+                return `Step ${step.id} (${step.tool}, ${step.status}):\n${guard.wrapToolOutput(step.tool, truncated, findings)}`;
+            }).join('\n\n');
+
+            const response = await llm.chatCompletion([
+                {
+                    role: 'system',
+                    content: `You write the result of an on-call runbook for Adobe Experience Platform. Summarize what the steps found in plain language: the key numbers, what is broken, the likely cause and next steps. Never show raw JSON. Use markdown.\n\n${guard.UNTRUSTED_DATA_RULES}`
+                },
+                {
+                    role: 'user',
+                    content: `Runbook: ${runbook.name} (v${runbook.version})\n${runbook.description || ''}\n${summary.instructions ? `\nFocus: ${summary.instructions}\n` : ''}\n${outputs}`
+                }
+            ], null, { temperature: 0.3, maxTokens: 1024, purpose: 'runbook', conversationId: context.run.conversationId });
+            const content = llm.getContent(response).trim();
+            if (content) return content;
+        } catch (error) {
+            console.error(`[Runbook] LLM summary for ${runbook.id} failed, using the template:`, error.message);
+        }
+    }
+
+    if (templated) return templated;
+    return [
+        `**${runbook.name}** (v${runbook.version})`,
+        ...steps.map(step => `- ${step.id} (${step.tool}): ${step.status}${step.error ? ` - ${step.error}` : ''}`)
+    ].join('\n');
+}
+
+/**
+ * Execute the steps of a runbook in order
+ */
+async function executeSteps(runbook, run, context) {
+    const steps = [];
+    for (const [index, step] of runbook.steps.entries()) {
+        const entry = { step: index + 1, id: step.id, type: 'tool', tool: step.tool };
+        context.steps[step.id] = { status: 'skipped' };
+
+        if (step.when && !evaluateCondition(step.when, context)) {
+            steps.push({ ...entry, status: 'skipped' });
+            continue;
+        }
+
+        const args = resolveValue(step.arguments || {}, context);
+        entry.arguments = args;
+
+        const validation = toolRegistry.validateArguments(step.tool, args);
+        if (!validation.valid) {
+            const error = validation.issues.map(i => `${i.path} ${i.message}`).join('; ');
+            steps.push({ ...entry, status: 'invalid_arguments', error, durationMs: 0 });
+            context.steps[step.id] = { status: 'invalid_arguments', error };
+            if (!step.continueOnError) break;
+            continue;
+        }
+
+        // Runbooks run unattended: write tools wait for a human
+        if (toolRegistry.requiresApproval(step.tool)) {
+            const approval = approvals.proposeAction({
+                conversationId: run.conversationId,
+                toolName: step.tool,
+                args,
+                description: `Runbook "${runbook.name}" step ${step.id}: ${step.tool} ${JSON.stringify(args)}`
+            });
+            steps.push({ ...entry, status: 'pending_approval', approvalId: approval.id });
+            context.steps[step.id] = { status: 'pending_approval', approvalId: approval.id };
+            continue;
+        }
+
+        const start = Date.now();
+        try {
+            const output = await toolRegistry.executeTool(step.tool, args);
+            steps.push({ ...entry, status: 'ok', durationMs: Date.now() - start, output: capOutput(output) });
+            context.steps[step.id] = { status: 'ok', output };
+        } catch (error) {
+            steps.push({ ...entry, status: 'error', error: error.message, durationMs: Date.now() - start });
+            context.steps[step.id] = { status: 'error', error: error.message };
+            if (!step.continueOnError) break;
+        }
+    }
+    return steps;
+}
+
+/**
+ * Run a runbook now and store the run.
+ * trigger: manual (panel/API) | schedule
+ */
+export async function runRunbook(id, { inputs = {}, trigger = 'manual', conversationId = null } = {}) {
+    const runbook = getRunbook(id);
+    const run = {
+        id: `run_${randomUUID()}`,
+        runbookId: runbook.id,
+        runbookVersion: runbook.version,
+        trigger,
+        conversationId,
+        sandbox: getSandboxName(),
+        status: 'running',
+        inputs: resolveInputs(runbook, inputs),
+        steps: [],
+        startedAt: new Date().toISOString()
+    };
+    getStore().insertRunbookRun(run);
+    console.log(`[Runbook] ${run.id}: ${runbook.id} v${runbook.version} (${trigger}) in ${run.sandbox}`);
+
+    const context = { inputs: run.inputs, steps: {}, run: { id: run.id, sandbox: run.sandbox, startedAt: run.startedAt, conversationId } };
+    try {
+        run.steps = await executeSteps(runbook, run, context);
+        run.summary = await summarizeRun(runbook, run.steps, context);
+        const failed = run.steps.some(step => step.status === 'error' || step.status === 'invalid_arguments');
+        run.status = failed ? 'failed' : 'completed';
+    } catch (error) {
+        run.status = 'failed';
+        run.error = error.message;
+        console.error(`[Runbook] ${run.id} failed:`, error.message);
+    }
+    run.finishedAt = new Date().toISOString();
+    getStore().updateRunbookRun(run);
+
+    if (conversationId && run.summary) {
+        memory.appendTurns(conversationId, [
+            { role: 'user', content: `Run the "${runbook.name}" runbook` },
+            { role: 'assistant', content: run.summary }
+        ]);
+    }
+    return run;
+}
+
+/**
+ * Stored runs of the current sandbox, newest first (without step outputs)
+ */
+export function listRuns({ runbookId, trigger, limit, offset } = {}) {
+    const parsedLimit = Math.min(parseInt(limit, 10) || 20, 200);
+    const parsedOffset = Math.max(parseInt(offset, 10) || 0, 0);
+    return {
+        ...getStore().listRunbookRuns({ sandbox: getSandboxName(), runbookId, trigger, limit: parsedLimit, offset: parsedOffset }),
+        limit: parsedLimit,
+        offset: parsedOffset
+    };
+}
+
+/**
+ * One stored run of the current sandbox with every step's arguments and output
+ */
+export function getRun(runId) {
+    const run = getStore().getRunbookRun(runId);
+    if (!run || run.sandbox !== getSandboxName()) throw new HttpError(404, `Runbook run ${runId} not found`, 'RUNBOOK_RUN_NOT_FOUND');
+    return run;
+}
+
+// ===== SCHEDULER =====
+
+// runbook id -> time of the last scheduled start (ms)
+const lastScheduledRuns = new Map();
+const runningScheduled = new Set();
+let schedulerTimer = null;
+
+/**
+ * Is a schedule due? every: since the last scheduled run; at: once per UTC day
+ */
+function isDue(schedule, lastRun, now) {
+    if (schedule.every) return now - (lastRun || 0) >= parseDuration(schedule.every);
+    const [hours, minutes] = schedule.at.split(':').map(Number);
+    const today = new Date(now);
+    const slot = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate(), hours, minutes);
+    return now >= slot && (lastRun || 0) < slot;
+}
+
+function lastScheduledRun(runbookId) {
+    if (!lastScheduledRuns.has(runbookId)) {
+        // After a restart, continue from the last stored scheduled run
+        const [last] = getStore().listRunbookRuns({ runbookId, trigger: 'schedule', limit: 1, offset: 0 }).runs;
+        lastScheduledRuns.set(runbookId, last ? Date.parse(last.startedAt) : Date.now());
+    }
+    return lastScheduledRuns.get(runbookId);
+}
+
+async function tick() {
+    const now = Date.now();
+    const { runbooks } = loadRunbooks();
+    for (const runbook of runbooks.values()) {
+        if (!runbook.schedule || runningScheduled.has(runbook.id)) continue;
+        if (!isDue(runbook.schedule, lastScheduledRun(runbook.id), now)) continue;
+
+        lastScheduledRuns.set(runbook.id, now);
+        runningScheduled.add(runbook.id);
+        const sandbox = runbook.schedule.sandbox || runbook.sandbox || config.sandboxName;
+        runWithSandbox(sandbox, () => runRunbook(runbook.id, { inputs: runbook.schedule.inputs || {}, trigger: 'schedule' }))
+            .catch(error => console.error(`[Runbook] Scheduled run of ${runbook.id} failed:`, error.message))
+            .finally(() => runningScheduled.delete(runbook.id));
+    }
+
+    const cutoff = new Date(now - RUN_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const removed = getStore().deleteRunbookRunsBefore(cutoff);
+    if (removed > 0) console.log(`[Runbook] Removed ${removed} runs older than ${RUN_RETENTION_DAYS} days`);
+}
+
+/**
+ * Start running scheduled runbooks (RUNBOOK_SCHEDULER=off disables it)
+ */
+export function startScheduler() {
+    if (schedulerTimer || (process.env.RUNBOOK_SCHEDULER || '').toLowerCase() === 'off') return;
+    // Runbook files are re-read every tick, so schedules added later are picked up
+    const scheduled = [...loadRunbooks().runbooks.values()].filter(runbook => runbook.schedule);
+    if (scheduled.length > 0) {
+        console.log(`[Runbook] Scheduled: ${scheduled.map(r => `${r.id} (${r.schedule.every ? `every ${r.schedule.every}` : `daily ${r.schedule.at} UTC`})`).join(', ')}`);
+    }
+    schedulerTimer = setInterval(() => tick().catch(error => console.error('[Runbook] Scheduler tick failed:', error.message)), SCHEDULER_TICK_MS);
+    schedulerTimer.unref();
+}
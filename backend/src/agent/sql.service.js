@@ -0,0 +1,369 @@
+/**
+ * SQL Generation Service
+ * Turns a natural language intent into a Query Service statement that runs as-is:
+ * 1. resolve real table names from the catalog (listAllDatasets)
+ * 2. attach each table's XDM column paths from the data dictionary (glossary fields first)
+ * 3. generate the statement (LLM, or a single-table heuristic without one)
+ * 4. validate it with EXPLAIN through Query Service
+ */
+import * as llm from './llm.service.js';
+import * as glossary from './glossary.service.js';
+import * as datasetService from '../services/dataset.service.js';
+import * as schemaService from '../services/schema.service.js';
+import * as queryService from '../services/query.service.js';
+import { getSandboxName } from '../config/config.js';
+
+// Tables and columns offered to the model
+const MAX_CANDIDATE_TABLES = 5;
+const MAX_COLUMNS_PER_TABLE = 40;
+
+// EXPLAIN polling (queries run asynchronously)
+const EXPLAIN_POLL_ATTEMPTS = 8;
+const EXPLAIN_POLL_INTERVAL_MS = 1500;
+
+const STOP_WORDS = new Set(['the', 'a', 'an', 'of', 'in', 'on', 'by', 'per', 'for', 'to', 'and', 'or', 'with', 'from',
+    'show', 'me', 'get', 'list', 'give', 'what', 'which', 'how', 'many', 'all', 'top', 'last', 'days', 'data', 'dataset']);
+
+// Columns worth offering even when the intent doesn't mention them
+const COMMON_COLUMNS = ['timestamp', '_id', 'eventType', 'identityMap'];
+
+const SQL_PROMPT = `You write Adobe Experience Platform Query Service SQL (PostgreSQL dialect over XDM datasets).
+Rules:
+- Use ONLY the tables and column paths listed under TABLES, exactly as written
+- Nested XDM fields use dot notation, e.g. web.webPageDetails.name, _tenant.loyalty.tier
+- A single read-only SELECT (or WITH ... SELECT); no DDL/DML
+- Always add a LIMIT (default 100) unless the query aggregates to a few rows
+- Filter on timestamp when the intent mentions a time range, e.g. timestamp >= current_date - INTERVAL '7' DAY
+- GLOSSARY entries are the team's definitions of words in the intent: use their column and value
+Reply with JSON only: {"sql": "...", "explanation": "one sentence"}`;
+
+/**
+ * Lowercase word tokens from text or a camelCase / dotted / snake_case name
+ */
+function tokenize(text) {
+    return (text || '')
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(t => t.length > 1 && !STOP_WORDS.has(t));
+}
+
+function overlapScore(words, text) {
+    const tokens = new Set(tokenize(text));
+    let score = 0;
+    for (const w of words) {
+        if (tokens.has(w)) score += 2;
+        else if ([...tokens].some(t => t.startsWith(w) || w.startsWith(t))) score += 1;
+    }
+    return score;
+}
+
+/**
+ * Query Service table name for a catalog dataset
+ * (the catalog tags it; otherwise it is derived from the dataset name)
+ */
+function tableNameFor(dataset) {
+    const tagged = dataset.tags?.['adobe/pqs/table']?.[0];
+    if (tagged) return tagged;
+    return (dataset.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * All datasets in the sandbox as queryable tables
+ */
+async function listTables() {
+    const datasets = await datasetService.listAllDatasets();
+    return Object.entries(datasets)
+        .map(([id, ds]) => ({
+            datasetId: id,
+            datasetName: ds.name,
+            description: ds.description || '',
+            tableName: tableNameFor(ds),
+            schemaId: ds.schemaRef?.id || null
+        }))
+        .filter(t => t.tableName);
+}
+
+/**
+ * Leaf columns of a table's schema, most relevant to the intent first
+ */
+async function columnsFor(table, dictionaryFields, words, glossaryPaths) {
+    let fields = dictionaryFields.filter(f => f.schemaId && f.schemaId === table.schemaId);
+
+    // Dictionaries cached before schema ids were recorded: match on schema title
+    if (fields.length === 0 && table.schemaId) {
+        const schema = await schemaService.getSchemaDetails(encodeURIComponent(table.schemaId), 'tenant').catch(() => null);
+        if (schema?.title) fields = dictionaryFields.filter(f => f.schema === schema.title);
+    }
+
+    const seen = new Set();
+    return fields
+        .filter(f => f.type !== 'object' && !seen.has(f.path) && seen.add(f.path))
+        .map(f => ({
+            path: f.path,
+            type: f.type,
+            score: overlapScore(words, `${f.path} ${f.title || ''}`)
+                + (COMMON_COLUMNS.includes(f.path) ? 1 : 0)
+                + (glossaryPaths.has(f.path) ? 10 : 0)
+        }))
+        .sort((a, b) => b.score - a.score || a.path.length - b.path.length)
+        .slice(0, MAX_COLUMNS_PER_TABLE)
+        .map(({ path, type }) => ({ path, type }));
+}
+
+/**
+ * Tables whose dataset name/description match the intent, or whose schema has a field
+ * the glossary maps the intent's words to, with their columns
+ */
+async function resolveCandidates(intent, tables, terms) {
+    const words = new Set(tokenize(intent));
+    const glossaryPaths = new Set(terms.map(term => term.xdmPath));
+    let dictionaryFields = null;
+
+    // Schemas holding a glossary field
+    const glossarySchemas = new Set();
+    if (glossaryPaths.size > 0) {
+        dictionaryFields = (await schemaService.generateDataDictionary()).fields || [];
+        dictionaryFields.filter(f => f.schemaId && glossaryPaths.has(f.path)).forEach(f => glossarySchemas.add(f.schemaId));
+    }
+
+    const ranked = tables
+        .map(t => ({
+            table: t,
+            score: overlapScore(words, `${t.datasetName} ${t.tableName} ${t.description}`) + (glossarySchemas.has(t.schemaId) ? 3 : 0)
+        }))
+        .filter(r => r.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_CANDIDATE_TABLES)
+        .map(r => r.table);
+
+    if (ranked.length === 0) return [];
+
+    if (!dictionaryFields) {
+        dictionaryFields = (await schemaService.generateDataDictionary()).fields || [];
+    }
+
+    return Promise.all(ranked.map(async (table) => ({
+        ...table,
+        columns: await columnsFor(table, dictionaryFields, words, glossaryPaths)
+    })));
+}
+
+/**
+ * Table names a statement reads from (FROM / JOIN targets, CTE names excluded)
+ */
+function referencedTables(sql) {
+    const ctes = new Set([...sql.matchAll(/(?:\bwith|,)\s+([A-Za-z_]\w*)\s+as\s*\(/gi)].map(m => m[1].toLowerCase()));
+    // EXTRACT(YEAR FROM timestamp), SUBSTRING(x FROM 2) are not table references
+    const withoutFunctions = sql.replace(/\b(?:extract|substring|trim|overlay|position)\s*\([^()]*\)/gi, '');
+    return [...withoutFunctions.matchAll(/\b(?:from|join)\s+("?)([A-Za-z_][\w.]*)\1/gi)]
+        .map(m => m[2])
+        .filter(name => !ctes.has(name.toLowerCase()));
+}
+
+/**
+ * Checks that don't need Query Service: read-only, single statement, known tables
+ */
+function checkStatement(sql, tables) {
+    const issues = [];
+    const statement = sql.trim().replace(/;\s*$/, '');
+
+    if (!/^(select|with)\b/i.test(statement)) {
+        issues.push('Only read-only SELECT statements are generated');
+    }
+    if (statement.includes(';')) {
+        issues.push('Statement must be a single query');
+    }
+
+    const known = new Set(tables.map(t => t.tableName.toLowerCase()));
+    for (const name of referencedTables(statement)) {
+        if (!known.has(name.toLowerCase())) {
+            issues.push(`Table "${name}" does not exist in sandbox ${getSandboxName()}`);
+        }
+    }
+    return { sql: statement, issues };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run EXPLAIN through Query Service and wait for it to finish
+ */
+async function explain(sql) {
+    const query = await queryService.createQuery({
+        dbName: `${getSandboxName()}:all`,
+        sql: `EXPLAIN ${sql}`,
+        name: `Agent_Explain_${Date.now()}`
+    });
+
+    let details = query;
+    for (let attempt = 0; attempt < EXPLAIN_POLL_ATTEMPTS; attempt++) {
+        if (['SUCCESS', 'FAILED', 'KILLED'].includes(details?.state)) break;
+        await sleep(EXPLAIN_POLL_INTERVAL_MS);
+        details = await queryService.getQueryDetails(query.id);
+    }
+
+    const state = details?.state || 'UNKNOWN';
+    const error = details?.errors?.map(e => e.message || e.code).join('; ') || null;
+    return { queryId: query.id, state, error: state === 'SUCCESS' ? null : error };
+}
+
+/**
+ * Ask the LLM for a statement over the candidate tables
+ * (previous attempt + issues are fed back on retries)
+ */
+async function generateWithLLM(intent, candidates, terms, previous = null) {
+    const tableList = candidates.map(t =>
+        `${t.tableName} (dataset "${t.datasetName}")\n${t.columns.map(c => `  ${c.path} ${c.type}`).join('\n') || '  (columns unknown)'}`
+    ).join('\n\n');
+    const glossarySection = terms.length > 0 ? `\n\nGLOSSARY:\n${glossary.formatTerms(terms)}` : '';
+    const messages = [
+        { role: 'system', content: SQL_PROMPT },
+        { role: 'user', content: `INTENT: ${intent}\n\nTABLES:\n${tableList}${glossarySection}` }
+    ];
+    if (previous) {
+        messages.push({ role: 'assistant', content: JSON.stringify({ sql: previous.sql }) });
+        messages.push({ role: 'user', content: `That query is invalid:\n- ${previous.issues.join('\n- ')}\nFix it using only the TABLES list.` });
+    }
+
+    const response = await llm.chatCompletion(messages, null, { temperature: 0.1, maxTokens: 1024, purpose: 'sql' });
+    const content = llm.getContent(response);
+    const json = content.match(/\{[\s\S]*\}/)?.[0];
+    if (!json) {
+        return { sql: content.replace(/```(?:sql)?/gi, '').trim(), explanation: null };
+    }
+
+    try {
+        const parsed = JSON.parse(json);
+        return { sql: (parsed.sql || '').trim(), explanation: parsed.explanation || null };
+    } catch {
+        return { sql: null, explanation: null };
+    }
+}
+
+/**
+ * SQL literal for a glossary value, typed by the column
+ */
+function sqlLiteral(column, value) {
+    if ((column.type === 'number' || column.type === 'integer') && !isNaN(Number(value))) return value;
+    if (column.type === 'boolean' && (value === 'true' || value === 'false')) return value;
+    return `'${value.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Without an LLM: count or sample the best-matching table, filtered by
+ * glossary terms that name a value of one of its columns
+ */
+function generateHeuristic(intent, candidates, terms) {
+    const table = candidates[0];
+    if (!table) return { sql: null, explanation: null };
+
+    const limit = intent.match(/(?:top|first)\s+(\d+)/i)?.[1] || '100';
+    const days = intent.match(/last\s+(\d+)\s+day/i)?.[1];
+    const hasTimestamp = table.columns.some(c => c.path === 'timestamp');
+    const filters = terms
+        .filter(term => term.value)
+        .map(term => ({ term, column: table.columns.find(c => c.path === term.xdmPath) }))
+        .filter(({ column }) => column)
+        .map(({ term, column }) => `${column.path} = ${sqlLiteral(column, term.value)}`);
+    if (days && hasTimestamp) filters.push(`timestamp >= current_date - INTERVAL '${days}' DAY`);
+    const where = filters.length > 0 ? `\nWHERE ${filters.join('\n  AND ')}` : '';
+
+    if (/count|how many/i.test(intent)) {
+        return {
+            sql: `SELECT COUNT(1) AS total\nFROM ${table.tableName}${where}`,
+            explanation: `Counts rows in ${table.datasetName}`
+        };
+    }
+
+    const columns = table.columns.slice(0, 5).map(c => c.path);
+    return {
+        sql: `SELECT ${columns.length > 0 ? columns.join(', ') : '*'}\nFROM ${table.tableName}${where}\nLIMIT ${limit}`,
+        explanation: `Samples the most relevant columns of ${table.datasetName}`
+    };
+}
+
+/**
+ * Static checks, then EXPLAIN
+ */
+async function validate(sql, tables, runExplain) {
+    const checked = checkStatement(sql, tables);
+    if (checked.issues.length > 0 || !runExplain) {
+        return { sql: checked.sql, issues: checked.issues, explain: null };
+    }
+
+    try {
+        const result = await explain(checked.sql);
+        const issues = result.state === 'SUCCESS'
+            ? []
+            : [`EXPLAIN ${result.state.toLowerCase()}${result.error ? `: ${result.error}` : ''}`];
+        return { sql: checked.sql, issues, explain: result };
+    } catch (error) {
+        return { sql: checked.sql, issues: [`EXPLAIN could not run: ${error.detail || error.message}`], explain: null };
+    }
+}
+
+/**
+ * Generate a Query Service statement for an intent and validate it with EXPLAIN
+ */
+export async function generateSql(intent, { explain: runExplain = true } = {}) {
+    const tables = await listTables();
+    const terms = glossary.matchTerms(intent);
+    const candidates = await resolveCandidates(intent, tables, terms);
+
+    if (candidates.length === 0) {
+        return {
+            intent,
+            sql: null,
+            valid: false,
+            issues: [`No dataset in sandbox ${getSandboxName()} matches the intent; mention the dataset by name`],
+            availableTables: tables.slice(0, 20).map(t => ({ tableName: t.tableName, datasetName: t.datasetName }))
+        };
+    }
+
+    let useLLM = llm.isAvailable();
+    let generated;
+
+    try {
+        generated = useLLM ? await generateWithLLM(intent, candidates, terms) : generateHeuristic(intent, candidates, terms);
+    } catch (error) {
+        console.error('[SQL] LLM generation failed, using heuristic:', error.message);
+        useLLM = false;
+        generated = generateHeuristic(intent, candidates, terms);
+    }
+
+    let validation = generated.sql
+        ? await validate(generated.sql, tables, runExplain)
+        : { sql: null, issues: ['No SQL was generated'], explain: null };
+
+    // One repair round: feed the static/EXPLAIN errors back to the model
+    if (validation.issues.length > 0 && useLLM && generated.sql) {
+        try {
+            const repaired = await generateWithLLM(intent, candidates, terms, { sql: validation.sql, issues: validation.issues });
+            if (repaired.sql) {
+                generated = repaired;
+                validation = await validate(repaired.sql, tables, runExplain);
+            }
+        } catch (error) {
+            console.error('[SQL] Repair attempt failed:', error.message);
+        }
+    }
+
+    const used = new Set(validation.sql ? referencedTables(validation.sql).map(n => n.toLowerCase()) : []);
+
+    return {
+        intent,
+        sql: validation.sql,
+        valid: validation.issues.length === 0,
+        validatedWith: validation.explain ? 'EXPLAIN' : null,
+        issues: validation.issues,
+        tables: candidates
+            .filter(t => used.has(t.tableName.toLowerCase()))
+            .map(t => ({ tableName: t.tableName, datasetId: t.datasetId, datasetName: t.datasetName })),
+        explain: validation.explain,
+        explanation: generated.explanation,
+        generatedBy: useLLM ? 'llm' : 'heuristic',
+        glossaryTerms: terms.map(term => term.term),
+        sandbox: getSandboxName()
+    };
+}
@@ -0,0 +1,273 @@
+/**
+ * Batch Tools
+ * Batch monitoring and ingestion error forensics
+ */
+import * as batchService from '../../services/batch.service.js';
+import * as schemaService from '../../services/schema.service.js';
+import * as datasetService from '../../services/dataset.service.js';
+
+export const batchTools = [
+    // ===== BATCH TOOLS =====
+    {
+        name: 'get_failed_batches',
+        description: 'Get batches that failed during ingestion. Use this when user asks about failed batches, errors, or ingestion problems.',
+        parameters: {
+            type: 'object',
+            properties: {
+                limit: { type: 'number', description: 'Maximum number of results (default 10)' },
+                datasetId: { type: 'string', description: 'Filter by dataset ID (optional)' }
+            }
+        },
+        requiresApproval: false,
+        execute: async ({ limit = 10, datasetId }) => {
+            const batches = await batchService.listBatches({
+                status: 'failed',
+                limit: String(limit),
+                datasetId
+            });
+            return batches;
+        }
+    },
+
+    {
+        name: 'get_batch_details',
+        description: 'Get detailed information about a specific batch including errors and metadata',
+        parameters: {
+            type: 'object',
+            properties: {
+                batchId: { type: 'string', description: 'The batch ID to look up' }
+            },
+            required: ['batchId']
+        },
+        requiresApproval: false,
+        execute: async ({ batchId }) => {
+            const [details, meta, failed] = await Promise.all([
+                batchService.getBatchDetails(batchId),
+                batchService.getBatchMeta(batchId).catch(() => null),
+                batchService.getFailedRecords(batchId).catch(() => ({ data: [] }))
+            ]);
+            return { details, meta, failedRecords: failed };
+        }
+    },
+
+    {
+        name: 'get_batch_stats',
+        description: 'Get overall batch ingestion statistics including success rates and counts',
+        parameters: {
+            type: 'object',
+            properties: {
+                timeRange: { type: 'string', description: 'Time range: 24h, 7d, 30d, or all' }
+            }
+        },
+        requiresApproval: false,
+        execute: async ({ timeRange = '24h' }) => {
+            return batchService.getBatchStats(timeRange);
+        }
+    },
+
+    // ===== FORENSIC AGENT TOOLS =====
+    {
+        name: 'analyze_batch_errors',
+        description: 'Analyze errors from a failed batch, categorize them, and identify root cause patterns. Use when a batch has failed and user wants to understand why.',
+        parameters: {
+            type: 'object',
+            properties: {
+                batchId: { type: 'string', description: 'The batch ID to analyze' }
+            },
+            required: ['batchId']
+        },
+        requiresApproval: false,
+        execute: async ({ batchId }) => {
+            // Get batch details and failed records
+            const [details, failed] = await Promise.all([
+                batchService.getBatchDetails(batchId),
+                batchService.getFailedRecords(batchId).catch(() => ({ data: [] }))
+            ]);
+            // Catalog returns { [batchId]: batch }
+            const batch = details?.[batchId] || details;
+            const datasetId = batch?.relatedObjects?.find(o => o.type === 'dataSet')?.id || batch?.dataSetId;
+            const dataset = datasetId ? await datasetService.getDatasetDetails(datasetId).catch(() => null) : null;
+
+            // Analyze error patterns
+            const errorCounts = {};
+            const sampleErrors = [];
+            const failedRecords = failed?.data || [];
+
+            failedRecords.forEach((record, idx) => {
+                const errorCode = record.errorCode || record.code || 'UNKNOWN';
+                const errorMessage = record.message || record.errorMessage || 'No message';
+
+                if (!errorCounts[errorCode]) {
+                    errorCounts[errorCode] = { count: 0, message: errorMessage, samples: [] };
+                }
+                errorCounts[errorCode].count++;
+
+                if (errorCounts[errorCode].samples.length < 3) {
+                    errorCounts[errorCode].samples.push({
+                        index: idx,
+                        data: record.data || record
+                    });
+                }
+            });
+
+            // Calculate percentages and sort by frequency
+            const totalErrors = failedRecords.length;
+            const errorAnalysis = Object.entries(errorCounts)
+                .map(([code, info]) => ({
+                    errorCode: code,
+                    count: info.count,
+                    percentage: totalErrors > 0 ? ((info.count / totalErrors) * 100).toFixed(1) : 0,
+                    message: info.message,
+                    samples: info.samples
+                }))
+                .sort((a, b) => b.count - a.count);
+
+            return {
+                batchId,
+                status: batch?.status || 'unknown',
+                totalErrors,
+                createdAt: batch?.created,
+                completedAt: batch?.completed,
+                datasetId,
+                schemaRef: (dataset?.[datasetId] || dataset)?.schemaRef?.id || null,
+                // Batch-level errors reported by Catalog (e.g. missing required fields)
+                batchErrors: (batch?.errors || []).map(e => ({ code: e.code, description: e.description || e.message })),
+                errorBreakdown: errorAnalysis,
+                topError: errorAnalysis[0] || null,
+                recommendation: errorAnalysis.length > 0
+                    ? `${errorAnalysis[0].percentage}% of errors are "${errorAnalysis[0].errorCode}". Review the target schema for type mismatches.`
+                    : 'No errors found to analyze.'
+            };
+        }
+    },
+
+    {
+        name: 'diagnose_ingestion_failure',
+        description: 'Diagnose why a batch ingestion failed by comparing data with target schema. Identifies type mismatches, missing required fields, and format issues.',
+        parameters: {
+            type: 'object',
+            properties: {
+                batchId: { type: 'string', description: 'The failed batch ID' },
+                datasetId: { type: 'string', description: 'Target dataset ID (optional, will be fetched from batch if not provided)' }
+            },
+            required: ['batchId']
+        },
+        requiresApproval: false,
+        execute: async ({ batchId, datasetId }) => {
+            // Get batch and dataset info
+            const batchDetails = await batchService.getBatchDetails(batchId);
+            const targetDatasetId = datasetId || batchDetails?.dataSetId;
+
+            let datasetInfo = null;
+            let schemaInfo = null;
+
+            if (targetDatasetId) {
+                try {
+                    datasetInfo = await datasetService.getDatasetDetails(targetDatasetId);
+                    if (datasetInfo?.schemaRef?.id) {
+                        schemaInfo = await schemaService.getSchemaDetails(
+                            encodeURIComponent(datasetInfo.schemaRef.id),
+                            'tenant'
+                        ).catch(() => null);
+                    }
+                } catch (e) {
+                    console.error('Failed to fetch dataset/schema', e);
+                }
+            }
+
+            // Get failed records for analysis
+            const failedRecords = await batchService.getFailedRecords(batchId).catch(() => ({ data: [] }));
+
+            const diagnosis = {
+                batchId,
+                status: batchDetails?.status,
+                dataset: {
+                    id: targetDatasetId,
+                    name: datasetInfo?.name || 'Unknown'
+                },
+                schema: schemaInfo ? {
+                    id: datasetInfo?.schemaRef?.id,
+                    title: schemaInfo?.title || 'Unknown'
+                } : null,
+                errorCount: failedRecords?.data?.length || 0,
+                issues: [],
+                recommendations: []
+            };
+
+            // Common issue patterns
+            if (!schemaInfo) {
+                diagnosis.issues.push('Could not fetch target schema - verify dataset configuration');
+            }
+
+            if (batchDetails?.status === 'failed') {
+                const errors = batchDetails?.errors || [];
+                errors.forEach(err => {
+                    if (err.code?.includes('TYPE')) {
+                        diagnosis.issues.push(`Type mismatch: ${err.description || err.message}`);
+                        diagnosis.recommendations.push('Check that source data types match the XDM schema');
+                    }
+                    if (err.code?.includes('REQUIRED') || err.code?.includes('MISSING')) {
+                        diagnosis.issues.push(`Missing required field: ${err.description || err.message}`);
+                        diagnosis.recommendations.push('Ensure all required XDM fields are populated');
+                    }
+                });
+            }
+
+            if (diagnosis.issues.length === 0) {
+                diagnosis.issues.push('Batch failed but specific errors not available');
+                diagnosis.recommendations.push('Check batch meta API for detailed diagnostics');
+            }
+
+            return diagnosis;
+        }
+    },
+
+    {
+        name: 'get_error_summary',
+        description: 'Get a human-readable summary of recent ingestion errors across all batches. Good for getting a quick overview of ingestion health.',
+        parameters: {
+            type: 'object',
+            properties: {
+                hours: { type: 'number', description: 'Look back hours (default 24)' }
+            }
+        },
+        requiresApproval: false,
+        execute: async ({ hours = 24 }) => {
+            const batches = await batchService.listBatches({
+                status: 'failed',
+                limit: '50'
+            });
+
+            const failedBatches = batches?.batches || [];
+            const cutoffTime = Date.now() - (hours * 60 * 60 * 1000);
+
+            const recentFailed = failedBatches.filter(b =>
+                new Date(b.created).getTime() > cutoffTime
+            );
+
+            // Group by dataset
+            const byDataset = {};
+            recentFailed.forEach(b => {
+                const dsId = b.dataSetId || 'unknown';
+                if (!byDataset[dsId]) {
+                    byDataset[dsId] = { count: 0, batches: [] };
+                }
+                byDataset[dsId].count++;
+                byDataset[dsId].batches.push(b.id);
+            });
+
+            return {
+                timeRange: `Last ${hours} hours`,
+                totalFailed: recentFailed.length,
+                byDataset: Object.entries(byDataset).map(([id, info]) => ({
+                    datasetId: id,
+                    failedBatches: info.count,
+                    batchIds: info.batches.slice(0, 5)
+                })),
+                summary: recentFailed.length === 0
+                    ? `✅ No failed batches in the last ${hours} hours!`
+                    : `⚠️ ${recentFailed.length} batches failed across ${Object.keys(byDataset).length} datasets`
+            };
+        }
+    }
+];
@@ -0,0 +1,100 @@
+/**
+ * Dataset Tools
+ * Catalog datasets, their labels and batches
+ */
+import * as datasetService from '../../services/dataset.service.js';
+
+export const datasetTools = [
+    // ===== DATASET TOOLS =====
+    {
+        name: 'list_datasets',
+        description: 'List all datasets in the catalog',
+        parameters: {
+            type: 'object',
+            properties: {
+                limit: { type: 'number', description: 'Maximum results' }
+            }
+        },
+        requiresApproval: false,
+        execute: async ({ limit = 20 }) => {
+            return datasetService.listDatasets({ limit: String(limit) });
+        }
+    },
+
+    {
+        name: 'get_dataset_stats',
+        description: 'Get dataset statistics - total count, sizes, types',
+        parameters: { type: 'object', properties: {} },
+        requiresApproval: false,
+        execute: async () => {
+            return datasetService.getDatasetStats();
+        }
+    },
+
+    {
+        name: 'get_dataset_details',
+        description: 'Get detailed information about a specific dataset by ID, including schema, labels, and configuration.',
+        parameters: {
+            type: 'object',
+            properties: {
+                datasetId: { type: 'string', description: 'The dataset ID' }
+            },
+            required: ['datasetId']
+        },
+        requiresApproval: false,
+        execute: async ({ datasetId }) => {
+            const dataset = await datasetService.getDatasetDetails(datasetId);
+            return {
+                id: datasetId,
+                name: dataset[datasetId]?.name || 'Unknown',
+                schemaRef: dataset[datasetId]?.schemaRef,
+                state: dataset[datasetId]?.state,
+                created: dataset[datasetId]?.created,
+                profileEnabled: dataset[datasetId]?.tags?.['unifiedProfile']?.[0] === 'enabled',
+                identityEnabled: dataset[datasetId]?.tags?.['unifiedIdentity']?.[0] === 'enabled',
+                tags: dataset[datasetId]?.tags
+            };
+        }
+    },
+
+    {
+        name: 'get_dataset_labels',
+        description: 'Get data usage labels (governance labels) applied to a dataset.',
+        parameters: {
+            type: 'object',
+            properties: {
+                datasetId: { type: 'string', description: 'The dataset ID' }
+            },
+            required: ['datasetId']
+        },
+        requiresApproval: false,
+        execute: async ({ datasetId }) => {
+            return datasetService.getDatasetLabels(datasetId);
+        }
+    },
+
+    {
+        name: 'get_dataset_batches',
+        description: 'Get all batches ingested into a specific dataset.',
+        parameters: {
+            type: 'object',
+            properties: {
+                datasetId: { type: 'string', description: 'The dataset ID' },
+                status: { type: 'string', enum: ['success', 'failed', 'processing'], description: 'Filter by batch status' },
+                limit: { type: 'number', description: 'Maximum batches to return' }
+            },
+            required: ['datasetId']
+        },
+        requiresApproval: false,
+        execute: async ({ datasetId, status, limit = 50 }) => {
+            const batches = await datasetService.getDatasetBatches(datasetId, { status, limit: limit.toString() });
+            const batchList = Object.entries(batches || {}).map(([id, b]) => ({
+                id,
+                status: b.status,
+                created: b.created,
+                recordCount: b.metrics?.recordCount
+            }));
+            return { datasetId, batchCount: batchList.length, batches: batchList.slice(0, 20) };
+        }
+    }
+];
@@ -0,0 +1,118 @@
+/**
+ * Data Flow Tools
+ * Flow Service dataflows, runs and connections
+ */
+import * as flowService from '../../services/flow.service.js';
+
+export const flowTools = [
+    // ===== DATA FLOW TOOLS =====
+    {
+        name: 'list_data_flows',
+        description: 'List all data flows (ingestion pipelines) in the current sandbox.',
+        parameters: {
+            type: 'object',
+            properties: {
+                limit: { type: 'number', description: 'Maximum flows to return' }
+            },
+            required: []
+        },
+        requiresApproval: false,
+        execute: async ({ limit = 50 }) => {
+            const flows = await flowService.listFlows({ limit: limit.toString() });
+            return {
+                totalFlows: flows?.items?.length || 0,
+                flows: (flows?.items || []).map(f => ({
+                    id: f.id,
+                    name: f.name,
+                    state: f.state,
+                    createdAt: f.createdAt
+                }))
+            };
+        }
+    },
+
+    {
+        name: 'get_flow_details',
+        description: 'Get detailed information about a specific data flow.',
+        parameters: {
+            type: 'object',
+            properties: {
+                flowId: { type: 'string', description: 'The flow ID' }
+            },
+            required: ['flowId']
+        },
+        requiresApproval: false,
+        execute: async ({ flowId }) => {
+            return flowService.getFlowDetails(flowId);
+        }
+    },
+
+    {
+        name: 'list_flow_runs',
+        description: 'List execution runs for data flows. See when flows ran and their status.',
+        parameters: {
+            type: 'object',
+            properties: {
+                flowId: { type: 'string', description: 'Filter by specific flow ID (optional)' },
+                limit: { type: 'number', description: 'Maximum runs to return' }
+            },
+            required: []
+        },
+        requiresApproval: false,
+        execute: async ({ flowId, limit = 50 }) => {
+            const runs = await flowService.listFlowRuns({ flowId, limit: limit.toString() });
+            return {
+                totalRuns: runs?.items?.length || 0,
+                runs: (runs?.items || []).slice(0, 20).map(r => ({
+                    id: r.id,
+                    flowId: r.flowId,
+                    state: r.state,
+                    startedAt: r.startedAt,
+                    completedAt: r.completedAt
+                }))
+            };
+        }
+    },
+
+    {
+        name: 'trigger_flow_run',
+        description: 'Manually trigger a data flow to run now.',
+        parameters: {
+            type: 'object',
+            properties: {
+                flowId: { type: 'string', description: 'The flow ID to trigger' }
+            },
+            required: ['flowId']
+        },
+        requiresApproval: true,
+        execute: async ({ flowId }) => {
+            const run = await flowService.triggerFlowRun(flowId);
+            return { triggered: true, flowId, runId: run?.id, message: 'Flow run triggered successfully' };
+        }
+    },
+
+    {
+        name: 'list_connections',
+        description: 'List all source/destination connections configured in AEP.',
+        parameters: {
+            type: 'object',
+            properties: {
+                limit: { type: 'number', description: 'Maximum connections to return' }
+            },
+            required: []
+        },
+        requiresApproval: false,
+        execute: async ({ limit = 50 }) => {
+            const connections = await flowService.listConnections({ limit: limit.toString() });
+            return {
+                totalConnections: connections?.items?.length || 0,
+                connections: (connections?.items || []).map(c => ({
+                    id: c.id,
+                    name: c.name,
+                    type: c.connectionSpec?.name,
+                    state: c.state
+                }))
+            };
+        }
+    }
+];
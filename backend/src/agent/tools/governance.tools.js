@@ -0,0 +1,123 @@
+/**
+ * Governance Tools
+ * Data usage policies, labels and audit logs
+ */
+import * as policyService from '../../services/policy.service.js';
+import * as auditService from '../../services/audit.service.js';
+
+export const governanceTools = [
+    // ===== POLICY & GOVERNANCE TOOLS =====
+    {
+        name: 'list_governance_policies',
+        description: 'List all data governance policies (both core and custom).',
+        parameters: {
+            type: 'object',
+            properties: {
+                type: { type: 'string', enum: ['core', 'custom', 'all'], description: 'Policy type filter' }
+            },
+            required: []
+        },
+        requiresApproval: false,
+        execute: async ({ type = 'all' }) => {
+            const results = { core: [], custom: [] };
+
+            if (type === 'all' || type === 'core') {
+                const core = await policyService.listCorePolicies().catch(() => ({ children: [] }));
+                results.core = core?.children || [];
+            }
+            if (type === 'all' || type === 'custom') {
+                const custom = await policyService.listCustomPolicies().catch(() => ({ children: [] }));
+                results.custom = custom?.children || [];
+            }
+
+            return {
+                corePolicies: results.core.length,
+                customPolicies: results.custom.length,
+                policies: [...results.core, ...results.custom].map(p => ({
+                    name: p.name,
+                    description: p.description,
+                    status: p.status
+                }))
+            };
+        }
+    },
+
+    {
+        name: 'list_data_labels',
+        description: 'List all data usage labels (DULE labels) available in the organization.',
+        parameters: {
+            type: 'object',
+            properties: {},
+            required: []
+        },
+        requiresApproval: false,
+        execute: async () => {
+            const [core, custom] = await Promise.all([
+                policyService.listCoreLabels().catch(() => ({ children: [] })),
+                policyService.listCustomLabels().catch(() => ({ children: [] }))
+            ]);
+
+            return {
+                coreLabels: (core?.children || []).map(l => ({ name: l.name, category: l.category })),
+                customLabels: (custom?.children || []).map(l => ({ name: l.name, category: l.category })),
+                totalLabels: (core?.children?.length || 0) + (custom?.children?.length || 0)
+            };
+        }
+    },
+
+    {
+        name: 'evaluate_policy_violation',
+        description: 'Check if a marketing action would violate any policies based on data labels.',
+        parameters: {
+            type: 'object',
+            properties: {
+                marketingAction: { type: 'string', description: 'Marketing action name (e.g., "exportToThirdParty")' },
+                labels: { type: 'array', items: { type: 'string' }, description: 'Data labels to check against' }
+            },
+            required: ['marketingAction', 'labels']
+        },
+        requiresApproval: false,
+        execute: async ({ marketingAction, labels }) => {
+            const result = await policyService.evaluatePolicyByLabels(marketingAction, labels);
+            return {
+                marketingAction,
+                labels,
+                violationDetected: result?.violatedPolicies?.length > 0,
+                violatedPolicies: result?.violatedPolicies || [],
+                recommendation: result?.violatedPolicies?.length > 0
+                    ? 'This action would violate data governance policies. Review the labels or choose different data.'
+                    : 'No policy violations detected. This action is permitted.'
+            };
+        }
+    },
+
+    // ===== AUDIT LOG TOOLS =====
+    {
+        name: 'get_audit_logs',
+        description: 'Retrieve audit logs for platform activities. Track who did what and when.',
+        parameters: {
+            type: 'object',
+            properties: {
+                resource: { type: 'string', description: 'Filter by resource type (e.g., "schema", "dataset", "segment")' },
+                action: { type: 'string', description: 'Filter by action (e.g., "create", "update", "delete")' },
+                user: { type: 'string', description: 'Filter by user email' },
+                limit: { type: 'number', description: 'Maximum logs to return' }
+            },
+            required: []
+        },
+        requiresApproval: false,
+        execute: async ({ resource, action, user, limit = 50 }) => {
+            const logs = await auditService.getAuditLogs({ resource, action, user, limit }).catch(() => ({ children: [] }));
+            return {
+                totalLogs: logs?.children?.length || 0,
+                logs: (logs?.children || []).slice(0, 20).map(l => ({
+                    timestamp: l.timestamp,
+                    user: l.user,
+                    resource: l.resource,
+                    action: l.action,
+                    status: l.status
+                }))
+            };
+        }
+    }
+];
@@ -0,0 +1,208 @@
+/**
+ * Identity Tools
+ * Identity namespaces and identity graph diagnostics
+ */
+import * as identityService from '../../services/identity.service.js';
+
+export const identityTools = [
+    // ===== IDENTITY TOOLS =====
+    {
+        name: 'list_namespaces',
+        description: 'List all identity namespaces',
+        parameters: { type: 'object', properties: {} },
+        requiresApproval: false,
+        execute: async () => {
+            return identityService.listNamespaces();
+        }
+    },
+
+    {
+        name: 'get_identity_xid',
+        description: 'Get the XID (Experience ID) for an identity',
+        parameters: {
+            type: 'object',
+            properties: {
+                namespace: { type: 'string', description: 'Identity namespace' },
+                id: { type: 'string', description: 'Identity value' }
+            },
+            required: ['namespace', 'id']
+        },
+        requiresApproval: false,
+        role: 'analyst', // Identity graphs are customer-level data
+        execute: async ({ namespace, id }) => {
+            return identityService.getXID(namespace, id);
+        }
+    },
+
+    // ===== IDENTITY GRAPH DOCTOR TOOLS =====
+    {
+        name: 'get_identity_graph',
+        description: 'Get the identity graph for a specific identity. Shows all linked identities across namespaces.',
+        parameters: {
+            type: 'object',
+            properties: {
+                namespace: { type: 'string', description: 'Identity namespace (e.g., Email, ECID, Phone)' },
+                identity: { type: 'string', description: 'The identity value' }
+            },
+            required: ['namespace', 'identity']
+        },
+        requiresApproval: false,
+        role: 'analyst',
+        execute: async ({ namespace, identity }) => {
+            // First get the XID
+            const xidResult = await identityService.getIdentityXID(namespace, identity);
+            const xid = xidResult?.xid;
+
+            if (!xid) {
+                return { error: 'Could not find XID for this identity', namespace, identity };
+            }
+
+            // Get cluster members
+            const cluster = await identityService.getClusterMembers(xid).catch(() => null);
+            const members = cluster?.cluster || [];
+
+            // Get namespaces for context
+            const namespaces = await identityService.listNamespaces().catch(() => []);
+            const nsMap = {};
+            namespaces.forEach(ns => { nsMap[ns.id] = ns; });
+
+            return {
+                inputIdentity: { namespace, identity, xid },
+                graphSize: members.length,
+                members: members.map(m => ({
+                    xid: m.xid,
+                    namespace: nsMap[m.nsid]?.code || m.nsid,
+                    namespaceName: nsMap[m.nsid]?.name || 'Unknown'
+                })),
+                isSharedDevice: members.length > 10,
+                warning: members.length > 10
+                    ? '⚠️ This identity has many linked profiles - could be a shared device'
+                    : null
+            };
+        }
+    },
+
+    {
+        name: 'diagnose_identity_link',
+        description: 'Diagnose why two identities are or are not linked. Analyzes namespace priorities and graph connections.',
+        parameters: {
+            type: 'object',
+            properties: {
+                namespace1: { type: 'string', description: 'First identity namespace' },
+                identity1: { type: 'string', description: 'First identity value' },
+                namespace2: { type: 'string', description: 'Second identity namespace' },
+                identity2: { type: 'string', description: 'Second identity value' }
+            },
+            required: ['namespace1', 'identity1', 'namespace2', 'identity2']
+        },
+        requiresApproval: false,
+        role: 'analyst',
+        execute: async ({ namespace1, identity1, namespace2, identity2 }) => {
+            // Get XIDs for both identities
+            const [xid1Result, xid2Result] = await Promise.all([
+                identityService.getIdentityXID(namespace1, identity1).catch(() => null),
+                identityService.getIdentityXID(namespace2, identity2).catch(() => null)
+            ]);
+
+            const xid1 = xid1Result?.xid;
+            const xid2 = xid2Result?.xid;
+
+            // Cookie or device namespaces only link to person namespaces through cross-device data
+            const namespaces = await identityService.listNamespaces().catch(() => []);
+            const idType = (code) => (Array.isArray(namespaces) ? namespaces : []).find(n => n.code === code)?.idType || 'UNKNOWN';
+
+            const diagnosis = {
+                identity1: { namespace: namespace1, value: identity1, xid: xid1, found: !!xid1, idType: idType(namespace1) },
+                identity2: { namespace: namespace2, value: identity2, xid: xid2, found: !!xid2, idType: idType(namespace2) },
+                areLinked: false,
+                reasons: [],
+                recommendations: []
+            };
+
+            if (!xid1) {
+                diagnosis.reasons.push(`Identity 1 (${namespace1}:${identity1}) not found in the graph`);
+                diagnosis.recommendations.push('Verify this identity exists in ingested data');
+            }
+
+            if (!xid2) {
+                diagnosis.reasons.push(`Identity 2 (${namespace2}:${identity2}) not found in the graph`);
+                diagnosis.recommendations.push('Verify this identity exists in ingested data');
+            }
+
+            if (xid1 && xid2) {
+                // Get cluster for first identity
+                const cluster = await identityService.getClusterMembers(xid1).catch(() => ({ cluster: [] }));
+                const members = cluster?.cluster || [];
+
+                // Check if xid2 is in the cluster
+                diagnosis.areLinked = members.some(m => m.xid === xid2);
+
+                if (diagnosis.areLinked) {
+                    diagnosis.reasons.push('✅ These identities ARE linked in the same cluster');
+                } else {
+                    diagnosis.reasons.push('❌ These identities are NOT linked');
+                    diagnosis.reasons.push('Possible causes: Different ingestion sources, namespace priority mismatch, or no common event/record');
+                    diagnosis.recommendations.push('Check if both identities appear in the same record/event');
+                    diagnosis.recommendations.push('Review namespace priority settings');
+                    diagnosis.recommendations.push('Verify identity graph configuration');
+                }
+
+                // Check for shared device pattern
+                if (members.length > 10) {
+                    diagnosis.reasons.push(`⚠️ Identity 1 is part of a large cluster (${members.length} members) - possible shared device`);
+                }
+            }
+
+            return diagnosis;
+        }
+    },
+
+    {
+        name: 'detect_shared_device',
+        description: 'Detect if an identity belongs to a shared device by checking cluster size and linking patterns.',
+        parameters: {
+            type: 'object',
+            properties: {
+                namespace: { type: 'string', description: 'Identity namespace' },
+                identity: { type: 'string', description: 'Identity value (e.g., ECID)' },
+                threshold: { type: 'number', description: 'Threshold for shared device detection (default 10)' }
+            },
+            required: ['namespace', 'identity']
+        },
+        requiresApproval: false,
+        role: 'analyst',
+        execute: async ({ namespace, identity, threshold = 10 }) => {
+            const xidResult = await identityService.getIdentityXID(namespace, identity).catch(() => null);
+            const xid = xidResult?.xid;
+
+            if (!xid) {
+                return { found: false, error: 'Identity not found in graph' };
+            }
+
+            const cluster = await identityService.getClusterMembers(xid).catch(() => ({ cluster: [] }));
+            const members = cluster?.cluster || [];
+
+            // Analyze namespace distribution
+            const nsCounts = {};
+            members.forEach(m => {
+                nsCounts[m.nsid] = (nsCounts[m.nsid] || 0) + 1;
+            });
+
+            const isSharedDevice = members.length > threshold;
+
+            return {
+                identity: { namespace, value: identity, xid },
+                clusterSize: members.length,
+                threshold,
+                isSharedDevice,
+                namespaceDistribution: nsCounts,
+                verdict: isSharedDevice
+                    ? `🚨 SHARED DEVICE DETECTED: This ${namespace} is linked to ${members.length} identities (threshold: ${threshold})`
+                    : `✅ Normal: This ${namespace} is linked to ${members.length} identities`,
+                recommendation: isSharedDevice
+                    ? 'Consider excluding this identity from person-based segments and personalization'
+                    : null
+            };
+        }
+    }
+];
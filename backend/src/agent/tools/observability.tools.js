@@ -0,0 +1,48 @@
+/**
+ * Observability Tools
+ * Platform health and ingestion metrics
+ */
+import * as observabilityService from '../../services/observability.service.js';
+
+export const observabilityTools = [
+    // ===== OBSERVABILITY TOOLS =====
+    {
+        name: 'get_platform_health',
+        description: 'Get the current health status of AEP platform services.',
+        parameters: {
+            type: 'object',
+            properties: {},
+            required: []
+        },
+        requiresApproval: false,
+        execute: async () => {
+            const health = await observabilityService.getSystemHealth().catch(() => ({}));
+            return {
+                overallStatus: health?.status || 'unknown',
+                services: health?.services || {},
+                lastUpdated: new Date().toISOString()
+            };
+        }
+    },
+
+    {
+        name: 'get_ingestion_metrics',
+        description: 'Get ingestion metrics and throughput statistics.',
+        parameters: {
+            type: 'object',
+            properties: {
+                timeRange: { type: 'string', enum: ['1h', '6h', '24h', '7d'], description: 'Time range for metrics' }
+            },
+            required: []
+        },
+        requiresApproval: false,
+        execute: async ({ timeRange = '24h' }) => {
+            const metrics = await observabilityService.getIngestionMetrics({ timeRange }).catch(() => ({}));
+            return {
+                timeRange,
+                ...metrics,
+                summary: `Ingestion metrics for the last ${timeRange}`
+            };
+        }
+    }
+];
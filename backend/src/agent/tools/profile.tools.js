@@ -0,0 +1,119 @@
+/**
+ * Profile Tools
+ * Profile lookups, profile store metrics and data quality checks
+ */
+import * as datasetService from '../../services/dataset.service.js';
+import * as profileService from '../../services/profile.service.js';
+import * as queryService from '../../services/query.service.js';
+
+export const profileTools = [
+    // ===== PROFILE TOOLS =====
+    {
+        name: 'lookup_profile',
+        description: 'Look up a profile by identity (email, ECID, phone, etc.)',
+        parameters: {
+            type: 'object',
+            properties: {
+                namespace: { type: 'string', description: 'Identity namespace (e.g., Email, ECID)' },
+                identity: { type: 'string', description: 'The identity value' }
+            },
+            required: ['namespace', 'identity']
+        },
+        requiresApproval: false,
+        role: 'analyst', // Returns a customer's profile
+        execute: async ({ namespace, identity }) => {
+            return profileService.lookupProfileByIdentity(namespace, identity);
+        }
+    },
+
+    {
+        name: 'get_profile_stats',
+        description: 'Get profile store statistics - total profiles, namespaces, etc.',
+        parameters: { type: 'object', properties: {} },
+        requiresApproval: false,
+        execute: async () => {
+            return profileService.getProfileStats();
+        }
+    },
+
+    {
+        name: 'get_profile_preview_status',
+        description: 'Get a quick preview of the total profile count and system sample status.',
+        parameters: { type: 'object', properties: {}, required: [] },
+        requiresApproval: false,
+        execute: async () => {
+            const preview = await profileService.getProfilePreview();
+            return {
+                totalProfileCount: preview?.totalRows || 0,
+                lastUpdated: preview?.lastSuccessfulSampleTimestamp,
+                sampleSize: preview?.sampleSize
+            };
+        }
+    },
+
+    {
+        name: 'get_profile_distribution',
+        description: 'Get the breakdown of profiles by Dataset or Identity Namespace.',
+        parameters: {
+            type: 'object',
+            properties: {
+                dimension: { type: 'string', enum: ['dataset', 'namespace'], description: 'Dimension to group by' }
+            },
+            required: ['dimension']
+        },
+        requiresApproval: false,
+        execute: async ({ dimension }) => {
+            const data = dimension === 'dataset'
+                ? await profileService.getProfilesByDataset()
+                : await profileService.getProfilesByNamespace();
+
+            const distribution = Object.entries(data || {}).map(([key, value]) => ({
+                id: key,
+                count: value
+            })).sort((a, b) => b.count - a.count);
+
+            return {
+                dimension,
+                totalGroups: distribution.length,
+                top10: distribution.slice(0, 10)
+            };
+        }
+    },
+
+    {
+        name: 'check_orphaned_profiles',
+        description: 'Identify profiles with no recent activity (orphans) using SQL analysis.',
+        parameters: {
+            type: 'object',
+            properties: {
+                monthsInactive: { type: 'number', description: 'Number of months of inactivity (default 3)' }
+            },
+            required: []
+        },
+        requiresApproval: false,
+        execute: async ({ monthsInactive = 3 }) => {
+            const datasets = await datasetService.listDatasets({ name: 'Profile Snapshot Export', limit: '1' });
+            const snapshotId = Object.keys(datasets || {})[0];
+
+            if (!snapshotId) return { error: 'Profile Snapshot dataset not found.' };
+
+            const tableName = snapshotId;
+            const days = monthsInactive * 30;
+            const sql = `SELECT count(1) as orphan_count FROM "${tableName}" WHERE timestamp < date_sub(current_date(), ${days})`;
+
+            const queryRun = await queryService.createQuery({
+                dbName: 'prod:all',
+                sql: sql,
+                name: `Agent: Orphan Check (> ${days} days)`
+            });
+
+            return {
+                analysis: 'Orphaned Profile Check',
+                thresholdDays: days,
+                status: 'Query Submitted',
+                queryId: queryRun.id,
+                sql: sql
+            };
+        }
+    }
+];
@@ -0,0 +1,198 @@
+/**
+ * Query Tools
+ * Query Service: running, generating and optimizing SQL
+ */
+import * as datasetService from '../../services/dataset.service.js';
+import * as queryService from '../../services/query.service.js';
+import * as sqlService from '../sql.service.js';
+
+export const queryTools = [
+    // ===== QUERY TOOLS =====
+    {
+        name: 'list_recent_queries',
+        description: 'List recent queries executed in Query Service',
+        parameters: {
+            type: 'object',
+            properties: {
+                limit: { type: 'number', description: 'Maximum results' }
+            }
+        },
+        requiresApproval: false,
+        execute: async ({ limit = 10 }) => {
+            return queryService.listQueries({ limit: String(limit), orderby: '-created' });
+        }
+    },
+
+    {
+        name: 'execute_sql_query',
+        description: 'Execute a SQL query against AEP data. REQUIRES USER APPROVAL.',
+        parameters: {
+            type: 'object',
+            properties: {
+                sql: { type: 'string', description: 'The SQL query to execute' },
+                name: { type: 'string', description: 'Optional name for the query' }
+            },
+            required: ['sql']
+        },
+        requiresApproval: true, // REQUIRES APPROVAL
+        role: 'analyst', // Results can hold customer data
+        execute: async ({ sql, name }) => {
+            return queryService.createQuery({
+                dbName: 'prod:all',
+                sql,
+                name: name || `Agent_Query_${Date.now()}`
+            });
+        }
+    },
+
+    {
+        name: 'get_query_stats',
+        description: 'Get query service statistics',
+        parameters: { type: 'object', properties: {} },
+        requiresApproval: false,
+        execute: async () => {
+            return queryService.getQueryStats();
+        }
+    },
+
+    // ===== SQL ANALYST AGENT TOOLS =====
+    {
+        name: 'generate_sql_from_intent',
+        description: 'Generate a SQL query for AEP Query Service from a natural language description. Resolves real table names from the dataset catalog and XDM column paths from the data dictionary, and validates the statement with EXPLAIN.',
+        parameters: {
+            type: 'object',
+            properties: {
+                intent: { type: 'string', description: 'Natural language description of the data you want (mention the dataset if you know it)' }
+            },
+            required: ['intent']
+        },
+        requiresApproval: true, // Requires approval since it generates executable code
+        role: 'analyst', // Validates with EXPLAIN against the datasets
+        execute: async ({ intent }) => {
+            return await sqlService.generateSql(intent);
+        }
+    },
+
+    {
+        name: 'optimize_sql_query',
+        description: 'Analyze a SQL query and provide optimization suggestions. Identifies full table scans, missing partition filters, and performance issues.',
+        parameters: {
+            type: 'object',
+            properties: {
+                sql: { type: 'string', description: 'The SQL query to optimize' }
+            },
+            required: ['sql']
+        },
+        requiresApproval: false,
+        execute: async ({ sql }) => {
+            const issues = [];
+            const suggestions = [];
+            const sqlUpper = sql.toUpperCase();
+
+            // Check for SELECT *
+            if (sqlUpper.includes('SELECT *')) {
+                issues.push('SELECT * retrieves all columns - may cause unnecessary data transfer');
+                suggestions.push('Specify only the columns you need: SELECT col1, col2, ...');
+            }
+
+            // Check for missing LIMIT
+            if (!sqlUpper.includes('LIMIT')) {
+                issues.push('No LIMIT clause - query may return very large result set');
+                suggestions.push('Add LIMIT clause to restrict result size: LIMIT 1000');
+            }
+
+            // Check for missing WHERE clause
+            if (!sqlUpper.includes('WHERE')) {
+                issues.push('No WHERE clause - full table scan likely');
+                suggestions.push('Add date/partition filters in WHERE clause');
+            }
+
+            // Check for COUNT DISTINCT
+            if (sqlUpper.includes('COUNT(DISTINCT')) {
+                suggestions.push('Consider APPROX_COUNT_DISTINCT for large datasets - faster with minimal accuracy loss');
+            }
+
+            // Check for missing date filter
+            if (!sqlUpper.includes('DATE') && !sqlUpper.includes('TIMESTAMP') && !sqlUpper.includes('INTERVAL')) {
+                issues.push('No date filter detected - may scan entire history');
+                suggestions.push('Add date partition filter: WHERE _timestamp > CURRENT_DATE - INTERVAL \'7 days\'');
+            }
+
+            // Check for ORDER BY without LIMIT
+            if (sqlUpper.includes('ORDER BY') && !sqlUpper.includes('LIMIT')) {
+                issues.push('ORDER BY without LIMIT requires sorting entire dataset');
+                suggestions.push('Add LIMIT after ORDER BY to improve performance');
+            }
+
+            const score = 100 - (issues.length * 20);
+
+            return {
+                sql: sql.substring(0, 200) + (sql.length > 200 ? '...' : ''),
+                performanceScore: Math.max(0, score),
+                issueCount: issues.length,
+                issues,
+                suggestions,
+                summary: issues.length === 0
+                    ? '✅ Query looks well-optimized!'
+                    : `⚠️ Found ${issues.length} potential performance issues`
+            };
+        }
+    },
+
+    /**
+     * SQL Generator - Generate SQL from natural language
+     */
+    {
+        name: 'generate_sql',
+        description: 'Generate a SQL query from natural language description. Uses available table metadata to construct valid queries.',
+        parameters: {
+            type: 'object',
+            properties: {
+                description: { type: 'string', description: 'Natural language description of the query' },
+                tables: { type: 'array', items: { type: 'string' }, description: 'Optional list of table names to use' }
+            },
+            required: ['description']
+        },
+        requiresApproval: false,
+        execute: async ({ description, tables = [] }) => {
+            // This is a helper that provides context for the LLM to generate SQL
+            // The actual generation happens in the LLM response
+            const result = {
+                analysis: 'SQL Generation Context',
+                request: description,
+                availableTables: [],
+                suggestedQuery: null
+            };
+
+            try {
+                // Get available datasets/tables
+                const datasets = await datasetService.listAllDatasets().catch(() => []);
+                result.availableTables = Object.keys(datasets).slice(0, 20).map(id => ({
+                    id,
+                    name: datasets[id].name,
+                    schemaRef: datasets[id].schemaRef?.$id?.split('/').pop()
+                }));
+
+                // Simple pattern matching for common queries
+                const desc = description.toLowerCase();
+
+                if (desc.includes('count') && desc.includes('profile')) {
+                    result.suggestedQuery = 'SELECT count(1) as profile_count FROM your_profile_snapshot_table';
+                    result.note = 'Replace table name with actual Profile Snapshot Export dataset';
+                } else if (desc.includes('top') && (desc.includes('city') || desc.includes('country'))) {
+                    result.suggestedQuery = `SELECT address.city, count(1) as count FROM your_table GROUP BY address.city ORDER BY count DESC LIMIT 10`;
+                } else if (desc.includes('segment') && desc.includes('member')) {
+                    result.suggestedQuery = `SELECT count(1) FROM your_table WHERE segmentMembership.ups."YOUR_SEGMENT_ID".status = 'existing'`;
+                } else {
+                    result.suggestedQuery = `-- Query for: ${description}\n-- Please specify table name and columns`;
+                }
+
+                result.recommendation = 'Use the Query Service to execute. Replace placeholder table names with actual dataset IDs.';
+                return result;
+            } catch (error) {
+                result.error = error.message;
+                return result;
+            }
+        }
+    }
+];
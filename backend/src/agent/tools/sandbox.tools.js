@@ -0,0 +1,28 @@
+/**
+ * Sandbox Tools
+ * Sandboxes available to the organization
+ */
+import * as sandboxService from '../../services/sandbox.service.js';
+
+export const sandboxTools = [
+    // ===== SANDBOX TOOLS =====
+    {
+        name: 'list_sandboxes',
+        description: 'List all sandboxes in the organization',
+        parameters: { type: 'object', properties: {} },
+        requiresApproval: false,
+        execute: async () => {
+            return sandboxService.listSandboxes();
+        }
+    },
+
+    {
+        name: 'get_current_sandbox',
+        description: 'Get the currently active sandbox',
+        parameters: { type: 'object', properties: {} },
+        requiresApproval: false,
+        execute: async () => {
+            return sandboxService.getCurrentSandbox();
+        }
+    }
+];
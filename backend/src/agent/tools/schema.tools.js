@@ -0,0 +1,126 @@
+/**
+ * Schema Tools
+ * Schema registry lookups and the field data dictionary
+ */
+import * as schemaService from '../../services/schema.service.js';
+
+export const schemaTools = [
+    // ===== SCHEMA TOOLS =====
+    {
+        name: 'search_schemas',
+        description: 'Search for schemas in the Schema Registry by name or property',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Search term for schema name' },
+                container: { type: 'string', description: 'Container: tenant or global' }
+            }
+        },
+        requiresApproval: false,
+        execute: async ({ query, container = 'tenant' }) => {
+            const schemas = await schemaService.listSchemas(container, {
+                property: query ? `title~${query}` : undefined
+            });
+            return schemas;
+        }
+    },
+
+    {
+        name: 'get_schema_stats',
+        description: 'Get schema registry statistics - counts by type, behaviors, etc.',
+        parameters: { type: 'object', properties: {} },
+        requiresApproval: false,
+        execute: async () => {
+            return schemaService.getRegistryStats();
+        }
+    },
+
+    {
+        name: 'get_schema_details',
+        description: 'Get detailed information about a specific schema including properties',
+        parameters: {
+            type: 'object',
+            properties: {
+                schemaId: { type: 'string', description: 'The schema ID (URL encoded)' },
+                container: { type: 'string', description: 'Container: tenant or global' }
+            },
+            required: ['schemaId']
+        },
+        requiresApproval: false,
+        execute: async ({ schemaId, container = 'tenant' }) => {
+            return schemaService.getSchemaDetails(schemaId, container);
+        }
+    },
+
+    {
+        name: 'get_tenant_id',
+        description: 'Get the tenant ID for the current AEP organization. Needed for building schema references.',
+        parameters: { type: 'object', properties: {}, required: [] },
+        requiresApproval: false,
+        execute: async () => {
+            // Get tenant from schemas
+            const schemas = await schemaService.listSchemas({ type: 'tenant' }).catch(() => ({ results: [] }));
+            const tenantSchema = schemas?.results?.[0];
+
+            // Extract tenant ID from schema $id (format: https://ns.adobe.com/TENANT_ID/schemas/...)
+            let tenantId = null;
+            if (tenantSchema?.$id) {
+                const match = tenantSchema.$id.match(/ns\.adobe\.com\/([^/]+)/);
+                tenantId = match ? match[1] : null;
+            }
+
+            return {
+                tenantId: tenantId || 'unknown',
+                note: tenantId
+                    ? `Your tenant ID is: ${tenantId}. Use this for building schema references.`
+                    : 'Could not determine tenant ID. Check schema registry access.'
+            };
+        }
+    },
+
+    {
+        name: 'build_data_dictionary',
+        description: 'Generate a flattened Data Dictionary from XDM schemas for AI context.',
+        parameters: {
+            type: 'object',
+            properties: {
+                sandboxName: { type: 'string' }
+            },
+            required: []
+        },
+        requiresApproval: false,
+        execute: async () => {
+            const context = await schemaService.extractUnionSchemaForAI();
+            const flattenProperties = (props, prefix = '') => {
+                let items = [];
+                for (const [key, value] of Object.entries(props)) {
+                    const path = prefix ? `${prefix}.${key}` : key;
+                    items.push({
+                        path: path,
+                        type: value.type || 'string',
+                        title: value.title || key,
+                        description: value.description || 'No description available',
+                        sql_column: path.replace(/./g, '_')
+                    });
+                    if (value.properties) {
+                        items = items.concat(flattenProperties(value.properties, path));
+                    }
+                }
+                return items;
+            };
+
+            const dictionaries = context.schemas.map(schema => ({
+                schemaId: schema.id,
+                title: schema.title,
+                fieldCount: Object.keys(schema.properties).length,
+                dictionary: flattenProperties(schema.properties)
+            }));
+
+            return {
+                generatedAt: new Date().toISOString(),
+                totalSchemas: dictionaries.length,
+                dictionaries: dictionaries
+            };
+        }
+    }
+];
@@ -0,0 +1,538 @@
+/**
+ * Segment Tools
+ * Audiences: stats, debugging, PQL generation, creation and population analysis
+ */
+import * as datasetService from '../../services/dataset.service.js';
+import * as queryService from '../../services/query.service.js';
+import * as segmentService from '../../services/segment.service.js';
+import * as pqlService from '../pql.service.js';
+
+export const segmentTools = [
+    // ===== SEGMENT TOOLS =====
+    {
+        name: 'list_segments',
+        description: 'List audience segments',
+        parameters: {
+            type: 'object',
+            properties: {
+                limit: { type: 'number', description: 'Maximum results' }
+            }
+        },
+        requiresApproval: false,
+        execute: async ({ limit = 20 }) => {
+            return segmentService.listSegments({ limit: String(limit) });
+        }
+    },
+
+    {
+        name: 'get_segment_stats',
+        description: 'Get segment statistics',
+        parameters: { type: 'object', properties: {} },
+        requiresApproval: false,
+        execute: async () => {
+            return segmentService.getSegmentStats();
+        }
+    },
+
+    // ===== SEGMENT DEBUGGER TOOLS =====
+    {
+        name: 'debug_segment',
+        description: 'Debug why a segment has 0 or low qualified profiles. Checks merge policy, PQL validity, and sample profile evaluation.',
+        parameters: {
+            type: 'object',
+            properties: {
+                segmentId: { type: 'string', description: 'The segment ID to debug' }
+            },
+            required: ['segmentId']
+        },
+        requiresApproval: false,
+        execute: async ({ segmentId }) => {
+            // Get segment details
+            const segment = await segmentService.getSegmentDetails(segmentId).catch(() => null);
+
+            if (!segment) {
+                return { error: 'Segment not found', segmentId };
+            }
+
+            const debug = {
+                segmentId,
+                name: segment.name,
+                status: segment.status,
+                evaluationType: segment.type || 'batch',
+                pql: segment.expression?.value,
+                mergePolicyId: segment.mergePolicyId,
+                lastEvaluated: segment.lastEvaluatedTs,
+                qualifiedCount: segment.profiles || 0,
+                issues: [],
+                recommendations: []
+            };
+
+            // Check for common issues
+            if (!segment.expression?.value) {
+                debug.issues.push('No PQL expression defined');
+                debug.recommendations.push('Add a valid PQL expression to qualify profiles');
+            }
+
+            if (segment.status !== 'ACTIVE') {
+                debug.issues.push(`Segment is not active (status: ${segment.status})`);
+                debug.recommendations.push('Enable the segment for evaluation');
+            }
+
+            if (segment.type === 'streaming') {
+                debug.issues.push('Streaming segments have 4-6 hour latency');
+                debug.recommendations.push('Recent profile updates may not yet be reflected');
+            }
+
+            if (!segment.mergePolicyId) {
+                debug.issues.push('No merge policy specified');
+                debug.recommendations.push('Specify a merge policy that includes your target datasets');
+            }
+
+            if (debug.qualifiedCount === 0 && debug.issues.length === 0) {
+                debug.issues.push('Segment evaluated but no profiles matched');
+                debug.recommendations.push('Review PQL criteria - may be too restrictive');
+                debug.recommendations.push('Verify target datasets are enabled for profile');
+            }
+
+            return debug;
+        }
+    },
+
+    {
+        name: 'generate_pql_from_description',
+        description: 'Generate a PQL (Profile Query Language) expression from a natural language description, using only fields from the union profile schema. Validates field paths and types and returns the estimated audience size from a segment preview.',
+        parameters: {
+            type: 'object',
+            properties: {
+                description: { type: 'string', description: 'Natural language description of the segment criteria' }
+            },
+            required: ['description']
+        },
+        requiresApproval: true, // Requires approval since it generates code
+        role: 'analyst', // Previews the audience against profile data
+        execute: async ({ description }) => {
+            return await pqlService.generatePql(description);
+        }
+    },
+
+    {
+        name: 'create_segment',
+        description: 'Create a new segment/audience in AEP. Requires name, PQL expression, and optionally merge policy.',
+        parameters: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'Name for the segment' },
+                description: { type: 'string', description: 'Description of what this segment captures' },
+                pql: { type: 'string', description: 'PQL expression defining segment membership criteria' },
+                evaluationType: { type: 'string', enum: ['batch', 'streaming'], description: 'Evaluation type (default: batch)' }
+            },
+            required: ['name', 'pql']
+        },
+        requiresApproval: true, // Requires approval since it creates resources
+        execute: async ({ name, description, pql, evaluationType = 'batch' }) => {
+            // Build segment payload
+            const segmentPayload = {
+                name: name,
+                description: description || `Segment created by AI Agent: ${name}`,
+                expression: {
+                    type: 'PQL',
+                    format: 'pql/text',
+                    value: pql
+                },
+                schema: {
+                    name: '_xdm.context.profile'
+                },
+                evaluationType: evaluationType
+            };
+
+            // Create the segment via API
+            const segment = await segmentService.createSegment(segmentPayload);
+
+            return {
+                success: true,
+                segmentId: segment?.id,
+                name: segment?.name,
+                status: segment?.lifecycleState || 'DRAFT',
+                pql: pql,
+                message: `Segment "${name}" created successfully!`,
+                nextSteps: [
+                    'The segment will begin evaluation shortly',
+                    'View it in the Segments page to monitor qualification',
+                    'Enable for destinations when ready'
+                ]
+            };
+        }
+    },
+
+    {
+        name: 'build_segment_payload',
+        description: 'Build a complete segment creation payload from natural language description. Analyzes schemas to find correct field paths.',
+        parameters: {
+            type: 'object',
+            properties: {
+                audienceDescription: { type: 'string', description: 'Natural language description of the target audience' },
+                segmentName: { type: 'string', description: 'Name for the segment' }
+            },
+            required: ['audienceDescription', 'segmentName']
+        },
+        requiresApproval: false,
+        execute: async ({ audienceDescription, segmentName }) => {
+            // Common field mappings
+            const fieldMappings = {
+                'email': 'personalEmail.address',
+                'first name': 'person.name.firstName',
+                'last name': 'person.name.lastName',
+                'city': 'homeAddress.city',
+                'country': 'homeAddress.country',
+                'loyalty tier': 'loyalty.tier',
+                'loyalty status': 'loyalty.status',
+                'purchase': 'commerce.purchases',
+                'order': 'commerce.order',
+                'cart': 'commerce.cart',
+                'age': 'person.birthDate',
+                'gender': 'person.gender',
+                'phone': 'mobilePhone.number',
+                'activity': '_experience.analytics.event1to100',
+                'page view': 'web.webPageDetails.pageViews'
+            };
+
+            const descLower = audienceDescription.toLowerCase();
+            let suggestedPql = '';
+            const matchedFields = [];
+
+            // Build PQL based on matched fields
+            if (descLower.includes('email')) {
+                matchedFields.push('personalEmail.address');
+            }
+            if (descLower.includes('purchas') || descLower.includes('bought')) {
+                matchedFields.push('commerce.purchases');
+                if (descLower.includes('last 30 days') || descLower.includes('recent')) {
+                    suggestedPql = 'commerce.purchases.value > 0 and commerce.purchases._ts > (now() - duration("P30D"))';
+                }
+            }
+            if (descLower.includes('loyalty') && descLower.includes('gold')) {
+                suggestedPql = 'loyalty.tier = "gold"';
+            }
+            if (descLower.includes('active') || descLower.includes('engaged')) {
+                if (descLower.includes('7 days') || descLower.includes('week')) {
+                    suggestedPql = 'lastActivityDate > (now() - duration("P7D"))';
+                }
+            }
+
+            if (!suggestedPql && matchedFields.length > 0) {
+                suggestedPql = matchedFields.map(f => `${f} is not null`).join(' and ');
+            }
+
+            return {
+                segmentName,
+                audienceDescription,
+                suggestedPql: suggestedPql || 'SELECT * FROM xdm.context.profile WHERE [your_condition]',
+                matchedFields,
+                payload: {
+                    name: segmentName,
+                    description: audienceDescription,
+                    expression: {
+                        type: 'PQL',
+                        format: 'pql/text',
+                        value: suggestedPql
+                    },
+                    schema: { name: '_xdm.context.profile' }
+                },
+                note: suggestedPql
+                    ? 'I built a suggested PQL expression. Review it and use create_segment to create.'
+                    : 'Could not auto-generate PQL. Please provide more specific criteria.',
+                examples: [
+                    'Users who purchased in the last 30 days',
+                    'Gold loyalty tier members',
+                    'Active users in the past week',
+                    'Users with both email and phone'
+                ]
+            };
+        }
+    },
+
+    // ===== ADVANCED ANALYTICAL TOOLS =====
+    {
+        name: 'list_all_segments_with_counts',
+        description: 'List all segments with their qualified profile counts. Use this to analyze segment populations.',
+        parameters: {
+            type: 'object',
+            properties: {
+                limit: { type: 'number', description: 'Maximum segments to return (default 100)' }
+            },
+            required: []
+        },
+        requiresApproval: false,
+        execute: async ({ limit = 100 }) => {
+            // Get all segments
+            const segmentsResponse = await segmentService.listSegments({ limit: limit.toString() });
+            const segments = segmentsResponse?.segments || [];
+
+            // For each segment, try to get population from the segment data
+            // Note: AEP returns population in segment definition or via estimate endpoint
+            const segmentsWithCounts = segments.map(seg => ({
+                id: seg.id,
+                name: seg.name,
+                status: seg.lifecycleState || 'unknown',
+                evaluationType: seg.expression?.type || 'unknown',
+                // Population may be in different fields depending on API version
+                profileCount: seg.profileCount || seg.profiles || seg.population ||
+                    seg._embedded?.profiles || seg.estimatedSize || 0,
+                lastEvaluated: seg.lastEvaluatedTs || seg.lastModifiedAt,
+                pql: seg.expression?.value?.substring(0, 100)
+            }));
+
+            // Sort by profile count descending
+            segmentsWithCounts.sort((a, b) => (b.profileCount || 0) - (a.profileCount || 0));
+
+            const totalProfiles = segmentsWithCounts.reduce((sum, s) => sum + (s.profileCount || 0), 0);
+            const withProfiles = segmentsWithCounts.filter(s => (s.profileCount || 0) > 0).length;
+            const empty = segmentsWithCounts.filter(s => (s.profileCount || 0) === 0).length;
+
+            return {
+                totalSegments: segments.length,
+                segmentsWithProfiles: withProfiles,
+                emptySegments: empty,
+                totalProfilesAcrossSegments: totalProfiles,
+                segments: segmentsWithCounts,
+                summary: `Found ${segments.length} segments: ${withProfiles} have qualified profiles, ${empty} are empty.`
+            };
+        }
+    },
+
+    {
+        name: 'analyze_segments_by_population',
+        description: 'Filter and analyze segments by profile count. Find segments with more than X profiles, empty segments, or top N segments by size.',
+        parameters: {
+            type: 'object',
+            properties: {
+                minProfiles: { type: 'number', description: 'Minimum profile count (e.g., 1 for non-empty, 1000 for large)' },
+                maxProfiles: { type: 'number', description: 'Maximum profile count (optional)' },
+                topN: { type: 'number', description: 'Return only top N segments by profile count' },
+                status: { type: 'string', enum: ['published', 'draft', 'all'], description: 'Filter by segment status (default: all)' }
+            },
+            required: []
+        },
+        requiresApproval: false,
+        execute: async ({ minProfiles = 0, maxProfiles, topN, status = 'all' }) => {
+            // Get segments with pagination (fetch up to 500 for analysis)
+            let segments = [];
+            let hasMore = true;
+            let start = 0;
+            const batchSize = 100; // Safe limit
+            const maxSegments = 500;
+
+            while (hasMore && segments.length < maxSegments) {
+                try {
+                    const response = await segmentService.listSegments({
+                        limit: batchSize.toString(),
+                        start: start.toString()
+                    });
+
+                    const batch = response?.segments || [];
+                    if (batch.length === 0) {
+                        hasMore = false;
+                    } else {
+                        segments = [...segments, ...batch];
+                        start += batchSize;
+                        if (batch.length < batchSize) hasMore = false;
+                    }
+                } catch (e) {
+                    console.error('Error fetching segments batch:', e);
+                    hasMore = false;
+                }
+            }
+
+            // Extract and filter segments
+            let filtered = segments.map(seg => ({
+                id: seg.id,
+                name: seg.name,
+                status: seg.lifecycleState || 'unknown',
+                profileCount: seg.profileCount || seg.profiles || seg.population || 0,
+                evaluationType: seg.expression?.type
+            }));
+
+            // Apply status filter
+            if (status !== 'all') {
+                filtered = filtered.filter(s => s.status.toLowerCase() === status.toLowerCase());
+            }
+
+            // Apply population filters
+            if (minProfiles > 0) {
+                filtered = filtered.filter(s => (s.profileCount || 0) >= minProfiles);
+            }
+            if (maxProfiles !== undefined) {
+                filtered = filtered.filter(s => (s.profileCount || 0) <= maxProfiles);
+            }
+
+            // Sort by profile count descending
+            filtered.sort((a, b) => (b.profileCount || 0) - (a.profileCount || 0));
+
+            // Apply topN limit
+            if (topN && topN > 0) {
+                filtered = filtered.slice(0, topN);
+            }
+
+            return {
+                matchingSegments: filtered.length,
+                totalSearched: segments.length,
+                criteria: {
+                    minProfiles,
+                    maxProfiles: maxProfiles || 'unlimited',
+                    status,
+                    topN: topN || 'all matching'
+                },
+                segments: filtered.slice(0, 50), // Limit response size
+                insights: {
+                    largestSegment: filtered[0] ? `"${filtered[0].name}" with ${filtered[0].profileCount?.toLocaleString() || 0} profiles` : 'None found',
+                    averageSize: filtered.length > 0
+                        ? Math.round(filtered.reduce((sum, s) => sum + (s.profileCount || 0), 0) / filtered.length)
+                        : 0
+                }
+            };
+        }
+    },
+
+    {
+        name: 'get_segment_population',
+        description: 'Get the current qualified profile count for a specific segment by ID or name.',
+        parameters: {
+            type: 'object',
+            properties: {
+                segmentId: { type: 'string', description: 'Segment ID to check' },
+                segmentName: { type: 'string', description: 'Segment name to search for (used if ID not provided)' }
+            },
+            required: []
+        },
+        requiresApproval: false,
+        execute: async ({ segmentId, segmentName }) => {
+            let segment = null;
+
+            if (segmentId) {
+                segment = await segmentService.getSegmentDetails(segmentId).catch(() => null);
+            } else if (segmentName) {
+                // Search for segment by name
+                const allSegments = await segmentService.listSegments({ limit: '200' });
+                const segments = allSegments?.segments || [];
+                segment = segments.find(s =>
+                    s.name?.toLowerCase().includes(segmentName.toLowerCase())
+                );
+                if (segment) {
+                    // Get full details
+                    segment = await segmentService.getSegmentDetails(segment.id).catch(() => segment);
+                }
+            }
+
+            if (!segment) {
+                return { found: false, error: 'Segment not found. Check the ID or name.' };
+            }
+
+            return {
+                found: true,
+                id: segment.id,
+                name: segment.name,
+                status: segment.lifecycleState,
+                profileCount: segment.profileCount || segment.profiles || segment.population || 0,
+                evaluationType: segment.expression?.type,
+                lastEvaluated: segment.lastEvaluatedTs,
+                pql: segment.expression?.value,
+                isQualifying: (segment.profileCount || segment.profiles || 0) > 0
+            };
+        }
+    },
+
+    {
+        name: 'compare_segment_populations',
+        description: 'Compare populations across multiple segments. Useful for overlap analysis.',
+        parameters: {
+            type: 'object',
+            properties: {
+                segmentIds: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Array of segment IDs to compare'
+                }
+            },
+            required: ['segmentIds']
+        },
+        requiresApproval: false,
+        execute: async ({ segmentIds }) => {
+            const results = [];
+
+            for (const id of segmentIds.slice(0, 10)) { // Limit to 10
+                const segment = await segmentService.getSegmentDetails(id).catch(() => null);
+                if (segment) {
+                    results.push({
+                        id: segment.id,
+                        name: segment.name,
+                        profileCount: segment.profileCount || segment.profiles || 0,
+                        status: segment.lifecycleState
+                    });
+                }
+            }
+
+            results.sort((a, b) => (b.profileCount || 0) - (a.profileCount || 0));
+
+            const total = results.reduce((sum, s) => sum + (s.profileCount || 0), 0);
+
+            return {
+                comparedSegments: results.length,
+                segments: results,
+                totalProfilesAcrossAll: total,
+                largestByPopulation: results[0]?.name || 'N/A',
+                smallestByPopulation: results[results.length - 1]?.name || 'N/A'
+            };
+        }
+    },
+
+    {
+        name: 'verify_segment_count',
+        description: 'Verify the "True Count" of a segment by running a SQL query against the profile snapshot in the Data Lake.',
+        parameters: {
+            type: 'object',
+            properties: {
+                segmentId: { type: 'string', description: 'The Segment ID to verify' },
+                snapshotDatasetName: { type: 'string', description: 'Name of the Profile Snapshot dataset (optional)' }
+            },
+            required: ['segmentId']
+        },
+        requiresApproval: false,
+        execute: async ({ segmentId, snapshotDatasetName = 'Profile Snapshot Export' }) => {
+            const segment = await segmentService.getSegmentDetails(segmentId);
+            if (!segment) throw new Error(`Segment ${segmentId} not found`);
+
+            const datasets = await datasetService.listDatasets({ name: snapshotDatasetName, limit: '5' });
+            const foundIds = Object.keys(datasets || {});
+
+            let snapshotId = foundIds[0];
+            if (!snapshotId) {
+                return { error: `Could not find a dataset named "${snapshotDatasetName}".` };
+            }
+
+            const tableName = snapshotId;
+            const sql = `SELECT count(1) as actual_count FROM "${tableName}" WHERE segmentMembership.ups."${segmentId}".status = 'existing'`;
+
+            const queryRun = await queryService.createQuery({
+                dbName: 'prod:all',
+                sql: sql,
+                name: `Agent Verification: ${segment.name}`
+            });
+
+            return {
+                analysisType: 'True Count Verification',
+                segment: {
+                    id: segmentId,
+                    name: segment.name,
+                    estimatedCount: segment.profileCount || segment.profiles || 0
+                },
+                verification: {
+                    status: 'IN_PROGRESS',
+                    queryId: queryRun.id,
+                    sqlUsed: sql,
+                    dataSource: tableName,
+                    note: 'Query submitted. Check Query Service for results.'
+                }
+            };
+        }
+    }
+];
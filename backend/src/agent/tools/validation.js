@@ -0,0 +1,98 @@
+/**
+ * Tool Argument Validation
+ * Checks LLM-provided arguments against a tool's `parameters` JSON Schema
+ * (the subset tools use: type, properties, required, items, enum,
+ * minimum/maximum, minLength/maxLength, pattern, additionalProperties).
+ */
+import { HttpError } from '../../utils/errors.js';
+
+/**
+ * Arguments that don't match a tool's parameters schema.
+ * `issues` is what gets fed back to the model so it can correct the call.
+ */
+export class ToolArgumentError extends HttpError {
+    constructor(toolName, issues) {
+        super(400, `Invalid arguments for ${toolName}: ${issues.map(i => `${i.path} ${i.message}`).join('; ')}`, 'INVALID_TOOL_ARGUMENTS');
+        this.name = 'ToolArgumentError';
+        this.toolName = toolName;
+        this.issues = issues;
+    }
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+/**
+ * Validate a value against a schema; returns [{ path, message }]
+ */
+export function validateSchema(schema, value, path = '$') {
+    if (!schema || typeof schema !== 'object') return [];
+    const issues = [];
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            return [{ path, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` }];
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        issues.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) issues.push({ path, message: `must be >= ${schema.minimum}` });
+        if (schema.maximum !== undefined && value > schema.maximum) issues.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) issues.push({ path, message: `must be at least ${schema.minLength} characters` });
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) issues.push({ path, message: `must be at most ${schema.maxLength} characters` });
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) issues.push({ path, message: `must match ${schema.pattern}` });
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => issues.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (value[key] === undefined || value[key] === null) {
+                issues.push({ path: `${path}.${key}`, message: 'is required' });
+            }
+        }
+        for (const [key, propValue] of Object.entries(value)) {
+            if (propValue === undefined) continue;
+            if (properties[key]) {
+                // Optional arguments sent as null mean "not provided"
+                if (propValue === null && !(schema.required || []).includes(key)) continue;
+                issues.push(...validateSchema(properties[key], propValue, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                issues.push({ path: `${path}.${key}`, message: `is not a known argument (expected: ${Object.keys(properties).join(', ') || 'none'})` });
+            }
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Validate a tool call's arguments; throws ToolArgumentError
+ */
+export function assertValidArguments(tool, args) {
+    const issues = validateSchema(tool.parameters || { type: 'object' }, args ?? {});
+    if (issues.length > 0) {
+        throw new ToolArgumentError(tool.name, issues);
+    }
+}
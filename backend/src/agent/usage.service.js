@@ -0,0 +1,293 @@
+/**
+ * LLM Usage Accounting
+ * Every chatCompletion call (agent loop, result summaries, memory compaction,
+ * SQL/PQL generation) is recorded here with its provider, model, token counts,
+ * latency and estimated cost. Totals are kept per day and per conversation in
+ * data/llm_usage.json (DATA_DIR moves it).
+ *
+ * Daily budgets: LLM_DAILY_BUDGET_USD and/or LLM_DAILY_TOKEN_BUDGET. Once today's
+ * usage reaches either, the agent answers with the rule-based path until midnight (UTC).
+ *
+ * Costs are estimates from PRICES (USD per 1M tokens); LLM_PRICE_INPUT_PER_1M and
+ * LLM_PRICE_OUTPUT_PER_1M override the price of the active model.
+ *
+ * Calls and conversations are tagged with their sandbox and only reported in it. Daily
+ * totals and the budget cover every sandbox, since the budget is shared.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getSandboxName } from '../config/config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+const USAGE_FILE = path.join(DATA_DIR, 'llm_usage.json');
+const FLUSH_DELAY_MS = 2000;
+const RETENTION_DAYS = 90;
+const MAX_CONVERSATIONS = 500;
+const MAX_RECENT_CALLS = 200;
+
+// USD per 1M tokens [input, output]; matched by longest model-name prefix
+const PRICES = {
+    'gpt-4o-mini': [0.15, 0.6],
+    'gpt-4o': [2.5, 10],
+    'gpt-4.1-nano': [0.1, 0.4],
+    'gpt-4.1-mini': [0.4, 1.6],
+    'gpt-4.1': [2, 8],
+    'gpt-4-turbo': [10, 30],
+    'gpt-35-turbo': [0.5, 1.5],
+    'gpt-3.5-turbo': [0.5, 1.5],
+    'gemini-2.5-pro': [1.25, 10],
+    'gemini-2.5-flash': [0.3, 2.5],
+    'gemini-2.0-flash-lite': [0.075, 0.3],
+    'gemini-2.0-flash': [0.1, 0.4],
+    'gemini-1.5-pro': [1.25, 5],
+    'gemini-1.5-flash': [0.075, 0.3]
+};
+// Local and offline providers cost nothing
+const FREE_PROVIDERS = new Set(['ollama', 'scripted']);
+
+const PRICE_OVERRIDE = process.env.LLM_PRICE_INPUT_PER_1M || process.env.LLM_PRICE_OUTPUT_PER_1M
+    ? [Number(process.env.LLM_PRICE_INPUT_PER_1M) || 0, Number(process.env.LLM_PRICE_OUTPUT_PER_1M) || 0]
+    : null;
+const DAILY_BUDGET_USD = Number(process.env.LLM_DAILY_BUDGET_USD) || null;
+const DAILY_TOKEN_BUDGET = Number(process.env.LLM_DAILY_TOKEN_BUDGET) || null;
+
+let usage = loadUsage();
+let flushTimer = null;
+
+function emptyTotals() {
+    return { requests: 0, failures: 0, promptTokens: 0, completionTokens: 0, costUsd: 0, latencyMs: 0 };
+}
+
+function loadUsage() {
+    try {
+        const data = JSON.parse(fs.readFileSync(USAGE_FILE, 'utf8'));
+        return { days: data.days || {}, conversations: data.conversations || {}, recent: data.recent || [] };
+    } catch {
+        return { days: {}, conversations: {}, recent: [] };
+    }
+}
+
+/**
+ * Write usage to disk (drops days past RETENTION_DAYS and the oldest conversations)
+ */
+export function flushUsage() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+
+    const oldest = dayKey(new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000));
+    for (const day of Object.keys(usage.days)) {
+        if (day < oldest) delete usage.days[day];
+    }
+    const conversations = Object.entries(usage.conversations);
+    if (conversations.length > MAX_CONVERSATIONS) {
+        conversations.sort(([, a], [, b]) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+        usage.conversations = Object.fromEntries(conversations.slice(0, MAX_CONVERSATIONS));
+    }
+
+    try {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        fs.writeFileSync(USAGE_FILE, JSON.stringify({ version: 1, ...usage }, null, 2));
+    } catch (error) {
+        console.error('[Usage] Could not save LLM usage:', error.message);
+    }
+}
+
+function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(flushUsage, FLUSH_DELAY_MS);
+    flushTimer.unref();
+}
+
+process.on('exit', () => {
+    if (flushTimer) flushUsage();
+});
+
+function dayKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+function addTo(totals, call) {
+    totals.requests += 1;
+    if (call.status === 'error') totals.failures += 1;
+    totals.promptTokens += call.promptTokens;
+    totals.completionTokens += call.completionTokens;
+    totals.costUsd += call.costUsd;
+    totals.latencyMs += call.latencyMs;
+}
+
+function round(value, digits = 6) {
+    return Number(value.toFixed(digits));
+}
+
+// ===== RECORDING =====
+
+/**
+ * Price [input, output] per 1M tokens for a model
+ */
+function priceFor(provider, model) {
+    if (FREE_PROVIDERS.has(provider)) return [0, 0];
+    if (PRICE_OVERRIDE) return PRICE_OVERRIDE;
+    const name = String(model || '').toLowerCase();
+    const match = Object.keys(PRICES)
+        .filter(prefix => name.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+    return match ? PRICES[match] : null;
+}
+
+/**
+ * Estimated cost in USD (0 when the model has no known price)
+ */
+export function estimateCost(provider, model, promptTokens, completionTokens) {
+    const price = priceFor(provider, model);
+    if (!price) return 0;
+    return (promptTokens * price[0] + completionTokens * price[1]) / 1_000_000;
+}
+
+/**
+ * Record one LLM request
+ * status: ok | error | cancelled
+ */
+export function recordUsage({ provider, model, purpose = 'chat', conversationId = null, promptTokens = 0, completionTokens = 0, latencyMs = 0, status = 'ok', error = null }) {
+    const call = {
+        at: new Date().toISOString(),
+        provider,
+        model,
+        purpose,
+        conversationId,
+        sandbox: getSandboxName(),
+        promptTokens,
+        completionTokens,
+        costUsd: estimateCost(provider, model, promptTokens, completionTokens),
+        latencyMs,
+        status,
+        ...(error ? { error: String(error).slice(0, 300) } : {})
+    };
+
+    const day = usage.days[dayKey()] ||= { ...emptyTotals(), byModel: {}, byPurpose: {} };
+    addTo(day, call);
+    addTo(day.byModel[model || 'unknown'] ||= emptyTotals(), call);
+    addTo(day.byPurpose[purpose] ||= emptyTotals(), call);
+
+    if (conversationId) {
+        const conversation = usage.conversations[conversationId] ||= { ...emptyTotals(), sandbox: call.sandbox, firstUsedAt: call.at };
+        addTo(conversation, call);
+        conversation.lastUsedAt = call.at;
+    }
+
+    usage.recent.push(call);
+    if (usage.recent.length > MAX_RECENT_CALLS) usage.recent.splice(0, usage.recent.length - MAX_RECENT_CALLS);
+
+    scheduleFlush();
+    return call;
+}
+
+// ===== BUDGETS =====
+
+/**
+ * Today's spend against the configured budgets
+ */
+export function getBudgetStatus() {
+    const today = usage.days[dayKey()] || emptyTotals();
+    const tokens = today.promptTokens + today.completionTokens;
+
+    let reason = null;
+    if (DAILY_BUDGET_USD && today.costUsd >= DAILY_BUDGET_USD) {
+        reason = `daily cost budget of $${DAILY_BUDGET_USD} reached`;
+    } else if (DAILY_TOKEN_BUDGET && tokens >= DAILY_TOKEN_BUDGET) {
+        reason = `daily token budget of ${DAILY_TOKEN_BUDGET} tokens reached`;
+    }
+
+    return {
+        day: dayKey(),
+        exceeded: Boolean(reason),
+        reason,
+        costUsd: round(today.costUsd),
+        tokens,
+        dailyBudgetUsd: DAILY_BUDGET_USD,
+        dailyTokenBudget: DAILY_TOKEN_BUDGET
+    };
+}
+
+/**
+ * True once today's usage reached a configured budget
+ */
+export function isOverBudget() {
+    return getBudgetStatus().exceeded;
+}
+
+// ===== REPORTING =====
+
+function summarize(totals) {
+    const { byModel, byPurpose, ...rest } = totals;
+    return {
+        ...rest,
+        costUsd: round(totals.costUsd),
+        totalTokens: totals.promptTokens + totals.completionTokens,
+        avgLatencyMs: totals.requests > 0 ? Math.round(totals.latencyMs / totals.requests) : 0,
+        ...(byModel ? { byModel: mapValues(byModel, summarize) } : {}),
+        ...(byPurpose ? { byPurpose: mapValues(byPurpose, summarize) } : {})
+    };
+}
+
+function mapValues(object, fn) {
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+}
+
+/**
+ * Usage for the last `days` days (newest first), their totals, the current sandbox's
+ * top conversations and the budget
+ */
+export function getUsageSummary({ days = 30, conversations = 20 } = {}) {
+    const dayCount = Math.min(Math.max(parseInt(days, 10) || 30, 1), RETENTION_DAYS);
+    const oldest = dayKey(new Date(Date.now() - (dayCount - 1) * 24 * 60 * 60 * 1000));
+
+    const dayList = Object.entries(usage.days)
+        .filter(([day]) => day >= oldest)
+        .sort(([a], [b]) => b.localeCompare(a))
+        .map(([day, totals]) => ({ day, ...summarize(totals) }));
+
+    const total = emptyTotals();
+    for (const day of dayList) {
+        for (const key of Object.keys(total)) total[key] += day[key];
+    }
+
+    const sandbox = getSandboxName();
+    const topConversations = Object.entries(usage.conversations)
+        .filter(([, totals]) => totals.sandbox === sandbox && totals.lastUsedAt.slice(0, 10) >= oldest)
+        .sort(([, a], [, b]) => b.costUsd - a.costUsd || (b.promptTokens + b.completionTokens) - (a.promptTokens + a.completionTokens))
+        .slice(0, Math.max(parseInt(conversations, 10) || 20, 0))
+        .map(([conversationId, totals]) => ({ conversationId, ...summarize(totals) }));
+
+    return {
+        days: dayList,
+        total: summarize(total),
+        conversations: topConversations,
+        budget: getBudgetStatus()
+    };
+}
+
+/**
+ * Totals and recent calls for one conversation (empty when it is from another sandbox)
+ */
+export function getConversationUsage(conversationId) {
+    const sandbox = getSandboxName();
+    const totals = usage.conversations[conversationId];
+    return {
+        conversationId,
+        ...summarize(totals?.sandbox === sandbox ? totals : emptyTotals()),
+        calls: usage.recent.filter(call => call.conversationId === conversationId && call.sandbox === sandbox)
+    };
+}
+
+/**
+ * Most recent LLM calls of the current sandbox, newest first
+ */
+export function getRecentCalls(limit = 50) {
+    const sandbox = getSandboxName();
+    return usage.recent
+        .filter(call => call.sandbox === sandbox)
+        .slice(-Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_RECENT_CALLS))
+        .reverse();
+}
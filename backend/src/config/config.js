@@ -1,4 +1,5 @@
 import dotenv from 'dotenv';
+import { AsyncLocalStorage } from 'async_hooks';
 dotenv.config();
 
 export const config = {
@@ -10,17 +11,45 @@ export const config = {
     imsUrl: process.env.IMS_URL || 'https://ims-na1.adobelogin.com',
     platformUrl: process.env.PLATFORM_URL || 'https://platform.adobe.io',
     scopes: process.env.SCOPES || 'openid,AdobeID,read_organizations',
-    port: process.env.PORT || 3001
+    port: process.env.PORT || 3001,
+    // Platform API client: retries for 429/5xx and max in-flight requests per endpoint
+    aepMaxRetries: parseInt(process.env.AEP_MAX_RETRIES || '3', 10),
+    aepRetryBaseMs: parseInt(process.env.AEP_RETRY_BASE_MS || '500', 10),
+    aepRetryMaxMs: parseInt(process.env.AEP_RETRY_MAX_MS || '30000', 10),
+    aepMaxConcurrency: parseInt(process.env.AEP_MAX_CONCURRENCY || '6', 10),
+    // User login: 'required', or 'off' to let every request act as a local admin (development only)
+    authMode: (process.env.AUTH_MODE || 'required').toLowerCase(),
+    authTokenTtl: process.env.AUTH_TOKEN_TTL || '12h'
 };
 
-// Allow dynamic sandbox switching
-export function setSandboxName(sandbox) {
-    if (sandbox) {
-        config.sandboxName = sandbox;
-        console.log(`[Config] Sandbox switched to: ${sandbox}`);
-    }
+// Per-request context so each request carries its own sandbox (and user) into every service call
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with the given sandbox scoped to it (and everything it awaits).
+ * Falls back to the SANDBOX_NAME default when no sandbox is given.
+ */
+export function runWithSandbox(sandbox, fn) {
+    return requestContext.run({ ...requestContext.getStore(), sandboxName: sandbox || config.sandboxName }, fn);
+}
+
+/**
+ * Run fn on behalf of a logged-in user (keeps the current sandbox)
+ */
+export function runWithUser(user, fn) {
+    return requestContext.run({ ...requestContext.getStore(), user }, fn);
+}
+
+/**
+ * User the current request acts for, or null for the server's own work (schedulers, evals)
+ */
+export function getCurrentUser() {
+    return requestContext.getStore()?.user || null;
 }
 
+/**
+ * Sandbox for the current request, or the process default outside a request
+ */
 export function getSandboxName() {
-    return config.sandboxName;
+    return requestContext.getStore()?.sandboxName || config.sandboxName;
 }
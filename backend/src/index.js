@@ -2,6 +2,10 @@ import express from 'express';
 import cors from 'cors';
 import { config } from './config/config.js';
 import apiRoutes from './routes/api.routes.js';
+import { startScheduler as startRunbookScheduler } from './agent/runbook.service.js';
+import { startScheduler as startBriefingScheduler } from './agent/briefing.service.js';
+import { bootstrapUsers } from './services/rbac.service.js';
+import { HttpError, toErrorResponse } from './utils/errors.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -25,10 +29,11 @@ app.get('/api/catalog', (req, res) => {
             const catalog = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
             res.json(catalog);
         } else {
-            res.status(404).json({ error: 'API catalog not found' });
+            throw new HttpError(404, 'API catalog not found');
         }
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        const { status, body } = toErrorResponse(error);
+        res.status(status).json(body);
     }
 });
 
@@ -53,4 +58,7 @@ app.listen(config.port, () => {
 ║  API Docs:  http://localhost:${config.port}/api/catalog              ║
 ╚═══════════════════════════════════════════════════════════╝
     `);
+    bootstrapUsers();
+    startRunbookScheduler();
+    startBriefingScheduler();
 });
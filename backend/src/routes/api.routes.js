@@ -1,5 +1,7 @@
 import { Router } from 'express';
 import { checkConnection, clearTokenCache } from '../services/auth.service.js';
+import { getClientMetrics } from '../services/aep.client.js';
+import { getCassetteStatus, getCassetteFile } from '../services/cassette.service.js';
 import * as batchService from '../services/batch.service.js';
 import * as schemaService from '../services/schema.service.js';
 import * as identityService from '../services/identity.service.js';
@@ -13,11 +15,13 @@ import * as policyService from '../services/policy.service.js';
 import * as observabilityService from '../services/observability.service.js';
 import * as auditService from '../services/audit.service.js';
 import * as accessService from '../services/access.service.js';
-import { config, setSandboxName, getSandboxName } from '../config/config.js';
+import * as rbacService from '../services/rbac.service.js';
+import { config, runWithSandbox, runWithUser, getSandboxName } from '../config/config.js';
+import { HttpError, toErrorResponse } from '../utils/errors.js';
 
 const router = Router();
 
-// Middleware to handle sandbox override from frontend
+// Middleware to scope each request to its own sandbox
 router.use((req, res, next) => {
     // Allow frontend to specify sandbox via query param or header
     if (req.query.sandbox) {
@@ -25,21 +29,50 @@ router.use((req, res, next) => {
     } else if (req.headers['x-sandbox-name']) {
         req.sandboxOverride = req.headers['x-sandbox-name'];
     } else {
-        req.sandboxOverride = getSandboxName();
+        req.sandboxOverride = config.sandboxName;
     }
-    next();
+    // Every service call made while handling this request uses this sandbox
+    runWithSandbox(req.sandboxOverride, next);
+});
+
+// Routes reachable without logging in
+const PUBLIC_ROUTES = new Set(['POST /auth/login']);
+
+// Middleware to identify the user (Authorization: Bearer <token>); they need a role in the
+// request's sandbox, except on /auth routes, which work in any sandbox
+router.use((req, res, next) => {
+    if (PUBLIC_ROUTES.has(`${req.method} ${req.path}`)) return next();
+    try {
+        req.user = rbacService.authenticate(req.headers.authorization);
+        if (!req.path.startsWith('/auth/')) rbacService.assertRole('viewer', { user: req.user });
+    } catch (err) {
+        const { status, body } = toErrorResponse(err);
+        return res.status(status).json(body);
+    }
+    runWithUser(req.user, next);
 });
 
+// Route guard: the user needs at least minRole in the request's sandbox
+const requireRole = (minRole) => (req, res, next) => {
+    try {
+        rbacService.assertRole(minRole);
+    } catch (err) {
+        const { status, body } = toErrorResponse(err);
+        return res.status(status).json(body);
+    }
+    next();
+};
+
 // Helper for safe async route handling
+// Errors are mapped by type (HttpError / AepApiError) to the error envelope
 const asyncHandler = (fn) => (req, res) => {
     Promise.resolve(fn(req, res)).catch(err => {
+        const { status, body } = toErrorResponse(err);
         // Only log non-404 errors (404s are expected for missing resources)
-        if (!err.message?.includes('404')) {
-            console.error('Route error:', err.message);
+        if (status !== 404) {
+            console.error(`Route error (${status}):`, err.message);
         }
-        const status = err.message?.includes('404') ? 404 :
-            err.message?.includes('400') ? 400 : 500;
-        res.status(status).json({ error: err.message });
+        res.status(status).json(body);
     });
 };
 
@@ -47,7 +80,7 @@ const asyncHandler = (fn) => (req, res) => {
 router.get('/sandbox/current', asyncHandler(async (req, res) => {
     res.json({
         sandbox: getSandboxName(),
-        default: process.env.SANDBOX_NAME,
+        default: config.sandboxName,
         name: getSandboxName()
     });
 }));
@@ -55,13 +88,61 @@ router.get('/sandbox/current', asyncHandler(async (req, res) => {
 router.post('/sandbox/switch', asyncHandler(async (req, res) => {
     const { sandbox } = req.body;
     if (!sandbox) {
-        return res.status(400).json({ error: 'Sandbox name required' });
+        throw new HttpError(400, 'Sandbox name required');
+    }
+    const role = rbacService.roleFor(req.user, sandbox);
+    if (!role) {
+        throw new HttpError(403, `You have no role in sandbox ${sandbox}`, 'FORBIDDEN');
     }
 
-    // Actually update the config sandbox (affects all services!)
-    setSandboxName(sandbox);
+    // Sandbox is per-request: the client keeps the selection and sends it as
+    // x-sandbox-name on every call, so other users are not affected
+    res.json({ success: true, sandbox, role });
+}));
+
+// ===== USERS AND ROLES =====
+// Body: { username, password } -> { token, expiresAt, user }
+router.post('/auth/login', asyncHandler(async (req, res) => {
+    res.json(rbacService.login(req.body));
+}));
+
+// The logged-in user and their role in the request's sandbox
+router.get('/auth/me', asyncHandler(async (req, res) => {
+    res.json({
+        user: req.user,
+        sandbox: getSandboxName(),
+        role: rbacService.roleFor(req.user),
+        authMode: config.authMode
+    });
+}));
+
+router.get('/auth/users', asyncHandler(async (req, res) => {
+    rbacService.assertAdmin();
+    res.json(rbacService.listUsers());
+}));
+
+// Body: { username, password, roles: { "<sandbox>" | "*": "viewer" | "analyst" | "operator" | "admin" } }
+router.post('/auth/users', asyncHandler(async (req, res) => {
+    rbacService.assertAdmin();
+    res.json(rbacService.createUser(req.body));
+}));
+
+// Body: any of { password, roles, disabled }
+router.put('/auth/users/:username', asyncHandler(async (req, res) => {
+    rbacService.assertAdmin();
+    res.json(rbacService.updateUser(req.params.username, req.body || {}));
+}));
+
+router.delete('/auth/users/:username', asyncHandler(async (req, res) => {
+    rbacService.assertAdmin();
+    res.json(rbacService.deleteUser(req.params.username));
+}));
 
-    res.json({ success: true, sandbox: getSandboxName() });
+// ?username=&action=approve&allowed=false&limit=50&offset=0
+router.get('/auth/decisions', asyncHandler(async (req, res) => {
+    rbacService.assertAdmin();
+    const { username, action, allowed, limit, offset } = req.query;
+    res.json(rbacService.listDecisions({ username, action, allowed, limit, offset }));
 }));
 
 // ===== AUTH / CONNECTION =====
@@ -70,12 +151,31 @@ router.get('/connection', asyncHandler(async (req, res) => {
     res.json(status);
 }));
 
-router.post('/connection/refresh', asyncHandler(async (req, res) => {
+router.post('/connection/refresh', requireRole('operator'), asyncHandler(async (req, res) => {
     clearTokenCache();
     const status = await checkConnection();
     res.json(status);
 }));
 
+// Platform API client health: retries, throttling (429s) and queueing per endpoint
+router.get('/connection/metrics', asyncHandler(async (req, res) => {
+    res.json(getClientMetrics());
+}));
+
+// ===== CASSETTES (recorded Platform traffic, AEP_CASSETTE_MODE) =====
+router.get('/cassettes', asyncHandler(async (req, res) => {
+    res.json(getCassetteStatus());
+}));
+
+// Download a sandbox's cassette to attach to a bug report
+router.get('/cassettes/:sandbox', requireRole('operator'), asyncHandler(async (req, res) => {
+    const file = getCassetteFile(req.params.sandbox);
+    if (!file) {
+        throw new HttpError(404, `No cassette recorded for sandbox ${req.params.sandbox}`);
+    }
+    res.download(file, `aep-cassette-${req.params.sandbox}.json`);
+}));
+
 // ===== DASHBOARD SUMMARY =====
 router.get('/dashboard/summary', asyncHandler(async (req, res) => {
     const [batchStats, schemaStats, identityStats, datasetStats, queryStats, sandbox] = await Promise.all([
@@ -98,6 +198,24 @@ router.get('/dashboard/summary', asyncHandler(async (req, res) => {
     });
 }));
 
+// ===== DAILY BRIEFINGS =====
+import * as briefingService from '../agent/briefing.service.js';
+
+// ?limit=14&offset=0 -> { briefings (newest first, with deltas), total }
+router.get('/briefings', asyncHandler(async (req, res) => {
+    const { limit, offset } = req.query;
+    res.json(briefingService.listBriefings({ limit, offset }));
+}));
+
+router.get('/briefings/:id', asyncHandler(async (req, res) => {
+    res.json(briefingService.getBriefing(req.params.id));
+}));
+
+// Build a briefing now instead of waiting for BRIEFING_CRON
+router.post('/briefings', requireRole('operator'), asyncHandler(async (req, res) => {
+    res.json(await briefingService.generateBriefing({ trigger: 'manual' }));
+}));
+
 // ===== BATCHES =====
 router.get('/batches', asyncHandler(async (req, res) => {
     const batches = await batchService.listBatches(req.query);
@@ -242,6 +360,37 @@ router.get('/behaviors', asyncHandler(async (req, res) => {
     res.json(behaviors);
 }));
 
+// ===== BUSINESS GLOSSARY =====
+import * as glossaryService from '../agent/glossary.service.js';
+
+// ?q=vip -> { terms (current sandbox and all-sandbox terms), total, sandbox }
+router.get('/glossary', asyncHandler(async (req, res) => {
+    res.json(glossaryService.listTerms({ query: req.query.q }));
+}));
+
+// Terms a piece of text mentions, as PQL/SQL generation sees them
+router.get('/glossary/match', asyncHandler(async (req, res) => {
+    const terms = glossaryService.matchTerms(req.query.text);
+    res.json({ terms, prompt: glossaryService.formatTerms(terms) });
+}));
+
+router.get('/glossary/:id', asyncHandler(async (req, res) => {
+    res.json(glossaryService.getTerm(req.params.id));
+}));
+
+// { term, synonyms[], xdmPath, value?, allowedValues[], description?, sandbox? (null = all sandboxes) }
+router.post('/glossary', requireRole('operator'), asyncHandler(async (req, res) => {
+    res.json(await glossaryService.createTerm(req.body || {}));
+}));
+
+router.put('/glossary/:id', requireRole('operator'), asyncHandler(async (req, res) => {
+    res.json(await glossaryService.updateTerm(req.params.id, req.body || {}));
+}));
+
+router.delete('/glossary/:id', requireRole('operator'), asyncHandler(async (req, res) => {
+    res.json(glossaryService.deleteTerm(req.params.id));
+}));
+
 // ===== DATASETS =====
 router.get('/datasets', asyncHandler(async (req, res) => {
     const datasets = await datasetService.listDatasets(req.query);
@@ -294,22 +443,22 @@ router.get('/identities/:namespaceId', asyncHandler(async (req, res) => {
     res.json(namespace);
 }));
 
-router.get('/identity/xid', asyncHandler(async (req, res) => {
+router.get('/identity/xid', requireRole('analyst'), asyncHandler(async (req, res) => {
     const xid = await identityService.getIdentityXID(req.query.namespace, req.query.id);
     res.json(xid);
 }));
 
-router.get('/identity/mappings', asyncHandler(async (req, res) => {
+router.get('/identity/mappings', requireRole('analyst'), asyncHandler(async (req, res) => {
     const mappings = await identityService.getIdentityMappings(req.query.xid, req.query.targetNs);
     res.json(mappings);
 }));
 
-router.get('/identity/cluster/members', asyncHandler(async (req, res) => {
+router.get('/identity/cluster/members', requireRole('analyst'), asyncHandler(async (req, res) => {
     const members = await identityService.getClusterMembers(req.query.xid, req.query.graphType);
     res.json(members);
 }));
 
-router.get('/identity/cluster/history', asyncHandler(async (req, res) => {
+router.get('/identity/cluster/history', requireRole('analyst'), asyncHandler(async (req, res) => {
     const history = await identityService.getClusterHistory(req.query.xid, req.query.graphType);
     res.json(history);
 }));
@@ -325,16 +474,16 @@ router.get('/profiles/preview', asyncHandler(async (req, res) => {
     res.json(preview);
 }));
 
-router.get('/profiles/lookup', asyncHandler(async (req, res) => {
+router.get('/profiles/lookup', requireRole('analyst'), asyncHandler(async (req, res) => {
     const { entityId, entityIdNS, ...options } = req.query;
     if (!entityId || !entityIdNS) {
-        return res.status(400).json({ error: 'entityId and entityIdNS are required' });
+        throw new HttpError(400, 'entityId and entityIdNS are required');
     }
     const profile = await profileService.lookupProfile(entityId, entityIdNS, options);
     res.json(profile);
 }));
 
-router.post('/profiles/lookup', asyncHandler(async (req, res) => {
+router.post('/profiles/lookup', requireRole('analyst'), asyncHandler(async (req, res) => {
     const profiles = await profileService.lookupMultipleProfiles(req.body.identities, req.body.options);
     res.json(profiles);
 }));
@@ -401,11 +550,11 @@ router.get('/queries/stats', asyncHandler(async (req, res) => {
 }));
 
 // Execute a query (creates and polls for completion)
-router.post('/queries', asyncHandler(async (req, res) => {
+router.post('/queries', requireRole('analyst'), asyncHandler(async (req, res) => {
     const { sql, name, description } = req.body;
 
     if (!sql) {
-        return res.status(400).json({ error: 'SQL query is required' });
+        throw new HttpError(400, 'SQL query is required');
     }
 
     // Create the query
@@ -781,12 +930,12 @@ router.get('/privacy/jobs/:jobId', asyncHandler(async (req, res) => {
     res.json(job);
 }));
 
-router.get('/files/:fileId', asyncHandler(async (req, res) => {
+router.get('/files/:fileId', requireRole('analyst'), asyncHandler(async (req, res) => {
     const file = await accessService.getFileDetails(req.params.fileId);
     res.json(file);
 }));
 
-router.get('/files/:fileId/preview', asyncHandler(async (req, res) => {
+router.get('/files/:fileId/preview', requireRole('analyst'), asyncHandler(async (req, res) => {
     const preview = await accessService.previewFile(req.params.fileId, req.query);
     res.json(preview);
 }));
@@ -795,70 +944,243 @@ router.get('/files/:fileId/preview', asyncHandler(async (req, res) => {
 import * as agentService from '../agent/agent.service.js';
 
 router.post('/agent/chat', asyncHandler(async (req, res) => {
-    const { message, autoMode, history, approvedAction } = req.body;
+    const { message, conversationId, autoMode, history, approvedAction, context } = req.body;
+    if (conversationId) assertConversationOwner(conversationId, 'chat');
     const response = await agentService.processMessage({
         message,
+        conversationId,
         autoMode,
         history,
-        approvedAction
+        approvedAction,
+        pageContext: context
     });
     res.json(response);
 }));
 
+/**
+ * Streaming variant of /agent/chat over Server-Sent Events.
+ * Events: plan, tool_start, tool_end, token, final, error.
+ * Closing the connection cancels the run.
+ */
+router.post('/agent/chat/stream', async (req, res) => {
+    const { message, conversationId, autoMode, history, approvedAction, context } = req.body;
+    const controller = new AbortController();
+
+    // Refused before the event stream starts, as a plain JSON error
+    try {
+        if (conversationId) assertConversationOwner(conversationId, 'chat');
+    } catch (err) {
+        const { status, body } = toErrorResponse(err);
+        return res.status(status).json(body);
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+        if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Client went away before we finished: stop the agent
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    try {
+        const response = await agentService.processMessage({
+            message,
+            conversationId,
+            autoMode,
+            history,
+            approvedAction,
+            pageContext: context,
+            onEvent: send,
+            signal: controller.signal
+        });
+        send('final', response);
+    } catch (err) {
+        const { status, body } = toErrorResponse(err);
+        console.error(`Route error (${status}):`, err.message);
+        send('error', body.error);
+    }
+    res.end();
+});
+
 router.get('/agent/tools', asyncHandler(async (req, res) => {
     const tools = agentService.getTools();
     res.json(tools);
 }));
 
-router.get('/agent/history', asyncHandler(async (req, res) => {
-    const history = agentService.getHistory();
+// ===== AGENT APPROVAL QUEUE =====
+import * as approvalService from '../agent/approval.service.js';
+
+// ?status=pending&conversationId=...&limit=50&offset=0
+router.get('/agent/approvals', asyncHandler(async (req, res) => {
+    const { status, conversationId, limit, offset } = req.query;
+    res.json(approvalService.listApprovals({ status, conversationId, limit, offset }));
+}));
+
+router.get('/agent/approvals/:id', asyncHandler(async (req, res) => {
+    res.json(approvalService.getApproval(req.params.id));
+}));
+
+router.post('/agent/approvals/:id/approve', asyncHandler(async (req, res) => {
+    res.json(await agentService.approveAction(req.params.id));
+}));
+
+router.post('/agent/approvals/:id/reject', asyncHandler(async (req, res) => {
+    res.json(agentService.rejectAction(req.params.id, { reason: req.body?.reason || null }));
+}));
+
+router.get('/agent/model', asyncHandler(async (req, res) => {
+    res.json(agentService.getModelInfo());
+}));
+
+// ===== LLM USAGE =====
+import * as usageService from '../agent/usage.service.js';
+
+// ?days=30&conversations=20 -> { days, total, conversations, budget }
+router.get('/agent/usage', asyncHandler(async (req, res) => {
+    const { days, conversations } = req.query;
+    res.json(usageService.getUsageSummary({ days, conversations }));
+}));
+
+router.get('/agent/usage/calls', asyncHandler(async (req, res) => {
+    res.json({ calls: usageService.getRecentCalls(req.query.limit) });
+}));
+
+router.get('/agent/usage/conversations/:conversationId', asyncHandler(async (req, res) => {
+    assertConversationOwner(req.params.conversationId, 'read_usage');
+    res.json(usageService.getConversationUsage(req.params.conversationId));
+}));
+
+// Agent working memory is per conversation
+router.get('/agent/history/:conversationId', asyncHandler(async (req, res) => {
+    assertConversationOwner(req.params.conversationId, 'read_agent_memory');
+    const history = agentService.getHistory(req.params.conversationId);
     res.json(history);
 }));
 
-router.delete('/agent/history', asyncHandler(async (req, res) => {
-    agentService.clearHistory();
+router.delete('/agent/history/:conversationId', asyncHandler(async (req, res) => {
+    assertConversationOwner(req.params.conversationId, 'clear_agent_memory');
+    agentService.clearHistory(req.params.conversationId);
     res.json({ success: true });
 }));
 
+// ===== AGENT RUNBOOKS =====
+import * as runbookService from '../agent/runbook.service.js';
+
+router.get('/agent/runbooks', asyncHandler(async (req, res) => {
+    res.json(runbookService.listRunbooks());
+}));
+
+router.get('/agent/runbooks/:id', asyncHandler(async (req, res) => {
+    res.json(runbookService.getRunbook(req.params.id));
+}));
+
+// Body: { inputs, conversationId } -> the stored run with its step outputs
+router.post('/agent/runbooks/:id/run', requireRole('operator'), asyncHandler(async (req, res) => {
+    const { inputs, conversationId } = req.body || {};
+    res.json(await runbookService.runRunbook(req.params.id, { inputs, conversationId, trigger: 'manual' }));
+}));
+
+// ?trigger=schedule&limit=50&offset=0
+router.get('/agent/runbooks/:id/runs', asyncHandler(async (req, res) => {
+    const { trigger, limit, offset } = req.query;
+    res.json(runbookService.listRuns({ runbookId: req.params.id, trigger, limit, offset }));
+}));
+
+router.get('/agent/runbook-runs', asyncHandler(async (req, res) => {
+    const { runbookId, trigger, limit, offset } = req.query;
+    res.json(runbookService.listRuns({ runbookId, trigger, limit, offset }));
+}));
+
+router.get('/agent/runbook-runs/:runId', asyncHandler(async (req, res) => {
+    res.json(runbookService.getRun(req.params.runId));
+}));
+
 // ===== CHAT HISTORY (Recall) =====
 import * as chatService from '../services/chat.service.js';
+import * as memoryService from '../agent/memory.service.js';
+
+/**
+ * Only the user who started a conversation (or an admin) may read it, chat in it, change
+ * or delete it. Conversations not saved yet are checked against the agent session.
+ */
+function assertConversationOwner(conversationId, action) {
+    const owned = chatService.getConversation(conversationId) || memoryService.getSessionOwner(conversationId);
+    if (owned) rbacService.assertOwnerOrAdmin(owned.owner, { action, target: conversationId });
+}
 
+// Paged: ?limit=50&offset=0 -> { conversations, total, limit, offset }; admins see everyone's
 router.get('/chat/conversations', asyncHandler(async (req, res) => {
-    const conversations = chatService.getConversations();
-    res.json({ conversations });
+    res.json(chatService.getConversations(req.query, { owner: rbacService.ownerScope() }));
+}));
+
+// Full-text search over message content: ?q=batch failed&limit=20&offset=0
+router.get('/chat/conversations/search', asyncHandler(async (req, res) => {
+    if (!req.query.q) {
+        throw new HttpError(400, 'Search query (q) is required');
+    }
+    res.json(chatService.searchConversations(req.query.q, req.query, { owner: rbacService.ownerScope() }));
 }));
 
 router.get('/chat/conversations/:id', asyncHandler(async (req, res) => {
     const conversation = chatService.getConversation(req.params.id);
     if (!conversation) {
-        return res.status(404).json({ error: 'Conversation not found' });
+        throw new HttpError(404, 'Conversation not found');
     }
+    rbacService.assertOwnerOrAdmin(conversation.owner, { action: 'read_conversation', target: req.params.id });
     res.json(conversation);
 }));
 
 router.post('/chat/conversations', asyncHandler(async (req, res) => {
     const { title } = req.body;
-    const conversation = chatService.createConversation(title);
+    const conversation = chatService.createConversation(title, null, rbacService.currentUsername());
     res.json(conversation);
 }));
 
 router.put('/chat/conversations/:id', asyncHandler(async (req, res) => {
     const { messages } = req.body;
-    const conversation = chatService.saveMessages(req.params.id, messages);
+    assertConversationOwner(req.params.id, 'save_conversation');
+    const conversation = chatService.saveMessages(req.params.id, messages, rbacService.currentUsername());
     res.json(conversation);
 }));
 
 router.delete('/chat/conversations/:id', asyncHandler(async (req, res) => {
+    assertConversationOwner(req.params.id, 'delete_conversation');
     chatService.deleteConversation(req.params.id);
+    memoryService.dropMemory(req.params.id);
     res.json({ success: true });
 }));
 
-router.delete('/chat/conversations', asyncHandler(async (req, res) => {
+router.delete('/chat/conversations', requireRole('admin'), asyncHandler(async (req, res) => {
     chatService.clearAllConversations();
+    memoryService.clearAllMemory();
     res.json({ success: true });
 }));
 
 // ===== SCHEMA CONTEXT FOR AGENT =====
+import * as retrievalService from '../agent/retrieval.service.js';
+
+// Fields the agent's prompt would include for a message: ?q=loyalty tier&limit=25
+router.get('/agent/schema-search', asyncHandler(async (req, res) => {
+    if (!req.query.q) {
+        throw new HttpError(400, 'Search query (q) is required');
+    }
+    await retrievalService.refreshIndex();
+    const limit = Math.min(parseInt(req.query.limit, 10) || 25, 100);
+    res.json({
+        query: req.query.q,
+        fields: retrievalService.searchFields(req.query.q, { limit }),
+        index: retrievalService.getIndexStats()
+    });
+}));
+
 router.get('/agent/schema-context', asyncHandler(async (req, res) => {
     // Get all schemas with their field paths for agent context
     try {
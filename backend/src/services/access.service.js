@@ -1,31 +1,4 @@
-import fetch from 'node-fetch';
-import { config } from '../config/config.js';
-import { getAccessToken } from './auth.service.js';
-
-async function aepFetch(endpoint, options = {}) {
-    const token = await getAccessToken();
-
-    const headers = {
-        'Authorization': `Bearer ${token}`,
-        'x-api-key': config.apiKey,
-        'x-gw-ims-org-id': config.imsOrg,
-        'x-sandbox-name': config.sandboxName,
-        'Accept': 'application/json',
-        ...options.headers
-    };
-
-    const response = await fetch(`${config.platformUrl}${endpoint}`, {
-        ...options,
-        headers
-    });
-
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`API Error ${response.status}: ${errorText}`);
-    }
-
-    return response.json();
-}
+import { aepFetch } from './aep.client.js';
 
 // ===== DATA ACCESS =====
 
@@ -0,0 +1,348 @@
+/**
+ * AEP Platform HTTP Client
+ * Shared by every service: auth headers, request-scoped sandbox,
+ * JSON vs. text bodies, structured errors, retries with backoff,
+ * per-endpoint concurrency limits and cassette record/replay live here in one place
+ */
+import fetch from 'node-fetch';
+import { randomUUID } from 'crypto';
+import { config, getSandboxName } from '../config/config.js';
+import { getAccessToken } from './auth.service.js';
+import * as cassettes from './cassette.service.js';
+
+/**
+ * Error thrown for non-2xx Platform responses.
+ * Keeps the upstream status, AEP error code and request id for callers and routes.
+ */
+export class AepApiError extends Error {
+    constructor({ status, code, detail, requestId, method, endpoint, sandbox, body }) {
+        super(`API Error ${status}: ${typeof body === 'string' ? body : JSON.stringify(body)}`);
+        this.name = 'AepApiError';
+        this.status = status;
+        this.code = code;
+        this.detail = detail;
+        this.requestId = requestId;
+        this.method = method;
+        this.endpoint = endpoint;
+        this.sandbox = sandbox;
+        this.body = body;
+    }
+}
+
+// Statuses worth retrying: throttling and transient gateway/server errors
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+// Per-endpoint state: concurrency limiter, throttle cooldown and counters
+const endpointGroups = new Map();
+const clientStartedAt = new Date().toISOString();
+
+/**
+ * Endpoint group for limiting and metrics, e.g. /data/foundation/catalog
+ */
+function getEndpointGroup(endpoint) {
+    return endpoint.split('?')[0].split('/').slice(0, 4).join('/') || '/';
+}
+
+function getGroupState(group) {
+    if (!endpointGroups.has(group)) {
+        endpointGroups.set(group, {
+            active: 0,
+            queue: [],
+            blockedUntil: 0,
+            requests: 0,
+            retries: 0,
+            throttled: 0,
+            failures: 0,
+            lastThrottledAt: null,
+            lastError: null
+        });
+    }
+    return endpointGroups.get(group);
+}
+
+/**
+ * Wait for a free slot in the group (max config.aepMaxConcurrency in flight)
+ */
+async function acquireSlot(state) {
+    if (state.active < config.aepMaxConcurrency) {
+        state.active++;
+        return;
+    }
+    await new Promise(resolve => state.queue.push(resolve));
+}
+
+function releaseSlot(state) {
+    const next = state.queue.shift();
+    if (next) {
+        next(); // slot handed over, active count unchanged
+    } else {
+        state.active--;
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parse Retry-After (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with jitter, honouring Retry-After when the server sends one
+ */
+function getRetryDelay(attempt, retryAfterMs) {
+    const backoff = config.aepRetryBaseMs * 2 ** attempt;
+    const delay = retryAfterMs ?? backoff + Math.random() * config.aepRetryBaseMs;
+    return Math.min(delay, config.aepRetryMaxMs);
+}
+
+/**
+ * Parse a response body as JSON when the content type says so, text otherwise.
+ * Empty bodies (e.g. 204 No Content) become null.
+ */
+async function parseBody(response) {
+    const text = await response.text();
+    if (!text) return null;
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('json')) {
+        try {
+            return JSON.parse(text);
+        } catch {
+            return text;
+        }
+    }
+    return text;
+}
+
+/**
+ * Pull the AEP error code and message out of the different error shapes
+ * Platform APIs return ({ 'error-code' }, { errorCode }, { error_code }, { code }, ...)
+ */
+function extractErrorInfo(body) {
+    if (!body || typeof body !== 'object') {
+        return { code: null, detail: typeof body === 'string' ? body : null };
+    }
+    const report = body.report || {};
+    return {
+        code: body['error-code'] || body.errorCode || body.error_code || body.code ||
+            report['error-code'] || report.errorCode || null,
+        detail: body.detail || body.message || body.title || body.error_description ||
+            (typeof body.error === 'string' ? body.error : null) || report.message || null
+    };
+}
+
+/**
+ * Build request headers for a Platform call
+ */
+async function buildHeaders(options, sandbox, requestId) {
+    const token = await getAccessToken();
+
+    return {
+        'Authorization': `Bearer ${token}`,
+        'x-api-key': config.apiKey,
+        'x-gw-ims-org-id': config.imsOrg,
+        'x-sandbox-name': sandbox,
+        'x-request-id': requestId,
+        'Accept': options.accept || 'application/json',
+        'User-Agent': 'AEP-Monitor/1.0',
+        ...options.headers
+    };
+}
+
+/**
+ * Record mode: save the response the caller receives (retried attempts are not kept)
+ */
+function recordResponse({ sandbox, method, endpoint, headers, body, response, data, startedAt }) {
+    if (!cassettes.isRecording()) return;
+    cassettes.recordInteraction({
+        sandbox,
+        method,
+        endpoint,
+        requestHeaders: headers,
+        requestBody: body,
+        status: response.status,
+        responseHeaders: response.headers,
+        responseBody: data,
+        durationMs: Date.now() - startedAt
+    });
+}
+
+/**
+ * Replay mode: the recorded body, or the recorded error as an AepApiError.
+ * Requests missing from the cassette fail with CASSETTE_MISS.
+ */
+function replayRecorded({ sandbox, method, endpoint, body, requestId, state }) {
+    const recorded = cassettes.findInteraction({ sandbox, method, endpoint, requestBody: body });
+    if (!recorded) {
+        const detail = `No recorded response for ${method} ${endpoint} in sandbox ${sandbox}`;
+        state.failures++;
+        state.lastError = '404 CASSETTE_MISS';
+        console.warn(`[Cassette] ${detail}`);
+        throw new AepApiError({ status: 404, code: 'CASSETTE_MISS', detail, requestId, method, endpoint, sandbox, body: { 'error-code': 'CASSETTE_MISS', detail } });
+    }
+    if (recorded.status >= 200 && recorded.status < 300) return recorded.body;
+
+    const { code, detail } = extractErrorInfo(recorded.body);
+    state.failures++;
+    state.lastError = `${recorded.status}${code ? ` ${code}` : ''}`;
+    throw new AepApiError({
+        status: recorded.status,
+        code,
+        detail: detail || `HTTP ${recorded.status}`,
+        requestId: recorded.headers?.['x-request-id'] || requestId,
+        method,
+        endpoint,
+        sandbox,
+        body: recorded.body ?? ''
+    });
+}
+
+/**
+ * Call a Platform API endpoint.
+ *
+ * Options (in addition to node-fetch options):
+ * - accept:  Accept header (e.g. schema registry xed formats)
+ * - sandbox: override the request-scoped sandbox for this call
+ * - body:    objects are sent as JSON, strings/URLSearchParams as-is
+ */
+export async function aepFetch(endpoint, options = {}) {
+    const { accept, sandbox: sandboxOverride, headers: extraHeaders, ...fetchOptions } = options;
+    const sandbox = sandboxOverride || getSandboxName();
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const requestId = randomUUID();
+    const group = getEndpointGroup(endpoint);
+    const state = getGroupState(group);
+
+    let body = fetchOptions.body;
+    let contentType = null;
+    if (body && typeof body === 'object' && !(body instanceof URLSearchParams) && !Buffer.isBuffer(body)) {
+        body = JSON.stringify(body);
+        contentType = 'application/json';
+    }
+
+    // Replay mode: answer from the sandbox's cassette, never call the Platform
+    if (cassettes.isReplaying()) {
+        state.requests++;
+        return replayRecorded({ sandbox, method, endpoint, body, requestId, state });
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        // Respect a cooldown set by an earlier 429 on this endpoint group
+        const cooldown = state.blockedUntil - Date.now();
+        if (cooldown > 0) await sleep(cooldown);
+
+        const headers = await buildHeaders({ accept, headers: extraHeaders }, sandbox, requestId);
+        if (contentType && !headers['Content-Type']) headers['Content-Type'] = contentType;
+
+        let response;
+        let data;
+        await acquireSlot(state);
+        state.requests++;
+        const startedAt = Date.now();
+        try {
+            response = await fetch(`${config.platformUrl}${endpoint}`, {
+                ...fetchOptions,
+                method,
+                body,
+                headers
+            });
+            data = await parseBody(response);
+        } catch (error) {
+            // Network failure: only safe to repeat for idempotent methods
+            if (attempt < config.aepMaxRetries && IDEMPOTENT_METHODS.has(method)) {
+                state.retries++;
+                console.warn(`[AEP] ${method} ${endpoint} failed (${error.message}), retry ${attempt + 1}/${config.aepMaxRetries}`);
+                await sleep(getRetryDelay(attempt, null));
+                continue;
+            }
+            state.failures++;
+            state.lastError = error.message;
+            throw error;
+        } finally {
+            releaseSlot(state);
+        }
+
+        if (response.ok) {
+            recordResponse({ sandbox, method, endpoint, headers, body, response, data, startedAt });
+            return data;
+        }
+
+        const throttled = response.status === 429;
+        if (throttled) {
+            state.throttled++;
+            state.lastThrottledAt = new Date().toISOString();
+        }
+
+        // 429 means the request was not processed, so any method may be retried
+        const canRetry = RETRYABLE_STATUSES.has(response.status) &&
+            (throttled || IDEMPOTENT_METHODS.has(method)) &&
+            attempt < config.aepMaxRetries;
+
+        if (canRetry) {
+            const delay = getRetryDelay(attempt, parseRetryAfter(response.headers.get('retry-after')));
+            if (throttled) state.blockedUntil = Math.max(state.blockedUntil, Date.now() + delay);
+            state.retries++;
+            console.warn(`[AEP] ${method} ${endpoint} returned ${response.status}, retry ${attempt + 1}/${config.aepMaxRetries} in ${Math.round(delay)}ms`);
+            await sleep(delay);
+            continue;
+        }
+
+        recordResponse({ sandbox, method, endpoint, headers, body, response, data, startedAt });
+        const { code, detail } = extractErrorInfo(data);
+        state.failures++;
+        state.lastError = `${response.status}${code ? ` ${code}` : ''}`;
+        throw new AepApiError({
+            status: response.status,
+            code,
+            detail: detail || response.statusText,
+            requestId: response.headers.get('x-request-id') || requestId,
+            method,
+            endpoint,
+            sandbox,
+            body: data ?? ''
+        });
+    }
+}
+
+/**
+ * Client metrics: request, retry, throttle and failure counts per endpoint group
+ */
+export function getClientMetrics() {
+    const groups = {};
+    const totals = { requests: 0, retries: 0, throttled: 0, failures: 0 };
+
+    for (const [group, state] of endpointGroups) {
+        groups[group] = {
+            requests: state.requests,
+            retries: state.retries,
+            throttled: state.throttled,
+            failures: state.failures,
+            inFlight: state.active,
+            queued: state.queue.length,
+            lastThrottledAt: state.lastThrottledAt,
+            lastError: state.lastError
+        };
+        totals.requests += state.requests;
+        totals.retries += state.retries;
+        totals.throttled += state.throttled;
+        totals.failures += state.failures;
+    }
+
+    return {
+        since: clientStartedAt,
+        cassetteMode: cassettes.isRecording() ? 'record' : cassettes.isReplaying() ? 'replay' : 'live',
+        maxConcurrency: config.aepMaxConcurrency,
+        maxRetries: config.aepMaxRetries,
+        ...totals,
+        throttleRate: totals.requests > 0 ? ((totals.throttled / totals.requests) * 100).toFixed(1) : '0.0',
+        groups
+    };
+}
@@ -1,5 +1,6 @@
 import fetch from 'node-fetch';
-import { config } from '../config/config.js';
+import { config, getSandboxName } from '../config/config.js';
+import { aepFetch } from './aep.client.js';
 
 let cachedToken = null;
 let tokenExpiry = null;
@@ -51,37 +52,18 @@ export async function getAccessToken() {
  */
 export async function checkConnection() {
     try {
-        const token = await getAccessToken();
-
         // Test connection with sandboxes endpoint
-        const response = await fetch(`${config.platformUrl}/data/foundation/sandbox-management/sandboxes`, {
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'x-api-key': config.apiKey,
-                'x-gw-ims-org-id': config.imsOrg,
-                'x-sandbox-name': config.sandboxName
-            }
-        });
-
-        if (response.ok) {
-            const data = await response.json();
-            return {
-                connected: true,
-                sandboxName: config.sandboxName,
-                timestamp: new Date().toISOString(),
-                sandboxes: data.sandboxes || []
-            };
-        } else {
-            return {
-                connected: false,
-                error: `API returned ${response.status}`,
-                timestamp: new Date().toISOString()
-            };
-        }
+        const data = await aepFetch('/data/foundation/sandbox-management/sandboxes');
+        return {
+            connected: true,
+            sandboxName: getSandboxName(),
+            timestamp: new Date().toISOString(),
+            sandboxes: data?.sandboxes || []
+        };
     } catch (error) {
         return {
             connected: false,
-            error: error.message,
+            error: error.status ? `API returned ${error.status}` : error.message,
             timestamp: new Date().toISOString()
         };
     }
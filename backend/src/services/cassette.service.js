@@ -0,0 +1,197 @@
+/**
+ * AEP Traffic Cassettes
+ * Record mode writes every Platform request/response pair made through
+ * aep.client.js to one cassette file per sandbox (auth headers scrubbed).
+ * Replay mode serves those recordings instead of calling the Platform, so a
+ * customer's dashboard, agent tools and bug reports can be reproduced offline.
+ *
+ * AEP_CASSETTE_MODE=record | replay (unset = live), AEP_CASSETTE_DIR overrides
+ * the default backend/data/cassettes.
+ */
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+const CASSETTE_DIR = process.env.AEP_CASSETTE_DIR || path.join(DATA_DIR, 'cassettes');
+const REQUESTED_MODE = (process.env.AEP_CASSETTE_MODE || '').toLowerCase();
+const MODE = ['record', 'replay'].includes(REQUESTED_MODE) ? REQUESTED_MODE : null;
+const FLUSH_DELAY_MS = 1000;
+
+const SECRET_HEADER = /authorization|api-key|ims-org|token|secret|cookie/i;
+const KEPT_RESPONSE_HEADERS = ['content-type', 'x-request-id', 'retry-after'];
+
+// sandbox -> { interactions, dirty }
+const cassettes = new Map();
+// replay position per sandbox + request key, so repeated calls (polling) play in order
+const replayCursors = new Map();
+let flushTimer = null;
+
+if (REQUESTED_MODE && !MODE) {
+    console.warn(`[Cassette] Unknown AEP_CASSETTE_MODE "${REQUESTED_MODE}", expected record or replay; calling the Platform live`);
+} else if (MODE) {
+    console.log(`[Cassette] ${MODE === 'record' ? 'Recording Platform traffic to' : 'Replaying Platform traffic from'} ${CASSETTE_DIR}`);
+}
+
+export function isRecording() {
+    return MODE === 'record';
+}
+
+export function isReplaying() {
+    return MODE === 'replay';
+}
+
+function cassettePath(sandbox) {
+    const safeName = String(sandbox || 'default').replace(/[^a-zA-Z0-9_-]/g, '_');
+    return path.join(CASSETTE_DIR, `${safeName}.json`);
+}
+
+/**
+ * Mask timestamps so requests built from "now" (e.g. createdAfter=<24h ago>)
+ * still find their recording
+ */
+function maskTimestamps(text) {
+    return text
+        .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})?/g, '{ts}')
+        .replace(/\b\d{13}\b/g, '{ts}');
+}
+
+/**
+ * Match key: method, path, sorted query string and a hash of the body
+ */
+function requestKey(method, endpoint, body) {
+    const [pathname, query = ''] = endpoint.split('?');
+    const sortedQuery = [...new URLSearchParams(query)]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('&');
+    const bodyHash = body ? createHash('sha1').update(maskTimestamps(String(body))).digest('hex').slice(0, 12) : '-';
+    return `${method} ${maskTimestamps(sortedQuery ? `${pathname}?${sortedQuery}` : pathname)} ${bodyHash}`;
+}
+
+function scrubHeaders(headers = {}) {
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, SECRET_HEADER.test(name) ? '[REDACTED]' : value]));
+}
+
+function loadCassette(sandbox) {
+    if (cassettes.has(sandbox)) return cassettes.get(sandbox);
+
+    let interactions = [];
+    // Recording starts a fresh cassette per process; replay reads what was recorded
+    if (isReplaying()) {
+        try {
+            interactions = JSON.parse(fs.readFileSync(cassettePath(sandbox), 'utf8')).interactions || [];
+            console.log(`[Cassette] Loaded ${interactions.length} interactions for sandbox ${sandbox}`);
+        } catch (error) {
+            console.warn(`[Cassette] No cassette for sandbox ${sandbox} (${error.message})`);
+        }
+    }
+    const cassette = { sandbox, interactions, dirty: false };
+    cassettes.set(sandbox, cassette);
+    return cassette;
+}
+
+// ===== RECORD =====
+
+/**
+ * Write dirty cassettes to disk
+ */
+export function flushCassettes() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    for (const cassette of cassettes.values()) {
+        if (!cassette.dirty) continue;
+        fs.mkdirSync(CASSETTE_DIR, { recursive: true });
+        fs.writeFileSync(cassettePath(cassette.sandbox), JSON.stringify({
+            version: 1,
+            sandbox: cassette.sandbox,
+            recordedAt: new Date().toISOString(),
+            interactions: cassette.interactions
+        }, null, 2));
+        cassette.dirty = false;
+    }
+}
+
+function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(flushCassettes, FLUSH_DELAY_MS);
+    flushTimer.unref();
+}
+
+if (MODE === 'record') {
+    process.on('exit', flushCassettes);
+}
+
+/**
+ * Record the response a caller of aepFetch received (after retries)
+ */
+export function recordInteraction({ sandbox, method, endpoint, requestHeaders, requestBody, status, responseHeaders, responseBody, durationMs }) {
+    const cassette = loadCassette(sandbox);
+    cassette.interactions.push({
+        key: requestKey(method, endpoint, requestBody),
+        request: {
+            method,
+            endpoint,
+            headers: scrubHeaders(requestHeaders),
+            body: typeof requestBody === 'string' ? requestBody : requestBody?.toString() ?? null
+        },
+        response: {
+            status,
+            headers: Object.fromEntries(KEPT_RESPONSE_HEADERS
+                .map(name => [name, responseHeaders?.get(name)])
+                .filter(([, value]) => value)),
+            body: responseBody ?? null
+        },
+        recordedAt: new Date().toISOString(),
+        durationMs
+    });
+    cassette.dirty = true;
+    scheduleFlush();
+}
+
+// ===== REPLAY =====
+
+/**
+ * Recorded response for a request, or null when the cassette has none.
+ * Repeated requests get the recordings in order, then the last one again.
+ */
+export function findInteraction({ sandbox, method, endpoint, requestBody }) {
+    const cassette = loadCassette(sandbox);
+    const key = requestKey(method, endpoint, requestBody);
+    const matches = cassette.interactions.filter(interaction => interaction.key === key);
+    if (matches.length === 0) return null;
+
+    const cursorKey = `${sandbox} ${key}`;
+    const position = replayCursors.get(cursorKey) || 0;
+    replayCursors.set(cursorKey, position + 1);
+    return matches[Math.min(position, matches.length - 1)].response;
+}
+
+// ===== STATUS =====
+
+/**
+ * Mode, directory and the cassettes on disk (for /api/cassettes)
+ */
+export function getCassetteStatus() {
+    let files = [];
+    if (fs.existsSync(CASSETTE_DIR)) {
+        files = fs.readdirSync(CASSETTE_DIR)
+            .filter(name => name.endsWith('.json'))
+            .map(name => {
+                const stats = fs.statSync(path.join(CASSETTE_DIR, name));
+                return { sandbox: path.basename(name, '.json'), bytes: stats.size, modifiedAt: stats.mtime.toISOString() };
+            });
+    }
+    return { mode: MODE || 'live', directory: CASSETTE_DIR, cassettes: files };
+}
+
+/**
+ * Path of a sandbox's cassette file, or null if it was never recorded
+ */
+export function getCassetteFile(sandbox) {
+    if (isRecording()) flushCassettes();
+    const file = cassettePath(sandbox);
+    return fs.existsSync(file) ? file : null;
+}
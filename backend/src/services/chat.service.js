@@ -1,138 +1,112 @@
 /**
  * Chat History Service
  * Stores and retrieves agent chat conversations
+ * (storage backend is selected in ./stores/index.js)
  */
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { getStore, migrateFromJson } from './stores/index.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Store chats in a JSON file (can be replaced with database)
-const CHAT_HISTORY_FILE = path.join(__dirname, '../../data/chat_history.json');
-
-// Ensure data directory exists
-const dataDir = path.dirname(CHAT_HISTORY_FILE);
-if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-}
-
-// Initialize chat history file if it doesn't exist
-if (!fs.existsSync(CHAT_HISTORY_FILE)) {
-    fs.writeFileSync(CHAT_HISTORY_FILE, JSON.stringify({ conversations: [] }, null, 2));
-}
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
 
 /**
- * Load all chat history from storage
+ * Clamp paging parameters from query strings
  */
-function loadChatHistory() {
-    try {
-        const data = fs.readFileSync(CHAT_HISTORY_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error('Error loading chat history:', error);
-        return { conversations: [] };
-    }
+function toPage({ limit, offset } = {}) {
+    const parsedLimit = parseInt(limit, 10);
+    const parsedOffset = parseInt(offset, 10);
+    return {
+        limit: Math.min(Number.isNaN(parsedLimit) || parsedLimit < 1 ? DEFAULT_PAGE_SIZE : parsedLimit, MAX_PAGE_SIZE),
+        offset: Number.isNaN(parsedOffset) || parsedOffset < 0 ? 0 : parsedOffset
+    };
 }
 
 /**
- * Save chat history to storage
+ * Title from the first user message
  */
-function saveChatHistory(history) {
-    try {
-        fs.writeFileSync(CHAT_HISTORY_FILE, JSON.stringify(history, null, 2));
-        return true;
-    } catch (error) {
-        console.error('Error saving chat history:', error);
-        return false;
-    }
+function titleFromMessages(messages) {
+    const firstUserMsg = messages.find(m => m.role === 'user' && typeof m.content === 'string');
+    if (!firstUserMsg) return null;
+    return firstUserMsg.content.substring(0, 50) + (firstUserMsg.content.length > 50 ? '...' : '');
 }
 
 /**
- * Get all conversations (summary only)
+ * Get a page of conversations (summary only), most recently updated first.
+ * With owner, only that user's conversations.
  */
-function getConversations() {
-    const history = loadChatHistory();
-    return history.conversations.map(conv => ({
-        id: conv.id,
-        title: conv.title,
-        createdAt: conv.createdAt,
-        updatedAt: conv.updatedAt,
-        messageCount: conv.messages?.length || 0,
-        preview: conv.messages?.[conv.messages.length - 1]?.content?.substring(0, 100) || ''
-    })).sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+function getConversations(paging, { owner = null } = {}) {
+    const page = toPage(paging);
+    return { ...getStore().listConversations({ ...page, owner }), ...page };
 }
 
 /**
  * Get a specific conversation by ID
  */
 function getConversation(conversationId) {
-    const history = loadChatHistory();
-    return history.conversations.find(c => c.id === conversationId) || null;
+    return getStore().getConversation(conversationId);
 }
 
 /**
- * Create a new conversation
+ * Create a new conversation (owner: the username allowed to change it, besides admins)
  */
-function createConversation(title = 'New Conversation') {
-    const history = loadChatHistory();
+function createConversation(title = 'New Conversation', id = null, owner = null) {
     const newConversation = {
-        id: `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        id: id || `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
         title,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
+        owner,
         messages: []
     };
-    history.conversations.push(newConversation);
-    saveChatHistory(history);
+    getStore().insertConversation(newConversation);
     return newConversation;
 }
 
 /**
- * Save messages to a conversation
+ * Save messages to a conversation (created for owner if it does not exist yet)
  */
-function saveMessages(conversationId, messages) {
-    const history = loadChatHistory();
-    const convIndex = history.conversations.findIndex(c => c.id === conversationId);
-
-    if (convIndex === -1) {
-        // Create new conversation if doesn't exist
-        const newConv = createConversation('Chat Session');
-        newConv.messages = messages;
-        newConv.updatedAt = new Date().toISOString();
-        // Auto-generate title from first user message
-        const firstUserMsg = messages.find(m => m.role === 'user');
-        if (firstUserMsg) {
-            newConv.title = firstUserMsg.content.substring(0, 50) + (firstUserMsg.content.length > 50 ? '...' : '');
-        }
-        return newConv;
+function saveMessages(conversationId, messages, owner = null) {
+    const existing = getStore().getConversation(conversationId);
+
+    if (!existing) {
+        // Create new conversation under the caller's id so the agent's memory stays attached
+        createConversation('Chat Session', conversationId, owner);
+        return saveMessages(conversationId, messages);
     }
 
-    history.conversations[convIndex].messages = messages;
-    history.conversations[convIndex].updatedAt = new Date().toISOString();
+    const fields = { messages, updatedAt: new Date().toISOString() };
 
     // Auto-generate title from first user message if title is default
-    if (history.conversations[convIndex].title === 'New Conversation' ||
-        history.conversations[convIndex].title === 'Chat Session') {
-        const firstUserMsg = messages.find(m => m.role === 'user');
-        if (firstUserMsg) {
-            history.conversations[convIndex].title = firstUserMsg.content.substring(0, 50) +
-                (firstUserMsg.content.length > 50 ? '...' : '');
-        }
+    if (existing.title === 'New Conversation' || existing.title === 'Chat Session') {
+        fields.title = titleFromMessages(messages) || existing.title;
     }
 
-    saveChatHistory(history);
-    return history.conversations[convIndex];
+    getStore().updateConversation(conversationId, fields);
+    return { ...existing, ...fields };
+}
+
+/**
+ * Search message content across conversations (with owner, only that user's)
+ */
+function searchConversations(query, paging, { owner = null } = {}) {
+    const page = toPage(paging);
+    const trimmed = (query || '').trim();
+    if (!trimmed) return { results: [], total: 0, query: trimmed, ...page };
+    return { ...getStore().searchMessages(trimmed, { ...page, owner }), query: trimmed, ...page };
+}
+
+/**
+ * Save the agent's working-memory state (running summary) on a conversation
+ */
+function saveAgentState(conversationId, agentState) {
+    // Conversations are created by the UI; nothing to attach to yet
+    return getStore().updateConversation(conversationId, { agentState });
 }
 
 /**
  * Delete a conversation
  */
 function deleteConversation(conversationId) {
-    const history = loadChatHistory();
-    history.conversations = history.conversations.filter(c => c.id !== conversationId);
-    saveChatHistory(history);
+    getStore().deleteConversation(conversationId);
     return true;
 }
 
@@ -140,15 +114,28 @@ function deleteConversation(conversationId) {
  * Clear all conversations
  */
 function clearAllConversations() {
-    saveChatHistory({ conversations: [] });
+    getStore().clearAll();
     return true;
 }
 
+/**
+ * Import a JSON history file into SQLite (used by scripts/migrate_chat_history.js)
+ */
+function importJsonHistory(file) {
+    if (getStore().name !== 'sqlite') {
+        throw new Error('Chat storage is not SQLite (set CHAT_STORAGE=sqlite and install better-sqlite3)');
+    }
+    return migrateFromJson(getStore(), { force: true, file });
+}
+
 export {
     getConversations,
     getConversation,
     createConversation,
     saveMessages,
+    searchConversations,
+    saveAgentState,
     deleteConversation,
-    clearAllConversations
+    clearAllConversations,
+    importJsonHistory
 };
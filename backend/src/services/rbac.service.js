@@ -0,0 +1,340 @@
+/**
+ * Users and Roles
+ * Users log in with a password and get a signed token (JWT). Each user has a role per
+ * sandbox, and the '*' role applies to sandboxes without their own. Roles build on each other:
+ *   viewer   - read pages and ask the agent read-only questions
+ *   analyst  - also customer-level data (profiles, identities, dataset files) and running queries
+ *   operator - also write actions: approving the agent's proposals, triggering flows, shared config
+ *   admin    - also users and roles (with '*': admin)
+ *
+ * Roles are read from the store on every request, so changes apply without a new login.
+ * Approvals, rejections, write tools run in auto mode, denied tool calls and logins are
+ * recorded as access decisions.
+ */
+import jwt from 'jsonwebtoken';
+import { randomBytes, randomUUID, scryptSync, timingSafeEqual } from 'crypto';
+import { getStore } from './stores/index.js';
+import { config, getSandboxName, getCurrentUser } from '../config/config.js';
+import { HttpError } from '../utils/errors.js';
+
+export const ROLES = ['viewer', 'analyst', 'operator', 'admin'];
+
+// Role for every sandbox without its own
+const ALL_SANDBOXES = '*';
+
+const JWT_SECRET = process.env.AUTH_JWT_SECRET || randomBytes(32).toString('hex');
+if (!process.env.AUTH_JWT_SECRET && config.authMode !== 'off') {
+    console.warn('[Auth] AUTH_JWT_SECRET is not set: using a random secret, sessions end when the server restarts');
+}
+
+// AUTH_MODE=off: every request acts as this user
+const LOCAL_USER = { username: 'local', roles: { [ALL_SANDBOXES]: 'admin' }, disabled: false };
+
+const USERNAME = /^[A-Za-z0-9._@-]{1,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// ===== PASSWORDS =====
+
+function hashPassword(password) {
+    const salt = randomBytes(16).toString('hex');
+    return `scrypt$${salt}$${scryptSync(password, salt, 64).toString('hex')}`;
+}
+
+// Checked when the username does not exist, so both cases take as long
+const DUMMY_PASSWORD_HASH = hashPassword(randomBytes(16).toString('hex'));
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = scryptSync(String(password), salt, expected.length);
+    return timingSafeEqual(actual, expected);
+}
+
+// ===== USERS =====
+
+/**
+ * A user without the password hash
+ */
+function publicUser(user) {
+    const { passwordHash, ...rest } = user;
+    return rest;
+}
+
+function assertPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new HttpError(400, `password must be at least ${MIN_PASSWORD_LENGTH} characters`, 'INVALID_USER');
+    }
+}
+
+/**
+ * Validated { sandbox | '*': role } bindings
+ */
+function normalizeRoles(roles) {
+    if (!roles || typeof roles !== 'object' || Array.isArray(roles)) {
+        throw new HttpError(400, 'roles must map sandbox names (or "*") to a role', 'INVALID_USER');
+    }
+    const normalized = {};
+    for (const [sandbox, role] of Object.entries(roles)) {
+        const name = sandbox.trim();
+        if (!name) continue;
+        if (!ROLES.includes(role)) {
+            throw new HttpError(400, `Unknown role "${role}" for ${name} (expected ${ROLES.join(', ')})`, 'INVALID_USER');
+        }
+        normalized[name] = role;
+    }
+    return normalized;
+}
+
+/**
+ * An admin cannot lock themselves out
+ */
+function assertNotSelf(username, what) {
+    if (getCurrentUser()?.username === username) {
+        throw new HttpError(409, `You cannot ${what} your own account`, 'USER_SELF_CHANGE');
+    }
+}
+
+export function listUsers() {
+    const users = getStore().listUsers().map(publicUser);
+    return { users, total: users.length, roles: ROLES };
+}
+
+export function getUser(username) {
+    const user = getStore().getUser(username);
+    if (!user) throw new HttpError(404, `User ${username} not found`, 'USER_NOT_FOUND');
+    return publicUser(user);
+}
+
+export function createUser({ username, password, roles = {} } = {}) {
+    const name = String(username || '').trim();
+    if (!USERNAME.test(name)) {
+        throw new HttpError(400, 'username must be 1-64 letters, digits or . _ @ -', 'INVALID_USER');
+    }
+    assertPassword(password);
+    if (getStore().getUser(name)) throw new HttpError(409, `User ${name} already exists`, 'USER_EXISTS');
+
+    const now = new Date().toISOString();
+    const user = { username: name, passwordHash: hashPassword(password), roles: normalizeRoles(roles), disabled: false, createdAt: now, updatedAt: now };
+    getStore().insertUser(user);
+    console.log(`[Auth] Added user ${name} (${JSON.stringify(user.roles)})`);
+    return publicUser(user);
+}
+
+/**
+ * Change a user's password, roles or disabled flag (fields left out keep their value)
+ */
+export function updateUser(username, { password, roles, disabled } = {}) {
+    const existing = getStore().getUser(username);
+    if (!existing) throw new HttpError(404, `User ${username} not found`, 'USER_NOT_FOUND');
+
+    const user = { ...existing, updatedAt: new Date().toISOString() };
+    if (password !== undefined) {
+        assertPassword(password);
+        user.passwordHash = hashPassword(password);
+    }
+    if (roles !== undefined) {
+        assertNotSelf(username, 'change the roles of');
+        user.roles = normalizeRoles(roles);
+    }
+    if (disabled !== undefined) {
+        if (disabled) assertNotSelf(username, 'disable');
+        user.disabled = Boolean(disabled);
+    }
+
+    getStore().updateUser(user);
+    console.log(`[Auth] Updated user ${username}`);
+    return publicUser(user);
+}
+
+export function deleteUser(username) {
+    getUser(username);
+    assertNotSelf(username, 'delete');
+    getStore().deleteUser(username);
+    console.log(`[Auth] Removed user ${username}`);
+    return { success: true, username };
+}
+
+/**
+ * First start: create the AUTH_ADMIN_USER / AUTH_ADMIN_PASSWORD admin when there are no users
+ */
+export function bootstrapUsers() {
+    if (config.authMode === 'off') {
+        console.warn('[Auth] AUTH_MODE=off: login is disabled and every request acts as an admin');
+        return;
+    }
+    if (getStore().listUsers().length > 0) return;
+
+    const username = process.env.AUTH_ADMIN_USER;
+    const password = process.env.AUTH_ADMIN_PASSWORD;
+    if (!username || !password) {
+        console.warn('[Auth] No users yet: set AUTH_ADMIN_USER and AUTH_ADMIN_PASSWORD to create the first admin');
+        return;
+    }
+    createUser({ username, password, roles: { [ALL_SANDBOXES]: 'admin' } });
+}
+
+// ===== LOGIN AND TOKENS =====
+
+/**
+ * Check a password and issue a token: { token, expiresAt, user }
+ */
+export function login({ username, password } = {}) {
+    const user = username ? getStore().getUser(String(username)) : null;
+    const passwordMatches = verifyPassword(password, user?.passwordHash || DUMMY_PASSWORD_HASH);
+    if (!user || user.disabled || !passwordMatches) {
+        recordDecision({ action: 'login', allowed: false, user: { username: username ? String(username).slice(0, 64) : null }, reason: 'invalid credentials' });
+        throw new HttpError(401, 'Invalid username or password', 'INVALID_CREDENTIALS');
+    }
+
+    const token = jwt.sign({ sub: user.username }, JWT_SECRET, { expiresIn: config.authTokenTtl });
+    recordDecision({ action: 'login', allowed: true, user });
+    return {
+        token,
+        expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString(),
+        user: publicUser(user)
+    };
+}
+
+/**
+ * The user an Authorization header belongs to; throws 401 without a valid token
+ */
+export function authenticate(authorization) {
+    if (config.authMode === 'off') return LOCAL_USER;
+
+    const token = /^Bearer (.+)$/i.exec(authorization || '')?.[1];
+    if (!token) throw new HttpError(401, 'Log in to use the API', 'AUTH_REQUIRED');
+
+    let payload;
+    try {
+        payload = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        const expired = error.name === 'TokenExpiredError';
+        throw new HttpError(401, expired ? 'Session expired, log in again' : 'Invalid session token', expired ? 'SESSION_EXPIRED' : 'INVALID_TOKEN');
+    }
+
+    const user = getStore().getUser(payload.sub);
+    if (!user || user.disabled) throw new HttpError(401, 'Account not found or disabled', 'INVALID_TOKEN');
+    return publicUser(user);
+}
+
+// ===== PERMISSIONS =====
+
+/**
+ * A user's role in a sandbox (null: no access)
+ */
+export function roleFor(user, sandbox = getSandboxName()) {
+    return user?.roles?.[sandbox] || user?.roles?.[ALL_SANDBOXES] || null;
+}
+
+function rank(role) {
+    return ROLES.indexOf(role);
+}
+
+/**
+ * Whether the current user may act as minRole in the sandbox.
+ * Without a user (schedulers, evals) the server acts for itself and may do anything.
+ */
+export function hasRole(minRole, { sandbox = getSandboxName(), user = getCurrentUser() } = {}) {
+    if (!user) return true;
+    const role = roleFor(user, sandbox);
+    return role !== null && rank(role) >= rank(minRole);
+}
+
+/**
+ * Throw 403 unless the current user has at least minRole in the sandbox.
+ * With record, a denial is stored as an access decision for action/target.
+ */
+export function assertRole(minRole, { sandbox = getSandboxName(), user = getCurrentUser(), action = null, target = null, approvalId = null, record = false } = {}) {
+    if (hasRole(minRole, { sandbox, user })) return;
+
+    const role = roleFor(user, sandbox);
+    const reason = `needs ${minRole} in sandbox ${sandbox}, has ${role || 'no role'}`;
+    if (record) recordDecision({ action, target, approvalId, allowed: false, sandbox, user, reason });
+    throw new HttpError(403,
+        `${target ? `${target}: ` : ''}the ${minRole} role in sandbox ${sandbox} is required (${user.username} has ${role || 'no role there'})`,
+        'FORBIDDEN');
+}
+
+/**
+ * Throw 403 unless the current user is an admin of every sandbox
+ */
+export function assertAdmin() {
+    const user = getCurrentUser();
+    if (user && user.roles?.[ALL_SANDBOXES] !== 'admin') {
+        throw new HttpError(403, 'Managing users needs the admin role for all sandboxes ("*")', 'FORBIDDEN');
+    }
+}
+
+/**
+ * Throw 403 unless the current user owns the record (owner: a username) or is an
+ * admin of every sandbox. Records without an owner predate logins: admins only.
+ */
+export function assertOwnerOrAdmin(owner, { action, target } = {}) {
+    const user = getCurrentUser();
+    if (!user || user.roles?.[ALL_SANDBOXES] === 'admin' || (owner && owner === user.username)) return;
+
+    const reason = owner ? `owned by ${owner}` : 'has no owner (admins only)';
+    recordDecision({ action, target, allowed: false, user, reason });
+    throw new HttpError(403, `${target ? `${target}: ` : ''}${owner ? `only ${owner} or an admin has access` : 'only an admin has access'}`, 'FORBIDDEN');
+}
+
+/**
+ * Owner to filter owned records by: the current user, or null (everything) for
+ * admins of every sandbox and the server itself
+ */
+export function ownerScope() {
+    const user = getCurrentUser();
+    return !user || user.roles?.[ALL_SANDBOXES] === 'admin' ? null : user.username;
+}
+
+/**
+ * Username to store with decisions (null for the server's own work)
+ */
+export function currentUsername() {
+    return getCurrentUser()?.username || null;
+}
+
+// ===== ACCESS DECISIONS =====
+
+/**
+ * Store who did (or was refused) what, with the role they had at the time
+ */
+export function recordDecision({ action, target = null, approvalId = null, allowed, reason = null, sandbox = getSandboxName(), user = getCurrentUser() }) {
+    const decision = {
+        id: `acd_${randomUUID()}`,
+        createdAt: new Date().toISOString(),
+        username: user?.username || null,
+        role: user?.roles ? roleFor(user, sandbox) : null,
+        sandbox,
+        action,
+        target,
+        approvalId,
+        allowed: Boolean(allowed),
+        reason
+    };
+    getStore().insertAccessDecision(decision);
+    if (!decision.allowed) {
+        console.warn(`[Access] Denied ${action}${target ? ` ${target}` : ''} for ${decision.username || 'anonymous'} in ${sandbox}${reason ? `: ${reason}` : ''}`);
+    }
+    return decision;
+}
+
+/**
+ * Decisions newest first (?username=&action=&allowed=false&limit=50&offset=0)
+ */
+export function listDecisions({ username, action, allowed, limit, offset } = {}) {
+    const parsedLimit = Math.min(parseInt(limit, 10) || 50, 200);
+    const parsedOffset = Math.max(parseInt(offset, 10) || 0, 0);
+    return {
+        ...getStore().listAccessDecisions({
+            username: username || undefined,
+            action: action || undefined,
+            allowed: allowed === undefined || allowed === '' ? undefined : String(allowed) === 'true',
+            limit: parsedLimit,
+            offset: parsedOffset
+        }),
+        limit: parsedLimit,
+        offset: parsedOffset
+    };
+}
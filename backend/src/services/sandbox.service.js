@@ -1,31 +1,5 @@
-import fetch from 'node-fetch';
-import { config } from '../config/config.js';
-import { getAccessToken } from './auth.service.js';
-
-async function aepFetch(endpoint, options = {}) {
-    const token = await getAccessToken();
-
-    const headers = {
-        'Authorization': `Bearer ${token}`,
-        'x-api-key': config.apiKey,
-        'x-gw-ims-org-id': config.imsOrg,
-        'x-sandbox-name': config.sandboxName,
-        'Accept': 'application/json',
-        ...options.headers
-    };
-
-    const response = await fetch(`${config.platformUrl}${endpoint}`, {
-        ...options,
-        headers
-    });
-
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`API Error ${response.status}: ${errorText}`);
-    }
-
-    return response.json();
-}
+import { getSandboxName } from '../config/config.js';
+import { aepFetch } from './aep.client.js';
 
 // ===== SANDBOX MANAGEMENT =====
 
@@ -107,12 +81,13 @@ export async function deleteSandbox(sandboxName) {
  * Get current sandbox info
  */
 export async function getCurrentSandbox() {
+    const sandboxName = getSandboxName();
     try {
         const sandboxes = await listSandboxes();
-        const current = sandboxes.sandboxes?.find(s => s.name === config.sandboxName);
-        return current || { name: config.sandboxName, title: config.sandboxName };
+        const current = sandboxes.sandboxes?.find(s => s.name === sandboxName);
+        return current || { name: sandboxName, title: sandboxName };
     } catch (error) {
-        return { name: config.sandboxName, title: config.sandboxName, error: error.message };
+        return { name: sandboxName, title: sandboxName, error: error.message };
     }
 }
 
@@ -148,13 +123,13 @@ export async function getSandboxStats() {
                 state: sb.state,
                 region: sb.region
             })),
-            current: config.sandboxName
+            current: getSandboxName()
         };
     } catch (error) {
         console.error('Error getting sandbox stats:', error);
         return {
             total: 0,
-            current: config.sandboxName,
+            current: getSandboxName(),
             error: error.message
         };
     }
@@ -1,38 +1,14 @@
-import fetch from 'node-fetch';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { config } from '../config/config.js';
-import { getAccessToken } from './auth.service.js';
+import { getSandboxName } from '../config/config.js';
+import { aepFetch } from './aep.client.js';
 
-// Get directory path for cache file
+// Get directory path for cache file (DATA_DIR overrides backend/data)
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const CACHE_FILE_PATH = path.join(__dirname, '../../data/schema_dictionary_cache.json');
-async function aepFetch(endpoint, options = {}) {
-    const token = await getAccessToken();
-
-    const headers = {
-        'Authorization': `Bearer ${token}`,
-        'x-api-key': config.apiKey,
-        'x-gw-ims-org-id': config.imsOrg,
-        'x-sandbox-name': config.sandboxName,
-        'Accept': options.accept || 'application/json',
-        ...options.headers
-    };
-
-    const response = await fetch(`${config.platformUrl}${endpoint}`, {
-        ...options,
-        headers
-    });
-
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`API Error ${response.status}: ${errorText}`);
-    }
-
-    return response.json();
-}
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+const CACHE_FILE_PATH = path.join(DATA_DIR, 'schema_dictionary_cache.json');
 
 /**
  * Get Schema Registry stats
@@ -296,7 +272,7 @@ export async function extractUnionSchemaForAI() {
 
         return {
             extractedAt: new Date().toISOString(),
-            sandbox: config.sandboxName,
+            sandbox: getSandboxName(),
             schemas: extractedSchemas
         };
     } catch (error) {
@@ -304,22 +280,21 @@ export async function extractUnionSchemaForAI() {
     }
 }
 
-// Cache for Union Profile Schema (for PQL queries)
-const UNION_CACHE_FILE_PATH = path.join(__dirname, '../../data/union_profile_cache.json');
-let unionProfileCache = null;
-let unionProfileCacheTime = null;
+// Cache for Union Profile Schema (for PQL queries), keyed by sandbox
+const UNION_CACHE_FILE_PATH = path.join(DATA_DIR, 'union_profile_cache.json');
+const unionProfileCache = new Map();
 
 /**
- * Load union profile cache from file
+ * Load union profile cache from file (only if it was built for this sandbox)
  */
-function loadUnionCacheFromFile() {
+function loadUnionCacheFromFile(sandbox) {
     try {
         if (fs.existsSync(UNION_CACHE_FILE_PATH)) {
             const data = JSON.parse(fs.readFileSync(UNION_CACHE_FILE_PATH, 'utf8'));
-            if (data.timestamp && Date.now() - data.timestamp < CACHE_TTL_MS) {
+            if (data.timestamp && Date.now() - data.timestamp < CACHE_TTL_MS &&
+                data.profileSchema?.sandbox === sandbox) {
                 console.log('[Union] Loaded union profile cache from file');
-                unionProfileCache = data.profileSchema;
-                unionProfileCacheTime = data.timestamp;
+                unionProfileCache.set(sandbox, { data: data.profileSchema, time: data.timestamp });
                 return true;
             }
         }
@@ -334,18 +309,21 @@ function loadUnionCacheFromFile() {
  * This is specifically for PQL queries which need profile store attributes
  */
 export async function getUnionProfileSchemaForPQL(forceRefresh = false) {
+    const sandbox = getSandboxName();
+
     // Check in-memory cache
-    if (!forceRefresh && unionProfileCache && unionProfileCacheTime) {
-        const age = Date.now() - unionProfileCacheTime;
+    const cached = unionProfileCache.get(sandbox);
+    if (!forceRefresh && cached) {
+        const age = Date.now() - cached.time;
         if (age < CACHE_TTL_MS) {
             console.log(`[Union] Returning cached profile schema (${Math.round(age / 1000)}s old)`);
-            return unionProfileCache;
+            return cached.data;
         }
     }
 
     // Try file cache
-    if (!forceRefresh && loadUnionCacheFromFile()) {
-        return unionProfileCache;
+    if (!forceRefresh && loadUnionCacheFromFile(sandbox)) {
+        return unionProfileCache.get(sandbox).data;
     }
 
     console.log('[Union] Extracting union profile schema for PQL...');
@@ -389,7 +367,7 @@ export async function getUnionProfileSchemaForPQL(forceRefresh = false) {
 
         const result = {
             extractedAt: new Date().toISOString(),
-            sandbox: config.sandboxName,
+            sandbox,
             profileTitle: profileUnion?.title || 'XDM Individual Profile',
             totalFields: profileFields.length,
             fields: profileFields,
@@ -401,8 +379,7 @@ export async function getUnionProfileSchemaForPQL(forceRefresh = false) {
         };
 
         // Cache to memory and file
-        unionProfileCache = result;
-        unionProfileCacheTime = Date.now();
+        unionProfileCache.set(sandbox, { data: result, time: Date.now() });
 
         try {
             const dir = path.dirname(UNION_CACHE_FILE_PATH);
@@ -450,22 +427,20 @@ function extractProperties(properties, depth = 0) {
     return extracted;
 }
 
-// In-memory cache
-let dictionaryCache = null;
-let dictionaryCacheTime = null;
+// In-memory cache, keyed by sandbox
+const dictionaryCache = new Map();
 const CACHE_TTL_MS = 3 * 24 * 60 * 60 * 1000; // 3 days
 
 /**
- * Load cache from file (persistent across restarts)
+ * Load cache from file (persistent across restarts, only if built for this sandbox)
  */
-function loadCacheFromFile() {
+function loadCacheFromFile(sandbox) {
     try {
         if (fs.existsSync(CACHE_FILE_PATH)) {
             const data = JSON.parse(fs.readFileSync(CACHE_FILE_PATH, 'utf8'));
-            if (data.timestamp && Date.now() - data.timestamp < CACHE_TTL_MS) {
+            if (data.timestamp && Date.now() - data.timestamp < CACHE_TTL_MS && data.sandbox === sandbox) {
                 console.log('[Dictionary] Loaded cache from file');
-                dictionaryCache = data.dictionary;
-                dictionaryCacheTime = data.timestamp;
+                dictionaryCache.set(sandbox, { data: data.dictionary, time: data.timestamp });
                 return true;
             }
         }
@@ -478,7 +453,7 @@ function loadCacheFromFile() {
 /**
  * Save cache to file (persists across restarts)
  */
-function saveCacheToFile(dictionary) {
+function saveCacheToFile(sandbox, dictionary) {
     try {
         const dir = path.dirname(CACHE_FILE_PATH);
         if (!fs.existsSync(dir)) {
@@ -486,6 +461,7 @@ function saveCacheToFile(dictionary) {
         }
         fs.writeFileSync(CACHE_FILE_PATH, JSON.stringify({
             timestamp: Date.now(),
+            sandbox,
             dictionary: dictionary
         }));
         console.log('[Dictionary] Cache saved to file');
@@ -494,14 +470,16 @@ function saveCacheToFile(dictionary) {
     }
 }
 
-// Try to load cache on module init
-loadCacheFromFile();
+// Try to load cache for the default sandbox on module init
+loadCacheFromFile(getSandboxName());
 
 /**
  * Process a batch of schemas and extract fields
+ * Detail fetches run in parallel; the AEP client caps how many are in flight
+ * against the schema registry and retries any that get throttled
  */
 async function processSchemasBatch(schemas, allFields, processedSchemas) {
-    const flattenProps = (props, prefix, schemaName) => {
+    const flattenProps = (props, prefix, schemaName, schemaId) => {
         if (!props || typeof props !== 'object') return;
 
         for (const [key, value] of Object.entries(props)) {
@@ -515,12 +493,13 @@ async function processSchemasBatch(schemas, allFields, processedSchemas) {
                 title: value.title || key,
                 description: value.description || null,
                 schema: schemaName,
+                schemaId,
                 enum: value.enum || null
             });
 
-            if (value.properties) flattenProps(value.properties, fieldPath, schemaName);
+            if (value.properties) flattenProps(value.properties, fieldPath, schemaName, schemaId);
             if (value.allOf) value.allOf.forEach(item => {
-                if (item.properties) flattenProps(item.properties, fieldPath, schemaName);
+                if (item.properties) flattenProps(item.properties, fieldPath, schemaName, schemaId);
             });
         }
     };
@@ -545,9 +524,9 @@ async function processSchemasBatch(schemas, allFields, processedSchemas) {
         const schemaTitle = details.title || 'Unknown Schema';
         processedSchemas.push(schemaTitle);
 
-        if (details.properties) flattenProps(details.properties, '', schemaTitle);
+        if (details.properties) flattenProps(details.properties, '', schemaTitle, details.$id);
         if (details.allOf) details.allOf.forEach(item => {
-            if (item.properties) flattenProps(item.properties, '', schemaTitle);
+            if (item.properties) flattenProps(item.properties, '', schemaTitle, details.$id);
         });
     }
 }
@@ -558,18 +537,21 @@ async function processSchemasBatch(schemas, allFields, processedSchemas) {
  * Results are cached for 3 days and persist across server restarts
  */
 export async function generateDataDictionary(forceRefresh = false) {
+    const sandbox = getSandboxName();
+
     // 1. Check in-memory cache first
-    if (!forceRefresh && dictionaryCache && dictionaryCacheTime) {
-        const age = Date.now() - dictionaryCacheTime;
+    const cached = dictionaryCache.get(sandbox);
+    if (!forceRefresh && cached) {
+        const age = Date.now() - cached.time;
         if (age < CACHE_TTL_MS) {
             console.log(`[Dictionary] Returning cached data (${Math.round(age / 1000)}s old)`);
-            return { ...dictionaryCache, cached: true };
+            return { ...cached.data, cached: true };
         }
     }
 
     // 2. Try to load from file cache
-    if (!forceRefresh && loadCacheFromFile()) {
-        return { ...dictionaryCache, cached: true };
+    if (!forceRefresh && loadCacheFromFile(sandbox)) {
+        return { ...dictionaryCache.get(sandbox).data, cached: true };
     }
 
     console.log(`[Dictionary] Building fresh dictionary with stream processing...`);
@@ -622,9 +604,8 @@ export async function generateDataDictionary(forceRefresh = false) {
             cached: false
         };
 
-        dictionaryCache = result;
-        dictionaryCacheTime = Date.now();
-        saveCacheToFile(result);
+        dictionaryCache.set(sandbox, { data: result, time: Date.now() });
+        saveCacheToFile(sandbox, result);
 
         return result;
 
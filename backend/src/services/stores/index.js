@@ -0,0 +1,96 @@
+/**
+ * Storage Selection
+ * Opens the store shared by chat.service.js, approval.service.js, runbook.service.js,
+ * briefing.service.js, glossary.service.js and rbac.service.js on first use (importing
+ * them creates no files):
+ * - sqlite: data/app.db, transactional saves and full-text search (default)
+ * - json:   data/chat_history.json, used when better-sqlite3 is not installed
+ * Select explicitly with CHAT_STORAGE=sqlite|json. On first start with SQLite the
+ * existing JSON file is imported once, and a data/chat_history.db from earlier versions
+ * is renamed to app.db. DATA_DIR moves the files elsewhere.
+ */
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { createJsonStore } from './json.store.js';
+import { createSqliteStore } from './sqlite.store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const require = createRequire(import.meta.url);
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../../data');
+const CHAT_HISTORY_FILE = path.join(DATA_DIR, 'chat_history.json');
+const DB_FILE = path.join(DATA_DIR, 'app.db');
+// Name of the database before it also held approvals, runs, briefings and users
+const LEGACY_DB_FILE = path.join(DATA_DIR, 'chat_history.db');
+
+/**
+ * Move a chat_history.db (and its WAL files) to app.db, unless app.db already exists
+ */
+function renameLegacyDatabase() {
+    if (fs.existsSync(DB_FILE) || !fs.existsSync(LEGACY_DB_FILE)) return;
+    for (const suffix of ['', '-wal', '-shm']) {
+        if (fs.existsSync(LEGACY_DB_FILE + suffix)) fs.renameSync(LEGACY_DB_FILE + suffix, DB_FILE + suffix);
+    }
+    console.log(`[Store] Renamed ${path.basename(LEGACY_DB_FILE)} to ${path.basename(DB_FILE)}`);
+}
+
+/**
+ * Open the configured store, falling back to the JSON file when SQLite is unavailable
+ */
+function openStore() {
+    const requested = (process.env.CHAT_STORAGE || 'sqlite').toLowerCase();
+
+    if (requested === 'sqlite') {
+        try {
+            // better-sqlite3 is an optional native dependency
+            const Database = require('better-sqlite3');
+            fs.mkdirSync(DATA_DIR, { recursive: true });
+            renameLegacyDatabase();
+            const sqliteStore = createSqliteStore(Database, DB_FILE);
+            migrateFromJson(sqliteStore);
+            return sqliteStore;
+        } catch (error) {
+            console.warn(`[Store] SQLite storage unavailable (${error.message}), using ${CHAT_HISTORY_FILE}`);
+        }
+    }
+
+    return createJsonStore(CHAT_HISTORY_FILE);
+}
+
+/**
+ * Import the JSON history into SQLite once (tracked in the meta table).
+ * With force, imports again; conversations already in SQLite are skipped.
+ */
+export function migrateFromJson(sqliteStore, { force = false, file = CHAT_HISTORY_FILE } = {}) {
+    if (!force && sqliteStore.getMeta('json_migrated_at')) return 0;
+    if (!fs.existsSync(file)) return 0;
+
+    let conversations;
+    try {
+        conversations = JSON.parse(fs.readFileSync(file, 'utf8')).conversations || [];
+    } catch (error) {
+        console.error(`[Store] Could not read ${file} for migration:`, error.message);
+        return 0;
+    }
+
+    const imported = sqliteStore.importConversations(conversations);
+    sqliteStore.setMeta('json_migrated_at', new Date().toISOString());
+    console.log(`[Store] Imported ${imported} of ${conversations.length} conversations from ${path.basename(file)} into SQLite`);
+    return imported;
+}
+
+let store = null;
+
+/**
+ * The shared store, opened (and migrated) on first use
+ */
+export function getStore() {
+    if (!store) {
+        store = openStore();
+        console.log(`[Store] Using ${store.name} storage`);
+    }
+    return store;
+}
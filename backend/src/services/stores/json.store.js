@@ -0,0 +1,301 @@
+/**
+ * JSON File Chat Store
+ * Fallback storage when SQLite is unavailable: all conversations (and the agent's
+ * approval queue, runbook runs, daily briefings, the business glossary, users and access
+ * decisions) in one JSON file.
+ * Writes go to a temp file and are renamed into place so a crash never leaves a truncated file.
+ */
+import fs from 'fs';
+import path from 'path';
+
+export function createJsonStore(filePath) {
+    // Ensure data directory exists
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    // Initialize chat history file if it doesn't exist
+    if (!fs.existsSync(filePath)) {
+        fs.writeFileSync(filePath, JSON.stringify({ conversations: [] }, null, 2));
+    }
+
+    function load() {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            console.error('Error loading chat history:', error);
+            return { conversations: [] };
+        }
+    }
+
+    function save(history) {
+        try {
+            const tmpPath = `${filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(history, null, 2));
+            fs.renameSync(tmpPath, filePath);
+            return true;
+        } catch (error) {
+            console.error('Error saving chat history:', error);
+            return false;
+        }
+    }
+
+    return {
+        name: 'json',
+
+        listConversations({ limit, offset, owner = null }) {
+            const conversations = load().conversations
+                .filter(conv => !owner || conv.owner === owner)
+                .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+            return {
+                conversations: conversations.slice(offset, offset + limit).map(conv => ({
+                    id: conv.id,
+                    title: conv.title,
+                    createdAt: conv.createdAt,
+                    updatedAt: conv.updatedAt,
+                    owner: conv.owner || null,
+                    messageCount: conv.messages?.length || 0,
+                    preview: conv.messages?.[conv.messages.length - 1]?.content?.substring(0, 100) || ''
+                })),
+                total: conversations.length
+            };
+        },
+
+        getConversation(id) {
+            return load().conversations.find(c => c.id === id) || null;
+        },
+
+        insertConversation(conversation) {
+            const history = load();
+            history.conversations.push(conversation);
+            save(history);
+        },
+
+        updateConversation(id, fields) {
+            const history = load();
+            const conversation = history.conversations.find(c => c.id === id);
+            if (!conversation) return false;
+            Object.assign(conversation, fields);
+            return save(history);
+        },
+
+        deleteConversation(id) {
+            const history = load();
+            history.conversations = history.conversations.filter(c => c.id !== id);
+            save(history);
+        },
+
+        clearAll() {
+            // Approvals, runbook runs, briefings and access decisions are an audit trail, and the
+            // glossary and users are configuration: all survive clearing conversations
+            const history = load();
+            save({
+                conversations: [],
+                approvals: history.approvals || [],
+                runbookRuns: history.runbookRuns || [],
+                briefings: history.briefings || [],
+                glossaryTerms: history.glossaryTerms || [],
+                users: history.users || [],
+                accessDecisions: history.accessDecisions || []
+            });
+        },
+
+        insertApproval(approval) {
+            const history = load();
+            (history.approvals ||= []).push(approval);
+            save(history);
+        },
+
+        getApproval(id) {
+            return (load().approvals || []).find(a => a.id === id) || null;
+        },
+
+        listApprovals({ sandbox, status, conversationId, limit, offset }) {
+            const approvals = (load().approvals || [])
+                .filter(a => (!sandbox || a.sandbox === sandbox) && (!status || a.status === status) && (!conversationId || a.conversationId === conversationId))
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+            return { approvals: approvals.slice(offset, offset + limit), total: approvals.length };
+        },
+
+        transitionApproval(id, fromStatus, fields) {
+            const history = load();
+            const approval = (history.approvals || []).find(a => a.id === id);
+            if (!approval || approval.status !== fromStatus) return false;
+            Object.assign(approval, fields);
+            return save(history);
+        },
+
+        expireApprovals(now) {
+            const history = load();
+            const expired = (history.approvals || []).filter(a => a.status === 'pending' && a.expiresAt <= now);
+            if (expired.length === 0) return 0;
+            expired.forEach(a => { a.status = 'expired'; });
+            save(history);
+            return expired.length;
+        },
+
+        insertRunbookRun(run) {
+            const history = load();
+            (history.runbookRuns ||= []).push(run);
+            save(history);
+        },
+
+        updateRunbookRun(run) {
+            const history = load();
+            const index = (history.runbookRuns || []).findIndex(r => r.id === run.id);
+            if (index === -1) return false;
+            history.runbookRuns[index] = { ...history.runbookRuns[index], ...run };
+            return save(history);
+        },
+
+        getRunbookRun(id) {
+            return (load().runbookRuns || []).find(r => r.id === id) || null;
+        },
+
+        listRunbookRuns({ sandbox, runbookId, trigger, limit, offset }) {
+            const runs = (load().runbookRuns || [])
+                .filter(r => (!sandbox || r.sandbox === sandbox) && (!runbookId || r.runbookId === runbookId) && (!trigger || r.trigger === trigger))
+                .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+            return { runs: runs.slice(offset, offset + limit).map(({ steps, ...run }) => run), total: runs.length };
+        },
+
+        deleteRunbookRunsBefore(cutoff) {
+            const history = load();
+            const before = (history.runbookRuns || []).length;
+            history.runbookRuns = (history.runbookRuns || []).filter(r => r.startedAt >= cutoff);
+            if (history.runbookRuns.length === before) return 0;
+            save(history);
+            return before - history.runbookRuns.length;
+        },
+
+        insertBriefing(briefing) {
+            const history = load();
+            (history.briefings ||= []).push(briefing);
+            save(history);
+        },
+
+        getBriefing(id) {
+            return (load().briefings || []).find(b => b.id === id) || null;
+        },
+
+        listBriefings({ sandbox, limit, offset }) {
+            const briefings = (load().briefings || [])
+                .filter(b => !sandbox || b.sandbox === sandbox)
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+            return { briefings: briefings.slice(offset, offset + limit).map(({ inputs, ...briefing }) => briefing), total: briefings.length };
+        },
+
+        getLatestBriefingBefore(sandbox, before) {
+            const match = (load().briefings || [])
+                .filter(b => (b.sandbox ?? null) === (sandbox ?? null) && b.createdAt < before)
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0];
+            if (!match) return null;
+            const { inputs, ...briefing } = match;
+            return briefing;
+        },
+
+        deleteBriefingsBefore(cutoff) {
+            const history = load();
+            const before = (history.briefings || []).length;
+            history.briefings = (history.briefings || []).filter(b => b.createdAt >= cutoff);
+            if (history.briefings.length === before) return 0;
+            save(history);
+            return before - history.briefings.length;
+        },
+
+        listGlossaryTerms() {
+            return [...(load().glossaryTerms || [])].sort((a, b) => a.term.localeCompare(b.term, undefined, { sensitivity: 'base' }));
+        },
+
+        getGlossaryTerm(id) {
+            return (load().glossaryTerms || []).find(t => t.id === id) || null;
+        },
+
+        insertGlossaryTerm(term) {
+            const history = load();
+            (history.glossaryTerms ||= []).push(term);
+            save(history);
+        },
+
+        updateGlossaryTerm(term) {
+            const history = load();
+            const index = (history.glossaryTerms || []).findIndex(t => t.id === term.id);
+            if (index === -1) return false;
+            history.glossaryTerms[index] = { ...history.glossaryTerms[index], ...term };
+            return save(history);
+        },
+
+        deleteGlossaryTerm(id) {
+            const history = load();
+            const before = (history.glossaryTerms || []).length;
+            history.glossaryTerms = (history.glossaryTerms || []).filter(t => t.id !== id);
+            if (history.glossaryTerms.length === before) return false;
+            return save(history);
+        },
+
+        listUsers() {
+            return [...(load().users || [])].sort((a, b) => a.username.localeCompare(b.username, undefined, { sensitivity: 'base' }));
+        },
+
+        getUser(username) {
+            return (load().users || []).find(u => u.username === username) || null;
+        },
+
+        insertUser(user) {
+            const history = load();
+            (history.users ||= []).push(user);
+            save(history);
+        },
+
+        updateUser(user) {
+            const history = load();
+            const index = (history.users || []).findIndex(u => u.username === user.username);
+            if (index === -1) return false;
+            history.users[index] = { ...history.users[index], ...user };
+            return save(history);
+        },
+
+        deleteUser(username) {
+            const history = load();
+            const before = (history.users || []).length;
+            history.users = (history.users || []).filter(u => u.username !== username);
+            if (history.users.length === before) return false;
+            return save(history);
+        },
+
+        insertAccessDecision(decision) {
+            const history = load();
+            (history.accessDecisions ||= []).push(decision);
+            save(history);
+        },
+
+        listAccessDecisions({ username, action, allowed, limit, offset }) {
+            const decisions = (load().accessDecisions || [])
+                .filter(d => (!username || d.username === username) && (!action || d.action === action)
+                    && (allowed === undefined || d.allowed === allowed))
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+            return { decisions: decisions.slice(offset, offset + limit), total: decisions.length };
+        },
+
+        searchMessages(query, { limit, offset, owner = null }) {
+            const needle = query.toLowerCase();
+            const hits = [];
+            for (const conv of load().conversations) {
+                if (owner && conv.owner !== owner) continue;
+                (conv.messages || []).forEach((msg, position) => {
+                    const content = typeof msg.content === 'string' ? msg.content : '';
+                    const index = content.toLowerCase().indexOf(needle);
+                    if (index === -1) return;
+                    hits.push({
+                        conversationId: conv.id,
+                        title: conv.title,
+                        updatedAt: conv.updatedAt,
+                        position,
+                        role: msg.role,
+                        snippet: content.substring(Math.max(0, index - 60), index + needle.length + 60)
+                    });
+                });
+            }
+            hits.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+            return { results: hits.slice(offset, offset + limit), total: hits.length };
+        }
+    };
+}
@@ -0,0 +1,689 @@
+/**
+ * SQLite Chat Store
+ * Conversations and messages in SQLite (better-sqlite3) with an FTS5 index over
+ * message content, plus the agent's approval queue, runbook runs, daily briefings, the business
+ * glossary, users and access decisions. Every save runs in a transaction, so concurrent saves
+ * never interleave and the database only grows with what is stored.
+ */
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS conversations (
+    id TEXT PRIMARY KEY,
+    title TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    agent_state TEXT,
+    owner TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_conversations_updated ON conversations (updated_at DESC);
+
+CREATE TABLE IF NOT EXISTS messages (
+    conversation_id TEXT NOT NULL REFERENCES conversations (id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    role TEXT,
+    content TEXT,
+    message TEXT NOT NULL,
+    PRIMARY KEY (conversation_id, position)
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+    content,
+    conversation_id UNINDEXED,
+    position UNINDEXED
+);
+
+CREATE TABLE IF NOT EXISTS approvals (
+    id TEXT PRIMARY KEY,
+    conversation_id TEXT,
+    tool_name TEXT NOT NULL,
+    arguments TEXT NOT NULL,
+    description TEXT,
+    sandbox TEXT,
+    status TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    decided_at TEXT,
+    decided_by TEXT,
+    result TEXT,
+    error TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_approvals_status ON approvals (status, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS runbook_runs (
+    id TEXT PRIMARY KEY,
+    runbook_id TEXT NOT NULL,
+    runbook_version INTEGER,
+    trigger TEXT NOT NULL,
+    conversation_id TEXT,
+    sandbox TEXT,
+    status TEXT NOT NULL,
+    inputs TEXT,
+    steps TEXT,
+    summary TEXT,
+    error TEXT,
+    started_at TEXT NOT NULL,
+    finished_at TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_runbook_runs_runbook ON runbook_runs (runbook_id, started_at DESC);
+
+CREATE TABLE IF NOT EXISTS briefings (
+    id TEXT PRIMARY KEY,
+    sandbox TEXT,
+    trigger TEXT NOT NULL,
+    status TEXT NOT NULL,
+    message TEXT,
+    narration TEXT,
+    metrics TEXT,
+    issues TEXT,
+    inputs TEXT,
+    created_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_briefings_sandbox ON briefings (sandbox, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS glossary_terms (
+    id TEXT PRIMARY KEY,
+    sandbox TEXT,
+    term TEXT NOT NULL,
+    synonyms TEXT,
+    description TEXT,
+    xdm_path TEXT NOT NULL,
+    value TEXT,
+    allowed_values TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS users (
+    username TEXT PRIMARY KEY,
+    password_hash TEXT NOT NULL,
+    roles TEXT NOT NULL,
+    disabled INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS access_decisions (
+    id TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    username TEXT,
+    role TEXT,
+    sandbox TEXT,
+    action TEXT NOT NULL,
+    target TEXT,
+    approval_id TEXT,
+    allowed INTEGER NOT NULL,
+    reason TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_access_decisions_created ON access_decisions (created_at DESC);
+
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+);
+`;
+
+/**
+ * Turn free text into an FTS5 query: every word must match, last word as a prefix
+ */
+function toFtsQuery(query) {
+    const terms = query.split(/\s+/).filter(Boolean).map(t => `"${t.replace(/"/g, '""')}"`);
+    if (terms.length === 0) return null;
+    terms[terms.length - 1] += '*';
+    return terms.join(' ');
+}
+
+export function createSqliteStore(Database, filePath) {
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    db.exec(SCHEMA);
+
+    // Databases created before conversations had an owner
+    if (!db.prepare('PRAGMA table_info(conversations)').all().some(column => column.name === 'owner')) {
+        db.exec('ALTER TABLE conversations ADD COLUMN owner TEXT');
+    }
+    // Approvals no longer store an arguments hash: the stored arguments are what runs
+    if (db.prepare('PRAGMA table_info(approvals)').all().some(column => column.name === 'arguments_hash')) {
+        db.exec('ALTER TABLE approvals DROP COLUMN arguments_hash');
+    }
+
+    const statements = {
+        list: db.prepare(`
+            SELECT c.*, COUNT(m.position) AS message_count
+            FROM conversations c LEFT JOIN messages m ON m.conversation_id = c.id
+            WHERE @owner IS NULL OR c.owner = @owner
+            GROUP BY c.id ORDER BY c.updated_at DESC LIMIT @limit OFFSET @offset`),
+        count: db.prepare('SELECT COUNT(*) AS total FROM conversations WHERE @owner IS NULL OR owner = @owner'),
+        lastMessage: db.prepare('SELECT content FROM messages WHERE conversation_id = ? ORDER BY position DESC LIMIT 1'),
+        get: db.prepare('SELECT * FROM conversations WHERE id = ?'),
+        messages: db.prepare('SELECT message FROM messages WHERE conversation_id = ? ORDER BY position'),
+        insert: db.prepare(`
+            INSERT INTO conversations (id, title, created_at, updated_at, agent_state, owner)
+            VALUES (@id, @title, @createdAt, @updatedAt, @agentState, @owner)`),
+        update: db.prepare(`
+            UPDATE conversations SET title = @title, updated_at = @updatedAt, agent_state = @agentState
+            WHERE id = @id`),
+        deleteMessages: db.prepare('DELETE FROM messages WHERE conversation_id = ?'),
+        deleteFts: db.prepare('DELETE FROM messages_fts WHERE conversation_id = ?'),
+        insertMessage: db.prepare(`
+            INSERT INTO messages (conversation_id, position, role, content, message)
+            VALUES (?, ?, ?, ?, ?)`),
+        insertFts: db.prepare('INSERT INTO messages_fts (content, conversation_id, position) VALUES (?, ?, ?)'),
+        delete: db.prepare('DELETE FROM conversations WHERE id = ?'),
+        search: db.prepare(`
+            SELECT f.conversation_id, f.position, m.role, c.title, c.updated_at,
+                   snippet(messages_fts, 0, '**', '**', '…', 16) AS snippet
+            FROM messages_fts f
+            JOIN conversations c ON c.id = f.conversation_id
+            JOIN messages m ON m.conversation_id = f.conversation_id AND m.position = f.position
+            WHERE messages_fts MATCH @match AND (@owner IS NULL OR c.owner = @owner)
+            ORDER BY bm25(messages_fts) LIMIT @limit OFFSET @offset`),
+        searchCount: db.prepare(`
+            SELECT COUNT(*) AS total FROM messages_fts f JOIN conversations c ON c.id = f.conversation_id
+            WHERE messages_fts MATCH @match AND (@owner IS NULL OR c.owner = @owner)`),
+        insertApproval: db.prepare(`
+            INSERT INTO approvals (id, conversation_id, tool_name, arguments, description, sandbox, status, created_at, expires_at)
+            VALUES (@id, @conversationId, @toolName, @arguments, @description, @sandbox, @status, @createdAt, @expiresAt)`),
+        getApproval: db.prepare('SELECT * FROM approvals WHERE id = ?'),
+        transitionApproval: db.prepare(`
+            UPDATE approvals SET status = @status, decided_at = COALESCE(@decidedAt, decided_at),
+                decided_by = COALESCE(@decidedBy, decided_by), result = @result, error = @error
+            WHERE id = @id AND status = @fromStatus`),
+        expireApprovals: db.prepare("UPDATE approvals SET status = 'expired' WHERE status = 'pending' AND expires_at <= ?"),
+        insertRunbookRun: db.prepare(`
+            INSERT INTO runbook_runs (id, runbook_id, runbook_version, trigger, conversation_id, sandbox, status, inputs, steps, summary, error, started_at, finished_at)
+            VALUES (@id, @runbookId, @runbookVersion, @trigger, @conversationId, @sandbox, @status, @inputs, @steps, @summary, @error, @startedAt, @finishedAt)`),
+        updateRunbookRun: db.prepare(`
+            UPDATE runbook_runs SET status = @status, steps = @steps, summary = @summary, error = @error, finished_at = @finishedAt
+            WHERE id = @id`),
+        getRunbookRun: db.prepare('SELECT * FROM runbook_runs WHERE id = ?'),
+        deleteRunbookRunsBefore: db.prepare('DELETE FROM runbook_runs WHERE started_at < ?'),
+        insertBriefing: db.prepare(`
+            INSERT INTO briefings (id, sandbox, trigger, status, message, narration, metrics, issues, inputs, created_at)
+            VALUES (@id, @sandbox, @trigger, @status, @message, @narration, @metrics, @issues, @inputs, @createdAt)`),
+        getBriefing: db.prepare('SELECT * FROM briefings WHERE id = ?'),
+        getLatestBriefingBefore: db.prepare('SELECT * FROM briefings WHERE sandbox IS ? AND created_at < ? ORDER BY created_at DESC LIMIT 1'),
+        deleteBriefingsBefore: db.prepare('DELETE FROM briefings WHERE created_at < ?'),
+        listGlossaryTerms: db.prepare('SELECT * FROM glossary_terms ORDER BY term COLLATE NOCASE'),
+        getGlossaryTerm: db.prepare('SELECT * FROM glossary_terms WHERE id = ?'),
+        insertGlossaryTerm: db.prepare(`
+            INSERT INTO glossary_terms (id, sandbox, term, synonyms, description, xdm_path, value, allowed_values, created_at, updated_at)
+            VALUES (@id, @sandbox, @term, @synonyms, @description, @xdmPath, @value, @allowedValues, @createdAt, @updatedAt)`),
+        updateGlossaryTerm: db.prepare(`
+            UPDATE glossary_terms SET sandbox = @sandbox, term = @term, synonyms = @synonyms, description = @description,
+                xdm_path = @xdmPath, value = @value, allowed_values = @allowedValues, updated_at = @updatedAt
+            WHERE id = @id`),
+        deleteGlossaryTerm: db.prepare('DELETE FROM glossary_terms WHERE id = ?'),
+        listUsers: db.prepare('SELECT * FROM users ORDER BY username COLLATE NOCASE'),
+        getUser: db.prepare('SELECT * FROM users WHERE username = ?'),
+        insertUser: db.prepare(`
+            INSERT INTO users (username, password_hash, roles, disabled, created_at, updated_at)
+            VALUES (@username, @passwordHash, @roles, @disabled, @createdAt, @updatedAt)`),
+        updateUser: db.prepare(`
+            UPDATE users SET password_hash = @passwordHash, roles = @roles, disabled = @disabled, updated_at = @updatedAt
+            WHERE username = @username`),
+        deleteUser: db.prepare('DELETE FROM users WHERE username = ?'),
+        insertAccessDecision: db.prepare(`
+            INSERT INTO access_decisions (id, created_at, username, role, sandbox, action, target, approval_id, allowed, reason)
+            VALUES (@id, @createdAt, @username, @role, @sandbox, @action, @target, @approvalId, @allowed, @reason)`),
+        getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+        setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+    };
+
+    function toApproval(row) {
+        return {
+            id: row.id,
+            conversationId: row.conversation_id,
+            toolName: row.tool_name,
+            arguments: JSON.parse(row.arguments),
+            description: row.description,
+            sandbox: row.sandbox,
+            status: row.status,
+            createdAt: row.created_at,
+            expiresAt: row.expires_at,
+            decidedAt: row.decided_at,
+            decidedBy: row.decided_by,
+            result: row.result ? JSON.parse(row.result) : null,
+            error: row.error
+        };
+    }
+
+    function toRunbookRun(row, { withSteps = true } = {}) {
+        return {
+            id: row.id,
+            runbookId: row.runbook_id,
+            runbookVersion: row.runbook_version,
+            trigger: row.trigger,
+            conversationId: row.conversation_id,
+            sandbox: row.sandbox,
+            status: row.status,
+            inputs: row.inputs ? JSON.parse(row.inputs) : {},
+            ...(withSteps ? { steps: row.steps ? JSON.parse(row.steps) : [] } : {}),
+            summary: row.summary,
+            error: row.error,
+            startedAt: row.started_at,
+            finishedAt: row.finished_at
+        };
+    }
+
+    const runbookRunRow = (run) => ({
+        id: run.id,
+        runbookId: run.runbookId,
+        runbookVersion: run.runbookVersion ?? null,
+        trigger: run.trigger,
+        conversationId: run.conversationId ?? null,
+        sandbox: run.sandbox ?? null,
+        status: run.status,
+        inputs: JSON.stringify(run.inputs || {}),
+        steps: JSON.stringify(run.steps || []),
+        summary: run.summary ?? null,
+        error: run.error ?? null,
+        startedAt: run.startedAt,
+        finishedAt: run.finishedAt ?? null
+    });
+
+    function toBriefing(row, { withInputs = true } = {}) {
+        return {
+            id: row.id,
+            sandbox: row.sandbox,
+            trigger: row.trigger,
+            status: row.status,
+            message: row.message,
+            narration: row.narration,
+            metrics: row.metrics ? JSON.parse(row.metrics) : {},
+            issues: row.issues ? JSON.parse(row.issues) : [],
+            ...(withInputs ? { inputs: row.inputs ? JSON.parse(row.inputs) : {} } : {}),
+            createdAt: row.created_at
+        };
+    }
+
+    function toGlossaryTerm(row) {
+        return {
+            id: row.id,
+            sandbox: row.sandbox,
+            term: row.term,
+            synonyms: row.synonyms ? JSON.parse(row.synonyms) : [],
+            description: row.description,
+            xdmPath: row.xdm_path,
+            value: row.value,
+            allowedValues: row.allowed_values ? JSON.parse(row.allowed_values) : [],
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    const glossaryTermRow = (term) => ({
+        id: term.id,
+        sandbox: term.sandbox ?? null,
+        term: term.term,
+        synonyms: JSON.stringify(term.synonyms || []),
+        description: term.description ?? null,
+        xdmPath: term.xdmPath,
+        value: term.value ?? null,
+        allowedValues: JSON.stringify(term.allowedValues || []),
+        createdAt: term.createdAt,
+        updatedAt: term.updatedAt
+    });
+
+    function toUser(row) {
+        return {
+            username: row.username,
+            passwordHash: row.password_hash,
+            roles: JSON.parse(row.roles),
+            disabled: row.disabled === 1,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    const userRow = (user) => ({
+        username: user.username,
+        passwordHash: user.passwordHash,
+        roles: JSON.stringify(user.roles || {}),
+        disabled: user.disabled ? 1 : 0,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt
+    });
+
+    function toAccessDecision(row) {
+        return {
+            id: row.id,
+            createdAt: row.created_at,
+            username: row.username,
+            role: row.role,
+            sandbox: row.sandbox,
+            action: row.action,
+            target: row.target,
+            approvalId: row.approval_id,
+            allowed: row.allowed === 1,
+            reason: row.reason
+        };
+    }
+
+    function toConversation(row, messages) {
+        return {
+            id: row.id,
+            title: row.title,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+            owner: row.owner,
+            messages,
+            ...(row.agent_state ? { agentState: JSON.parse(row.agent_state) } : {})
+        };
+    }
+
+    const writeMessages = (id, messages) => {
+        statements.deleteMessages.run(id);
+        statements.deleteFts.run(id);
+        messages.forEach((msg, position) => {
+            const content = typeof msg.content === 'string' ? msg.content : null;
+            statements.insertMessage.run(id, position, msg.role || null, content, JSON.stringify(msg));
+            if (content) statements.insertFts.run(content, id, position);
+        });
+    };
+
+    const insertConversation = db.transaction((conversation) => {
+        statements.insert.run({
+            id: conversation.id,
+            title: conversation.title,
+            createdAt: conversation.createdAt,
+            updatedAt: conversation.updatedAt,
+            agentState: conversation.agentState ? JSON.stringify(conversation.agentState) : null,
+            owner: conversation.owner || null
+        });
+        writeMessages(conversation.id, conversation.messages || []);
+    });
+
+    const updateConversation = db.transaction((id, fields) => {
+        const row = statements.get.get(id);
+        if (!row) return false;
+
+        const agentState = 'agentState' in fields
+            ? (fields.agentState ? JSON.stringify(fields.agentState) : null)
+            : row.agent_state;
+        statements.update.run({
+            id,
+            title: fields.title ?? row.title,
+            updatedAt: fields.updatedAt ?? row.updated_at,
+            agentState
+        });
+        if (fields.messages) writeMessages(id, fields.messages);
+        return true;
+    });
+
+    const deleteConversation = db.transaction((id) => {
+        statements.deleteFts.run(id);
+        statements.delete.run(id);
+    });
+
+    return {
+        name: 'sqlite',
+
+        listConversations({ limit, offset, owner = null }) {
+            const rows = statements.list.all({ owner, limit, offset });
+            return {
+                conversations: rows.map(row => ({
+                    id: row.id,
+                    title: row.title,
+                    createdAt: row.created_at,
+                    updatedAt: row.updated_at,
+                    owner: row.owner,
+                    messageCount: row.message_count,
+                    preview: statements.lastMessage.get(row.id)?.content?.substring(0, 100) || ''
+                })),
+                total: statements.count.get({ owner }).total
+            };
+        },
+
+        getConversation(id) {
+            const row = statements.get.get(id);
+            if (!row) return null;
+            return toConversation(row, statements.messages.all(id).map(m => JSON.parse(m.message)));
+        },
+
+        insertConversation,
+        updateConversation,
+        deleteConversation,
+
+        clearAll() {
+            db.exec('DELETE FROM messages_fts; DELETE FROM messages; DELETE FROM conversations;');
+        },
+
+        searchMessages(query, { limit, offset, owner = null }) {
+            const match = toFtsQuery(query);
+            if (!match) return { results: [], total: 0 };
+            return {
+                results: statements.search.all({ match, owner, limit, offset }).map(row => ({
+                    conversationId: row.conversation_id,
+                    title: row.title,
+                    updatedAt: row.updated_at,
+                    position: row.position,
+                    role: row.role,
+                    snippet: row.snippet
+                })),
+                total: statements.searchCount.get({ match, owner }).total
+            };
+        },
+
+        /**
+         * Import conversations from a JSON store (existing ids are skipped)
+         */
+        importConversations: db.transaction((conversations) => {
+            let imported = 0;
+            for (const conv of conversations) {
+                if (!conv?.id || statements.get.get(conv.id)) continue;
+                const now = new Date().toISOString();
+                insertConversation({
+                    id: conv.id,
+                    title: conv.title || 'Chat Session',
+                    createdAt: conv.createdAt || now,
+                    updatedAt: conv.updatedAt || conv.createdAt || now,
+                    agentState: conv.agentState,
+                    owner: conv.owner,
+                    messages: conv.messages || []
+                });
+                imported++;
+            }
+            return imported;
+        }),
+
+        insertApproval(approval) {
+            statements.insertApproval.run({ ...approval, arguments: JSON.stringify(approval.arguments) });
+        },
+
+        getApproval(id) {
+            const row = statements.getApproval.get(id);
+            return row ? toApproval(row) : null;
+        },
+
+        listApprovals({ sandbox, status, conversationId, limit, offset }) {
+            const where = [];
+            const params = [];
+            if (sandbox) { where.push('sandbox = ?'); params.push(sandbox); }
+            if (status) { where.push('status = ?'); params.push(status); }
+            if (conversationId) { where.push('conversation_id = ?'); params.push(conversationId); }
+            const clause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+            return {
+                approvals: db.prepare(`SELECT * FROM approvals ${clause} ORDER BY created_at DESC LIMIT ? OFFSET ?`)
+                    .all(...params, limit, offset).map(toApproval),
+                total: db.prepare(`SELECT COUNT(*) AS total FROM approvals ${clause}`).get(...params).total
+            };
+        },
+
+        /**
+         * Move an approval from one status to another; false if it was not in fromStatus
+         * (the conditional update makes approve/execute race-free)
+         */
+        transitionApproval(id, fromStatus, fields) {
+            const info = statements.transitionApproval.run({
+                id,
+                fromStatus,
+                status: fields.status,
+                decidedAt: fields.decidedAt ?? null,
+                decidedBy: fields.decidedBy ?? null,
+                result: fields.result !== undefined ? JSON.stringify(fields.result) : null,
+                error: fields.error ?? null
+            });
+            return info.changes === 1;
+        },
+
+        expireApprovals(now) {
+            return statements.expireApprovals.run(now).changes;
+        },
+
+        insertRunbookRun(run) {
+            statements.insertRunbookRun.run(runbookRunRow(run));
+        },
+
+        updateRunbookRun(run) {
+            return statements.updateRunbookRun.run(runbookRunRow(run)).changes === 1;
+        },
+
+        getRunbookRun(id) {
+            const row = statements.getRunbookRun.get(id);
+            return row ? toRunbookRun(row) : null;
+        },
+
+        /**
+         * Runs newest first, without step outputs (fetch one run for those)
+         */
+        listRunbookRuns({ sandbox, runbookId, trigger, limit, offset }) {
+            const where = [];
+            const params = [];
+            if (sandbox) { where.push('sandbox = ?'); params.push(sandbox); }
+            if (runbookId) { where.push('runbook_id = ?'); params.push(runbookId); }
+            if (trigger) { where.push('trigger = ?'); params.push(trigger); }
+            const clause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+            return {
+                runs: db.prepare(`SELECT * FROM runbook_runs ${clause} ORDER BY started_at DESC LIMIT ? OFFSET ?`)
+                    .all(...params, limit, offset).map(row => toRunbookRun(row, { withSteps: false })),
+                total: db.prepare(`SELECT COUNT(*) AS total FROM runbook_runs ${clause}`).get(...params).total
+            };
+        },
+
+        deleteRunbookRunsBefore(cutoff) {
+            return statements.deleteRunbookRunsBefore.run(cutoff).changes;
+        },
+
+        insertBriefing(briefing) {
+            statements.insertBriefing.run({
+                id: briefing.id,
+                sandbox: briefing.sandbox ?? null,
+                trigger: briefing.trigger,
+                status: briefing.status,
+                message: briefing.message ?? null,
+                narration: briefing.narration ?? null,
+                metrics: JSON.stringify(briefing.metrics || {}),
+                issues: JSON.stringify(briefing.issues || []),
+                inputs: JSON.stringify(briefing.inputs || {}),
+                createdAt: briefing.createdAt
+            });
+        },
+
+        getBriefing(id) {
+            const row = statements.getBriefing.get(id);
+            return row ? toBriefing(row) : null;
+        },
+
+        /**
+         * Briefings newest first, without their raw inputs (fetch one briefing for those)
+         */
+        listBriefings({ sandbox, limit, offset }) {
+            const clause = sandbox ? 'WHERE sandbox = ?' : '';
+            const params = sandbox ? [sandbox] : [];
+            return {
+                briefings: db.prepare(`SELECT * FROM briefings ${clause} ORDER BY created_at DESC LIMIT ? OFFSET ?`)
+                    .all(...params, limit, offset).map(row => toBriefing(row, { withInputs: false })),
+                total: db.prepare(`SELECT COUNT(*) AS total FROM briefings ${clause}`).get(...params).total
+            };
+        },
+
+        /**
+         * Newest briefing of a sandbox created before `before` (ISO time), without inputs
+         */
+        getLatestBriefingBefore(sandbox, before) {
+            const row = statements.getLatestBriefingBefore.get(sandbox ?? null, before);
+            return row ? toBriefing(row, { withInputs: false }) : null;
+        },
+
+        deleteBriefingsBefore(cutoff) {
+            return statements.deleteBriefingsBefore.run(cutoff).changes;
+        },
+
+        listGlossaryTerms() {
+            return statements.listGlossaryTerms.all().map(toGlossaryTerm);
+        },
+
+        getGlossaryTerm(id) {
+            const row = statements.getGlossaryTerm.get(id);
+            return row ? toGlossaryTerm(row) : null;
+        },
+
+        insertGlossaryTerm(term) {
+            statements.insertGlossaryTerm.run(glossaryTermRow(term));
+        },
+
+        updateGlossaryTerm(term) {
+            return statements.updateGlossaryTerm.run(glossaryTermRow(term)).changes === 1;
+        },
+
+        deleteGlossaryTerm(id) {
+            return statements.deleteGlossaryTerm.run(id).changes === 1;
+        },
+
+        listUsers() {
+            return statements.listUsers.all().map(toUser);
+        },
+
+        getUser(username) {
+            const row = statements.getUser.get(username);
+            return row ? toUser(row) : null;
+        },
+
+        insertUser(user) {
+            statements.insertUser.run(userRow(user));
+        },
+
+        updateUser(user) {
+            return statements.updateUser.run(userRow(user)).changes === 1;
+        },
+
+        deleteUser(username) {
+            return statements.deleteUser.run(username).changes === 1;
+        },
+
+        insertAccessDecision(decision) {
+            statements.insertAccessDecision.run({
+                id: decision.id,
+                createdAt: decision.createdAt,
+                username: decision.username ?? null,
+                role: decision.role ?? null,
+                sandbox: decision.sandbox ?? null,
+                action: decision.action,
+                target: decision.target ?? null,
+                approvalId: decision.approvalId ?? null,
+                allowed: decision.allowed ? 1 : 0,
+                reason: decision.reason ?? null
+            });
+        },
+
+        /**
+         * Decisions newest first
+         */
+        listAccessDecisions({ username, action, allowed, limit, offset }) {
+            const where = [];
+            const params = [];
+            if (username) { where.push('username = ?'); params.push(username); }
+            if (action) { where.push('action = ?'); params.push(action); }
+            if (allowed !== undefined) { where.push('allowed = ?'); params.push(allowed ? 1 : 0); }
+            const clause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+            return {
+                decisions: db.prepare(`SELECT * FROM access_decisions ${clause} ORDER BY created_at DESC LIMIT ? OFFSET ?`)
+                    .all(...params, limit, offset).map(toAccessDecision),
+                total: db.prepare(`SELECT COUNT(*) AS total FROM access_decisions ${clause}`).get(...params).total
+            };
+        },
+
+        getMeta: (key) => statements.getMeta.get(key)?.value ?? null,
+        setMeta: (key, value) => statements.setMeta.run(key, value)
+    };
+}
@@ -0,0 +1,95 @@
+/**
+ * HTTP Error Helpers
+ * Typed errors for routes and the mapping from any thrown error to the
+ * API error envelope: { error: { code, status, message, upstream, requestId } }
+ */
+import { AepApiError } from '../services/aep.client.js';
+
+/**
+ * Error with an explicit HTTP status, thrown by routes and services
+ * for client mistakes (400), missing resources (404), etc.
+ */
+export class HttpError extends Error {
+    constructor(status, message, code = null) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code || defaultCode(status);
+    }
+}
+
+const STATUS_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    422: 'UNPROCESSABLE',
+    429: 'RATE_LIMITED',
+    500: 'INTERNAL_ERROR',
+    502: 'UPSTREAM_ERROR',
+    503: 'UNAVAILABLE',
+    504: 'UPSTREAM_TIMEOUT'
+};
+
+function defaultCode(status) {
+    return STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+/**
+ * Status we answer with for an upstream AEP status.
+ * Client-side problems pass through; AEP rejecting our own credentials (401)
+ * and AEP server errors are gateway failures from the browser's point of view.
+ */
+function mapUpstreamStatus(status) {
+    if (status === 401) return 502;
+    if (status >= 400 && status < 500) return status;
+    if (status === 504) return 504;
+    return 502;
+}
+
+/**
+ * Convert any thrown error into { status, body } for the error envelope
+ */
+export function toErrorResponse(err) {
+    if (err instanceof AepApiError) {
+        const status = mapUpstreamStatus(err.status);
+        return {
+            status,
+            body: {
+                error: {
+                    code: err.code || `AEP_${defaultCode(err.status)}`,
+                    status,
+                    message: err.detail || err.message,
+                    upstream: {
+                        status: err.status,
+                        code: err.code,
+                        method: err.method,
+                        endpoint: err.endpoint,
+                        sandbox: err.sandbox,
+                        body: err.body
+                    },
+                    requestId: err.requestId
+                }
+            }
+        };
+    }
+
+    const status = err instanceof HttpError ? err.status : 500;
+    // Codes of anything else (ECONNREFUSED, SQLITE_BUSY) are internal: logged, not sent
+    if (!(err instanceof HttpError) && err.code) {
+        console.error(`[Error] Unexpected ${err.code}: ${err.message}`);
+    }
+    return {
+        status,
+        body: {
+            error: {
+                code: err instanceof HttpError ? err.code : defaultCode(status),
+                status,
+                message: err.message || 'Unexpected error',
+                upstream: null,
+                requestId: null
+            }
+        }
+    };
+}
@@ -1,4 +1,6 @@
+import { useState, useEffect } from 'react';
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
+import { getCurrentUser, logout, onUnauthorized, setCurrentSandbox } from './services/api';
 import Shell from './components/Shell';
 import Dashboard from './pages/Dashboard';
 import BatchMonitor from './pages/BatchMonitor';
@@ -19,12 +21,44 @@ import SandboxCompare from './pages/SandboxCompare';
 import DataIngestion from './pages/DataIngestion';
 import DataPrep from './pages/DataPrep';
 import DataLineage from './pages/DataLineage';
+import LLMUsage from './pages/LLMUsage';
+import Users from './pages/Users';
+import Login from './pages/Login';
 import './index.css';
 
+// The user and their role in the selected sandbox; without one there, move to a sandbox they have
+async function fetchSession() {
+  let me = await getCurrentUser();
+  const assigned = Object.keys(me.user.roles || {}).find(name => name !== '*');
+  if (!me.role && assigned) {
+    setCurrentSandbox(assigned);
+    me = await getCurrentUser();
+  }
+  return me;
+}
+
 function App() {
+  // undefined: checking the stored session; null: logged out
+  const [session, setSession] = useState(undefined);
+
+  const loadSession = async () => setSession(await fetchSession());
+
+  useEffect(() => {
+    fetchSession().then(setSession, () => setSession(null));
+    return onUnauthorized(() => setSession(null));
+  }, []);
+
+  const handleLogout = () => {
+    logout();
+    setSession(null);
+  };
+
+  if (session === undefined) return null;
+  if (session === null) return <Login onLogin={loadSession} />;
+
   return (
     <BrowserRouter>
-      <Shell>
+      <Shell session={session} onLogout={handleLogout}>
         <Routes>
           <Route path="/" element={<Dashboard />} />
           <Route path="/batches" element={<BatchMonitor />} />
@@ -45,6 +79,8 @@ function App() {
           <Route path="/data-prep" element={<DataPrep />} />
           <Route path="/data-lineage" element={<DataLineage />} />
           <Route path="/api-browser" element={<APIBrowser />} />
+          <Route path="/llm-usage" element={<LLMUsage />} />
+          <Route path="/users" element={<Users currentUser={session.user} />} />
         </Routes>
       </Shell>
     </BrowserRouter>
@@ -1,7 +1,8 @@
 import { useState, useEffect, useRef } from 'react';
 import { useLocation } from 'react-router-dom';
-import { sendAgentMessage, getAgentTools, getConversations, getConversation, saveConversation, deleteConversation } from '../services/agent-api';
-import { getDashboardSummary, getBatches, getRecentQueries } from '../services/api';
+import { streamAgentMessage, approveAgentAction, rejectAgentAction, getAgentTools, getRunbooks, runRunbook, getConversations, searchConversations, getConversation, createConversation, saveConversation, deleteConversation } from '../services/agent-api';
+import { getDashboardSummary, getBatches, getRecentQueries, getCurrentSandboxName } from '../services/api';
+import { getAgentPageContext, subscribeAgentPageContext } from '../services/agent-context';
 
 // Get context description based on current page
 const getPageContext = (pathname) => {
@@ -176,10 +177,20 @@ export default function AgentPanel({ isOpen, onToggle, currentPath }) {
     const [alertsLoading, setAlertsLoading] = useState(true);
     const [showAlerts, setShowAlerts] = useState(true);
     const [thinkingSteps, setThinkingSteps] = useState([]);
+    const [streamingText, setStreamingText] = useState('');
+    const [runController, setRunController] = useState(null);
     const [conversations, setConversations] = useState([]);
     const [currentConversationId, setCurrentConversationId] = useState(null);
     const [showHistory, setShowHistory] = useState(false);
+    const [conversationsTotal, setConversationsTotal] = useState(0);
+    const [historyQuery, setHistoryQuery] = useState('');
+    const [searchResults, setSearchResults] = useState(null);
+    const [showRunbooks, setShowRunbooks] = useState(false);
+    const [runbooks, setRunbooks] = useState([]);
+    const [pageContext, setPageContext] = useState(getAgentPageContext());
     const messagesEndRef = useRef(null);
+    // Latest messages for saves scheduled from async handlers
+    const messagesRef = useRef(messages);
 
     const context = getPageContext(location.pathname);
 
@@ -206,6 +217,9 @@ export default function AgentPanel({ isOpen, onToggle, currentPath }) {
         }
     }, [location.pathname]);
 
+    // Selected entity and filters published by the open page
+    useEffect(() => subscribeAgentPageContext(setPageContext), []);
+
     useEffect(() => {
         scrollToBottom();
     }, [messages]);
@@ -223,11 +237,39 @@ export default function AgentPanel({ isOpen, onToggle, currentPath }) {
         try {
             const result = await getConversations();
             setConversations(result?.conversations || []);
+            setConversationsTotal(result?.total || 0);
         } catch (e) {
             console.error('Failed to load conversations', e);
         }
     };
 
+    const loadMoreConversations = async () => {
+        try {
+            const result = await getConversations({ offset: conversations.length });
+            setConversations(prev => [...prev, ...(result?.conversations || [])]);
+            setConversationsTotal(result?.total || 0);
+        } catch (e) {
+            console.error('Failed to load conversations', e);
+        }
+    };
+
+    // Search saved conversations as the user types (debounced)
+    useEffect(() => {
+        if (!historyQuery.trim()) {
+            setSearchResults(null);
+            return;
+        }
+        const timer = setTimeout(async () => {
+            try {
+                const result = await searchConversations(historyQuery.trim());
+                setSearchResults(result?.results || []);
+            } catch (e) {
+                console.error('Failed to search conversations', e);
+            }
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [historyQuery]);
+
     const loadConversation = async (convId) => {
         try {
             const conv = await getConversation(convId);
@@ -253,10 +295,15 @@ export default function AgentPanel({ isOpen, onToggle, currentPath }) {
         setShowHistory(false);
     };
 
-    const saveCurrentConversation = async () => {
+    useEffect(() => {
+        messagesRef.current = messages;
+    }, [messages]);
+
+    const saveCurrentConversation = async (conversationId = currentConversationId) => {
+        const messages = messagesRef.current;
         if (messages.length <= 1) return; // Don't save if only welcome message
         try {
-            const convId = currentConversationId || `conv_${Date.now()}`;
+            const convId = conversationId || `conv_${Date.now()}`;
             await saveConversation(convId, messages);
             setCurrentConversationId(convId);
             loadConversationsList();
@@ -402,38 +449,45 @@ export default function AgentPanel({ isOpen, onToggle, currentPath }) {
         setInput('');
         setLoading(true);
 
-        // Show thinking steps
-        setThinkingSteps([
-            { step: 'Analyzing request...', status: 'active' }
-        ]);
+        // Live progress from the agent stream
+        setThinkingSteps([{ step: 'Analyzing request...', status: 'active' }]);
+        setStreamingText('');
+        const controller = new AbortController();
+        setRunController(controller);
 
         try {
-            // Step 1: Analyzing
-            setThinkingSteps([
-                { step: 'Analyzing request...', status: 'complete' },
-                { step: 'Searching schemas & context...', status: 'active' }
-            ]);
-
-            await new Promise(r => setTimeout(r, 500)); // Brief delay for UX
-
-            // Step 2: Processing
-            setThinkingSteps(prev => [
-                ...prev.slice(0, -1),
-                { step: 'Searching schemas & context...', status: 'complete' },
-                { step: 'Generating response...', status: 'active' }
-            ]);
+            // The agent keeps its memory per conversation, so make sure we have one
+            let conversationId = currentConversationId;
+            if (!conversationId) {
+                conversationId = (await createConversation()).id;
+                setCurrentConversationId(conversationId);
+            }
 
-            const response = await sendAgentMessage({
+            const response = await streamAgentMessage({
                 message: input.trim(),
+                conversationId,
                 autoMode,
-                history: messages.slice(-10),
-                context: { page: context.name, path: location.pathname }
-            });
+                context: {
+                    route: location.pathname,
+                    page: context.name,
+                    sandbox: getCurrentSandboxName(),
+                    entity: pageContext.entity,
+                    filters: pageContext.filters
+                }
+            }, { onEvent: handleAgentEvent, signal: controller.signal });
 
-            // Step 3: Complete
             setThinkingSteps([]);
 
-            if (response.requiresApproval && !autoMode) {
+            if (response.requiresApproval && response.canApprove === false) {
+                // Queued for someone whose role may approve it; nothing to decide here
+                setMessages(prev => [...prev, {
+                    id: Date.now(),
+                    role: 'assistant',
+                    content: `🔒 **Approval needed**\n\n${response.actionDescription}\n\n` +
+                        `Your role cannot approve this. Ask someone with the **${response.approverRole}** role to approve \`${response.approvalId}\`.`,
+                    timestamp: new Date().toISOString()
+                }]);
+            } else if (response.requiresApproval) {
                 setPendingAction(response);
                 setMessages(prev => [...prev, {
                     id: Date.now(),
@@ -454,15 +508,80 @@ export default function AgentPanel({ isOpen, onToggle, currentPath }) {
                     timestamp: new Date().toISOString(),
                     data: response.data,
                     toolsUsed: response.toolsUsed,
+                    steps: response.steps,
                     actions: response.suggestedActions
                 }]);
             }
 
             // Auto-save conversation after response
-            setTimeout(saveCurrentConversation, 1000);
+            setTimeout(() => saveCurrentConversation(conversationId), 1000);
 
         } catch (error) {
             setThinkingSteps([]);
+            setMessages(prev => [...prev, {
+                id: Date.now(),
+                role: 'assistant',
+                content: error.name === 'AbortError' ? '⏹️ Cancelled.' : `❌ ${error.message}`,
+                timestamp: new Date().toISOString(),
+                isError: error.name !== 'AbortError'
+            }]);
+        } finally {
+            setRunController(null);
+            setLoading(false);
+            setThinkingSteps([]);
+            setStreamingText('');
+        }
+    };
+
+    const toggleRunbooks = async () => {
+        const next = !showRunbooks;
+        setShowRunbooks(next);
+        if (next) {
+            try {
+                const data = await getRunbooks();
+                setRunbooks(data.runbooks || []);
+            } catch (error) {
+                console.error('Failed to load runbooks:', error);
+            }
+        }
+    };
+
+    // Run a runbook with its default inputs; the summary and step trace land in the chat
+    const handleRunRunbook = async (runbook) => {
+        if (loading) return;
+        setShowRunbooks(false);
+        setShowAlerts(false);
+        setMessages(prev => [...prev, {
+            id: Date.now(),
+            role: 'user',
+            content: `📒 Run "${runbook.name}"`,
+            timestamp: new Date().toISOString()
+        }]);
+        setLoading(true);
+        setThinkingSteps([{ step: `Running ${runbook.name} (${runbook.steps.length} steps)...`, status: 'active' }]);
+
+        try {
+            let conversationId = currentConversationId;
+            if (!conversationId) {
+                conversationId = (await createConversation()).id;
+                setCurrentConversationId(conversationId);
+            }
+
+            const run = await runRunbook(runbook.id, { conversationId });
+            setMessages(prev => [...prev, {
+                id: Date.now(),
+                role: 'assistant',
+                content: run.summary || `Runbook ${run.status}${run.error ? `: ${run.error}` : ''}`,
+                timestamp: new Date().toISOString(),
+                isError: run.status === 'failed' && !run.summary,
+                toolsUsed: [...new Set(run.steps.filter(step => step.status === 'ok').map(step => step.tool))],
+                // Outputs stay on the server with the run
+                steps: run.steps.map(step => ({ ...step, output: undefined })),
+                runbookRunId: run.id
+            }]);
+
+            setTimeout(() => saveCurrentConversation(conversationId), 1000);
+        } catch (error) {
             setMessages(prev => [...prev, {
                 id: Date.now(),
                 role: 'assistant',
@@ -476,15 +595,41 @@ export default function AgentPanel({ isOpen, onToggle, currentPath }) {
         }
     };
 
+    // Turn agent stream events into the live thinking steps
+    const handleAgentEvent = (type, data) => {
+        const completeActive = (steps) => steps.map(s => s.status === 'active' ? { ...s, status: 'complete' } : s);
+
+        if (type === 'plan') {
+            // Text streamed before a tool call is the model thinking aloud, not the answer
+            setStreamingText('');
+            setThinkingSteps(prev => [
+                ...completeActive(prev),
+                { step: `Planned: ${data.tools.map(t => t.name).join(', ')}`, status: 'complete' }
+            ]);
+        } else if (type === 'tool_start') {
+            setThinkingSteps(prev => [
+                ...completeActive(prev),
+                { step: `Running ${data.tool}...`, status: 'active', tool: data.tool }
+            ]);
+        } else if (type === 'tool_end') {
+            setThinkingSteps(prev => prev.map(s => s.status === 'active' && s.tool === data.tool
+                ? { ...s, step: `${data.tool} (${data.durationMs}ms)${data.error ? ` - ${data.error}` : ''}`, status: data.status === 'ok' ? 'complete' : 'error' }
+                : s));
+        } else if (type === 'token') {
+            setStreamingText(prev => prev + data.text);
+        }
+    };
+
+    const handleCancel = () => {
+        runController?.abort();
+    };
+
     const handleAction = async (action) => {
         if (action === 'approve' && pendingAction) {
             setLoading(true);
             try {
-                const response = await sendAgentMessage({
-                    message: '__EXECUTE_APPROVED__',
-                    approvedAction: pendingAction,
-                    autoMode: true
-                });
+                // The server runs the queued proposal; only its id is sent back
+                const response = await approveAgentAction(pendingAction.approvalId);
                 setMessages(prev => [
                     ...prev.filter(m => !m.isPending),
                     {
@@ -506,7 +651,13 @@ export default function AgentPanel({ isOpen, onToggle, currentPath }) {
                 setPendingAction(null);
                 setLoading(false);
             }
-        } else if (action === 'cancel') {
+        } else if (action === 'cancel' && pendingAction) {
+            try {
+                await rejectAgentAction(pendingAction.approvalId);
+            } catch (error) {
+                // Already expired or decided elsewhere: nothing will run either way
+                console.error('Failed to reject action', error);
+            }
             setMessages(prev => [
                 ...prev.filter(m => !m.isPending),
                 { id: Date.now(), role: 'assistant', content: '👍 Action cancelled.' }
@@ -567,6 +718,19 @@ export default function AgentPanel({ isOpen, onToggle, currentPath }) {
                         </div>
                     </div>
                     <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+                        <button
+                            onClick={toggleRunbooks}
+                            title="Runbooks"
+                            style={{
+                                background: showRunbooks ? 'var(--accent-blue)' : 'none',
+                                border: 'none',
+                                color: showRunbooks ? 'white' : 'var(--text-muted)',
+                                cursor: 'pointer',
+                                fontSize: '14px',
+                                padding: '4px 8px',
+                                borderRadius: '4px'
+                            }}
+                        >📒</button>
                         <button
                             onClick={() => setShowHistory(!showHistory)}
                             title="Chat History"
@@ -586,7 +750,7 @@ export default function AgentPanel({ isOpen, onToggle, currentPath }) {
                             </svg>
                         </button>
                         <button
-                            onClick={saveCurrentConversation}
+                            onClick={() => saveCurrentConversation()}
                             title="Save Conversation"
                             style={{
                                 background: 'none', border: 'none',
@@ -625,9 +789,54 @@ export default function AgentPanel({ isOpen, onToggle, currentPath }) {
                 {/* Context Banner */}
                 <div className="agent-context-banner">
                     📍 Viewing <span className="context-page">{context.name}</span>
+                    {pageContext.entity && (
+                        <span title={pageContext.entity.id}>
+                            {' · '}📎 {pageContext.entity.name || pageContext.entity.id}
+                        </span>
+                    )}
                 </div>
             </div>
 
+            {/* Runbooks Panel */}
+            {showRunbooks && (
+                <div style={{
+                    padding: '12px',
+                    background: 'var(--bg-card)',
+                    borderBottom: '1px solid var(--border-default)',
+                    maxHeight: '250px',
+                    overflowY: 'auto'
+                }}>
+                    <div style={{ fontWeight: 600, fontSize: '13px', marginBottom: '12px' }}>📒 Runbooks</div>
+                    {runbooks.length === 0 ? (
+                        <div style={{ fontSize: '12px', color: 'var(--text-muted)', textAlign: 'center', padding: '12px' }}>
+                            No runbooks found
+                        </div>
+                    ) : runbooks.map(runbook => (
+                        <div
+                            key={runbook.id}
+                            onClick={() => handleRunRunbook(runbook)}
+                            title={runbook.steps.map(step => step.tool).join(' → ')}
+                            style={{
+                                padding: '8px 10px',
+                                marginBottom: '6px',
+                                background: 'var(--bg-primary)',
+                                borderRadius: '6px',
+                                cursor: loading ? 'not-allowed' : 'pointer',
+                                opacity: loading ? 0.6 : 1
+                            }}
+                        >
+                            <div style={{ fontSize: '12px', fontWeight: 500 }}>
+                                ▶ {runbook.name} <span style={{ color: 'var(--text-muted)', fontWeight: 400 }}>v{runbook.version}</span>
+                            </div>
+                            <div style={{ fontSize: '10px', color: 'var(--text-muted)', marginTop: '2px' }}>
+                                {runbook.description || `${runbook.steps.length} steps`}
+                                {runbook.schedule && ` · ${runbook.schedule.every ? `every ${runbook.schedule.every}` : `daily ${runbook.schedule.at} UTC`}`}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
             {/* Chat History Panel */}
             {showHistory && (
                 <div style={{
@@ -652,7 +861,44 @@ export default function AgentPanel({ isOpen, onToggle, currentPath }) {
                             }}
                         >+ New Chat</button>
                     </div>
-                    {conversations.length === 0 ? (
+                    <input
+                        type="text"
+                        value={historyQuery}
+                        onChange={(e) => setHistoryQuery(e.target.value)}
+                        placeholder="Search conversations..."
+                        style={{
+                            width: '100%', padding: '6px 10px', marginBottom: '10px',
+                            background: 'var(--bg-secondary)', border: '1px solid var(--border-default)',
+                            borderRadius: '6px', color: 'var(--text-primary)', fontSize: '12px'
+                        }}
+                    />
+                    {searchResults ? (
+                        searchResults.length === 0 ? (
+                            <div style={{ color: 'var(--text-muted)', fontSize: '12px', textAlign: 'center', padding: '20px' }}>
+                                No messages match "{historyQuery}"
+                            </div>
+                        ) : (
+                            searchResults.map((hit, i) => (
+                                <div
+                                    key={`${hit.conversationId}-${hit.position}-${i}`}
+                                    onClick={() => loadConversation(hit.conversationId)}
+                                    style={{
+                                        padding: '8px 10px', marginBottom: '6px', borderRadius: '8px',
+                                        background: 'var(--bg-secondary)', cursor: 'pointer'
+                                    }}
+                                >
+                                    <div style={{ fontSize: '12px', fontWeight: 500, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                        {hit.title}
+                                    </div>
+                                    <div
+                                        className="markdown-content"
+                                        style={{ fontSize: '11px', color: 'var(--text-muted)' }}
+                                        dangerouslySetInnerHTML={{ __html: parseMarkdown(hit.snippet) }}
+                                    />
+                                </div>
+                            ))
+                        )
+                    ) : conversations.length === 0 ? (
                         <div style={{ color: 'var(--text-muted)', fontSize: '12px', textAlign: 'center', padding: '20px' }}>
                             No saved conversations yet
                         </div>
@@ -691,6 +937,18 @@ export default function AgentPanel({ isOpen, onToggle, currentPath }) {
                             </div>
                         ))
                     )}
+                    {!searchResults && conversations.length < conversationsTotal && (
+                        <button
+                            onClick={loadMoreConversations}
+                            style={{
+                                width: '100%', padding: '6px', background: 'none',
+                                border: '1px dashed var(--border-default)', borderRadius: '6px',
+                                color: 'var(--text-muted)', fontSize: '11px', cursor: 'pointer'
+                            }}
+                        >
+                            Load more ({conversationsTotal - conversations.length} older)
+                        </button>
+                    )}
                 </div>
             )}
 
@@ -803,6 +1061,33 @@ export default function AgentPanel({ isOpen, onToggle, currentPath }) {
                                     🔧 {msg.toolsUsed.join(', ')}
                                 </div>
                             )}
+
+                            {/* Agent Trace (one entry per tool call / model step) */}
+                            {msg.steps?.length > 0 && (
+                                <details style={{
+                                    marginTop: '6px', fontSize: '10px',
+                                    color: 'var(--text-muted)'
+                                }}>
+                                    <summary style={{ cursor: 'pointer' }}>
+                                        {msg.runbookRunId ? `Runbook trace · ${msg.runbookRunId}` : 'Agent trace'} ({msg.steps.length} steps)
+                                    </summary>
+                                    {msg.steps.map((step, i) => (
+                                        <div key={i} style={{
+                                            padding: '2px 0 2px 8px', marginTop: '2px',
+                                            borderLeft: '2px solid',
+                                            borderColor: step.status === 'ok' ? 'var(--accent-green)'
+                                                : step.status === 'error' ? 'var(--accent-red)' : 'var(--accent-yellow)',
+                                            fontFamily: 'monospace'
+                                        }}>
+                                            #{step.step} {step.type === 'tool' ? step.tool : step.type}
+                                            {step.arguments && Object.keys(step.arguments).length > 0 && ` ${JSON.stringify(step.arguments)}`}
+                                            {' · '}{step.status}
+                                            {step.durationMs != null && ` · ${step.durationMs}ms`}
+                                            {step.error && ` · ${step.error}`}
+                                        </div>
+                                    ))}
+                                </details>
+                            )}
                         </div>
                     </div>
                 ))}
@@ -826,6 +1111,15 @@ export default function AgentPanel({ isOpen, onToggle, currentPath }) {
                         }}>
                             <div className="spinner" style={{ width: '16px', height: '16px' }} />
                             🧠 Processing...
+                            {runController && (
+                                <button
+                                    className="action-btn"
+                                    onClick={handleCancel}
+                                    style={{ marginLeft: 'auto', padding: '2px 10px', fontSize: '11px' }}
+                                >
+                                    ⏹ Stop
+                                </button>
+                            )}
                         </div>
                         {thinkingSteps.map((step, i) => (
                             <div key={i} style={{
@@ -836,14 +1130,22 @@ export default function AgentPanel({ isOpen, onToggle, currentPath }) {
                                 fontSize: '12px',
                                 color: step.status === 'active' ? 'var(--accent-cyan)' : 'var(--text-muted)',
                                 borderLeft: '2px solid',
-                                borderColor: step.status === 'active' ? 'var(--accent-cyan)' : 'var(--accent-green)',
+                                borderColor: step.status === 'active' ? 'var(--accent-cyan)'
+                                    : step.status === 'error' ? 'var(--accent-red)' : 'var(--accent-green)',
                                 paddingLeft: '10px',
                                 marginLeft: '8px'
                             }}>
-                                <span>{step.status === 'active' ? '⏳' : '✅'}</span>
+                                <span>{step.status === 'active' ? '⏳' : step.status === 'error' ? '❌' : '✅'}</span>
                                 <span>{step.step}</span>
                             </div>
                         ))}
+                        {streamingText && (
+                            <div
+                                className="markdown-content"
+                                style={{ marginTop: '10px', fontSize: '13px' }}
+                                dangerouslySetInnerHTML={{ __html: parseMarkdown(streamingText) }}
+                            />
+                        )}
                     </div>
                 )}
 
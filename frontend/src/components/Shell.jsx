@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { NavLink, useLocation } from 'react-router-dom';
-import { checkConnection, refreshConnection, getSandboxes, getCurrentSandbox, switchSandbox, setCurrentSandbox as setGlobalSandbox } from '../services/api';
+import { checkConnection, refreshConnection, getConnectionMetrics, getSandboxes, getCurrentSandbox, switchSandbox, setCurrentSandbox as setGlobalSandbox } from '../services/api';
 import AgentPanel from './AgentPanel';
 
 // Icons as simple SVG components
@@ -82,7 +82,7 @@ const RefreshIcon = () => (
     </svg>
 );
 
-export default function Shell({ children }) {
+export default function Shell({ children, session, onLogout }) {
     const [collapsed, setCollapsed] = useState(false);
     const [connection, setConnection] = useState({ connected: false, checking: true });
     const [currentTime, setCurrentTime] = useState(new Date());
@@ -90,10 +90,16 @@ export default function Shell({ children }) {
     const [currentSandboxState, setCurrentSandboxState] = useState(null);
     const [showSandboxDropdown, setShowSandboxDropdown] = useState(false);
     const [switchingTo, setSwitchingTo] = useState(null);
+    const [clientMetrics, setClientMetrics] = useState(null);
     const [isAgentOpen, setIsAgentOpen] = useState(false);
     const [theme, setTheme] = useState(() => localStorage.getItem('aep_theme') || 'dark');
     const location = useLocation();
 
+    // Role per sandbox: its own binding, else the '*' one
+    const roles = session?.user?.roles || {};
+    const roleIn = (sandboxName) => roles[sandboxName] || roles['*'] || null;
+    const isAdmin = roles['*'] === 'admin';
+
     // Apply theme to document
     useEffect(() => {
         document.documentElement.setAttribute('data-theme', theme);
@@ -134,10 +140,10 @@ export default function Shell({ children }) {
     const handleSandboxSwitch = async (sandbox) => {
         setSwitchingTo(sandbox.name);
         try {
-            // Call backend to switch sandbox
+            // Confirm with backend (sandbox is not stored server-side)
             await switchSandbox(sandbox.name);
 
-            // Update local state
+            // Update local state - sent as x-sandbox-name on every request
             setGlobalSandbox(sandbox.name);
             setCurrentSandboxState(sandbox);
             setShowSandboxDropdown(false);
@@ -175,6 +181,19 @@ export default function Shell({ children }) {
         }
     };
 
+    // Retries, throttling and queueing of the backend's Platform API client, per endpoint group
+    const toggleClientMetrics = async () => {
+        if (clientMetrics) {
+            setClientMetrics(null);
+            return;
+        }
+        try {
+            setClientMetrics(await getConnectionMetrics());
+        } catch (error) {
+            console.error('Failed to load client metrics', error);
+        }
+    };
+
     const getConnectionClass = () => {
         if (connection.checking) return 'connecting';
         if (connection.connected) return 'connected';
@@ -215,7 +234,8 @@ export default function Shell({ children }) {
             '/ingestion': 'Data Ingestion',
             '/data-prep': 'Data Prep',
             '/data-lineage': 'Data Lineage',
-            '/api-browser': 'API Browser'
+            '/api-browser': 'API Browser',
+            '/users': 'Users & Roles'
         };
         return titles[location.pathname] || 'Dashboard';
     };
@@ -303,6 +323,9 @@ export default function Shell({ children }) {
                         <NavLink to="/api-browser" className={({ isActive }) => `sidebar-link ${isActive ? 'active' : ''}`}>
                             <APIIcon /> {!collapsed && 'API Browser'}
                         </NavLink>
+                        <NavLink to="/llm-usage" className={({ isActive }) => `sidebar-link ${isActive ? 'active' : ''}`}>
+                            <span className="sidebar-icon-text">🪙</span> {!collapsed && 'LLM Usage'}
+                        </NavLink>
                     </nav>
                 </div>
 
@@ -330,6 +353,11 @@ export default function Shell({ children }) {
                         <NavLink to="/sandbox-compare" className={({ isActive }) => `sidebar-link ${isActive ? 'active' : ''}`}>
                             <span className="sidebar-icon-text">🔀</span> {!collapsed && 'Compare'}
                         </NavLink>
+                        {isAdmin && (
+                            <NavLink to="/users" className={({ isActive }) => `sidebar-link ${isActive ? 'active' : ''}`}>
+                                <span className="sidebar-icon-text">👥</span> {!collapsed && 'Users & Roles'}
+                            </NavLink>
+                        )}
                     </nav>
                 </div>
 
@@ -402,10 +430,11 @@ export default function Shell({ children }) {
                                     {sandboxes.length > 0 ? sandboxes.filter(s => s.state === 'active').map(sb => (
                                         <div
                                             key={sb.name}
-                                            onClick={() => handleSandboxSwitch(sb)}
+                                            onClick={() => roleIn(sb.name) && handleSandboxSwitch(sb)}
                                             style={{
                                                 padding: '10px 12px',
-                                                cursor: 'pointer',
+                                                cursor: roleIn(sb.name) ? 'pointer' : 'not-allowed',
+                                                opacity: roleIn(sb.name) ? 1 : 0.5,
                                                 display: 'flex',
                                                 alignItems: 'center',
                                                 gap: '10px',
@@ -419,7 +448,7 @@ export default function Shell({ children }) {
                                             <div>
                                                 <div style={{ fontWeight: 500 }}>{sb.title || sb.name}</div>
                                                 <div style={{ fontSize: '10px', color: 'var(--text-muted)' }}>
-                                                    {sb.type} • {sb.region || 'VA7'}
+                                                    {sb.type} • {sb.region || 'VA7'} • {roleIn(sb.name) || 'no access'}
                                                 </div>
                                             </div>
                                             {currentSandboxState?.name === sb.name && (
@@ -450,6 +479,92 @@ export default function Shell({ children }) {
                             <span>{getConnectionText()}</span>
                         </button>
 
+                        <div style={{ position: 'relative' }}>
+                            <button
+                                className="btn-secondary"
+                                onClick={toggleClientMetrics}
+                                title="Platform API retries and throttling"
+                                style={{ padding: '6px 10px' }}
+                            >
+                                📈
+                            </button>
+
+                            {clientMetrics && (
+                                <div style={{
+                                    position: 'absolute',
+                                    top: '100%',
+                                    right: 0,
+                                    marginTop: '4px',
+                                    background: 'var(--bg-elevated)',
+                                    border: '1px solid var(--border-default)',
+                                    borderRadius: '8px',
+                                    boxShadow: '0 8px 24px rgba(0,0,0,0.4)',
+                                    minWidth: '420px',
+                                    zIndex: 1000,
+                                    overflow: 'hidden',
+                                    fontSize: '12px'
+                                }}>
+                                    <div style={{ padding: '8px 12px', borderBottom: '1px solid var(--border-subtle)', color: 'var(--text-muted)', fontSize: '11px' }}>
+                                        PLATFORM API CLIENT · {clientMetrics.cassetteMode.toUpperCase()} · SINCE {new Date(clientMetrics.since).toLocaleTimeString()}
+                                    </div>
+                                    <div style={{ padding: '8px 12px', borderBottom: '1px solid var(--border-subtle)' }}>
+                                        {clientMetrics.requests} requests · {clientMetrics.retries} retries · {clientMetrics.throttled} throttled ({clientMetrics.throttleRate}%) · {clientMetrics.failures} failures
+                                    </div>
+                                    {Object.keys(clientMetrics.groups).length > 0 ? (
+                                        <table className="data-table" style={{ fontSize: '12px' }}>
+                                            <thead>
+                                                <tr>
+                                                    <th>Endpoint</th>
+                                                    <th>Requests</th>
+                                                    <th>Retries</th>
+                                                    <th>429s</th>
+                                                    <th>Failures</th>
+                                                    <th>Active / Queued</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {Object.entries(clientMetrics.groups).map(([group, m]) => (
+                                                    <tr key={group} title={m.lastError || ''}>
+                                                        <td style={{ fontFamily: 'monospace' }}>{group}</td>
+                                                        <td>{m.requests}</td>
+                                                        <td>{m.retries}</td>
+                                                        <td style={{ color: m.throttled ? 'var(--accent-yellow)' : undefined }}>{m.throttled}</td>
+                                                        <td style={{ color: m.failures ? 'var(--accent-red)' : undefined }}>{m.failures}</td>
+                                                        <td>{m.inFlight} / {m.queued}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    ) : (
+                                        <div style={{ padding: '10px 12px', color: 'var(--text-muted)' }}>No Platform calls yet</div>
+                                    )}
+                                    <div style={{ padding: '6px 12px', color: 'var(--text-muted)', fontSize: '11px' }}>
+                                        Up to {clientMetrics.maxConcurrency} concurrent calls per endpoint group, {clientMetrics.maxRetries} retries per call
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+
+                        {session && (
+                            <div
+                                style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px' }}
+                                title={Object.entries(roles).map(([name, role]) => `${name}: ${role}`).join('\n')}
+                            >
+                                <span>👤 {session.user.username}</span>
+                                <span style={{
+                                    padding: '2px 8px', borderRadius: '10px', fontSize: '11px',
+                                    background: 'var(--bg-tertiary)', color: 'var(--text-secondary)'
+                                }}>
+                                    {session.role || 'no access'}
+                                </span>
+                                {session.authMode !== 'off' && (
+                                    <button className="btn-secondary" onClick={onLogout} style={{ padding: '6px 10px' }}>
+                                        Log out
+                                    </button>
+                                )}
+                            </div>
+                        )}
+
                         <button
                             className="btn-secondary"
                             onClick={toggleTheme}
@@ -5,6 +5,7 @@ import {
     getBatchMeta, getBatchFiles, getBatchStats, getBatchTimeline
 } from '../services/api';
 import { sendAgentMessage } from '../services/agent-api';
+import { useAgentPageContext } from '../services/agent-context';
 import {
     JSONViewer, TabPanel, DetailField, StatusBadge,
     LoadingSpinner, EmptyState, Modal, ClickableId
@@ -32,6 +33,13 @@ export default function BatchMonitor() {
     const [aiAnalyzing, setAiAnalyzing] = useState(false);
     const [aiError, setAiError] = useState(null);
 
+    // Lets the Copilot answer "why did this batch fail?"
+    useAgentPageContext(selectedBatch && {
+        type: 'batch',
+        id: selectedBatch.id,
+        related: selectedBatch.datasetId ? { datasetId: selectedBatch.datasetId } : {}
+    }, { status: filter, timeRange });
+
     const runAIAnalysis = async (batchId) => {
         setAiAnalyzing(true);
         setAiError(null);
@@ -40,7 +48,7 @@ export default function BatchMonitor() {
         try {
             const response = await sendAgentMessage({
                 message: `Analyze the errors in batch ${batchId}`,
-                context: { page: 'BatchMonitor', path: '/batches' }
+                context: { page: 'Batch Monitor', route: '/batches' }
             });
 
             setAiAnalysis({
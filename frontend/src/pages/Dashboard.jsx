@@ -6,7 +6,8 @@ import {
 } from 'recharts';
 import {
     getDashboardSummary, getBatches, getSegmentStats, getIdentityStats,
-    getBatchStats, getBatchTimeline, getProfileStats, getDatasetStats
+    getBatchStats, getBatchTimeline, getProfileStats, getDatasetStats,
+    getBriefings, generateBriefing as generateServerBriefing
 } from '../services/api';
 
 // Modern Flat SVG Icons
@@ -153,6 +154,24 @@ const generateBriefing = (data, anomalies) => {
     return { status, statusEmoji, message };
 };
 
+const STATUS_EMOJI = { healthy: '🟢', warning: '🟡', critical: '🔴' };
+
+// Day-over-day changes shown under a stored briefing (higherIsBetter colours the change)
+const BRIEFING_DELTAS = [
+    { key: 'batchSuccessRate', label: 'Success rate', unit: ' pts', higherIsBetter: true },
+    { key: 'failedBatches', label: 'Failed batches', higherIsBetter: false },
+    { key: 'profileRecordsFailed', label: 'Failed profile records', higherIsBetter: false },
+    { key: 'segments', label: 'Segments', higherIsBetter: true },
+    { key: 'auditEvents', label: 'Audit events', higherIsBetter: null }
+];
+
+// Briefing stored by the backend scheduler (or "Generate now")
+const briefingFromServer = (stored) => ({
+    ...stored,
+    statusEmoji: STATUS_EMOJI[stored.status] || '🟢',
+    stored: true
+});
+
 // KPI Card Component
 const KPICard = ({ icon, value, label, trend, trendValue, color, onClick }) => (
     <div
@@ -240,6 +259,8 @@ export default function Dashboard() {
     const [data, setData] = useState(null);
     const [chartData, setChartData] = useState([]);
     const [briefing, setBriefing] = useState({ status: 'healthy', statusEmoji: '🟢', message: 'Loading...' });
+    const [briefingHistory, setBriefingHistory] = useState([]);
+    const [generatingBriefing, setGeneratingBriefing] = useState(false);
     const [serviceHealth, setServiceHealth] = useState({});
     const [anomalies, setAnomalies] = useState([]);
     const [refreshing, setRefreshing] = useState(false);
@@ -259,12 +280,13 @@ export default function Dashboard() {
 
             // Load all data in parallel (including timeline for metrics)
             const timelineHours = timeRange === '24h' ? 24 : timeRange === '7d' ? 168 : timeRange === '1h' ? 1 : 6;
-            const [summary, batchData, segmentStats, identityStats, timeline] = await Promise.all([
+            const [summary, batchData, segmentStats, identityStats, timeline, briefings] = await Promise.all([
                 getDashboardSummary(timeRange).catch(() => null),
                 getBatches({ status: 'failed', limit: 10 }).catch(() => ({ batches: [] })),
                 getSegmentStats().catch(() => ({})),
                 getIdentityStats().catch(() => ({})),
-                getBatchTimeline(timelineHours).catch(() => [])
+                getBatchTimeline(timelineHours).catch(() => []),
+                getBriefings(7).catch(() => ({ briefings: [] }))
             ]);
 
             // Build comprehensive data object - use real API data only
@@ -325,7 +347,12 @@ export default function Dashboard() {
             }
 
             setAnomalies(generatedAnomalies);
-            setBriefing(generateBriefing(dashboardData, generatedAnomalies));
+            // Prefer the stored server briefing; build one from this page's data until the first exists
+            const history = briefings?.briefings || [];
+            setBriefingHistory(history);
+            setBriefing(history.length > 0
+                ? briefingFromServer(history[0])
+                : generateBriefing(dashboardData, generatedAnomalies));
 
             // Set service health
             setServiceHealth({
@@ -350,6 +377,19 @@ export default function Dashboard() {
         setRefreshing(false);
     };
 
+    const handleGenerateBriefing = async () => {
+        setGeneratingBriefing(true);
+        try {
+            const created = await generateServerBriefing();
+            setBriefing(briefingFromServer(created));
+            setBriefingHistory(prev => [created, ...prev].slice(0, 7));
+        } catch (err) {
+            console.error('Briefing generation error:', err);
+        } finally {
+            setGeneratingBriefing(false);
+        }
+    };
+
     const handleAnomalyAction = (anomaly) => {
         if (anomaly.action === 'analyze_batch') {
             alert(`Opening Agent to analyze batch: ${anomaly.id}\n\nTry: "Analyze batch errors for ${anomaly.id}"`);
@@ -398,12 +438,50 @@ export default function Dashboard() {
                 <div className="briefing-message">
                     "{briefing.message}"
                 </div>
+                {briefing.stored && (
+                    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', marginBottom: '16px', fontSize: '12px' }}>
+                        <span style={{ color: 'var(--text-muted)' }}>
+                            {new Date(briefing.createdAt).toLocaleString()} · {briefing.narration === 'llm' ? 'AI narrated' : 'Template'}
+                            {briefing.previous && ` · vs. ${new Date(briefing.previous.createdAt).toLocaleDateString()}`}
+                        </span>
+                        {BRIEFING_DELTAS.filter(d => briefing.deltas?.[d.key]).map(d => {
+                            const delta = briefing.deltas[d.key];
+                            const good = d.higherIsBetter === null ? null : (delta > 0) === d.higherIsBetter;
+                            return (
+                                <span key={d.key} style={{
+                                    padding: '2px 8px', borderRadius: '10px', background: 'var(--bg-secondary)',
+                                    color: good === null ? 'var(--text-secondary)' : good ? 'var(--accent-green)' : 'var(--accent-red)'
+                                }}>
+                                    {d.label} {delta > 0 ? '▲' : '▼'} {Math.abs(delta)}{d.unit || ''}
+                                </span>
+                            );
+                        })}
+                    </div>
+                )}
+                {briefingHistory.length > 1 && (
+                    <div style={{ display: 'flex', gap: '6px', marginBottom: '16px', fontSize: '11px', flexWrap: 'wrap' }}>
+                        {briefingHistory.map(item => (
+                            <button
+                                key={item.id}
+                                className={`dropdown-btn ${briefing.id === item.id ? 'active' : ''}`}
+                                onClick={() => setBriefing(briefingFromServer(item))}
+                                title={item.message}
+                                style={{ padding: '4px 10px', fontSize: '11px' }}
+                            >
+                                {STATUS_EMOJI[item.status]} {new Date(item.createdAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+                            </button>
+                        ))}
+                    </div>
+                )}
                 <div className="briefing-actions">
                     {anomalies.length > 0 && (
                         <button className="btn-primary" onClick={() => document.getElementById('anomalies-section')?.scrollIntoView({ behavior: 'smooth' })}>
                             ⚠️ View {anomalies.length} Issues
                         </button>
                     )}
+                    <button className="btn-secondary" onClick={handleGenerateBriefing} disabled={generatingBriefing}>
+                        {generatingBriefing ? '⏳' : '✨'} Generate Briefing
+                    </button>
                     <button className="btn-secondary" onClick={() => navigate('/batches')}>
                         📊 Batch Monitor
                     </button>
@@ -9,6 +9,7 @@ import {
     JSONViewer, TabPanel, DetailField, StatusBadge,
     LoadingSpinner, EmptyState, Modal, CopyButton, ClickableId
 } from '../components/SharedComponents';
+import { useAgentPageContext } from '../services/agent-context';
 
 export default function Datasets() {
     const navigate = useNavigate();
@@ -28,6 +29,13 @@ export default function Datasets() {
     const [selectedIds, setSelectedIds] = useState(new Set());
     const [bulkProcessing, setBulkProcessing] = useState(false);
 
+    useAgentPageContext(selectedDataset && {
+        type: 'dataset',
+        id: selectedDataset.id,
+        name: selectedDataset.name,
+        related: selectedDataset.schemaRef?.id ? { schemaId: selectedDataset.schemaRef.id } : {}
+    }, search ? { search } : {});
+
     useEffect(() => {
         loadDatasets();
     }, []);
@@ -8,6 +8,7 @@ import {
     JSONViewer, TabPanel, DetailField, StatusBadge,
     LoadingSpinner, EmptyState, Modal, ClickableId
 } from '../components/SharedComponents';
+import { useAgentPageContext } from '../services/agent-context';
 
 export default function Flows() {
     const navigate = useNavigate();
@@ -28,6 +29,14 @@ export default function Flows() {
     const [dryRunResult, setDryRunResult] = useState(null);
     const [showDryRunModal, setShowDryRunModal] = useState(false);
 
+    const agentEntityType = { flows: 'flow', runs: 'flowRun', connections: 'connection' }[activeTab];
+    useAgentPageContext(agentEntityType && selectedItem && {
+        type: agentEntityType,
+        id: selectedItem.id,
+        name: selectedItem.name,
+        related: activeTab === 'runs' && selectedItem.flowId ? { flowId: selectedItem.flowId } : {}
+    }, search ? { search } : {});
+
     useEffect(() => {
         loadData();
     }, [activeTab]);
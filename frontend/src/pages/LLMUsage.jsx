@@ -0,0 +1,248 @@
+import { useState, useEffect } from 'react';
+import { getAgentUsage, getAgentUsageCalls } from '../services/agent-api';
+import { TabPanel, StatusBadge, LoadingSpinner, EmptyState } from '../components/SharedComponents';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+
+export default function LLMUsage() {
+    const [usage, setUsage] = useState(null);
+    const [calls, setCalls] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [days, setDays] = useState(30);
+    const [activeTab, setActiveTab] = useState('days');
+
+    useEffect(() => {
+        loadData();
+    }, [days]);
+
+    const loadData = async () => {
+        try {
+            setLoading(true);
+            const [usageData, callData] = await Promise.all([
+                getAgentUsage(days),
+                getAgentUsageCalls(100).catch(() => ({ calls: [] }))
+            ]);
+            setUsage(usageData);
+            setCalls(callData.calls || []);
+        } catch (error) {
+            console.error('Error loading LLM usage:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const formatNumber = (num) => (num || 0).toLocaleString();
+    const formatCost = (usd) => `$${(usd || 0).toFixed(usd >= 1 ? 2 : 4)}`;
+    const formatDate = (timestamp) => timestamp ? new Date(timestamp).toLocaleString() : 'N/A';
+
+    const budget = usage?.budget;
+    const total = usage?.total;
+    const chartData = [...(usage?.days || [])].reverse().map(d => ({
+        day: d.day.slice(5),
+        prompt: d.promptTokens,
+        completion: d.completionTokens
+    }));
+
+    const budgetLabel = () => {
+        if (!budget?.dailyBudgetUsd && !budget?.dailyTokenBudget) return 'No budget';
+        const parts = [];
+        if (budget.dailyBudgetUsd) parts.push(`${formatCost(budget.costUsd)} / ${formatCost(budget.dailyBudgetUsd)}`);
+        if (budget.dailyTokenBudget) parts.push(`${formatNumber(budget.tokens)} / ${formatNumber(budget.dailyTokenBudget)} tokens`);
+        return parts.join(' · ');
+    };
+
+    return (
+        <>
+            <div className="page-header">
+                <h1>LLM Usage</h1>
+                <p>Tokens, estimated cost, latency and failures of the AI agent's model requests</p>
+            </div>
+
+            {budget?.exceeded && (
+                <div className="chart-section" style={{ marginBottom: '24px', borderLeft: '3px solid var(--accent-yellow)' }}>
+                    <strong>Budget reached:</strong> {budget.reason}. The agent answers with built-in rules until the next UTC day.
+                </div>
+            )}
+
+            {/* Stats */}
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: '16px', marginBottom: '24px' }}>
+                <div className="stat-card">
+                    <div className="stat-card-value">{formatNumber(total?.requests)}</div>
+                    <div className="stat-card-label">REQUESTS</div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-card-value">{formatNumber(total?.totalTokens)}</div>
+                    <div className="stat-card-label">TOKENS</div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-card-value">{formatCost(total?.costUsd)}</div>
+                    <div className="stat-card-label">ESTIMATED COST</div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-card-value">{formatNumber(total?.avgLatencyMs)} ms</div>
+                    <div className="stat-card-label">AVG LATENCY</div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-card-value" style={{ color: total?.failures > 0 ? 'var(--accent-red)' : 'inherit' }}>
+                        {formatNumber(total?.failures)}
+                    </div>
+                    <div className="stat-card-label">FAILURES</div>
+                </div>
+            </div>
+
+            <div className="action-bar" style={{ marginBottom: '24px' }}>
+                <div className="action-bar-left" style={{ color: 'var(--text-muted)', fontSize: '13px' }}>
+                    Today: {budgetLabel()}
+                </div>
+                <div style={{ marginLeft: 'auto', display: 'flex', gap: '8px' }}>
+                    {[7, 30, 90].map(d => (
+                        <button
+                            key={d}
+                            className={`dropdown-btn ${days === d ? 'active' : ''}`}
+                            onClick={() => setDays(d)}
+                        >
+                            {d}d
+                        </button>
+                    ))}
+                    <button className="btn-secondary" onClick={loadData}>Refresh</button>
+                </div>
+            </div>
+
+            {chartData.length > 0 && (
+                <div className="chart-section" style={{ marginBottom: '24px' }}>
+                    <h3 style={{ marginBottom: '16px' }}>Tokens per Day</h3>
+                    <ResponsiveContainer width="100%" height={200}>
+                        <BarChart data={chartData}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.05)" />
+                            <XAxis dataKey="day" tick={{ fill: 'var(--text-muted)', fontSize: 10 }} />
+                            <YAxis tick={{ fill: 'var(--text-muted)', fontSize: 10 }} />
+                            <Tooltip contentStyle={{ background: 'var(--bg-secondary)', border: '1px solid var(--border-default)' }} />
+                            <Bar dataKey="prompt" stackId="tokens" fill="#3498db" />
+                            <Bar dataKey="completion" stackId="tokens" fill="#9b59b6" />
+                        </BarChart>
+                    </ResponsiveContainer>
+                </div>
+            )}
+
+            <div className="chart-section" style={{ padding: 0 }}>
+                {loading ? (
+                    <LoadingSpinner text="Loading usage..." />
+                ) : (
+                    <TabPanel
+                        tabs={[
+                            { id: 'days', label: 'By Day', count: usage?.days?.length },
+                            { id: 'conversations', label: 'By Conversation', count: usage?.conversations?.length },
+                            { id: 'calls', label: 'Recent Requests', count: calls.length }
+                        ]}
+                        activeTab={activeTab}
+                        onTabChange={setActiveTab}
+                    >
+                        {activeTab === 'days' && (
+                            usage?.days?.length > 0 ? (
+                                <table className="data-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Day (UTC)</th>
+                                            <th>Requests</th>
+                                            <th>Prompt</th>
+                                            <th>Completion</th>
+                                            <th>Cost</th>
+                                            <th>Avg Latency</th>
+                                            <th>Failures</th>
+                                            <th>Models</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {usage.days.map(d => (
+                                            <tr key={d.day}>
+                                                <td>{d.day}</td>
+                                                <td>{formatNumber(d.requests)}</td>
+                                                <td>{formatNumber(d.promptTokens)}</td>
+                                                <td>{formatNumber(d.completionTokens)}</td>
+                                                <td>{formatCost(d.costUsd)}</td>
+                                                <td>{formatNumber(d.avgLatencyMs)} ms</td>
+                                                <td style={{ color: d.failures > 0 ? 'var(--accent-red)' : 'inherit' }}>
+                                                    {formatNumber(d.failures)}
+                                                </td>
+                                                <td style={{ color: 'var(--text-muted)', fontSize: '12px' }}>
+                                                    {Object.keys(d.byModel || {}).join(', ')}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            ) : (
+                                <EmptyState message="No LLM requests in this period" icon="🪙" />
+                            )
+                        )}
+
+                        {activeTab === 'conversations' && (
+                            usage?.conversations?.length > 0 ? (
+                                <table className="data-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Conversation</th>
+                                            <th>Requests</th>
+                                            <th>Tokens</th>
+                                            <th>Cost</th>
+                                            <th>Failures</th>
+                                            <th>Last Used</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {usage.conversations.map(c => (
+                                            <tr key={c.conversationId}>
+                                                <td style={{ fontFamily: 'monospace', fontSize: '12px' }}>
+                                                    {c.conversationId}
+                                                </td>
+                                                <td>{formatNumber(c.requests)}</td>
+                                                <td>{formatNumber(c.totalTokens)}</td>
+                                                <td>{formatCost(c.costUsd)}</td>
+                                                <td>{formatNumber(c.failures)}</td>
+                                                <td style={{ color: 'var(--text-muted)', fontSize: '12px' }}>{formatDate(c.lastUsedAt)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            ) : (
+                                <EmptyState message="No conversation has used the LLM in this period" icon="💬" />
+                            )
+                        )}
+
+                        {activeTab === 'calls' && (
+                            calls.length > 0 ? (
+                                <table className="data-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Time</th>
+                                            <th>Purpose</th>
+                                            <th>Model</th>
+                                            <th>Tokens (in / out)</th>
+                                            <th>Cost</th>
+                                            <th>Latency</th>
+                                            <th>Status</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {calls.map((call, i) => (
+                                            <tr key={`${call.at}-${i}`} title={call.error || ''}>
+                                                <td style={{ color: 'var(--text-muted)', fontSize: '12px' }}>{formatDate(call.at)}</td>
+                                                <td>{call.purpose}</td>
+                                                <td style={{ fontSize: '12px' }}>{call.provider} · {call.model}</td>
+                                                <td>{formatNumber(call.promptTokens)} / {formatNumber(call.completionTokens)}</td>
+                                                <td>{formatCost(call.costUsd)}</td>
+                                                <td>{formatNumber(call.latencyMs)} ms</td>
+                                                <td><StatusBadge status={call.status === 'ok' ? 'success' : call.status} /></td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            ) : (
+                                <EmptyState message="No recent LLM requests" icon="🪙" />
+                            )
+                        )}
+                    </TabPanel>
+                )}
+            </div>
+        </>
+    );
+}
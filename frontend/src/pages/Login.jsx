@@ -0,0 +1,78 @@
+import { useState } from 'react';
+import { login } from '../services/api';
+
+const inputStyle = {
+    width: '100%',
+    padding: '10px 12px',
+    marginTop: '4px',
+    background: 'var(--bg-secondary)',
+    border: '1px solid var(--border-default)',
+    borderRadius: '8px',
+    color: 'var(--text-primary)',
+    fontSize: '13px'
+};
+
+/**
+ * Sign-in screen shown until the backend accepts a session (users are managed on the Users & Roles page)
+ */
+export default function Login({ onLogin }) {
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setError(null);
+        try {
+            await login(username.trim(), password);
+            await onLogin();
+        } catch (err) {
+            setError(err.detail || err.message);
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <div style={{
+            minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center',
+            background: 'var(--bg-primary)'
+        }}>
+            <form
+                onSubmit={handleSubmit}
+                className="chart-section"
+                style={{ width: '360px', display: 'flex', flexDirection: 'column', gap: '14px' }}
+            >
+                <div>
+                    <h2 style={{ margin: 0 }}>AEP MONITOR</h2>
+                    <div style={{ fontSize: '13px', color: 'var(--text-muted)', marginTop: '4px' }}>Sign in to continue</div>
+                </div>
+                <label style={{ fontSize: '12px', color: 'var(--text-muted)' }}>
+                    Username
+                    <input
+                        style={inputStyle}
+                        value={username}
+                        autoComplete="username"
+                        autoFocus
+                        onChange={(e) => setUsername(e.target.value)}
+                    />
+                </label>
+                <label style={{ fontSize: '12px', color: 'var(--text-muted)' }}>
+                    Password
+                    <input
+                        style={inputStyle}
+                        type="password"
+                        value={password}
+                        autoComplete="current-password"
+                        onChange={(e) => setPassword(e.target.value)}
+                    />
+                </label>
+                {error && <div style={{ color: 'var(--accent-red)', fontSize: '13px' }}>{error}</div>}
+                <button className="btn-primary" type="submit" disabled={submitting || !username.trim() || !password}>
+                    {submitting ? 'Signing in...' : 'Sign in'}
+                </button>
+            </form>
+        </div>
+    );
+}
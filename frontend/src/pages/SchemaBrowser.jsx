@@ -9,6 +9,7 @@ import {
     JSONViewer, TabPanel, DetailField, StatusBadge,
     LoadingSpinner, EmptyState, Modal, ClickableId, CopyButton
 } from '../components/SharedComponents';
+import { useAgentPageContext } from '../services/agent-context';
 
 export default function SchemaBrowser() {
     const navigate = useNavigate();
@@ -32,6 +33,15 @@ export default function SchemaBrowser() {
     const [tenantCount, setTenantCount] = useState(0);
     const [globalCount, setGlobalCount] = useState(0);
 
+    // Schemas and field groups are the objects the agent's tools can look up
+    const agentEntityType = ['tenant', 'global', 'unions'].includes(activeCategory) ? 'schema'
+        : activeCategory === 'fieldgroups' ? 'fieldGroup' : null;
+    useAgentPageContext(agentEntityType && selectedItem && {
+        type: agentEntityType,
+        id: selectedItem.$id,
+        name: selectedItem.title
+    }, { category: activeCategory, ...(search ? { search } : {}) });
+
     useEffect(() => {
         loadData();
     }, [activeCategory]);
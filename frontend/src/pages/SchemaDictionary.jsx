@@ -1,5 +1,301 @@
 import { useState, useEffect } from 'react';
-import { generateDataDictionary, extractSchemaForAI, getSchemaStats, getSandboxes } from '../services/api';
+import {
+    generateDataDictionary, extractSchemaForAI, getSchemaStats, getSandboxes,
+    getGlossary, createGlossaryTerm, updateGlossaryTerm, deleteGlossaryTerm
+} from '../services/api';
+import { TabPanel, Modal, EmptyState } from '../components/SharedComponents';
+
+const EMPTY_DRAFT = { term: '', synonyms: '', xdmPath: '', value: '', allowedValues: '', description: '', allSandboxes: false };
+
+const splitList = (text) => text.split(',').map(s => s.trim()).filter(Boolean);
+
+const inputStyle = {
+    width: '100%',
+    padding: '10px 12px',
+    background: 'var(--bg-secondary)',
+    border: '1px solid var(--border-default)',
+    borderRadius: '8px',
+    color: 'var(--text-primary)',
+    fontSize: '13px'
+};
+
+/**
+ * Business glossary: team vocabulary mapped to XDM paths (used by the AI Agent's
+ * system prompt and PQL/SQL generation)
+ */
+function GlossaryTab({ fields, draft, onDraftChange, onCountChange }) {
+    const [terms, setTerms] = useState([]);
+    const [sandbox, setSandbox] = useState(null);
+    const [query, setQuery] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [formError, setFormError] = useState(null);
+    const [warnings, setWarnings] = useState([]);
+
+    const loadTerms = async () => {
+        setLoading(true);
+        try {
+            const data = await getGlossary();
+            setTerms(data.terms || []);
+            setSandbox(data.sandbox);
+            onCountChange(data.total || 0);
+            setError(null);
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        loadTerms();
+    }, []);
+
+    const openEditor = (term = null) => {
+        setFormError(null);
+        setWarnings([]);
+        onDraftChange(term ? {
+            id: term.id,
+            term: term.term,
+            synonyms: term.synonyms.join(', '),
+            xdmPath: term.xdmPath,
+            value: term.value || '',
+            allowedValues: term.allowedValues.join(', '),
+            description: term.description || '',
+            allSandboxes: !term.sandbox
+        } : { ...EMPTY_DRAFT });
+    };
+
+    const saveTerm = async () => {
+        setSaving(true);
+        setFormError(null);
+        const payload = {
+            term: draft.term,
+            synonyms: splitList(draft.synonyms),
+            xdmPath: draft.xdmPath,
+            value: draft.value,
+            allowedValues: splitList(draft.allowedValues),
+            description: draft.description,
+            // Omitted: the sandbox selected in the UI
+            sandbox: draft.allSandboxes ? null : (draft.id ? sandbox : undefined)
+        };
+        try {
+            const saved = draft.id ? await updateGlossaryTerm(draft.id, payload) : await createGlossaryTerm(payload);
+            setWarnings(saved.warnings || []);
+            if (!saved.warnings?.length) onDraftChange(null);
+            await loadTerms();
+        } catch (e) {
+            setFormError(e.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const removeTerm = async (term) => {
+        if (!window.confirm(`Remove "${term.term}" from the glossary?`)) return;
+        try {
+            await deleteGlossaryTerm(term.id);
+            await loadTerms();
+        } catch (e) {
+            setError(e.message);
+        }
+    };
+
+    // Allowed values default to the field's enum
+    const fieldEnum = fields.find(f => f.path === draft?.xdmPath)?.enum || [];
+
+    const needle = query.trim().toLowerCase();
+    const visible = terms.filter(t => !needle
+        || [t.term, ...t.synonyms, t.xdmPath, t.description || ''].some(s => s.toLowerCase().includes(needle)));
+
+    return (
+        <div>
+            <div style={{ display: 'flex', gap: '12px', marginBottom: '16px' }}>
+                <input
+                    type="text"
+                    placeholder="🔍 Search terms, synonyms or paths..."
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    style={{ ...inputStyle, flex: 1 }}
+                />
+                <button className="btn-primary" onClick={() => openEditor()}>+ Add Term</button>
+            </div>
+
+            {error && (
+                <div style={{ color: 'var(--accent-red)', fontSize: '13px', marginBottom: '12px' }}>{error}</div>
+            )}
+
+            {loading ? (
+                <div style={{ padding: '24px', textAlign: 'center' }}><div className="spinner" /></div>
+            ) : visible.length === 0 ? (
+                <EmptyState
+                    icon="📖"
+                    message={terms.length === 0
+                        ? 'No glossary terms yet. Add the words your team uses, e.g. "VIP" or "points balance".'
+                        : 'No terms match your search'}
+                />
+            ) : visible.map(term => (
+                <div
+                    key={term.id}
+                    style={{
+                        padding: '12px 16px',
+                        borderRadius: '8px',
+                        marginBottom: '6px',
+                        background: 'var(--bg-card)',
+                        border: '1px solid var(--border-default)',
+                        display: 'grid',
+                        gridTemplateColumns: '1fr auto',
+                        gap: '16px',
+                        alignItems: 'start'
+                    }}
+                >
+                    <div>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', marginBottom: '4px' }}>
+                            <span style={{ fontWeight: 600 }}>{term.term}</span>
+                            <span style={{ color: 'var(--text-muted)' }}>→</span>
+                            <code style={{ fontFamily: 'monospace', fontSize: '13px', color: 'var(--accent-cyan)' }}>
+                                {term.xdmPath}{term.value ? ` = "${term.value}"` : ''}
+                            </code>
+                            <span style={{
+                                fontSize: '10px',
+                                padding: '2px 8px',
+                                background: 'var(--bg-tertiary)',
+                                borderRadius: '4px',
+                                color: 'var(--text-muted)'
+                            }}>
+                                {term.sandbox || 'all sandboxes'}
+                            </span>
+                        </div>
+                        {term.synonyms.length > 0 && (
+                            <div style={{ fontSize: '12px', color: 'var(--text-muted)' }}>
+                                Also: {term.synonyms.join(', ')}
+                            </div>
+                        )}
+                        {term.description && (
+                            <div style={{ fontSize: '12px', color: 'var(--text-muted)' }}>{term.description}</div>
+                        )}
+                        {term.allowedValues.length > 0 && (
+                            <div style={{ marginTop: '6px', display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+                                {term.allowedValues.map(val => (
+                                    <span
+                                        key={val}
+                                        style={{
+                                            fontSize: '10px',
+                                            padding: '2px 6px',
+                                            background: 'rgba(34, 197, 94, 0.15)',
+                                            color: 'var(--accent-green)',
+                                            borderRadius: '4px'
+                                        }}
+                                    >
+                                        {val}
+                                    </span>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                    <div style={{ display: 'flex', gap: '6px' }}>
+                        <button className="btn-secondary" onClick={() => openEditor(term)}>✏️ Edit</button>
+                        <button className="btn-secondary" onClick={() => removeTerm(term)}>🗑️</button>
+                    </div>
+                </div>
+            ))}
+
+            <Modal
+                isOpen={!!draft}
+                onClose={() => onDraftChange(null)}
+                title={draft?.id ? 'Edit Glossary Term' : 'Add Glossary Term'}
+                width="560px"
+            >
+                {draft && (
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                        <label style={{ fontSize: '12px', color: 'var(--text-muted)' }}>
+                            Term
+                            <input
+                                style={inputStyle}
+                                value={draft.term}
+                                placeholder="VIP"
+                                onChange={(e) => onDraftChange({ ...draft, term: e.target.value })}
+                            />
+                        </label>
+                        <label style={{ fontSize: '12px', color: 'var(--text-muted)' }}>
+                            Synonyms (comma-separated)
+                            <input
+                                style={inputStyle}
+                                value={draft.synonyms}
+                                placeholder="top tier, platinum members"
+                                onChange={(e) => onDraftChange({ ...draft, synonyms: e.target.value })}
+                            />
+                        </label>
+                        <label style={{ fontSize: '12px', color: 'var(--text-muted)' }}>
+                            XDM path
+                            <input
+                                style={{ ...inputStyle, fontFamily: 'monospace' }}
+                                value={draft.xdmPath}
+                                list="glossary-field-paths"
+                                placeholder="_tenant.loyalty.tier"
+                                onChange={(e) => onDraftChange({ ...draft, xdmPath: e.target.value })}
+                            />
+                            <datalist id="glossary-field-paths">
+                                {fields.slice(0, 500).map(f => <option key={`${f.schema}:${f.path}`} value={f.path} />)}
+                            </datalist>
+                        </label>
+                        <label style={{ fontSize: '12px', color: 'var(--text-muted)' }}>
+                            Allowed values (comma-separated)
+                            <input
+                                style={inputStyle}
+                                value={draft.allowedValues}
+                                placeholder={fieldEnum.length > 0 ? fieldEnum.join(', ') : 'optional'}
+                                onChange={(e) => onDraftChange({ ...draft, allowedValues: e.target.value })}
+                            />
+                        </label>
+                        <label style={{ fontSize: '12px', color: 'var(--text-muted)' }}>
+                            Value this term means (optional)
+                            <input
+                                style={inputStyle}
+                                value={draft.value}
+                                placeholder="platinum"
+                                onChange={(e) => onDraftChange({ ...draft, value: e.target.value })}
+                            />
+                        </label>
+                        <label style={{ fontSize: '12px', color: 'var(--text-muted)' }}>
+                            Description
+                            <input
+                                style={inputStyle}
+                                value={draft.description}
+                                onChange={(e) => onDraftChange({ ...draft, description: e.target.value })}
+                            />
+                        </label>
+                        <label style={{ fontSize: '13px', display: 'flex', alignItems: 'center', gap: '8px' }}>
+                            <input
+                                type="checkbox"
+                                checked={draft.allSandboxes}
+                                onChange={(e) => onDraftChange({ ...draft, allSandboxes: e.target.checked })}
+                            />
+                            Applies to all sandboxes (otherwise only {sandbox || 'the current sandbox'})
+                        </label>
+
+                        {formError && <div style={{ color: 'var(--accent-red)', fontSize: '13px' }}>{formError}</div>}
+                        {warnings.length > 0 && (
+                            <div style={{ color: 'var(--accent-yellow)', fontSize: '13px' }}>
+                                Saved with warnings: {warnings.join('; ')}
+                            </div>
+                        )}
+
+                        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px' }}>
+                            <button className="btn-secondary" onClick={() => onDraftChange(null)}>
+                                {warnings.length > 0 ? 'Close' : 'Cancel'}
+                            </button>
+                            <button className="btn-primary" onClick={saveTerm} disabled={saving || !draft.term || !draft.xdmPath}>
+                                {saving ? 'Saving...' : 'Save'}
+                            </button>
+                        </div>
+                    </div>
+                )}
+            </Modal>
+        </div>
+    );
+}
 
 export default function SchemaDictionary() {
     const [dictionary, setDictionary] = useState(null);
@@ -8,6 +304,9 @@ export default function SchemaDictionary() {
     const [searchTerm, setSearchTerm] = useState('');
     const [selectedType, setSelectedType] = useState('all');
     const [expandedSchemas, setExpandedSchemas] = useState({});
+    const [activeTab, setActiveTab] = useState('fields');
+    const [glossaryCount, setGlossaryCount] = useState(undefined);
+    const [glossaryDraft, setGlossaryDraft] = useState(null);
 
     // Progress tracking
     const [progress, setProgress] = useState({
@@ -107,6 +406,16 @@ export default function SchemaDictionary() {
         navigator.clipboard.writeText(text);
     };
 
+    const addToGlossary = (field) => {
+        setGlossaryDraft({ ...EMPTY_DRAFT, xdmPath: field.path, allowedValues: (field.enum || []).join(', ') });
+        setActiveTab('glossary');
+    };
+
+    const tabs = [
+        { id: 'fields', label: 'Fields', icon: '📋', count: dictionary?.fields?.length || 0 },
+        { id: 'glossary', label: 'Business Glossary', icon: '📖', count: glossaryCount }
+    ];
+
     if (loading) {
         return (
             <div style={{ padding: '60px 40px', maxWidth: '500px', margin: '0 auto' }}>
@@ -236,241 +545,272 @@ export default function SchemaDictionary() {
                 </div>
             </div>
 
-            {/* Search and Filter */}
-            <div style={{
-                display: 'flex',
-                gap: '16px',
-                marginBottom: '24px',
-                flexWrap: 'wrap'
-            }}>
-                <div style={{ flex: 1, minWidth: '250px' }}>
-                    <input
-                        type="text"
-                        placeholder="🔍 Search fields by path, title, or description..."
-                        value={searchTerm}
-                        onChange={(e) => setSearchTerm(e.target.value)}
-                        style={{
-                            width: '100%',
-                            padding: '12px 16px',
-                            background: 'var(--bg-secondary)',
-                            border: '1px solid var(--border-default)',
-                            borderRadius: '8px',
-                            color: 'var(--text-primary)',
-                            fontSize: '14px'
-                        }}
+            <TabPanel tabs={tabs} activeTab={activeTab} onTabChange={setActiveTab}>
+                {activeTab === 'glossary' ? (
+                    <GlossaryTab
+                        fields={dictionary?.fields || []}
+                        draft={glossaryDraft}
+                        onDraftChange={setGlossaryDraft}
+                        onCountChange={setGlossaryCount}
                     />
-                </div>
-                <select
-                    value={selectedType}
-                    onChange={(e) => setSelectedType(e.target.value)}
-                    style={{
-                        padding: '12px 16px',
-                        background: 'var(--bg-secondary)',
-                        border: '1px solid var(--border-default)',
-                        borderRadius: '8px',
-                        color: 'var(--text-primary)',
-                        fontSize: '14px',
-                        minWidth: '150px'
-                    }}
-                >
-                    <option value="all">All Types</option>
-                    {types.map(type => (
-                        <option key={type} value={type}>{type}</option>
-                    ))}
-                </select>
-                <button
-                    onClick={loadDictionary}
-                    style={{
-                        padding: '12px 20px',
-                        background: 'var(--bg-secondary)',
-                        border: '1px solid var(--border-default)',
-                        borderRadius: '8px',
-                        color: 'var(--text-primary)',
-                        cursor: 'pointer',
-                        display: 'flex',
-                        alignItems: 'center',
-                        gap: '8px'
-                    }}
-                >
-                    🔄 Refresh
-                </button>
-            </div>
-
-            {/* Info Banner */}
-            <div style={{
-                padding: '16px',
-                background: 'rgba(59, 130, 246, 0.1)',
-                border: '1px solid rgba(59, 130, 246, 0.3)',
-                borderRadius: '12px',
-                marginBottom: '24px',
-                display: 'flex',
-                alignItems: 'center',
-                gap: '12px'
-            }}>
-                <span style={{ fontSize: '24px' }}>💡</span>
-                <div>
-                    <div style={{ fontWeight: 600, marginBottom: '4px' }}>AI Context Ready</div>
-                    <div style={{ fontSize: '13px', color: 'var(--text-muted)' }}>
-                        This dictionary is used by the AI Agent to understand your schema structure.
-                        Click on any field path to copy it for use in segments or queries.
-                    </div>
-                </div>
-            </div>
+                ) : (
+                    <>
+                        {/* Search and Filter */}
+                        <div style={{
+                            display: 'flex',
+                            gap: '16px',
+                            marginBottom: '24px',
+                            flexWrap: 'wrap'
+                        }}>
+                            <div style={{ flex: 1, minWidth: '250px' }}>
+                                <input
+                                    type="text"
+                                    placeholder="🔍 Search fields by path, title, or description..."
+                                    value={searchTerm}
+                                    onChange={(e) => setSearchTerm(e.target.value)}
+                                    style={{
+                                        width: '100%',
+                                        padding: '12px 16px',
+                                        background: 'var(--bg-secondary)',
+                                        border: '1px solid var(--border-default)',
+                                        borderRadius: '8px',
+                                        color: 'var(--text-primary)',
+                                        fontSize: '14px'
+                                    }}
+                                />
+                            </div>
+                            <select
+                                value={selectedType}
+                                onChange={(e) => setSelectedType(e.target.value)}
+                                style={{
+                                    padding: '12px 16px',
+                                    background: 'var(--bg-secondary)',
+                                    border: '1px solid var(--border-default)',
+                                    borderRadius: '8px',
+                                    color: 'var(--text-primary)',
+                                    fontSize: '14px',
+                                    minWidth: '150px'
+                                }}
+                            >
+                                <option value="all">All Types</option>
+                                {types.map(type => (
+                                    <option key={type} value={type}>{type}</option>
+                                ))}
+                            </select>
+                            <button
+                                onClick={loadDictionary}
+                                style={{
+                                    padding: '12px 20px',
+                                    background: 'var(--bg-secondary)',
+                                    border: '1px solid var(--border-default)',
+                                    borderRadius: '8px',
+                                    color: 'var(--text-primary)',
+                                    cursor: 'pointer',
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    gap: '8px'
+                                }}
+                            >
+                                🔄 Refresh
+                            </button>
+                        </div>
 
-            {/* Fields grouped by Schema */}
-            {Object.entries(groupedBySchema).map(([schemaName, fields]) => (
-                <div
-                    key={schemaName}
-                    style={{
-                        background: 'var(--bg-card)',
-                        borderRadius: '12px',
-                        marginBottom: '16px',
-                        overflow: 'hidden',
-                        border: '1px solid var(--border-default)'
-                    }}
-                >
-                    {/* Schema Header */}
-                    <div
-                        onClick={() => toggleSchema(schemaName)}
-                        style={{
-                            padding: '16px 20px',
-                            background: 'var(--bg-secondary)',
-                            cursor: 'pointer',
+                        {/* Info Banner */}
+                        <div style={{
+                            padding: '16px',
+                            background: 'rgba(59, 130, 246, 0.1)',
+                            border: '1px solid rgba(59, 130, 246, 0.3)',
+                            borderRadius: '12px',
+                            marginBottom: '24px',
                             display: 'flex',
-                            justifyContent: 'space-between',
                             alignItems: 'center',
-                            borderBottom: expandedSchemas[schemaName] ? '1px solid var(--border-default)' : 'none'
-                        }}
-                    >
-                        <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
-                            <span style={{ fontSize: '20px' }}>📋</span>
+                            gap: '12px'
+                        }}>
+                            <span style={{ fontSize: '24px' }}>💡</span>
                             <div>
-                                <div style={{ fontWeight: 600 }}>{schemaName}</div>
-                                <div style={{ fontSize: '12px', color: 'var(--text-muted)' }}>
-                                    {fields.length} fields
+                                <div style={{ fontWeight: 600, marginBottom: '4px' }}>AI Context Ready</div>
+                                <div style={{ fontSize: '13px', color: 'var(--text-muted)' }}>
+                                    This dictionary is used by the AI Agent to understand your schema structure.
+                                    Click on any field path to copy it for use in segments or queries, or add it to
+                                    the Business Glossary under the name your team uses for it.
                                 </div>
                             </div>
                         </div>
-                        <span style={{
-                            transform: expandedSchemas[schemaName] ? 'rotate(180deg)' : 'rotate(0deg)',
-                            transition: 'transform 0.2s'
-                        }}>▼</span>
-                    </div>
 
-                    {/* Fields List */}
-                    {expandedSchemas[schemaName] && (
-                        <div style={{ padding: '8px' }}>
-                            {fields.map((field, idx) => (
+                        {/* Fields grouped by Schema */}
+                        {Object.entries(groupedBySchema).map(([schemaName, fields]) => (
+                            <div
+                                key={schemaName}
+                                style={{
+                                    background: 'var(--bg-card)',
+                                    borderRadius: '12px',
+                                    marginBottom: '16px',
+                                    overflow: 'hidden',
+                                    border: '1px solid var(--border-default)'
+                                }}
+                            >
+                                {/* Schema Header */}
                                 <div
-                                    key={idx}
+                                    onClick={() => toggleSchema(schemaName)}
                                     style={{
-                                        padding: '12px 16px',
-                                        borderRadius: '8px',
-                                        marginBottom: '4px',
-                                        background: 'var(--bg-primary)',
-                                        display: 'grid',
-                                        gridTemplateColumns: '1fr auto',
-                                        gap: '16px',
-                                        alignItems: 'start'
+                                        padding: '16px 20px',
+                                        background: 'var(--bg-secondary)',
+                                        cursor: 'pointer',
+                                        display: 'flex',
+                                        justifyContent: 'space-between',
+                                        alignItems: 'center',
+                                        borderBottom: expandedSchemas[schemaName] ? '1px solid var(--border-default)' : 'none'
                                     }}
                                 >
-                                    <div>
-                                        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '4px' }}>
-                                            <code
-                                                onClick={() => copyToClipboard(field.path)}
+                                    <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+                                        <span style={{ fontSize: '20px' }}>📋</span>
+                                        <div>
+                                            <div style={{ fontWeight: 600 }}>{schemaName}</div>
+                                            <div style={{ fontSize: '12px', color: 'var(--text-muted)' }}>
+                                                {fields.length} fields
+                                            </div>
+                                        </div>
+                                    </div>
+                                    <span style={{
+                                        transform: expandedSchemas[schemaName] ? 'rotate(180deg)' : 'rotate(0deg)',
+                                        transition: 'transform 0.2s'
+                                    }}>▼</span>
+                                </div>
+
+                                {/* Fields List */}
+                                {expandedSchemas[schemaName] && (
+                                    <div style={{ padding: '8px' }}>
+                                        {fields.map((field, idx) => (
+                                            <div
+                                                key={idx}
                                                 style={{
-                                                    fontFamily: 'monospace',
-                                                    fontSize: '13px',
-                                                    color: 'var(--accent-cyan)',
-                                                    cursor: 'pointer',
-                                                    padding: '2px 6px',
-                                                    background: 'rgba(34, 211, 238, 0.1)',
-                                                    borderRadius: '4px'
+                                                    padding: '12px 16px',
+                                                    borderRadius: '8px',
+                                                    marginBottom: '4px',
+                                                    background: 'var(--bg-primary)',
+                                                    display: 'grid',
+                                                    gridTemplateColumns: '1fr auto',
+                                                    gap: '16px',
+                                                    alignItems: 'start'
                                                 }}
-                                                title="Click to copy"
                                             >
-                                                {field.path}
-                                            </code>
-                                            <span style={{
-                                                fontSize: '10px',
-                                                padding: '2px 8px',
-                                                background: 'var(--bg-tertiary)',
-                                                borderRadius: '4px',
-                                                color: 'var(--text-muted)'
-                                            }}>
-                                                {field.type}
-                                            </span>
-                                        </div>
-                                        {field.title && field.title !== field.path && (
-                                            <div style={{ fontSize: '13px', fontWeight: 500, marginBottom: '2px' }}>
-                                                {field.title}
-                                            </div>
-                                        )}
-                                        {field.description && (
-                                            <div style={{ fontSize: '12px', color: 'var(--text-muted)' }}>
-                                                {field.description}
-                                            </div>
-                                        )}
-                                        {field.enum && (
-                                            <div style={{
-                                                marginTop: '8px',
-                                                display: 'flex',
-                                                flexWrap: 'wrap',
-                                                gap: '4px'
-                                            }}>
-                                                {field.enum.slice(0, 5).map((val, i) => (
-                                                    <span
-                                                        key={i}
-                                                        style={{
+                                                <div>
+                                                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '4px' }}>
+                                                        <code
+                                                            onClick={() => copyToClipboard(field.path)}
+                                                            style={{
+                                                                fontFamily: 'monospace',
+                                                                fontSize: '13px',
+                                                                color: 'var(--accent-cyan)',
+                                                                cursor: 'pointer',
+                                                                padding: '2px 6px',
+                                                                background: 'rgba(34, 211, 238, 0.1)',
+                                                                borderRadius: '4px'
+                                                            }}
+                                                            title="Click to copy"
+                                                        >
+                                                            {field.path}
+                                                        </code>
+                                                        <span style={{
                                                             fontSize: '10px',
-                                                            padding: '2px 6px',
-                                                            background: 'rgba(34, 197, 94, 0.15)',
-                                                            color: 'var(--accent-green)',
-                                                            borderRadius: '4px'
+                                                            padding: '2px 8px',
+                                                            background: 'var(--bg-tertiary)',
+                                                            borderRadius: '4px',
+                                                            color: 'var(--text-muted)'
+                                                        }}>
+                                                            {field.type}
+                                                        </span>
+                                                    </div>
+                                                    {field.title && field.title !== field.path && (
+                                                        <div style={{ fontSize: '13px', fontWeight: 500, marginBottom: '2px' }}>
+                                                            {field.title}
+                                                        </div>
+                                                    )}
+                                                    {field.description && (
+                                                        <div style={{ fontSize: '12px', color: 'var(--text-muted)' }}>
+                                                            {field.description}
+                                                        </div>
+                                                    )}
+                                                    {field.enum && (
+                                                        <div style={{
+                                                            marginTop: '8px',
+                                                            display: 'flex',
+                                                            flexWrap: 'wrap',
+                                                            gap: '4px'
+                                                        }}>
+                                                            {field.enum.slice(0, 5).map((val, i) => (
+                                                                <span
+                                                                    key={i}
+                                                                    style={{
+                                                                        fontSize: '10px',
+                                                                        padding: '2px 6px',
+                                                                        background: 'rgba(34, 197, 94, 0.15)',
+                                                                        color: 'var(--accent-green)',
+                                                                        borderRadius: '4px'
+                                                                    }}
+                                                                >
+                                                                    {val}
+                                                                </span>
+                                                            ))}
+                                                            {field.enum.length > 5 && (
+                                                                <span style={{ fontSize: '10px', color: 'var(--text-muted)' }}>
+                                                                    +{field.enum.length - 5} more
+                                                                </span>
+                                                            )}
+                                                        </div>
+                                                    )}
+                                                </div>
+                                                <div style={{ display: 'flex', gap: '6px' }}>
+                                                    <button
+                                                        onClick={() => addToGlossary(field)}
+                                                        style={{
+                                                            padding: '6px 12px',
+                                                            background: 'var(--bg-secondary)',
+                                                            border: '1px solid var(--border-default)',
+                                                            borderRadius: '6px',
+                                                            color: 'var(--text-muted)',
+                                                            cursor: 'pointer',
+                                                            fontSize: '11px'
                                                         }}
+                                                        title="Map a team term to this field"
                                                     >
-                                                        {val}
-                                                    </span>
-                                                ))}
-                                                {field.enum.length > 5 && (
-                                                    <span style={{ fontSize: '10px', color: 'var(--text-muted)' }}>
-                                                        +{field.enum.length - 5} more
-                                                    </span>
-                                                )}
+                                                        📖 Add to glossary
+                                                    </button>
+                                                    <button
+                                                        onClick={() => copyToClipboard(field.path)}
+                                                        style={{
+                                                            padding: '6px 12px',
+                                                            background: 'var(--bg-secondary)',
+                                                            border: '1px solid var(--border-default)',
+                                                            borderRadius: '6px',
+                                                            color: 'var(--text-muted)',
+                                                            cursor: 'pointer',
+                                                            fontSize: '11px'
+                                                        }}
+                                                    >
+                                                        📋 Copy
+                                                    </button>
+                                                </div>
                                             </div>
-                                        )}
+                                        ))}
                                     </div>
-                                    <button
-                                        onClick={() => copyToClipboard(field.path)}
-                                        style={{
-                                            padding: '6px 12px',
-                                            background: 'var(--bg-secondary)',
-                                            border: '1px solid var(--border-default)',
-                                            borderRadius: '6px',
-                                            color: 'var(--text-muted)',
-                                            cursor: 'pointer',
-                                            fontSize: '11px'
-                                        }}
-                                    >
-                                        📋 Copy
-                                    </button>
-                                </div>
-                            ))}
-                        </div>
-                    )}
-                </div>
-            ))}
+                                )}
+                            </div>
+                        ))}
 
-            {filteredFields.length === 0 && (
-                <div style={{
-                    padding: '60px',
-                    textAlign: 'center',
-                    color: 'var(--text-muted)'
-                }}>
-                    <div style={{ fontSize: '48px', marginBottom: '16px' }}>🔍</div>
-                    <div>No fields match your search criteria</div>
-                </div>
-            )}
+                        {filteredFields.length === 0 && (
+                            <div style={{
+                                padding: '60px',
+                                textAlign: 'center',
+                                color: 'var(--text-muted)'
+                            }}>
+                                <div style={{ fontSize: '48px', marginBottom: '16px' }}>🔍</div>
+                                <div>No fields match your search criteria</div>
+                            </div>
+                        )}
+                    </>
+                )}
+            </TabPanel>
         </div>
     );
 }
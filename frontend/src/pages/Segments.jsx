@@ -4,6 +4,7 @@ import {
     getSegmentStats, estimateSegment, previewSegment, getSchedules
 } from '../services/api';
 import { sendAgentMessage } from '../services/agent-api';
+import { useAgentPageContext } from '../services/agent-context';
 import {
     JSONViewer, TabPanel, DetailField, StatusBadge,
     LoadingSpinner, EmptyState, Modal, ClickableId, CopyButton
@@ -33,6 +34,12 @@ export default function Segments() {
     const [pqlLoading, setPqlLoading] = useState(false);
     const [pqlError, setPqlError] = useState(null);
 
+    useAgentPageContext(activeTab === 'segments' && selectedItem && {
+        type: 'segment',
+        id: selectedItem.id,
+        name: selectedItem.name
+    }, search ? { search } : {});
+
     // Generate PQL from natural language
     const handleGeneratePQL = async () => {
         if (!nlInput.trim()) return;
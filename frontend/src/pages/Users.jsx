@@ -0,0 +1,329 @@
+import { useState, useEffect } from 'react';
+import { getUsers, createUser, updateUser, deleteUser, getAccessDecisions } from '../services/api';
+import { TabPanel, Modal, EmptyState, LoadingSpinner, StatusBadge } from '../components/SharedComponents';
+
+const ROLES = ['viewer', 'analyst', 'operator', 'admin'];
+
+const EMPTY_DRAFT = { username: '', password: '', bindings: [{ sandbox: '*', role: 'viewer' }] };
+
+const inputStyle = {
+    width: '100%',
+    padding: '10px 12px',
+    background: 'var(--bg-secondary)',
+    border: '1px solid var(--border-default)',
+    borderRadius: '8px',
+    color: 'var(--text-primary)',
+    fontSize: '13px'
+};
+
+const formatDate = (timestamp) => timestamp ? new Date(timestamp).toLocaleString() : 'N/A';
+
+/**
+ * Users, their role in each sandbox ("*" = every sandbox without its own role),
+ * and the recorded access decisions (approvals, auto-mode writes, denials, logins)
+ */
+export default function Users({ currentUser }) {
+    const [activeTab, setActiveTab] = useState('users');
+    const [users, setUsers] = useState([]);
+    const [decisions, setDecisions] = useState([]);
+    const [deniedOnly, setDeniedOnly] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [draft, setDraft] = useState(null);
+    const [formError, setFormError] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        loadData();
+    }, [deniedOnly]);
+
+    const loadData = async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const [userData, decisionData] = await Promise.all([
+                getUsers(),
+                getAccessDecisions({ limit: 100, ...(deniedOnly ? { allowed: 'false' } : {}) })
+            ]);
+            setUsers(userData.users || []);
+            setDecisions(decisionData.decisions || []);
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const openEditor = (user = null) => {
+        setFormError(null);
+        setDraft(user ? {
+            existing: true,
+            username: user.username,
+            password: '',
+            bindings: Object.entries(user.roles).map(([sandbox, role]) => ({ sandbox, role }))
+        } : { ...EMPTY_DRAFT, bindings: [...EMPTY_DRAFT.bindings] });
+    };
+
+    const setBinding = (index, fields) => {
+        setDraft({ ...draft, bindings: draft.bindings.map((b, i) => i === index ? { ...b, ...fields } : b) });
+    };
+
+    const saveUser = async () => {
+        setSaving(true);
+        setFormError(null);
+        const roles = Object.fromEntries(draft.bindings
+            .filter(b => b.sandbox.trim())
+            .map(b => [b.sandbox.trim(), b.role]));
+        try {
+            if (draft.existing) {
+                await updateUser(draft.username, {
+                    ...(draft.password ? { password: draft.password } : {}),
+                    // Own roles cannot be changed (no locking yourself out)
+                    ...(draft.username !== currentUser?.username ? { roles } : {})
+                });
+            } else {
+                await createUser({ username: draft.username, password: draft.password, roles });
+            }
+            setDraft(null);
+            await loadData();
+        } catch (e) {
+            setFormError(e.detail || e.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const toggleDisabled = async (user) => {
+        try {
+            await updateUser(user.username, { disabled: !user.disabled });
+            await loadData();
+        } catch (e) {
+            setError(e.message);
+        }
+    };
+
+    const removeUser = async (user) => {
+        if (!window.confirm(`Delete user ${user.username}?`)) return;
+        try {
+            await deleteUser(user.username);
+            await loadData();
+        } catch (e) {
+            setError(e.message);
+        }
+    };
+
+    const isSelf = draft?.existing && draft.username === currentUser?.username;
+
+    return (
+        <>
+            <div className="page-header">
+                <h1>Users & Roles</h1>
+                <p>Who can use the monitor, their role in each sandbox, and recorded approvals and denials</p>
+            </div>
+
+            <div className="action-bar" style={{ marginBottom: '24px' }}>
+                <div className="action-bar-left" style={{ color: 'var(--text-muted)', fontSize: '13px' }}>
+                    viewer: read · analyst: + profiles, identities, queries · operator: + approvals and writes · admin: + users
+                </div>
+                <div style={{ marginLeft: 'auto', display: 'flex', gap: '8px' }}>
+                    <button className="btn-secondary" onClick={loadData}>Refresh</button>
+                    <button className="btn-primary" onClick={() => openEditor()}>+ Add User</button>
+                </div>
+            </div>
+
+            {error && (
+                <div className="chart-section" style={{ marginBottom: '24px', borderLeft: '3px solid var(--accent-red)' }}>
+                    {error}
+                </div>
+            )}
+
+            <div className="chart-section" style={{ padding: 0 }}>
+                {loading ? (
+                    <LoadingSpinner text="Loading users..." />
+                ) : (
+                    <TabPanel
+                        tabs={[
+                            { id: 'users', label: 'Users', count: users.length },
+                            { id: 'decisions', label: 'Access Decisions', count: decisions.length }
+                        ]}
+                        activeTab={activeTab}
+                        onTabChange={setActiveTab}
+                    >
+                        {activeTab === 'users' && (
+                            users.length > 0 ? (
+                                <table className="data-table">
+                                    <thead>
+                                        <tr>
+                                            <th>User</th>
+                                            <th>Roles</th>
+                                            <th>Status</th>
+                                            <th>Updated</th>
+                                            <th></th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {users.map(user => (
+                                            <tr key={user.username}>
+                                                <td style={{ fontWeight: 500 }}>{user.username}</td>
+                                                <td style={{ fontSize: '12px' }}>
+                                                    {Object.entries(user.roles).map(([sandbox, role]) => (
+                                                        <span key={sandbox} style={{ marginRight: '10px' }}>
+                                                            <span style={{ fontFamily: 'monospace' }}>{sandbox}</span>: {role}
+                                                        </span>
+                                                    ))}
+                                                </td>
+                                                <td><StatusBadge status={user.disabled ? 'disabled' : 'active'} /></td>
+                                                <td style={{ color: 'var(--text-muted)', fontSize: '12px' }}>{formatDate(user.updatedAt)}</td>
+                                                <td style={{ whiteSpace: 'nowrap', textAlign: 'right' }}>
+                                                    <button className="btn-secondary" onClick={() => openEditor(user)}>✏️ Edit</button>
+                                                    {user.username !== currentUser?.username && (
+                                                        <>
+                                                            <button className="btn-secondary" style={{ marginLeft: '6px' }} onClick={() => toggleDisabled(user)}>
+                                                                {user.disabled ? 'Enable' : 'Disable'}
+                                                            </button>
+                                                            <button className="btn-secondary" style={{ marginLeft: '6px' }} onClick={() => removeUser(user)}>🗑️</button>
+                                                        </>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            ) : (
+                                <EmptyState message="No users yet" icon="👥" />
+                            )
+                        )}
+
+                        {activeTab === 'decisions' && (
+                            <>
+                                <label style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '12px 16px', fontSize: '13px' }}>
+                                    <input type="checkbox" checked={deniedOnly} onChange={(e) => setDeniedOnly(e.target.checked)} />
+                                    Denied only
+                                </label>
+                                {decisions.length > 0 ? (
+                                    <table className="data-table">
+                                        <thead>
+                                            <tr>
+                                                <th>Time</th>
+                                                <th>User</th>
+                                                <th>Role</th>
+                                                <th>Sandbox</th>
+                                                <th>Action</th>
+                                                <th>Target</th>
+                                                <th>Result</th>
+                                                <th>Reason</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {decisions.map(d => (
+                                                <tr key={d.id}>
+                                                    <td style={{ fontSize: '12px' }}>{formatDate(d.createdAt)}</td>
+                                                    <td>{d.username || '—'}</td>
+                                                    <td>{d.role || '—'}</td>
+                                                    <td style={{ fontFamily: 'monospace', fontSize: '12px' }}>{d.sandbox}</td>
+                                                    <td>{d.action}</td>
+                                                    <td style={{ fontFamily: 'monospace', fontSize: '12px' }}>
+                                                        {d.target || ''}{d.approvalId ? ` (${d.approvalId})` : ''}
+                                                    </td>
+                                                    <td>
+                                                        <span style={{ color: d.allowed ? 'var(--accent-green)' : 'var(--accent-red)' }}>
+                                                            {d.allowed ? 'allowed' : 'denied'}
+                                                        </span>
+                                                    </td>
+                                                    <td style={{ color: 'var(--text-muted)', fontSize: '12px' }}>{d.reason || ''}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                ) : (
+                                    <EmptyState message="No access decisions recorded" icon="📜" />
+                                )}
+                            </>
+                        )}
+                    </TabPanel>
+                )}
+            </div>
+
+            <Modal
+                isOpen={!!draft}
+                onClose={() => setDraft(null)}
+                title={draft?.existing ? `Edit ${draft.username}` : 'Add User'}
+                width="520px"
+            >
+                {draft && (
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                        {!draft.existing && (
+                            <label style={{ fontSize: '12px', color: 'var(--text-muted)' }}>
+                                Username
+                                <input
+                                    style={inputStyle}
+                                    value={draft.username}
+                                    onChange={(e) => setDraft({ ...draft, username: e.target.value })}
+                                />
+                            </label>
+                        )}
+                        <label style={{ fontSize: '12px', color: 'var(--text-muted)' }}>
+                            {draft.existing ? 'New password (leave empty to keep)' : 'Password (at least 8 characters)'}
+                            <input
+                                style={inputStyle}
+                                type="password"
+                                autoComplete="new-password"
+                                value={draft.password}
+                                onChange={(e) => setDraft({ ...draft, password: e.target.value })}
+                            />
+                        </label>
+
+                        <div style={{ fontSize: '12px', color: 'var(--text-muted)' }}>
+                            Roles by sandbox (* = all other sandboxes)
+                            {isSelf && ' — you cannot change your own roles'}
+                        </div>
+                        {draft.bindings.map((binding, index) => (
+                            <div key={index} style={{ display: 'flex', gap: '8px' }}>
+                                <input
+                                    style={{ ...inputStyle, fontFamily: 'monospace', flex: 1 }}
+                                    value={binding.sandbox}
+                                    placeholder="prod"
+                                    disabled={isSelf}
+                                    onChange={(e) => setBinding(index, { sandbox: e.target.value })}
+                                />
+                                <select
+                                    style={{ ...inputStyle, width: '140px' }}
+                                    value={binding.role}
+                                    disabled={isSelf}
+                                    onChange={(e) => setBinding(index, { role: e.target.value })}
+                                >
+                                    {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                                </select>
+                                <button
+                                    className="btn-secondary"
+                                    disabled={isSelf}
+                                    onClick={() => setDraft({ ...draft, bindings: draft.bindings.filter((_, i) => i !== index) })}
+                                >✕</button>
+                            </div>
+                        ))}
+                        {!isSelf && (
+                            <button
+                                className="btn-secondary"
+                                style={{ alignSelf: 'flex-start' }}
+                                onClick={() => setDraft({ ...draft, bindings: [...draft.bindings, { sandbox: '', role: 'viewer' }] })}
+                            >+ Sandbox role</button>
+                        )}
+
+                        {formError && <div style={{ color: 'var(--accent-red)', fontSize: '13px' }}>{formError}</div>}
+
+                        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px' }}>
+                            <button className="btn-secondary" onClick={() => setDraft(null)}>Cancel</button>
+                            <button
+                                className="btn-primary"
+                                onClick={saveUser}
+                                disabled={saving || !draft.username || (!draft.existing && !draft.password)}
+                            >
+                                {saving ? 'Saving...' : 'Save'}
+                            </button>
+                        </div>
+                    </div>
+                )}
+            </Modal>
+        </>
+    );
+}
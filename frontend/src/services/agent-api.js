@@ -1,17 +1,33 @@
+import { ApiError, getAuthToken, getCurrentSandboxName, toApiError } from './api';
+
 const API_BASE = 'http://localhost:3001/api';
 
+function buildHeaders(extra) {
+    const headers = {
+        'Content-Type': 'application/json',
+        ...extra
+    };
+
+    // Agent tools run against the sandbox selected in the UI
+    const sandbox = getCurrentSandboxName();
+    if (sandbox) {
+        headers['x-sandbox-name'] = sandbox;
+    }
+    const token = getAuthToken();
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    return headers;
+}
+
 async function fetchAPI(endpoint, options = {}) {
     const response = await fetch(`${API_BASE}${endpoint}`, {
         ...options,
-        headers: {
-            'Content-Type': 'application/json',
-            ...options.headers
-        }
+        headers: buildHeaders(options.headers)
     });
 
     if (!response.ok) {
-        const error = await response.json().catch(() => ({ error: 'Network error' }));
-        throw new Error(error.error || `API Error: ${response.status}`);
+        throw await toApiError(response);
     }
 
     return response.json();
@@ -26,6 +42,92 @@ export const sendAgentMessage = (payload) =>
         body: JSON.stringify(payload)
     });
 
+/**
+ * Send a message to the AI Agent and stream its progress (Server-Sent Events).
+ * onEvent(type, data) receives plan, tool_start, tool_end and token events;
+ * resolves with the final response. Abort the signal to cancel the run.
+ */
+export async function streamAgentMessage(payload, { onEvent, signal } = {}) {
+    const response = await fetch(`${API_BASE}/agent/chat/stream`, {
+        method: 'POST',
+        headers: buildHeaders(),
+        body: JSON.stringify(payload),
+        signal
+    });
+
+    if (!response.ok) {
+        throw await toApiError(response);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        // Events are separated by a blank line: "event: <type>\ndata: <json>"
+        const chunks = buffer.split('\n\n');
+        buffer = chunks.pop();
+
+        for (const chunk of chunks) {
+            const type = chunk.match(/^event: (.*)$/m)?.[1];
+            const data = chunk.match(/^data: (.*)$/m)?.[1];
+            if (!type || !data) continue;
+
+            const parsed = JSON.parse(data);
+            if (type === 'final') return parsed;
+            if (type === 'error') throw new ApiError(parsed);
+            onEvent?.(type, parsed);
+        }
+    }
+
+    throw new ApiError({ message: 'Agent stream ended without a response', status: 0 });
+}
+
+// ===== APPROVAL QUEUE =====
+
+/**
+ * List actions proposed by the agent (e.g. { status: 'pending' })
+ */
+export const getAgentApprovals = ({ status, conversationId } = {}) => {
+    const params = new URLSearchParams();
+    if (status) params.set('status', status);
+    if (conversationId) params.set('conversationId', conversationId);
+    return fetchAPI(`/agent/approvals?${params}`);
+};
+
+/**
+ * Approve and execute a proposed action
+ */
+export const approveAgentAction = (approvalId) =>
+    fetchAPI(`/agent/approvals/${approvalId}/approve`, { method: 'POST' });
+
+/**
+ * Reject a proposed action
+ */
+export const rejectAgentAction = (approvalId, reason) =>
+    fetchAPI(`/agent/approvals/${approvalId}/reject`, {
+        method: 'POST',
+        body: JSON.stringify({ reason })
+    });
+
+// ===== LLM USAGE =====
+
+/**
+ * Daily and per-conversation LLM usage with budget status
+ */
+export const getAgentUsage = (days = 30) =>
+    fetchAPI(`/agent/usage?days=${days}`);
+
+/**
+ * Most recent LLM requests ({ calls })
+ */
+export const getAgentUsageCalls = (limit = 50) =>
+    fetchAPI(`/agent/usage/calls?limit=${limit}`);
+
 /**
  * Get list of available agent tools
  */
@@ -33,24 +135,59 @@ export const getAgentTools = () =>
     fetchAPI('/agent/tools');
 
 /**
- * Get chat history
+ * Get the agent's working memory for a conversation
+ */
+export const getAgentHistory = (conversationId) =>
+    fetchAPI(`/agent/history/${conversationId}`);
+
+/**
+ * Clear the agent's working memory for a conversation
  */
-export const getAgentHistory = () =>
-    fetchAPI('/agent/history');
+export const clearAgentHistory = (conversationId) =>
+    fetchAPI(`/agent/history/${conversationId}`, { method: 'DELETE' });
+
+// ===== RUNBOOKS =====
+
+/**
+ * Loaded runbooks ({ runbooks, errors })
+ */
+export const getRunbooks = () =>
+    fetchAPI('/agent/runbooks');
 
 /**
- * Clear chat history
+ * Run a runbook now; resolves with the stored run (steps and summary)
  */
-export const clearAgentHistory = () =>
-    fetchAPI('/agent/history', { method: 'DELETE' });
+export const runRunbook = (runbookId, { inputs = {}, conversationId } = {}) =>
+    fetchAPI(`/agent/runbooks/${runbookId}/run`, {
+        method: 'POST',
+        body: JSON.stringify({ inputs, conversationId })
+    });
+
+/**
+ * Stored runs of one runbook, newest first ({ runs, total, limit, offset })
+ */
+export const getRunbookRuns = (runbookId, { limit = 20, offset = 0 } = {}) =>
+    fetchAPI(`/agent/runbooks/${runbookId}/runs?limit=${limit}&offset=${offset}`);
+
+/**
+ * One stored run with each step's arguments and output
+ */
+export const getRunbookRun = (runId) =>
+    fetchAPI(`/agent/runbook-runs/${runId}`);
 
 // ===== CHAT HISTORY (RECALL) =====
 
 /**
- * Get all saved conversations
+ * Get a page of saved conversations ({ conversations, total, limit, offset })
+ */
+export const getConversations = ({ limit = 50, offset = 0 } = {}) =>
+    fetchAPI(`/chat/conversations?limit=${limit}&offset=${offset}`);
+
+/**
+ * Full-text search over saved conversation messages
  */
-export const getConversations = () =>
-    fetchAPI('/chat/conversations');
+export const searchConversations = (query, { limit = 20, offset = 0 } = {}) =>
+    fetchAPI(`/chat/conversations/search?q=${encodeURIComponent(query)}&limit=${limit}&offset=${offset}`);
 
 /**
  * Get a specific conversation by ID
@@ -0,0 +1,35 @@
+import { useEffect } from 'react';
+
+// ===== PAGE CONTEXT FOR THE COPILOT =====
+// What the open page has selected, sent with each agent message so the agent can
+// resolve "this batch" or "why did it fail?". Pages publish it; AgentPanel reads it.
+let pageContext = { entity: null, filters: {} };
+const listeners = new Set();
+
+export const getAgentPageContext = () => pageContext;
+
+/**
+ * Call listener whenever a page publishes a new context; returns the unsubscribe function
+ */
+export function subscribeAgentPageContext(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+function setAgentPageContext(next) {
+    pageContext = next;
+    listeners.forEach(listener => listener(pageContext));
+}
+
+/**
+ * Publish the page's selected entity ({ type, id, name, related }) and filters
+ * while the calling component is mounted
+ */
+export function useAgentPageContext(entity, filters = {}) {
+    const key = JSON.stringify({ entity: entity || null, filters });
+
+    useEffect(() => {
+        setAgentPageContext(JSON.parse(key));
+        return () => setAgentPageContext({ entity: null, filters: {} });
+    }, [key]);
+}
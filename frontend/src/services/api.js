@@ -10,6 +10,71 @@ export const setCurrentSandbox = (sandbox) => {
 
 export const getCurrentSandboxName = () => currentSandbox;
 
+// ===== AUTH STATE =====
+// Session token from /auth/login, sent as Authorization on every request
+let authToken = localStorage.getItem('aep_token') || null;
+const unauthorizedListeners = new Set();
+
+export const getAuthToken = () => authToken;
+
+export const setAuthToken = (token) => {
+    authToken = token;
+    if (token) {
+        localStorage.setItem('aep_token', token);
+    } else {
+        localStorage.removeItem('aep_token');
+    }
+};
+
+/**
+ * Call listener when the server ends the session (any 401); returns the unsubscribe function
+ */
+export function onUnauthorized(listener) {
+    unauthorizedListeners.add(listener);
+    return () => unauthorizedListeners.delete(listener);
+}
+
+// ===== ERRORS =====
+// Backend errors arrive as { error: { code, status, message, upstream, requestId } }
+export class ApiError extends Error {
+    constructor({ message, status, code, upstream, requestId }) {
+        // Keep AEP status/code and request id in the message so pages showing e.message can be traced
+        const details = [
+            upstream?.status && `AEP ${upstream.status}`,
+            code,
+            requestId && `request ${requestId}`
+        ].filter(Boolean).join(', ');
+        super(details ? `${message} (${details})` : message);
+        this.name = 'ApiError';
+        this.detail = message;
+        this.status = status;
+        this.code = code || null;
+        this.upstream = upstream || null;
+        this.requestId = requestId || null;
+    }
+}
+
+/**
+ * Build an ApiError from a failed response (error envelope or legacy { error: string })
+ */
+export async function toApiError(response) {
+    // Not logged in, session expired or account disabled: back to the login screen
+    if (response.status === 401) {
+        setAuthToken(null);
+        unauthorizedListeners.forEach(listener => listener());
+    }
+
+    const body = await response.json().catch(() => null);
+    const error = body?.error;
+    if (error && typeof error === 'object') {
+        return new ApiError({ ...error, status: error.status || response.status });
+    }
+    return new ApiError({
+        message: typeof error === 'string' ? error : `API Error: ${response.status}`,
+        status: response.status
+    });
+}
+
 async function fetchAPI(endpoint, options = {}) {
     const headers = {
         'Content-Type': 'application/json',
@@ -20,6 +85,9 @@ async function fetchAPI(endpoint, options = {}) {
     if (currentSandbox) {
         headers['x-sandbox-name'] = currentSandbox;
     }
+    if (authToken) {
+        headers['Authorization'] = `Bearer ${authToken}`;
+    }
 
     const response = await fetch(`${API_BASE}${endpoint}`, {
         ...options,
@@ -27,8 +95,7 @@ async function fetchAPI(endpoint, options = {}) {
     });
 
     if (!response.ok) {
-        const error = await response.json().catch(() => ({ error: 'Network error' }));
-        throw new Error(error.error || `API Error: ${response.status}`);
+        throw await toApiError(response);
     }
 
     return response.json();
@@ -39,6 +106,7 @@ async function fetchAPIWithSandbox(endpoint, sandbox, options = {}) {
     const headers = {
         'Content-Type': 'application/json',
         'x-sandbox-name': sandbox,
+        ...(authToken ? { 'Authorization': `Bearer ${authToken}` } : {}),
         ...options.headers
     };
 
@@ -48,8 +116,7 @@ async function fetchAPIWithSandbox(endpoint, sandbox, options = {}) {
     });
 
     if (!response.ok) {
-        const error = await response.json().catch(() => ({ error: 'Network error' }));
-        throw new Error(error.error || `API Error: ${response.status}`);
+        throw await toApiError(response);
     }
 
     return response.json();
@@ -62,13 +129,40 @@ export const switchSandbox = (sandbox) => fetchAPI('/sandbox/switch', {
     body: JSON.stringify({ sandbox })
 });
 
+// ===== USERS AND ROLES =====
+export const login = async (username, password) => {
+    const session = await fetchAPI('/auth/login', {
+        method: 'POST',
+        body: JSON.stringify({ username, password })
+    });
+    setAuthToken(session.token);
+    return session;
+};
+export const logout = () => setAuthToken(null);
+export const getCurrentUser = () => fetchAPI('/auth/me');
+export const getUsers = () => fetchAPI('/auth/users');
+export const createUser = (user) =>
+    fetchAPI('/auth/users', { method: 'POST', body: JSON.stringify(user) });
+export const updateUser = (username, fields) =>
+    fetchAPI(`/auth/users/${encodeURIComponent(username)}`, { method: 'PUT', body: JSON.stringify(fields) });
+export const deleteUser = (username) =>
+    fetchAPI(`/auth/users/${encodeURIComponent(username)}`, { method: 'DELETE' });
+export const getAccessDecisions = (filters = {}) => {
+    const params = new URLSearchParams(filters).toString();
+    return fetchAPI(`/auth/decisions${params ? '?' + params : ''}`);
+};
+
 // ===== CONNECTION =====
 export const checkConnection = () => fetchAPI('/connection');
 export const refreshConnection = () => fetchAPI('/connection/refresh', { method: 'POST' });
+export const getConnectionMetrics = () => fetchAPI('/connection/metrics');
 
 // ===== DASHBOARD =====
 export const getDashboardSummary = (timeRange = '24h') =>
     fetchAPI(`/dashboard/summary?timeRange=${timeRange}`);
+export const getBriefings = (limit = 7) => fetchAPI(`/briefings?limit=${limit}`);
+export const getBriefing = (briefingId) => fetchAPI(`/briefings/${briefingId}`);
+export const generateBriefing = () => fetchAPI('/briefings', { method: 'POST' });
 
 // ===== BATCHES =====
 export const getBatches = (filters = {}) => {
@@ -134,6 +228,16 @@ export const getDescriptors = (filters = {}) => {
 };
 export const getBehaviors = () => fetchAPI('/behaviors');
 
+// ===== BUSINESS GLOSSARY =====
+export const getGlossary = (query = '') =>
+    fetchAPI(`/glossary${query ? `?q=${encodeURIComponent(query)}` : ''}`);
+export const createGlossaryTerm = (term) =>
+    fetchAPI('/glossary', { method: 'POST', body: JSON.stringify(term) });
+export const updateGlossaryTerm = (termId, term) =>
+    fetchAPI(`/glossary/${termId}`, { method: 'PUT', body: JSON.stringify(term) });
+export const deleteGlossaryTerm = (termId) =>
+    fetchAPI(`/glossary/${termId}`, { method: 'DELETE' });
+
 // ===== DATASETS =====
 export const getDatasets = (filters = {}) => {
     const params = new URLSearchParams(filters).toString();
@@ -73,6 +73,6 @@ echo ""
 echo "AZURE_OPENAI_ENDPOINT=$ENDPOINT"
 echo "AZURE_OPENAI_API_KEY=$API_KEY"
 echo "AZURE_OPENAI_DEPLOYMENT=$DEPLOYMENT_NAME"
-echo "AZURE_OPENAI_API_VERSION=2024-02-15-preview"
+echo "AZURE_OPENAI_API_VERSION=2024-10-21"
 echo ""
 echo "Done! Restart your backend server to apply changes."